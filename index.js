@@ -1,5 +1,6 @@
 // server.js - Main entry point for the application
 const { app, shutdown } = require('./src/app'); // Import app and shutdown handler
+const { startJobs } = require('./src/jobs');
 
 const PORT = process.env.PORT || 3000;
 
@@ -10,6 +11,10 @@ const server = app.listen(PORT, () => {
   console.log(`Root access: http://localhost:${PORT}/`);
 });
 
+// --- Background Jobs ---
+// Only the long-running server runs them; importing the app (api/index.js on Vercel, tests) doesn't start them
+startJobs();
+
 // --- Graceful Shutdown Handling ---
 // Listen for termination signals (e.g., from Docker, Kubernetes, Ctrl+C)
 // process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -1,11 +1,18 @@
 const { PrismaClient } = require('@prisma/client');
-let prisma 
+let prisma
+
+// The author/genre arrays were replaced by the BookAuthor and BookGenre tables. They are kept only until
+// prisma/scripts/migrateBookRelations.js has copied them, so they're left out of every query unless selected.
+const LEGACY_OMIT = {
+    book: { author_ids: true, genre_ids: true, genre_names: true },
+    author: { book_ids: true },
+};
 
 function getPrismaClient() {
     if (!prisma) {
-        prisma = new PrismaClient();
+        prisma = new PrismaClient({ omit: LEGACY_OMIT });
     }
     return prisma;
 }
 
-exports.getPrismaClient = getPrismaClient;
\ No newline at end of file
+exports.getPrismaClient = getPrismaClient;
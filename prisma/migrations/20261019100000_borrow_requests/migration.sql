@@ -0,0 +1,59 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "BorrowStatus" ADD VALUE 'requested';
+ALTER TYPE "BorrowStatus" ADD VALUE 'rejected';
+ALTER TYPE "BorrowStatus" ADD VALUE 'expired';
+
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN     "genre_names" TEXT[];
+
+-- AlterTable
+-- library_id was added to the schema without a migration; existing loans and reservations take their book's library
+ALTER TABLE "borrow_transactions" ADD COLUMN     "library_id" UUID,
+ADD COLUMN     "rejection_reason" TEXT,
+ADD COLUMN     "request_expires_at" TIMESTAMPTZ(6),
+ADD COLUMN     "reviewed_at" TIMESTAMPTZ(6),
+ADD COLUMN     "reviewed_by" UUID;
+
+UPDATE "borrow_transactions" SET "library_id" = "books"."library_id" FROM "books" WHERE "books"."book_id" = "borrow_transactions"."book_id";
+
+ALTER TABLE "borrow_transactions" ALTER COLUMN "library_id" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "policies" ADD COLUMN     "borrow_request_expiry_hours" INTEGER NOT NULL DEFAULT 48;
+
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "library_id" UUID;
+
+UPDATE "reservations" SET "library_id" = "books"."library_id" FROM "books" WHERE "books"."book_id" = "reservations"."book_id";
+
+ALTER TABLE "reservations" ALTER COLUMN "library_id" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "otpverification" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "otp" TEXT NOT NULL,
+    "expiresat" TIMESTAMP(3) NOT NULL,
+    "isused" BOOLEAN NOT NULL DEFAULT false,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "createdat" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedat" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "otpverification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "otpverification_email_idx" ON "otpverification"("email");
+
+-- AddForeignKey
+ALTER TABLE "borrow_transactions" ADD CONSTRAINT "borrow_transactions_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
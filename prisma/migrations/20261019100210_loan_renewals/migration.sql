@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "borrow_transactions" ADD COLUMN     "last_renewed_at" TIMESTAMPTZ(6),
+ADD COLUMN     "renewal_count" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "policies" ADD COLUMN     "max_renewals" INTEGER NOT NULL DEFAULT 2,
+ADD COLUMN     "renewal_period_days" INTEGER;
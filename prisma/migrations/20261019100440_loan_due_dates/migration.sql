@@ -0,0 +1,6 @@
+-- AlterTable
+-- Loans made before this migration keep a null due_date; it is derived from the policy until they're renewed or adjusted
+ALTER TABLE "borrow_transactions" ADD COLUMN     "due_date" TIMESTAMPTZ(6),
+ADD COLUMN     "due_date_adjusted_at" TIMESTAMPTZ(6),
+ADD COLUMN     "due_date_adjusted_by" UUID,
+ADD COLUMN     "due_date_adjustment_reason" TEXT;
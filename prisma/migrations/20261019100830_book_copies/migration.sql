@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "CopyStatus" AS ENUM ('available', 'on_loan', 'on_hold_shelf', 'in_repair', 'lost', 'withdrawn');
+
+-- CreateEnum
+CREATE TYPE "CopyCondition" AS ENUM ('new', 'good', 'fair', 'poor', 'damaged');
+
+-- AlterTable
+ALTER TABLE "borrow_transactions" ADD COLUMN     "copy_id" UUID;
+
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "copy_id" UUID;
+
+-- CreateTable
+CREATE TABLE "book_copies" (
+    "copy_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "book_id" UUID NOT NULL,
+    "library_id" UUID NOT NULL,
+    "barcode" TEXT NOT NULL,
+    "status" "CopyStatus" NOT NULL DEFAULT 'available',
+    "condition" "CopyCondition" NOT NULL DEFAULT 'good',
+    "acquisition_date" TIMESTAMPTZ(6),
+    "notes" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "book_copies_pkey" PRIMARY KEY ("copy_id")
+);
+
+-- CreateIndex
+CREATE INDEX "book_copies_book_id_status_idx" ON "book_copies"("book_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "book_copies_library_id_barcode_key" ON "book_copies"("library_id", "barcode");
+
+-- AddForeignKey
+ALTER TABLE "book_copies" ADD CONSTRAINT "book_copies_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("book_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_copies" ADD CONSTRAINT "book_copies_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "borrow_transactions" ADD CONSTRAINT "borrow_transactions_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("copy_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reservations" ADD CONSTRAINT "reservations_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("copy_id") ON DELETE SET NULL ON UPDATE CASCADE;
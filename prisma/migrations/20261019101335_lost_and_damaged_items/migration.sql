@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "FineType" AS ENUM ('overdue', 'replacement', 'processing_fee', 'damage');
+
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "BorrowStatus" ADD VALUE 'lost';
+ALTER TYPE "BorrowStatus" ADD VALUE 'damaged';
+
+-- DropIndex
+DROP INDEX "fines_borrow_id_key";
+
+-- AlterTable
+ALTER TABLE "books" ADD COLUMN     "price" DECIMAL(8,2);
+
+-- AlterTable
+ALTER TABLE "borrow_transactions" ADD COLUMN     "found_at" TIMESTAMPTZ(6),
+ADD COLUMN     "incident_notes" TEXT,
+ADD COLUMN     "incident_reported_at" TIMESTAMPTZ(6),
+ADD COLUMN     "incident_reported_by" UUID;
+
+-- AlterTable
+ALTER TABLE "fines" ADD COLUMN     "fine_type" "FineType" NOT NULL DEFAULT 'overdue',
+ADD COLUMN     "refunded_amount" DECIMAL(8,2),
+ADD COLUMN     "refunded_at" TIMESTAMPTZ(6);
+
+-- AlterTable
+ALTER TABLE "policies" ADD COLUMN     "lost_item_processing_fee" DECIMAL(6,2) NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "fines_borrow_id_fine_type_key" ON "fines"("borrow_id", "fine_type");
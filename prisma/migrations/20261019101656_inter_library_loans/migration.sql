@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "IllStatus" AS ENUM ('requested', 'approved', 'rejected', 'cancelled', 'in_transit', 'received', 'on_loan', 'returned', 'return_in_transit', 'completed', 'lost');
+
+-- AlterEnum
+ALTER TYPE "CopyStatus" ADD VALUE 'on_interlibrary_loan';
+
+-- AlterTable
+ALTER TABLE "policies" ADD COLUMN     "ill_borrowing_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "ill_lending_enabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "ill_loan_days" INTEGER,
+ADD COLUMN     "ill_max_active_requests" INTEGER NOT NULL DEFAULT 3;
+
+-- CreateTable
+CREATE TABLE "inter_library_loans" (
+    "ill_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "user_id" UUID NOT NULL,
+    "book_id" UUID NOT NULL,
+    "copy_id" UUID,
+    "borrowing_library_id" UUID NOT NULL,
+    "lending_library_id" UUID NOT NULL,
+    "borrow_id" UUID,
+    "status" "IllStatus" NOT NULL DEFAULT 'requested',
+    "notes" TEXT,
+    "rejection_reason" TEXT,
+    "requested_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "approved_by" UUID,
+    "approved_at" TIMESTAMPTZ(6),
+    "shipped_at" TIMESTAMPTZ(6),
+    "received_at" TIMESTAMPTZ(6),
+    "returned_at" TIMESTAMPTZ(6),
+    "return_shipped_at" TIMESTAMPTZ(6),
+    "completed_at" TIMESTAMPTZ(6),
+    "cancelled_at" TIMESTAMPTZ(6),
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "inter_library_loans_pkey" PRIMARY KEY ("ill_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inter_library_loans_borrow_id_key" ON "inter_library_loans"("borrow_id");
+
+-- CreateIndex
+CREATE INDEX "inter_library_loans_borrowing_library_id_status_idx" ON "inter_library_loans"("borrowing_library_id", "status");
+
+-- CreateIndex
+CREATE INDEX "inter_library_loans_lending_library_id_status_idx" ON "inter_library_loans"("lending_library_id", "status");
+
+-- AddForeignKey
+ALTER TABLE "inter_library_loans" ADD CONSTRAINT "inter_library_loans_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inter_library_loans" ADD CONSTRAINT "inter_library_loans_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("book_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inter_library_loans" ADD CONSTRAINT "inter_library_loans_copy_id_fkey" FOREIGN KEY ("copy_id") REFERENCES "book_copies"("copy_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inter_library_loans" ADD CONSTRAINT "inter_library_loans_borrowing_library_id_fkey" FOREIGN KEY ("borrowing_library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inter_library_loans" ADD CONSTRAINT "inter_library_loans_lending_library_id_fkey" FOREIGN KEY ("lending_library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inter_library_loans" ADD CONSTRAINT "inter_library_loans_borrow_id_fkey" FOREIGN KEY ("borrow_id") REFERENCES "borrow_transactions"("borrow_id") ON DELETE SET NULL ON UPDATE CASCADE;
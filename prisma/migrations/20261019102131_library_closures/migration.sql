@@ -0,0 +1,24 @@
+-- CreateEnum
+CREATE TYPE "ClosureType" AS ENUM ('weekly', 'holiday');
+
+-- CreateTable
+CREATE TABLE "library_closures" (
+    "closure_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "library_id" UUID NOT NULL,
+    "closure_type" "ClosureType" NOT NULL,
+    "weekday" INTEGER,
+    "start_date" DATE,
+    "end_date" DATE,
+    "description" TEXT,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "library_closures_pkey" PRIMARY KEY ("closure_id")
+);
+
+-- CreateIndex
+CREATE INDEX "library_closures_library_id_idx" ON "library_closures"("library_id");
+
+-- AddForeignKey
+ALTER TABLE "library_closures" ADD CONSTRAINT "library_closures_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "policies" ADD COLUMN     "grace_period_days" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "max_fine_per_loan" DECIMAL(8,2),
+ADD COLUMN     "max_outstanding_fines_per_member" DECIMAL(8,2),
+ADD COLUMN     "replacement_cost_ceiling" DECIMAL(8,2);
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "policies" ADD COLUMN     "max_overdue_items_for_borrowing" INTEGER,
+ADD COLUMN     "max_unpaid_fines_for_borrowing" DECIMAL(8,2);
+
+-- CreateTable
+CREATE TABLE "borrowing_block_overrides" (
+    "override_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "user_id" UUID NOT NULL,
+    "library_id" UUID NOT NULL,
+    "granted_by" UUID NOT NULL,
+    "reason" TEXT NOT NULL,
+    "unpaid_fines" DECIMAL(8,2) NOT NULL,
+    "overdue_items" INTEGER NOT NULL,
+    "expires_at" TIMESTAMPTZ(6) NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "borrowing_block_overrides_pkey" PRIMARY KEY ("override_id")
+);
+
+-- CreateIndex
+CREATE INDEX "borrowing_block_overrides_user_id_expires_at_idx" ON "borrowing_block_overrides"("user_id", "expires_at");
+
+-- AddForeignKey
+ALTER TABLE "borrowing_block_overrides" ADD CONSTRAINT "borrowing_block_overrides_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "borrowing_block_overrides" ADD CONSTRAINT "borrowing_block_overrides_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "borrow_transactions" ADD COLUMN     "kiosk_id" UUID;
+
+-- CreateTable
+CREATE TABLE "kiosks" (
+    "kiosk_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "library_id" UUID NOT NULL,
+    "name" TEXT NOT NULL,
+    "location" TEXT,
+    "key_hash" TEXT NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "registered_by" UUID NOT NULL,
+    "key_rotated_at" TIMESTAMPTZ(6),
+    "last_seen_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "kiosks_pkey" PRIMARY KEY ("kiosk_id")
+);
+
+-- CreateIndex
+CREATE INDEX "kiosks_library_id_idx" ON "kiosks"("library_id");
+
+-- AddForeignKey
+ALTER TABLE "kiosks" ADD CONSTRAINT "kiosks_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "borrow_transactions" ADD CONSTRAINT "borrow_transactions_kiosk_id_fkey" FOREIGN KEY ("kiosk_id") REFERENCES "kiosks"("kiosk_id") ON DELETE SET NULL ON UPDATE CASCADE;
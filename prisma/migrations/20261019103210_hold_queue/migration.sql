@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "ready_at" TIMESTAMPTZ(6);
+
+-- CreateIndex
+CREATE INDEX "reservations_book_id_reserved_at_idx" ON "reservations"("book_id", "reserved_at");
@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "ReservationStatus" AS ENUM ('waiting', 'allocated', 'ready', 'picked_up', 'expired', 'cancelled');
+
+-- DropIndex
+DROP INDEX "reservations_book_id_reserved_at_idx";
+
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "allocated_at" TIMESTAMPTZ(6),
+ADD COLUMN     "cancelled_at" TIMESTAMPTZ(6),
+ADD COLUMN     "cancelled_by" UUID,
+ADD COLUMN     "expired_at" TIMESTAMPTZ(6),
+ADD COLUMN     "picked_up_at" TIMESTAMPTZ(6),
+ADD COLUMN     "status" "ReservationStatus" NOT NULL DEFAULT 'waiting';
+
+-- Existing reservations with a copy set aside are already on the hold shelf
+UPDATE "reservations" SET "status" = 'ready', "allocated_at" = COALESCE("ready_at", "reserved_at"), "ready_at" = COALESCE("ready_at", "reserved_at") WHERE "copy_id" IS NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "reservations_book_id_status_reserved_at_idx" ON "reservations"("book_id", "status", "reserved_at");
+
+-- CreateIndex
+CREATE INDEX "reservations_library_id_status_idx" ON "reservations"("library_id", "status");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "reservations" ADD COLUMN     "suspended_from" TIMESTAMPTZ(6),
+ADD COLUMN     "suspended_until" TIMESTAMPTZ(6);
@@ -0,0 +1,59 @@
+-- CreateEnum
+CREATE TYPE "PaymentKind" AS ENUM ('payment', 'refund', 'reversal');
+
+-- CreateEnum
+CREATE TYPE "PaymentMethod" AS ENUM ('cash', 'card', 'online', 'other');
+
+-- AlterTable
+ALTER TABLE "fines" ADD COLUMN     "amount_paid" DECIMAL(8,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "payments" (
+    "payment_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "fine_id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "library_id" UUID NOT NULL,
+    "kind" "PaymentKind" NOT NULL,
+    "amount" DECIMAL(8,2) NOT NULL,
+    "method" "PaymentMethod",
+    "reference" TEXT,
+    "note" TEXT,
+    "collected_by" UUID,
+    "reverses_payment_id" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payments_pkey" PRIMARY KEY ("payment_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payments_reverses_payment_id_key" ON "payments"("reverses_payment_id");
+
+-- CreateIndex
+CREATE INDEX "payments_fine_id_idx" ON "payments"("fine_id");
+
+-- CreateIndex
+CREATE INDEX "payments_user_id_created_at_idx" ON "payments"("user_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_fine_id_fkey" FOREIGN KEY ("fine_id") REFERENCES "fines"("fine_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_reverses_payment_id_fkey" FOREIGN KEY ("reverses_payment_id") REFERENCES "payments"("payment_id") ON DELETE NO ACTION ON UPDATE CASCADE;
+
+-- Fines paid before the ledger get one payment for the full amount (and a refund for anything given back), so the
+-- totals syncFineLedger derives from the ledger match what was recorded
+INSERT INTO "payments" ("fine_id", "user_id", "library_id", "kind", "amount", "method", "note", "created_at")
+SELECT "fine_id", "user_id", "library_id", 'payment', "amount", 'other', 'Paid before the payment ledger', "updated_at"
+FROM "fines" WHERE "is_paid" = true AND "amount" > 0;
+
+INSERT INTO "payments" ("fine_id", "user_id", "library_id", "kind", "amount", "method", "note", "created_at")
+SELECT "fine_id", "user_id", "library_id", 'refund', "refunded_amount", 'other', 'Refunded before the payment ledger', COALESCE("refunded_at", "updated_at")
+FROM "fines" WHERE "is_paid" = true AND "refunded_amount" > 0;
+
+UPDATE "fines" SET "amount_paid" = "amount" WHERE "is_paid" = true;
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "FineAdjustmentKind" AS ENUM ('waiver', 'adjustment');
+
+-- AlterTable
+ALTER TABLE "fines" ADD COLUMN     "original_amount" DECIMAL(8,2),
+ADD COLUMN     "waived_amount" DECIMAL(8,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "policies" ADD COLUMN     "librarian_waiver_limit" DECIMAL(8,2);
+
+-- CreateTable
+CREATE TABLE "fine_adjustments" (
+    "adjustment_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "fine_id" UUID NOT NULL,
+    "library_id" UUID NOT NULL,
+    "kind" "FineAdjustmentKind" NOT NULL,
+    "previous_amount" DECIMAL(8,2) NOT NULL,
+    "new_amount" DECIMAL(8,2) NOT NULL,
+    "reason" TEXT NOT NULL,
+    "adjusted_by" UUID NOT NULL,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fine_adjustments_pkey" PRIMARY KEY ("adjustment_id")
+);
+
+-- CreateIndex
+CREATE INDEX "fine_adjustments_fine_id_idx" ON "fine_adjustments"("fine_id");
+
+-- CreateIndex
+CREATE INDEX "fine_adjustments_adjusted_by_created_at_idx" ON "fine_adjustments"("adjusted_by", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "fine_adjustments" ADD CONSTRAINT "fine_adjustments_fine_id_fkey" FOREIGN KEY ("fine_id") REFERENCES "fines"("fine_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fine_adjustments" ADD CONSTRAINT "fine_adjustments_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "PaymentSessionStatus" AS ENUM ('pending', 'paid', 'failed', 'expired');
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "session_id" UUID;
+
+-- CreateTable
+CREATE TABLE "payment_sessions" (
+    "session_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "user_id" UUID NOT NULL,
+    "library_id" UUID NOT NULL,
+    "provider" TEXT NOT NULL,
+    "provider_session_id" TEXT,
+    "status" "PaymentSessionStatus" NOT NULL DEFAULT 'pending',
+    "fine_ids" UUID[],
+    "amount" DECIMAL(8,2) NOT NULL,
+    "checkout_url" TEXT,
+    "expires_at" TIMESTAMPTZ(6),
+    "completed_at" TIMESTAMPTZ(6),
+    "failure_reason" TEXT,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "payment_sessions_pkey" PRIMARY KEY ("session_id")
+);
+
+-- CreateTable
+CREATE TABLE "payment_webhook_events" (
+    "event_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "provider" TEXT NOT NULL,
+    "provider_event_id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "session_id" UUID,
+    "result" TEXT,
+    "received_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payment_webhook_events_pkey" PRIMARY KEY ("event_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_sessions_provider_session_id_key" ON "payment_sessions"("provider_session_id");
+
+-- CreateIndex
+CREATE INDEX "payment_sessions_user_id_created_at_idx" ON "payment_sessions"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "payment_sessions_status_expires_at_idx" ON "payment_sessions"("status", "expires_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_webhook_events_provider_provider_event_id_key" ON "payment_webhook_events"("provider", "provider_event_id");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "payment_sessions"("session_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_sessions" ADD CONSTRAINT "payment_sessions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_sessions" ADD CONSTRAINT "payment_sessions_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_webhook_events" ADD CONSTRAINT "payment_webhook_events_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "payment_sessions"("session_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "ReceiptKind" AS ENUM ('checkout', 'return', 'payment');
+
+-- AlterTable
+ALTER TABLE "libraries" ADD COLUMN     "email" TEXT,
+ADD COLUMN     "next_receipt_number" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "phone" TEXT,
+ADD COLUMN     "receipt_footer" TEXT,
+ADD COLUMN     "website" TEXT;
+
+-- CreateTable
+CREATE TABLE "receipts" (
+    "receipt_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "library_id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "kind" "ReceiptKind" NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "receipt_number" TEXT NOT NULL,
+    "borrow_id" UUID,
+    "payment_id" UUID,
+    "content" JSONB NOT NULL,
+    "issued_by" UUID,
+    "emailed_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "receipts_pkey" PRIMARY KEY ("receipt_id")
+);
+
+-- CreateIndex
+CREATE INDEX "receipts_user_id_created_at_idx" ON "receipts"("user_id", "created_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "receipts_library_id_sequence_key" ON "receipts"("library_id", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "receipts" ADD CONSTRAINT "receipts_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("user_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "DunningAction" AS ENUM ('reminder', 'final_notice', 'block');
+
+-- CreateTable
+CREATE TABLE "dunning_steps" (
+    "step_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "library_id" UUID NOT NULL,
+    "days_after" INTEGER NOT NULL,
+    "action" "DunningAction" NOT NULL,
+    "created_by" UUID,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMPTZ(6) NOT NULL,
+
+    CONSTRAINT "dunning_steps_pkey" PRIMARY KEY ("step_id")
+);
+
+-- CreateTable
+CREATE TABLE "fine_notices" (
+    "notice_id" UUID NOT NULL DEFAULT gen_random_uuid(),
+    "fine_id" UUID NOT NULL,
+    "user_id" UUID NOT NULL,
+    "library_id" UUID NOT NULL,
+    "step_id" UUID,
+    "days_after" INTEGER NOT NULL,
+    "action" "DunningAction" NOT NULL,
+    "emailed_at" TIMESTAMPTZ(6),
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fine_notices_pkey" PRIMARY KEY ("notice_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dunning_steps_library_id_days_after_key" ON "dunning_steps"("library_id", "days_after");
+
+-- CreateIndex
+CREATE INDEX "fine_notices_fine_id_idx" ON "fine_notices"("fine_id");
+
+-- CreateIndex
+CREATE INDEX "fine_notices_user_id_library_id_action_idx" ON "fine_notices"("user_id", "library_id", "action");
+
+-- AddForeignKey
+ALTER TABLE "dunning_steps" ADD CONSTRAINT "dunning_steps_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fine_notices" ADD CONSTRAINT "fine_notices_fine_id_fkey" FOREIGN KEY ("fine_id") REFERENCES "fines"("fine_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fine_notices" ADD CONSTRAINT "fine_notices_library_id_fkey" FOREIGN KEY ("library_id") REFERENCES "libraries"("library_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "fine_notices" ADD CONSTRAINT "fine_notices_step_id_fkey" FOREIGN KEY ("step_id") REFERENCES "dunning_steps"("step_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "fines" ADD COLUMN     "currency" CHAR(3) NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "libraries" ADD COLUMN     "currency" CHAR(3) NOT NULL DEFAULT 'USD',
+ADD COLUMN     "locale" TEXT NOT NULL DEFAULT 'en-US';
+
+-- AlterTable
+ALTER TABLE "payment_sessions" ADD COLUMN     "currency" CHAR(3) NOT NULL DEFAULT 'USD';
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "currency" CHAR(3) NOT NULL DEFAULT 'USD';
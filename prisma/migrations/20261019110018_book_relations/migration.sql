@@ -0,0 +1,44 @@
+-- The legacy author_ids, genre_ids, genre_names and book_ids arrays are kept: run `npm run db:migrate-book-relations`
+-- after this migration to copy them into the join tables.
+
+-- CreateEnum
+CREATE TYPE "ContributorRole" AS ENUM ('author', 'editor', 'translator', 'illustrator');
+
+-- CreateTable
+CREATE TABLE "book_authors" (
+    "book_id" UUID NOT NULL,
+    "author_id" UUID NOT NULL,
+    "role" "ContributorRole" NOT NULL DEFAULT 'author',
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "book_authors_pkey" PRIMARY KEY ("book_id","author_id","role")
+);
+
+-- CreateTable
+CREATE TABLE "book_genres" (
+    "book_id" UUID NOT NULL,
+    "genre_id" UUID NOT NULL,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMPTZ(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "book_genres_pkey" PRIMARY KEY ("book_id","genre_id")
+);
+
+-- CreateIndex
+CREATE INDEX "book_authors_author_id_idx" ON "book_authors"("author_id");
+
+-- CreateIndex
+CREATE INDEX "book_genres_genre_id_idx" ON "book_genres"("genre_id");
+
+-- AddForeignKey
+ALTER TABLE "book_authors" ADD CONSTRAINT "book_authors_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("book_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_authors" ADD CONSTRAINT "book_authors_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "authors"("author_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_genres" ADD CONSTRAINT "book_genres_book_id_fkey" FOREIGN KEY ("book_id") REFERENCES "books"("book_id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "book_genres" ADD CONSTRAINT "book_genres_genre_id_fkey" FOREIGN KEY ("genre_id") REFERENCES "genres"("genre_id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "FineAdjustmentKind" ADD VALUE 'cancellation';
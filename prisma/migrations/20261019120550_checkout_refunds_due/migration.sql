@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "payment_sessions" ADD COLUMN     "refund_due" DECIMAL(8,2),
+ADD COLUMN     "refund_reference" TEXT,
+ADD COLUMN     "refund_settled_at" TIMESTAMPTZ(6),
+ADD COLUMN     "refund_settled_by" UUID;
+
+-- CreateIndex
+CREATE INDEX "payment_sessions_library_id_refund_settled_at_idx" ON "payment_sessions"("library_id", "refund_settled_at");
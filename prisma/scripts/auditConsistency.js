@@ -0,0 +1,47 @@
+// prisma/scripts/auditConsistency.js
+// Reports drift in the denormalised arrays and counters (see src/utils/consistencyAuditor.js) for every library,
+// or one library with --library=<id>. Nothing is changed unless --repair is given.
+// Exits with code 2 when discrepancies were found and not repaired, so it can run as a scheduled check.
+//
+// Usage: npm run db:audit [-- --repair] [-- --library=<library_id>] [-- --json]
+const { getPrismaClient } = require('../client');
+const { auditAllLibraries, auditLibrary } = require('../../src/utils/consistencyAuditor');
+const prisma = getPrismaClient();
+
+const args = process.argv.slice(2);
+const repair = args.includes('--repair');
+const asJson = args.includes('--json');
+const libraryId = args.find(arg => arg.startsWith('--library='))?.split('=')[1];
+
+const printLibrary = (report) => {
+    console.log(`\n${report.name} (${report.library_id}): ${report.discrepancy_count} discrepancy(ies)${repair ? `, ${report.repaired_count} repaired` : ''}`);
+    for (const discrepancy of report.discrepancies) {
+        const detail = discrepancy.missing
+            ? `missing [${discrepancy.missing.join(', ')}], unexpected [${discrepancy.unexpected.join(', ')}]`
+            : `${JSON.stringify(discrepancy.actual)} -> ${JSON.stringify(discrepancy.expected)}`;
+        console.log(`  ${discrepancy.entity} ${discrepancy.id} ${discrepancy.field}: ${detail}${discrepancy.note ? ` (${discrepancy.note})` : ''}`);
+    }
+};
+
+const main = async () => {
+    const result = libraryId
+        ? { libraries: [await auditLibrary(libraryId, { repair })] }
+        : await auditAllLibraries({ repair });
+
+    if (asJson) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        result.libraries.forEach(printLibrary);
+    }
+
+    const total = result.libraries.reduce((sum, report) => sum + report.discrepancy_count, 0);
+    console.log(`\n${total} discrepancy(ies) found${repair ? ' and repaired where possible' : ''}.`);
+    if (total > 0 && !repair) process.exitCode = 2;
+};
+
+main()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
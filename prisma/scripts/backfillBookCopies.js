@@ -0,0 +1,82 @@
+// prisma/scripts/backfillBookCopies.js
+// One-off data migration: creates BookCopy rows for books catalogued before copies were tracked.
+// Open loans and reservations are attached to copies so the derived counters keep matching reality.
+// Safe to re-run: books that already have copies are skipped.
+//
+// Usage: npm run db:backfill-copies
+const { getPrismaClient } = require('../client');
+const { generateBarcode, syncBookCounts } = require('../../src/utils/inventoryHelper');
+const prisma = getPrismaClient();
+
+const backfillBook = async (book) => {
+    return prisma.$transaction(async (tx) => {
+        const [openLoans, reservations] = await Promise.all([
+            tx.borrowTransaction.findMany({
+                where: { book_id: book.book_id, copy_id: null, status: { in: ['requested', 'borrowed', 'overdue'] } },
+                select: { borrow_id: true }
+            }),
+            tx.reservation.findMany({
+                where: { book_id: book.book_id, copy_id: null },
+                select: { reservation_id: true }
+            }),
+        ]);
+
+        // Never create fewer copies than are physically out or on the shelf
+        const copyCount = Math.max(book.total_copies, openLoans.length + reservations.length);
+
+        for (let i = 0; i < copyCount; i++) {
+            const loan = openLoans[i];
+            const reservation = !loan ? reservations[i - openLoans.length] : undefined;
+
+            const copy = await tx.bookCopy.create({
+                data: {
+                    book_id: book.book_id,
+                    library_id: book.library_id,
+                    barcode: generateBarcode(book.book_id, i + 1),
+                    status: loan ? 'on_loan' : reservation ? 'on_hold_shelf' : 'available',
+                    acquisition_date: book.added_on,
+                }
+            });
+
+            if (loan) {
+                await tx.borrowTransaction.update({ where: { borrow_id: loan.borrow_id }, data: { copy_id: copy.copy_id } });
+            } else if (reservation) {
+                await tx.reservation.update({ where: { reservation_id: reservation.reservation_id }, data: { copy_id: copy.copy_id } });
+            }
+        }
+
+        const updatedBook = await syncBookCounts(tx, book.book_id);
+        return { copyCount, before: book, after: updatedBook };
+    }, {
+        maxWait: 10000,
+        timeout: 60000,
+    });
+};
+
+const main = async () => {
+    const books = await prisma.book.findMany({
+        where: { copies: { none: {} } },
+        select: { book_id: true, library_id: true, title: true, total_copies: true, available_copies: true, reserved_copies: true, added_on: true }
+    });
+    console.log(`Backfilling copies for ${books.length} book(s)...`);
+
+    for (const book of books) {
+        try {
+            const { copyCount, before, after } = await backfillBook(book);
+            const changed = before.total_copies !== after.total_copies
+                || before.available_copies !== after.available_copies
+                || before.reserved_copies !== after.reserved_copies;
+            console.log(`${book.book_id} "${book.title}": ${copyCount} copies${changed ? ` (counts corrected: total ${before.total_copies}->${after.total_copies}, available ${before.available_copies}->${after.available_copies}, reserved ${before.reserved_copies}->${after.reserved_copies})` : ''}`);
+        } catch (error) {
+            console.error(`Failed to backfill book ${book.book_id}:`, error);
+            process.exitCode = 1;
+        }
+    }
+};
+
+main()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
@@ -0,0 +1,91 @@
+// prisma/scripts/migrateBookRelations.js
+// One-off data migration: copies the legacy arrays (Book.author_ids, Book.genre_ids, Book.genre_names and
+// Author.book_ids) into the BookAuthor and BookGenre join tables. Every author gets the 'author' role; genre names
+// without a matching genre create one. Ids of authors or genres that no longer exist are dropped.
+// Safe to re-run: a book's authors (or genres) are only copied while it has none in the join table.
+//
+// Usage: npm run db:migrate-book-relations
+const { getPrismaClient } = require('../client');
+const { setBookContributors, resolveGenreNames, setBookGenres } = require('../../src/utils/bookRelations');
+const prisma = getPrismaClient();
+
+const migrateBook = async (book, { authorIdsByBook, existingAuthorIds, existingGenreIds }) => {
+    return prisma.$transaction(async (tx) => {
+        const result = { authors: null, genres: null, dropped: [] };
+
+        if (book._count.book_authors === 0) {
+            // Either side of the old two-way link counts: Book.author_ids or Author.book_ids
+            const authorIds = [...new Set([...book.author_ids, ...(authorIdsByBook.get(book.book_id) ?? [])])];
+            result.dropped.push(...authorIds.filter(id => !existingAuthorIds.has(id)));
+            const contributors = authorIds.filter(id => existingAuthorIds.has(id)).map(author_id => ({ author_id, role: 'author' }));
+            await setBookContributors(tx, book.book_id, contributors);
+            result.authors = contributors.length;
+        }
+
+        if (book._count.book_genres === 0) {
+            result.dropped.push(...book.genre_ids.filter(id => !existingGenreIds.has(id)));
+            const genreIds = [...new Set([
+                ...book.genre_ids.filter(id => existingGenreIds.has(id)),
+                ...await resolveGenreNames(tx, book.genre_names),
+            ])];
+            await setBookGenres(tx, book.book_id, genreIds);
+            result.genres = genreIds.length;
+        }
+
+        return result;
+    }, {
+        maxWait: 10000,
+        timeout: 60000,
+    });
+};
+
+const main = async () => {
+    // The legacy columns are omitted by default (see prisma/client.js), so they're selected explicitly
+    const [books, authors, genres] = await Promise.all([
+        prisma.book.findMany({
+            select: {
+                book_id: true, title: true, author_ids: true, genre_ids: true, genre_names: true,
+                _count: { select: { book_authors: true, book_genres: true } }
+            }
+        }),
+        prisma.author.findMany({ select: { author_id: true, book_ids: true } }),
+        prisma.genre.findMany({ select: { genre_id: true } }),
+    ]);
+
+    const authorIdsByBook = new Map();
+    for (const author of authors) {
+        for (const bookId of author.book_ids) {
+            if (!authorIdsByBook.has(bookId)) authorIdsByBook.set(bookId, []);
+            authorIdsByBook.get(bookId).push(author.author_id);
+        }
+    }
+    const lookups = {
+        authorIdsByBook,
+        existingAuthorIds: new Set(authors.map(author => author.author_id)),
+        existingGenreIds: new Set(genres.map(genre => genre.genre_id)),
+    };
+
+    const pending = books.filter(book => book._count.book_authors === 0 || book._count.book_genres === 0);
+    console.log(`Migrating authors and genres of ${pending.length} book(s)...`);
+
+    for (const book of pending) {
+        try {
+            const { authors: authorCount, genres: genreCount, dropped } = await migrateBook(book, lookups);
+            const parts = [
+                authorCount !== null ? `${authorCount} author(s)` : 'authors already linked',
+                genreCount !== null ? `${genreCount} genre(s)` : 'genres already linked',
+            ];
+            console.log(`${book.book_id} "${book.title}": ${parts.join(', ')}${dropped.length > 0 ? ` (dropped ids of deleted records: ${dropped.join(', ')})` : ''}`);
+        } catch (error) {
+            console.error(`Failed to migrate book ${book.book_id}:`, error);
+            process.exitCode = 1;
+        }
+    }
+};
+
+main()
+    .catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    })
+    .finally(() => prisma.$disconnect());
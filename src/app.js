@@ -36,7 +36,10 @@ app.use(helmet()); // Set various HTTP headers for security
 // --- Logging Middleware ---
 app.use(morgan('dev')); // <-- Use morgan for logging (choose format like 'dev', 'combined', etc.)
 
-app.use(express.json()); // Parse JSON request bodies
+app.use(express.json({
+    // Keep the exact bytes for payment webhooks, whose signatures are computed over the raw body
+    verify: (req, res, buf) => { req.rawBody = buf; }
+})); // Parse JSON request bodies
 //app.use(express.urlencoded({ extended: true })); // Parse URL-encoded request bodies
 
 // --- API Documentation Route ---
@@ -209,6 +212,7 @@ function broadcast(message, sender) { // sender has ws.userId attached
 // --- Prisma disconnect on shutdown ---
 const shutdown = async (signal) => {
     console.log(`\n${signal} signal received. Closing HTTP server...`);
+    require('./jobs').stopJobs(); // Stop background jobs before closing connections
     // Use the 'server' instance here
     server.close(async () => { // <-- Use server.close()
         console.log("HTTP server closed.");
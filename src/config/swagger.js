@@ -35,6 +35,12 @@ const options = {
           bearerFormat: "JWT",
           description: "Enter JWT Bearer token **_only_**", // Optional description
         },
+        kioskKey: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Kiosk-Key",
+          description: "Key issued when the kiosk was registered (<kiosk_id>.<secret>)",
+        },
       },
       schemas: {
         ErrorResponse: {
@@ -129,6 +135,15 @@ const options = {
           },
         },
         // --- Add Schemas for your Models ---
+        Money: {
+          type: "object",
+          description: "An amount with its currency and a display string in the library's locale",
+          properties: {
+            amount: { type: "number", format: "float", example: 12.5 },
+            currency: { type: "string", example: "EUR" },
+            display: { type: "string", example: "12,50 €" },
+          },
+        },
         Library: {
           type: "object",
           properties: {
@@ -138,6 +153,13 @@ const options = {
             city: { type: "string", nullable: true },
             state: { type: "string", nullable: true },
             country: { type: "string", nullable: true },
+            phone: { type: "string", nullable: true },
+            email: { type: "string", nullable: true },
+            website: { type: "string", nullable: true },
+            receipt_footer: { type: "string", nullable: true, description: "Closing line printed on receipts" },
+            next_receipt_number: { type: "integer", description: "Number the next receipt gets" },
+            currency: { type: "string", example: "EUR", description: "ISO 4217 code of all money at this library" },
+            locale: { type: "string", example: "de-DE", description: "BCP 47 locale used to display money" },
             created_at: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" },
           },
@@ -197,6 +219,7 @@ const options = {
             book_ids: {
               type: "array",
               items: { type: "string", format: "uuid" },
+              description: "Books the author contributed to in any role (read-only)",
             },
             created_at: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" },
@@ -210,17 +233,34 @@ const options = {
             title: { type: "string" },
             isbn: { type: "string", nullable: true },
             description: { type: "string", nullable: true },
-            total_copies: { type: "integer", minimum: 0 },
-            available_copies: { type: "integer", minimum: 0 },
-            reserved_copies: { type: "integer", minimum: 0 },
+            total_copies: { type: "integer", minimum: 0, description: "Copies not lost or withdrawn (derived from copies)" },
+            available_copies: { type: "integer", minimum: 0, description: "Copies with status 'available' (derived from copies)" },
+            reserved_copies: { type: "integer", minimum: 0, description: "Copies on the hold shelf (derived from copies)" },
+            price: { type: "number", format: "float", nullable: true, description: "Replacement cost charged when a copy is lost or written off" },
             author_ids: {
               type: "array",
               items: { type: "string", format: "uuid" },
+              description: "Contributors with the 'author' role, in order",
+            },
+            authorNames: {
+              type: "array",
+              items: { type: "string" },
+              description: "Names of author_ids, in the same order",
+            },
+            contributors: {
+              type: "array",
+              items: { $ref: "#/components/schemas/BookContributor" },
+              description: "Every contributor (authors, editors, translators, illustrators), in order",
             },
             genre_ids: {
               type: "array",
               items: { type: "string", format: "uuid" },
             },
+            genre_names: {
+              type: "array",
+              items: { type: "string" },
+              description: "Names of genre_ids, in the same order",
+            },
             published_date: {
               type: "string",
               format: "date-time",
@@ -231,6 +271,39 @@ const options = {
             cover_image_url: { type: "string", format: "url", nullable: true },
           },
         },
+        BookContributor: {
+          type: "object",
+          properties: {
+            author_id: { type: "string", format: "uuid" },
+            name: { type: "string", description: "Author name (responses only)" },
+            role: {
+              type: "string",
+              enum: ["author", "editor", "translator", "illustrator"],
+              default: "author",
+            },
+          },
+        },
+        BookCopy: {
+          type: "object",
+          properties: {
+            copy_id: { type: "string", format: "uuid" },
+            book_id: { type: "string", format: "uuid" },
+            library_id: { type: "string", format: "uuid" },
+            barcode: { type: "string" },
+            status: {
+              type: "string",
+              enum: ["available", "on_loan", "on_hold_shelf", "in_repair", "lost", "withdrawn", "on_interlibrary_loan"],
+            },
+            condition: {
+              type: "string",
+              enum: ["new", "good", "fair", "poor", "damaged"],
+            },
+            acquisition_date: { type: "string", format: "date-time", nullable: true },
+            notes: { type: "string", nullable: true },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+          },
+        },
         Policy: {
           type: "object",
           properties: {
@@ -240,6 +313,75 @@ const options = {
             fine_per_day: { type: "number", format: "float" },
             max_books_per_user: { type: "integer", minimum: 1 },
             reservation_expiry_days: { type: "integer", minimum: 1 },
+            borrow_request_expiry_hours: { type: "integer", minimum: 1 },
+            max_renewals: { type: "integer", minimum: 0 },
+            renewal_period_days: {
+              type: "integer",
+              minimum: 1,
+              nullable: true,
+              description: "Days added per renewal (defaults to max_borrow_days)",
+            },
+            lost_item_processing_fee: {
+              type: "number",
+              format: "float",
+              description: "Charged on top of the replacement cost when an item is lost or written off",
+            },
+            grace_period_days: {
+              type: "integer",
+              minimum: 0,
+              description: "Late days that are not charged; the overdue fine counts the days after them",
+            },
+            max_fine_per_loan: {
+              type: "number",
+              format: "float",
+              nullable: true,
+              description: "Most a single loan's overdue fine can reach (null = no cap)",
+            },
+            max_outstanding_fines_per_member: {
+              type: "number",
+              format: "float",
+              nullable: true,
+              description: "Overdue fines stop accruing once a member's unpaid fines at this library reach this amount (null = no cap)",
+            },
+            replacement_cost_ceiling: {
+              type: "number",
+              format: "float",
+              nullable: true,
+              description: "Most charged as replacement cost for a lost or written-off item (null = the book's full price)",
+            },
+            max_unpaid_fines_for_borrowing: {
+              type: "number",
+              format: "float",
+              nullable: true,
+              description: "Members owing more are blocked from borrowing, renewing and reserving (null = never blocked for fines)",
+            },
+            max_overdue_items_for_borrowing: {
+              type: "integer",
+              minimum: 0,
+              nullable: true,
+              description: "Members with more overdue items are blocked the same way; 0 blocks on any overdue item (null = never)",
+            },
+            ill_borrowing_enabled: { type: "boolean", description: "Members may request books from other libraries" },
+            ill_max_active_requests: { type: "integer", minimum: 1, description: "Open inter-library loans allowed per member" },
+            ill_lending_enabled: { type: "boolean", description: "Other libraries may borrow this library's books" },
+            ill_loan_days: {
+              type: "integer",
+              minimum: 1,
+              nullable: true,
+              description: "Loan period for books lent to other libraries (defaults to max_borrow_days)",
+            },
+            librarian_waiver_limit: {
+              type: "number",
+              format: "float",
+              nullable: true,
+              description: "Most each librarian may waive or take off fines per calendar month; admins aren't limited (null = no limit)",
+            },
+            money: {
+              type: "object",
+              description: "The money fields above as Money in the library's currency (null where the field is null)",
+              additionalProperties: { $ref: "#/components/schemas/Money" },
+              example: { fine_per_day: { amount: 0.5, currency: "EUR", display: "0,50 €" }, max_fine_per_loan: null },
+            },
             created_at: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" },
           },
@@ -256,10 +398,64 @@ const options = {
               format: "date-time",
               nullable: true,
             },
+            due_date: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "Fixed when the loan starts; null while the request is pending",
+            },
             status: {
               type: "string",
-              enum: ["borrowed", "returned", "overdue","requested"],
+              enum: ["borrowed", "returned", "overdue", "requested", "rejected", "expired", "lost", "damaged"],
+            },
+            request_expires_at: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description: "When a pending request is released if not approved",
             },
+            reviewed_by: { type: "string", format: "uuid", nullable: true },
+            reviewed_at: { type: "string", format: "date-time", nullable: true },
+            rejection_reason: { type: "string", nullable: true },
+            renewal_count: { type: "integer", minimum: 0 },
+            last_renewed_at: { type: "string", format: "date-time", nullable: true },
+            due_date_adjusted_by: { type: "string", format: "uuid", nullable: true },
+            due_date_adjusted_at: { type: "string", format: "date-time", nullable: true },
+            due_date_adjustment_reason: { type: "string", nullable: true },
+            copy_id: { type: "string", format: "uuid", nullable: true },
+            incident_reported_by: { type: "string", format: "uuid", nullable: true, description: "Librarian who declared the item lost or damaged" },
+            incident_reported_at: { type: "string", format: "date-time", nullable: true },
+            incident_notes: { type: "string", nullable: true },
+            found_at: { type: "string", format: "date-time", nullable: true, description: "When a lost item turned up again" },
+            kiosk_id: { type: "string", format: "uuid", nullable: true, description: "Self-service kiosk the loan was checked out at" },
+          },
+        },
+        InterLibraryLoan: {
+          type: "object",
+          properties: {
+            ill_id: { type: "string", format: "uuid" },
+            user_id: { type: "string", format: "uuid" },
+            book_id: { type: "string", format: "uuid", description: "Book in the lending library's catalog" },
+            copy_id: { type: "string", format: "uuid", nullable: true, description: "Copy sent, assigned on approval" },
+            borrowing_library_id: { type: "string", format: "uuid" },
+            lending_library_id: { type: "string", format: "uuid" },
+            borrow_id: { type: "string", format: "uuid", nullable: true, description: "The member's loan at the borrowing library" },
+            status: {
+              type: "string",
+              enum: ["requested", "approved", "rejected", "cancelled", "in_transit", "received", "on_loan", "returned", "return_in_transit", "completed", "lost"],
+            },
+            notes: { type: "string", nullable: true },
+            rejection_reason: { type: "string", nullable: true },
+            requested_at: { type: "string", format: "date-time" },
+            approved_by: { type: "string", format: "uuid", nullable: true },
+            approved_at: { type: "string", format: "date-time", nullable: true },
+            shipped_at: { type: "string", format: "date-time", nullable: true },
+            received_at: { type: "string", format: "date-time", nullable: true },
+            returned_at: { type: "string", format: "date-time", nullable: true },
+            return_shipped_at: { type: "string", format: "date-time", nullable: true },
+            completed_at: { type: "string", format: "date-time", nullable: true },
+            cancelled_at: { type: "string", format: "date-time", nullable: true },
+            updated_at: { type: "string", format: "date-time" },
           },
         },
         Reservation: {
@@ -270,6 +466,45 @@ const options = {
             book_id: { type: "string", format: "uuid" },
             reserved_at: { type: "string", format: "date-time" },
             expires_at: { type: "string", format: "date-time", nullable: true },
+            copy_id: { type: "string", format: "uuid", nullable: true, description: "Copy set aside for the hold; null while it waits in the queue" },
+            status: { type: "string", enum: ["waiting", "allocated", "ready", "picked_up", "expired", "cancelled"], description: "waiting -> allocated (copy set aside) -> ready (on the hold shelf) -> picked_up or expired; cancelled from any open status" },
+            allocated_at: { type: "string", format: "date-time", nullable: true },
+            ready_at: { type: "string", format: "date-time", nullable: true, description: "When the pickup window started" },
+            picked_up_at: { type: "string", format: "date-time", nullable: true },
+            expired_at: { type: "string", format: "date-time", nullable: true },
+            cancelled_at: { type: "string", format: "date-time", nullable: true },
+            cancelled_by: { type: "string", format: "uuid", nullable: true },
+            suspended_from: { type: "string", format: "date-time", nullable: true, description: "While suspended the hold keeps its place but isn't given a copy" },
+            suspended_until: { type: "string", format: "date-time", nullable: true, description: "When the suspension ends and the hold is reactivated" },
+          },
+        },
+        HoldShelfEntry: {
+          allOf: [
+            { $ref: "#/components/schemas/Reservation" },
+            {
+              type: "object",
+              properties: {
+                user: { type: "object", properties: { user_id: { type: "string", format: "uuid" }, name: { type: "string" }, email: { type: "string" } } },
+                book: { type: "object", properties: { book_id: { type: "string", format: "uuid" }, title: { type: "string" } } },
+                copy: { type: "object", properties: { copy_id: { type: "string", format: "uuid" }, barcode: { type: "string" } } },
+                pickup_overdue: { type: "boolean", description: "Ready, but the pickup window has passed" },
+              },
+            },
+          ],
+        },
+        ReservationQueue: {
+          type: "object",
+          properties: {
+            reservation_id: { type: "string", format: "uuid" },
+            book_id: { type: "string", format: "uuid" },
+            status: { type: "string", enum: ["waiting", "allocated", "ready", "picked_up", "expired", "cancelled"] },
+            suspended_until: { type: "string", format: "date-time", nullable: true, description: "Set while the hold is suspended; it isn't given a copy before then" },
+            position: { type: "integer", nullable: true, description: "1 = next in line; 0 once a copy is set aside; null when closed" },
+            waiting_total: { type: "integer", nullable: true, description: "Holds waiting for the book" },
+            copies_in_circulation: { type: "integer", nullable: true, description: "Copies on loan or on the hold shelf the estimate is based on" },
+            estimated_available_at: { type: "string", format: "date-time", nullable: true },
+            estimated_wait_days: { type: "integer", nullable: true },
+            pickup_by: { type: "string", format: "date-time", nullable: true, description: "End of the pickup window, once the hold is ready" },
           },
         },
         Wishlist: {
@@ -317,13 +552,144 @@ const options = {
             user_id: { type: "string", format: "uuid" },
             book_id: { type: "string", format: "uuid" },
             library_id: { type: "string", format: "uuid" },
-            amount: { type: "number", format: "float" },
+            fine_type: {
+              type: "string",
+              enum: ["overdue", "replacement", "processing_fee", "damage"],
+            },
+            amount: { type: "number", format: "float", description: "Charged after waivers and adjustments" },
             reason: { type: "string", nullable: true },
-            is_paid: { type: "boolean" },
+            is_paid: { type: "boolean", description: "Derived from the payment ledger" },
+            amount_paid: { type: "number", format: "float", description: "Payments less reversals" },
+            balance: { type: "number", format: "float", description: "Still owed (amount - amount_paid)" },
+            original_amount: { type: "number", format: "float", nullable: true, description: "Charged before any waiver, adjustment or cancellation (null = never adjusted)" },
+            waived_amount: { type: "number", format: "float", description: "Taken off by waivers and adjustments" },
+            refunded_amount: { type: "number", format: "float", nullable: true },
+            refunded_at: { type: "string", format: "date-time", nullable: true },
+            currency: { type: "string", example: "EUR", description: "The library's currency" },
+            money: {
+              type: "object",
+              description: "The amounts above as Money (null where the amount is null)",
+              properties: {
+                amount: { $ref: "#/components/schemas/Money" },
+                original_amount: { $ref: "#/components/schemas/Money" },
+                waived_amount: { $ref: "#/components/schemas/Money" },
+                amount_paid: { $ref: "#/components/schemas/Money" },
+                refunded_amount: { $ref: "#/components/schemas/Money" },
+                balance: { $ref: "#/components/schemas/Money" },
+              },
+            },
             fine_date: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" },
           },
         },
+        PaymentSession: {
+          type: "object",
+          properties: {
+            session_id: { type: "string", format: "uuid" },
+            user_id: { type: "string", format: "uuid" },
+            library_id: { type: "string", format: "uuid" },
+            provider: { type: "string", example: "fake" },
+            provider_session_id: { type: "string", nullable: true },
+            status: { type: "string", enum: ["pending", "paid", "failed", "expired"] },
+            fine_ids: { type: "array", items: { type: "string", format: "uuid" } },
+            amount: { type: "number", format: "float", description: "Sum of the fines' balances when the checkout started" },
+            currency: { type: "string", example: "EUR" },
+            checkout_url: { type: "string", nullable: true, description: "Where the member completes the payment" },
+            expires_at: { type: "string", format: "date-time", nullable: true },
+            completed_at: { type: "string", format: "date-time", nullable: true },
+            failure_reason: { type: "string", nullable: true },
+            refund_due: { type: "number", format: "float", nullable: true, description: "Money the provider took that couldn't be applied to the fines and has to be given back" },
+            refund_reference: { type: "string", nullable: true, description: "Reference of the refund once given back" },
+            refund_settled_at: { type: "string", format: "date-time", nullable: true },
+            refund_settled_by: { type: "string", format: "uuid", nullable: true, description: "Librarian who gave the money back" },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+          },
+        },
+        Receipt: {
+          type: "object",
+          properties: {
+            receipt_id: { type: "string", format: "uuid" },
+            library_id: { type: "string", format: "uuid" },
+            user_id: { type: "string", format: "uuid" },
+            kind: { type: "string", enum: ["checkout", "return", "payment"] },
+            sequence: { type: "integer" },
+            receipt_number: { type: "string", example: "R-000042" },
+            borrow_id: { type: "string", format: "uuid", nullable: true },
+            payment_id: { type: "string", format: "uuid", nullable: true },
+            content: {
+              type: "object",
+              description: "What the receipt prints, as it was when issued",
+              properties: {
+                title: { type: "string" },
+                library: {
+                  type: "object",
+                  properties: {
+                    name: { type: "string" },
+                    address_lines: { type: "array", items: { type: "string" } },
+                    phone: { type: "string", nullable: true },
+                    email: { type: "string", nullable: true },
+                    website: { type: "string", nullable: true },
+                    footer: { type: "string", nullable: true },
+                  },
+                },
+                member: { type: "object", properties: { name: { type: "string" }, email: { type: "string" } } },
+                currency: { type: "string", example: "EUR", description: "Currency of the amounts" },
+                locale: { type: "string", example: "de-DE", description: "Locale the amounts are printed in" },
+                lines: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      description: { type: "string" },
+                      detail: { type: "string" },
+                      amount: { type: "number", format: "float" },
+                    },
+                  },
+                },
+                total: { type: "number", format: "float", nullable: true },
+                total_label: { type: "string", nullable: true },
+              },
+            },
+            issued_by: { type: "string", format: "uuid", nullable: true },
+            emailed_at: { type: "string", format: "date-time", nullable: true },
+            created_at: { type: "string", format: "date-time" },
+          },
+        },
+        FineAdjustment: {
+          type: "object",
+          properties: {
+            adjustment_id: { type: "string", format: "uuid" },
+            fine_id: { type: "string", format: "uuid" },
+            library_id: { type: "string", format: "uuid" },
+            kind: { type: "string", enum: ["waiver", "adjustment", "cancellation"] },
+            previous_amount: { type: "number", format: "float" },
+            new_amount: { type: "number", format: "float" },
+            reason: { type: "string" },
+            adjusted_by: { type: "string", format: "uuid" },
+            created_at: { type: "string", format: "date-time" },
+          },
+        },
+        Payment: {
+          type: "object",
+          properties: {
+            payment_id: { type: "string", format: "uuid" },
+            fine_id: { type: "string", format: "uuid" },
+            user_id: { type: "string", format: "uuid" },
+            library_id: { type: "string", format: "uuid" },
+            kind: { type: "string", enum: ["payment", "refund", "reversal"] },
+            amount: { type: "number", format: "float", description: "Always positive; the kind gives the direction" },
+            currency: { type: "string", example: "EUR", description: "Always the fine's currency" },
+            money: { type: "object", properties: { amount: { $ref: "#/components/schemas/Money" } }, description: "Only in a fine's ledger listing" },
+            method: { type: "string", enum: ["cash", "card", "online", "other"], nullable: true },
+            reference: { type: "string", nullable: true },
+            note: { type: "string", nullable: true },
+            collected_by: { type: "string", format: "uuid", nullable: true },
+            reverses_payment_id: { type: "string", format: "uuid", nullable: true },
+            session_id: { type: "string", format: "uuid", nullable: true, description: "Online checkout the money came through" },
+            created_at: { type: "string", format: "date-time" },
+          },
+        },
         DocumentUpload: {
           type: "object",
           properties: {
@@ -347,6 +713,12 @@ const options = {
             city: { type: "string" },
             state: { type: "string" },
             country: { type: "string" },
+            phone: { type: "string" },
+            email: { type: "string" },
+            website: { type: "string" },
+            receipt_footer: { type: "string" },
+            currency: { type: "string", example: "EUR", description: "ISO 4217 code; defaults to USD. Can't change while the library has unpaid fines or open checkouts" },
+            locale: { type: "string", example: "de-DE", description: "BCP 47 locale; defaults to en-US" },
           },
         },
         UserInput: {
@@ -392,11 +764,6 @@ const options = {
           properties: {
             name: { type: "string" },
             bio: { type: "string" },
-            book_ids: {
-              type: "array",
-              items: { type: "string", format: "uuid" },
-              description: "Optional: Initial list of book IDs",
-            },
           },
         },
         BookInput: {
@@ -407,20 +774,246 @@ const options = {
             title: { type: "string" },
             isbn: { type: "string" },
             description: { type: "string" },
-            total_copies: { type: "integer", minimum: 0 },
-            available_copies: { type: "integer", minimum: 0 },
-            reserved_copies: { type: "integer", minimum: 0 },
+            total_copies: { type: "integer", minimum: 0, maximum: 100, description: "Number of copies to create with generated barcodes (default 1). Ignored when copies is given." },
+            copies: {
+              type: "array",
+              items: { $ref: "#/components/schemas/BookCopyInput" },
+            },
+            price: { type: "number", format: "float", minimum: 0 },
             author_ids: {
               type: "array",
               items: { type: "string", format: "uuid" },
+              description: "Shorthand for contributors with the 'author' role. On update, replaces only the authors when contributors is not sent.",
+            },
+            contributors: {
+              type: "array",
+              items: { $ref: "#/components/schemas/BookContributor" },
+              description: "Authors, editors, translators and illustrators in display order. On update, replaces every contributor.",
             },
             genre_ids: {
               type: "array",
               items: { type: "string", format: "uuid" },
             },
+            genre_names: {
+              type: "array",
+              items: { type: "string" },
+              description: "Matched to genres by name (case-insensitive); unknown names create new genres. A new book needs at least one of genre_ids or genre_names.",
+            },
             published_date: { type: "string", format: "date-time" },
           },
         },
+        BookCopyInput: {
+          type: "object",
+          properties: {
+            barcode: { type: "string", description: "Generated when omitted" },
+            condition: {
+              type: "string",
+              enum: ["new", "good", "fair", "poor", "damaged"],
+              default: "good",
+            },
+            acquisition_date: { type: "string", format: "date-time", description: "Defaults to now" },
+            notes: { type: "string" },
+          },
+        },
+        BookCopyUpdateInput: {
+          type: "object",
+          properties: {
+            barcode: { type: "string" },
+            condition: {
+              type: "string",
+              enum: ["new", "good", "fair", "poor", "damaged"],
+            },
+            notes: { type: "string" },
+            status: {
+              type: "string",
+              enum: ["available", "in_repair", "withdrawn"],
+            },
+          },
+        },
+        Kiosk: {
+          type: "object",
+          properties: {
+            kiosk_id: { type: "string", format: "uuid" },
+            library_id: { type: "string", format: "uuid" },
+            name: { type: "string" },
+            location: { type: "string", nullable: true },
+            is_active: { type: "boolean" },
+            registered_by: { type: "string", format: "uuid" },
+            key_rotated_at: { type: "string", format: "date-time", nullable: true },
+            last_seen_at: { type: "string", format: "date-time", nullable: true },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+          },
+        },
+        KioskInput: {
+          type: "object",
+          properties: {
+            name: { type: "string", example: "Ground floor self-checkout" },
+            location: { type: "string", example: "Next to the main entrance" },
+            is_active: { type: "boolean", description: "Updates only" },
+          },
+        },
+        KioskWithKey: {
+          type: "object",
+          properties: {
+            kiosk: { $ref: "#/components/schemas/Kiosk" },
+            key: { type: "string", description: "Send as the X-Kiosk-Key header. Shown only once." },
+          },
+        },
+        KioskQrToken: {
+          type: "object",
+          properties: {
+            token: { type: "string", description: "Encode as a QR code for the kiosk to scan" },
+            expires_at: { type: "string", format: "date-time" },
+          },
+        },
+        KioskCheckoutInput: {
+          type: "object",
+          required: ["qrToken"],
+          properties: {
+            qrToken: { type: "string", description: "Token from the member's QR code" },
+            copyId: { type: "string", format: "uuid" },
+            barcode: { type: "string", description: "Barcode of the scanned copy (alternative to copyId)" },
+          },
+        },
+        KioskReturnInput: {
+          type: "object",
+          properties: {
+            qrToken: { type: "string", description: "Optional; limits the return to this member's loans" },
+            copyId: { type: "string", format: "uuid" },
+            barcode: { type: "string", description: "Barcode of the scanned copy (alternative to copyId)" },
+          },
+        },
+        KioskCheckoutResponse: {
+          type: "object",
+          properties: {
+            transaction: { $ref: "#/components/schemas/BorrowTransaction" },
+            book: { type: "object", properties: { book_id: { type: "string", format: "uuid" }, title: { type: "string" } } },
+            copy: { type: "object", properties: { copy_id: { type: "string", format: "uuid" }, barcode: { type: "string" } } },
+            receipt: { $ref: "#/components/schemas/Receipt" },
+          },
+        },
+        BorrowingBlockOverride: {
+          type: "object",
+          properties: {
+            override_id: { type: "string", format: "uuid" },
+            user_id: { type: "string", format: "uuid" },
+            library_id: { type: "string", format: "uuid" },
+            granted_by: { type: "string", format: "uuid", description: "Librarian who overrode the block" },
+            reason: { type: "string" },
+            unpaid_fines: { type: "number", format: "float", description: "What the member owed when the block was overridden" },
+            overdue_items: { type: "integer" },
+            expires_at: { type: "string", format: "date-time" },
+            created_at: { type: "string", format: "date-time" },
+          },
+        },
+        BorrowingBlockReason: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["unpaid_fines", "overdue_items", "dunning"], description: "dunning: a fine is still unpaid after a block step of the library's dunning schedule" },
+            current: { type: "number" },
+            threshold: { type: "number" },
+            message: { type: "string" },
+          },
+        },
+        BorrowingBlock: {
+          type: "object",
+          properties: {
+            user_id: { type: "string", format: "uuid" },
+            blocked: { type: "boolean", description: "False while an override is active, even if thresholds are exceeded" },
+            reasons: { type: "array", items: { $ref: "#/components/schemas/BorrowingBlockReason" } },
+            unpaid_fines: { type: "number", format: "float" },
+            overdue_items: { type: "integer" },
+            dunning_blocked_fines: { type: "integer", description: "Unpaid fines that reached a block step of the dunning schedule" },
+            override: { allOf: [{ $ref: "#/components/schemas/BorrowingBlockOverride" }], nullable: true },
+            thresholds: {
+              type: "object",
+              properties: {
+                max_unpaid_fines: { type: "number", format: "float", nullable: true },
+                max_overdue_items: { type: "integer", nullable: true },
+              },
+            },
+          },
+        },
+        BorrowingBlockedResponse: {
+          type: "object",
+          description: "403 returned when a blocked member tries to borrow, renew or reserve",
+          properties: {
+            success: { type: "boolean", example: false },
+            error: {
+              type: "object",
+              properties: {
+                message: { type: "string" },
+                code: { type: "string", example: "BORROWING_BLOCKED" },
+                reasons: { type: "array", items: { $ref: "#/components/schemas/BorrowingBlockReason" } },
+                unpaid_fines: { type: "number", format: "float" },
+                overdue_items: { type: "integer" },
+                dunning_blocked_fines: { type: "integer" },
+              },
+            },
+          },
+        },
+        DunningStep: {
+          type: "object",
+          properties: {
+            step_id: { type: "string", format: "uuid", readOnly: true },
+            library_id: { type: "string", format: "uuid", readOnly: true },
+            days_after: { type: "integer", minimum: 1, description: "Days after the fine was raised" },
+            action: { type: "string", enum: ["reminder", "final_notice", "block"], description: "block also blocks borrowing until the fine is paid or waived" },
+            created_by: { type: "string", format: "uuid", nullable: true, readOnly: true },
+            created_at: { type: "string", format: "date-time", readOnly: true },
+            updated_at: { type: "string", format: "date-time", readOnly: true },
+          },
+        },
+        DunningStepInput: {
+          type: "object",
+          required: ["days_after", "action"],
+          properties: {
+            days_after: { type: "integer", minimum: 1, example: 30 },
+            action: { type: "string", enum: ["reminder", "final_notice", "block"], example: "final_notice" },
+          },
+        },
+        FineNotice: {
+          type: "object",
+          description: "A dunning notice sent for a fine",
+          properties: {
+            notice_id: { type: "string", format: "uuid" },
+            fine_id: { type: "string", format: "uuid" },
+            user_id: { type: "string", format: "uuid" },
+            library_id: { type: "string", format: "uuid" },
+            step_id: { type: "string", format: "uuid", nullable: true, description: "null once the step was removed from the schedule" },
+            days_after: { type: "integer" },
+            action: { type: "string", enum: ["reminder", "final_notice", "block"] },
+            emailed_at: { type: "string", format: "date-time", nullable: true, description: "null when the email could not be sent" },
+            created_at: { type: "string", format: "date-time" },
+          },
+        },
+        LibraryClosure: {
+          type: "object",
+          properties: {
+            closure_id: { type: "string", format: "uuid", readOnly: true },
+            library_id: { type: "string", format: "uuid", readOnly: true },
+            closure_type: { type: "string", enum: ["weekly", "holiday"] },
+            weekday: { type: "integer", minimum: 0, maximum: 6, nullable: true, description: "Weekly closures only: 0 = Sunday ... 6 = Saturday" },
+            start_date: { type: "string", format: "date", nullable: true, description: "Holidays only: first closed day" },
+            end_date: { type: "string", format: "date", nullable: true, description: "Holidays only: last closed day (inclusive)" },
+            description: { type: "string", nullable: true },
+            created_by: { type: "string", format: "uuid", nullable: true, readOnly: true },
+            created_at: { type: "string", format: "date-time", readOnly: true },
+            updated_at: { type: "string", format: "date-time", readOnly: true },
+          },
+        },
+        LibraryClosureInput: {
+          type: "object",
+          required: ["closure_type"],
+          properties: {
+            closure_type: { type: "string", enum: ["weekly", "holiday"] },
+            weekday: { type: "integer", minimum: 0, maximum: 6, description: "Required for weekly closures: 0 = Sunday ... 6 = Saturday" },
+            start_date: { type: "string", format: "date", description: "Required for holidays" },
+            end_date: { type: "string", format: "date", description: "Holidays only; defaults to start_date" },
+            description: { type: "string", example: "Christmas" },
+          },
+        },
         PolicyInput: {
           type: "object",
           required: [
@@ -436,6 +1029,21 @@ const options = {
             fine_per_day: { type: "number", format: "float", minimum: 0 },
             max_books_per_user: { type: "integer", minimum: 1 },
             reservation_expiry_days: { type: "integer", minimum: 1 },
+            borrow_request_expiry_hours: { type: "integer", minimum: 1, default: 48 },
+            max_renewals: { type: "integer", minimum: 0, default: 2 },
+            renewal_period_days: { type: "integer", minimum: 1, nullable: true },
+            lost_item_processing_fee: { type: "number", format: "float", minimum: 0, default: 0 },
+            grace_period_days: { type: "integer", minimum: 0, default: 0 },
+            max_fine_per_loan: { type: "number", format: "float", minimum: 0, nullable: true },
+            max_outstanding_fines_per_member: { type: "number", format: "float", minimum: 0, nullable: true },
+            replacement_cost_ceiling: { type: "number", format: "float", minimum: 0, nullable: true },
+            max_unpaid_fines_for_borrowing: { type: "number", format: "float", minimum: 0, nullable: true },
+            max_overdue_items_for_borrowing: { type: "integer", minimum: 0, nullable: true },
+            ill_borrowing_enabled: { type: "boolean", default: false },
+            ill_max_active_requests: { type: "integer", minimum: 1, default: 3 },
+            ill_lending_enabled: { type: "boolean", default: false },
+            ill_loan_days: { type: "integer", minimum: 1, nullable: true },
+            librarian_waiver_limit: { type: "number", format: "float", minimum: 0, nullable: true },
           },
         },
         BorrowTransactionInput: {
@@ -2,6 +2,7 @@ const jwt = require('jsonwebtoken');
 const { getPrismaClient } = require('../../prisma/client');
 const prisma = getPrismaClient();
 const { transporter } = require('../utils/mailHandler');
+const { auditLibrary } = require('../utils/consistencyAuditor');
 
 
 // Helper for success responses (optional)
@@ -164,3 +165,55 @@ exports.createUser = async (req, res, next) => {
         next(error);
     }
 };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConsistencyDiscrepancy:
+ *       type: object
+ *       properties:
+ *         entity: { type: string, enum: [user, book] }
+ *         id: { type: string, format: uuid }
+ *         field: { type: string, description: 'Field that drifted, e.g. borrowed_book_ids, available_copies' }
+ *         actual: { description: 'Value currently stored' }
+ *         expected: { description: 'Value recomputed from the source rows' }
+ *         missing: { type: array, items: { type: string, format: uuid }, description: 'Ids that should be in the array (array fields only)' }
+ *         unexpected: { type: array, items: { type: string, format: uuid }, description: 'Ids that should not be in the array (array fields only)' }
+ *         note: { type: string }
+ *         repairable: { type: boolean, description: 'false when the repair tool leaves it alone (e.g. books without copies)' }
+ *     ConsistencyReport:
+ *       type: object
+ *       properties:
+ *         library_id: { type: string, format: uuid }
+ *         name: { type: string }
+ *         discrepancy_count: { type: integer }
+ *         repaired_count: { type: integer }
+ *         discrepancies:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/ConsistencyDiscrepancy' }
+ */
+
+/**
+ * @method auditConsistency
+ * @description Recomputes the denormalised member arrays and copy counters of the admin's library
+ * from the underlying rows and reports every discrepancy. POST .../repair also writes the expected values back in one transaction.
+ * @route GET /api/v1/admin/consistency
+ * @route POST /api/v1/admin/consistency/repair
+ * @access Admin
+ * @tag Admin
+ */
+exports.auditConsistency = async (req, res, next) => {
+    try {
+        const admin = await prisma.user.findUniqueOrThrow({
+            where: { user_id: req.user.id },
+            select: { library_id: true }
+        });
+
+        const report = await auditLibrary(admin.library_id, { repair: req.method === 'POST' });
+        handleSuccess(res, report);
+    } catch (error) {
+        // P2025 (NotFound) handled by global handler
+        next(error);
+    }
+};
@@ -1,4 +1,8 @@
 const { getPrismaClient } = require('../../prisma/client');
+const { ACTIVE_LOAN_STATUSES, calculateOverdueDays, resolveDueDate } = require('../utils/circulationHelper');
+const { loadLibraryCalendar } = require('../utils/calendarHelper');
+const { formatMoney } = require('../utils/money');
+const { BOOK_RELATIONS_INCLUDE, BOOK_GENRE_NAMES_SELECT, toBookResponse, genreNamesOf } = require('../utils/bookRelations');
 const prisma = getPrismaClient();
 
 // Helper for success responses
@@ -42,6 +46,13 @@ exports.getAnalytics = async (req, res, next) => {
             });
         }
 
+        // Fine totals are in the library's currency; fines from before a currency change are left out so amounts never mix
+        const library = await prisma.library.findUniqueOrThrow({
+            where: { library_id },
+            select: { currency: true, locale: true }
+        });
+        const fineWhere = { library_id, currency: library.currency };
+
         // Current date for calculations
         const currentDate = new Date();
 
@@ -94,7 +105,7 @@ exports.getAnalytics = async (req, res, next) => {
                     available_copies: true,
                     reserved_copies: true,
                     added_on: true,
-                    genre_names: true
+                    book_genres: BOOK_GENRE_NAMES_SELECT
                 }
             }),
 
@@ -111,36 +122,33 @@ exports.getAnalytics = async (req, res, next) => {
                 where: { library_id }
             }),
 
-            // All current borrowed books
+            // All current borrowed books (including loans the sweeper already flagged as overdue)
             prisma.borrowTransaction.findMany({
                 where: {
                     library_id,
-                    status: 'borrowed'
+                    status: { in: ACTIVE_LOAN_STATUSES }
                 }
             }),
 
-            // Total fines
+            // Total fines (after waivers and adjustments; what was taken off is summed separately)
             prisma.fine.aggregate({
-                where: { library_id },
-                _sum: { amount: true },
+                where: fineWhere,
+                _sum: { amount: true, waived_amount: true },
             }),
 
-            // Paid fines
+            // Collected fines (from the payment ledger: payments less reversals, less what was refunded)
             prisma.fine.aggregate({
-                where: {
-                    library_id,
-                    is_paid: true
-                },
-                _sum: { amount: true },
+                where: fineWhere,
+                _sum: { amount_paid: true, refunded_amount: true },
             }),
 
-            // Pending fines
+            // Pending fines (what is still owed on unpaid fines)
             prisma.fine.aggregate({
                 where: {
-                    library_id,
+                    ...fineWhere,
                     is_paid: false
                 },
-                _sum: { amount: true },
+                _sum: { amount: true, amount_paid: true },
             })
         ]);
 
@@ -152,7 +160,7 @@ exports.getAnalytics = async (req, res, next) => {
         // Process genre data
         const genreCounts = {};
         bookRecords.forEach(book => {
-            book.genre_names.forEach(genre => {
+            genreNamesOf(book).forEach(genre => {
                 genreCounts[genre] = (genreCounts[genre] || 0) + book.total_copies;
             });
         });
@@ -160,46 +168,30 @@ exports.getAnalytics = async (req, res, next) => {
         // Process borrowed books data
         const borrowedBooksCount = allBorrowedBooks.length;
 
-        // Calculate max borrow days
-        const maxBorrowDays = policy?.max_borrow_days || 14;
-
-        // Calculate overdue date thresholds
-        const overdueDate = new Date(currentDate);
-        overdueDate.setDate(overdueDate.getDate() - maxBorrowDays);
-
-        const overduePlus7Date = new Date(overdueDate);
-        overduePlus7Date.setDate(overduePlus7Date.getDate() - 7);
-
-        const overduePlus14Date = new Date(overduePlus7Date);
-        overduePlus14Date.setDate(overduePlus14Date.getDate() - 7);
+        // Due dates are stored on each loan; legacy loans fall back to the policy (plus any renewals)
+        const loanPolicy = policy || { max_borrow_days: 14 };
+        const dueDateOf = (book) => resolveDueDate(book, loanPolicy);
+        const calendar = await loadLibraryCalendar(prisma, library_id); // Closed days don't count as late, same as fines
+        const overdueDaysOf = (book) => calculateOverdueDays(dueDateOf(book), currentDate, calendar);
 
         // Filter overdue books
-        const overdueBooks = allBorrowedBooks.filter(book =>
-            new Date(book.borrow_date) < overdueDate
-        );
+        const overdueBooks = allBorrowedBooks.filter(book => overdueDaysOf(book) > 0);
 
         const overdueBooksCount = overdueBooks.length;
 
         // Filter overdue books by duration
-        const overdue1To7Days = allBorrowedBooks.filter(book => {
-            const borrowDate = new Date(book.borrow_date);
-            return borrowDate < overdueDate && borrowDate >= overduePlus7Date;
-        }).length;
+        const overdue1To7Days = overdueBooks.filter(book => overdueDaysOf(book) <= 7).length;
 
-        const overdue8To14Days = allBorrowedBooks.filter(book => {
-            const borrowDate = new Date(book.borrow_date);
-            return borrowDate < overduePlus7Date && borrowDate >= overduePlus14Date;
+        const overdue8To14Days = overdueBooks.filter(book => {
+            const days = overdueDaysOf(book);
+            return days > 7 && days <= 14;
         }).length;
 
-        const overdue15PlusDays = allBorrowedBooks.filter(book => {
-            const borrowDate = new Date(book.borrow_date);
-            return borrowDate < overduePlus14Date;
-        }).length;
+        const overdue15PlusDays = overdueBooks.filter(book => overdueDaysOf(book) > 14).length;
 
         // Calculate books due soon
         const booksDueToday = allBorrowedBooks.filter(book => {
-            const dueDate = new Date(book.borrow_date);
-            dueDate.setDate(dueDate.getDate() + maxBorrowDays);
+            const dueDate = dueDateOf(book);
             const today = new Date(currentDate);
             today.setHours(0, 0, 0, 0);
             const tomorrow = new Date(today);
@@ -209,8 +201,7 @@ exports.getAnalytics = async (req, res, next) => {
         }).length;
 
         const booksDueThisWeek = allBorrowedBooks.filter(book => {
-            const dueDate = new Date(book.borrow_date);
-            dueDate.setDate(dueDate.getDate() + maxBorrowDays);
+            const dueDate = dueDateOf(book);
             const today = new Date(currentDate);
             today.setHours(0, 0, 0, 0);
             const nextDay = new Date(today);
@@ -222,8 +213,7 @@ exports.getAnalytics = async (req, res, next) => {
         }).length;
 
         const booksDueNextWeek = allBorrowedBooks.filter(book => {
-            const dueDate = new Date(book.borrow_date);
-            dueDate.setDate(dueDate.getDate() + maxBorrowDays);
+            const dueDate = dueDateOf(book);
             const weekFromNow = new Date(currentDate);
             weekFromNow.setHours(0, 0, 0, 0);
             weekFromNow.setDate(weekFromNow.getDate() + 7);
@@ -277,11 +267,12 @@ exports.getAnalytics = async (req, res, next) => {
         let mostBorrowedBook = null;
         if (mostBorrowedBooks.length > 0) {
             const bookDetails = await prisma.book.findUnique({
-                where: { book_id: mostBorrowedBooks[0].book_id }
+                where: { book_id: mostBorrowedBooks[0].book_id },
+                include: BOOK_RELATIONS_INCLUDE
             });
 
             mostBorrowedBook = {
-                ...bookDetails,
+                ...(bookDetails && toBookResponse(bookDetails)),
                 borrowCount: mostBorrowedBooks[0]._count.book_id
             };
         }
@@ -293,7 +284,7 @@ exports.getAnalytics = async (req, res, next) => {
                 where: {
                     book_id: { in: overdueBooks.map(book => book.book_id) }
                 },
-                select: { genre_names: true }
+                select: { book_genres: BOOK_GENRE_NAMES_SELECT }
             }) : [],
 
             // Recently added books
@@ -303,14 +294,15 @@ exports.getAnalytics = async (req, res, next) => {
                     added_on: { gte: oneWeekAgo }
                 },
                 orderBy: { added_on: 'desc' },
-                take: 5
-            })
+                take: 5,
+                include: BOOK_RELATIONS_INCLUDE
+            }).then(books => books.map(toBookResponse))
         ]);
 
         // Process overdue by category
         const categoryOverdueMap = {};
         overdueBookIds.forEach(book => {
-            book.genre_names.forEach(genre => {
+            genreNamesOf(book).forEach(genre => {
                 categoryOverdueMap[genre] = (categoryOverdueMap[genre] || 0) + 1;
             });
         });
@@ -322,11 +314,11 @@ exports.getAnalytics = async (req, res, next) => {
                 where: {
                     book_id: { in: allBorrowedBooks.map(book => book.book_id) }
                 },
-                select: { genre_names: true }
+                select: { book_genres: BOOK_GENRE_NAMES_SELECT }
             });
 
             borrowedBookIds.forEach(book => {
-                book.genre_names.forEach(genre => {
+                genreNamesOf(book).forEach(genre => {
                     borrowedGenreCounts[genre] = (borrowedGenreCounts[genre] || 0) + 1;
                 });
             });
@@ -349,7 +341,7 @@ exports.getAnalytics = async (req, res, next) => {
         ] = await Promise.all([
             prisma.fine.aggregate({
                 where: {
-                    library_id,
+                    ...fineWhere,
                     fine_date: { gte: oneMonthAgo }
                 },
                 _sum: { amount: true },
@@ -357,7 +349,7 @@ exports.getAnalytics = async (req, res, next) => {
 
             prisma.fine.aggregate({
                 where: {
-                    library_id,
+                    ...fineWhere,
                     fine_date: {
                         gte: twoMonthsAgo,
                         lt: oneMonthAgo
@@ -368,7 +360,7 @@ exports.getAnalytics = async (req, res, next) => {
 
             prisma.fine.aggregate({
                 where: {
-                    library_id,
+                    ...fineWhere,
                     fine_date: {
                         gte: threeMonthsAgo,
                         lt: twoMonthsAgo
@@ -379,7 +371,7 @@ exports.getAnalytics = async (req, res, next) => {
 
             prisma.fine.aggregate({
                 where: {
-                    library_id,
+                    ...fineWhere,
                     fine_date: {
                         gte: fourMonthsAgo,
                         lt: threeMonthsAgo
@@ -468,7 +460,7 @@ exports.getAnalytics = async (req, res, next) => {
             prisma.borrowTransaction.count({
                 where: {
                     library_id,
-                    status: 'borrowed',
+                    status: { in: ACTIVE_LOAN_STATUSES },
                     borrow_date: { lte: currentDate }
                 }
             }),
@@ -476,7 +468,7 @@ exports.getAnalytics = async (req, res, next) => {
             prisma.borrowTransaction.count({
                 where: {
                     library_id,
-                    status: 'borrowed',
+                    status: { in: ACTIVE_LOAN_STATUSES },
                     borrow_date: { lte: oneMonthAgo }
                 }
             }),
@@ -484,7 +476,7 @@ exports.getAnalytics = async (req, res, next) => {
             prisma.borrowTransaction.count({
                 where: {
                     library_id,
-                    status: 'borrowed',
+                    status: { in: ACTIVE_LOAN_STATUSES },
                     borrow_date: { lte: twoMonthsAgo }
                 }
             }),
@@ -492,17 +484,33 @@ exports.getAnalytics = async (req, res, next) => {
             prisma.borrowTransaction.count({
                 where: {
                     library_id,
-                    status: 'borrowed',
+                    status: { in: ACTIVE_LOAN_STATUSES },
                     borrow_date: { lte: threeMonthsAgo }
                 }
             })
         ]);
 
+        // Fine amounts, also returned as money objects in the library's currency
+        const totalFines = Number(fineData._sum.amount) || 0;
+        const fineBreakdown = {
+            collected: (Number(finesPaid._sum.amount_paid) || 0) - (Number(finesPaid._sum.refunded_amount) || 0),
+            pending: (Number(finesPending._sum.amount) || 0) - (Number(finesPending._sum.amount_paid) || 0),
+            waived: Number(fineData._sum.waived_amount) || 0
+        };
+        const fineMonthlyTrend = {
+            currentMonth: Number(currentMonthFines._sum.amount) || 0,
+            lastMonth: Number(lastMonthFines._sum.amount) || 0,
+            twoMonthsAgo: Number(twoMonthsAgoFines._sum.amount) || 0,
+            threeMonthsAgo: Number(threeMonthsAgoFines._sum.amount) || 0
+        };
+        const toMoney = (amounts) => Object.fromEntries(Object.entries(amounts).map(([key, amount]) => [key, formatMoney(amount, library)]));
+
         // Create analytics data structure without repetition
         const analyticsData = {
             dashboard: {
                 fineReports: {
-                    totalFines: Number(fineData._sum.amount) || 0,
+                    totalFines,
+                    totalFinesMoney: formatMoney(totalFines, library),
                     overdueBooks: overdueBooksCount
                 },
                 circulationStatistics: {
@@ -519,16 +527,14 @@ exports.getAnalytics = async (req, res, next) => {
 
             details: {
                 fines: {
-                    totalFines: Number(fineData._sum.amount) || 0,
-                    breakdown: {
-                        collected: Number(finesPaid._sum.amount) || 0,
-                        pending: Number(finesPending._sum.amount) || 0
-                    },
-                    monthlyTrend: {
-                        currentMonth: Number(currentMonthFines._sum.amount) || 0,
-                        lastMonth: Number(lastMonthFines._sum.amount) || 0,
-                        twoMonthsAgo: Number(twoMonthsAgoFines._sum.amount) || 0,
-                        threeMonthsAgo: Number(threeMonthsAgoFines._sum.amount) || 0
+                    currency: library.currency,
+                    totalFines,
+                    breakdown: fineBreakdown,
+                    monthlyTrend: fineMonthlyTrend,
+                    money: {
+                        totalFines: formatMoney(totalFines, library),
+                        breakdown: toMoney(fineBreakdown),
+                        monthlyTrend: toMoney(fineMonthlyTrend)
                     }
                 },
 
@@ -1,6 +1,7 @@
 // src/controllers/author.controller.js
 const { Prisma } = require('@prisma/client');
 const { getPrismaClient } = require('../../prisma/client');
+const { AUTHOR_BOOKS_INCLUDE, toAuthorResponse } = require('../utils/bookRelations');
 const prisma = getPrismaClient();
 
 // Helper for success responses
@@ -31,7 +32,7 @@ const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).js
 
 /**
  * @method createAuthor
- * @description Creates a new author. Requires Admin or Librarian role. The `book_ids` field is typically managed via Book endpoints.
+ * @description Creates a new author. Requires Admin or Librarian role. `book_ids` is derived from the books that list the author (see Book endpoints).
  * @route POST /api/v1/authors
  * @access Admin, Librarian
  * @tag Authors
@@ -51,10 +52,9 @@ exports.createAuthor = async (req, res, next) => {
             data: {
                 name,
                 bio,
-                // book_ids defaults to [] via schema
             }
         });
-        handleSuccess(res, newAuthor, 201);
+        handleSuccess(res, { ...newAuthor, book_ids: [] }, 201);
     } catch (error) {
         next(error);
     }
@@ -94,14 +94,15 @@ exports.getAllAuthors = async (req, res, next) => {
                 where,
                 skip,
                 take: limit,
-                orderBy: { [sortBy]: sortOrder }
+                orderBy: { [sortBy]: sortOrder },
+                include: AUTHOR_BOOKS_INCLUDE,
             }),
             prisma.author.count({ where })
         ]);
 
         // --- Response ---
         handleSuccess(res, {
-            data: authors,
+            data: authors.map(toAuthorResponse),
             pagination: {
                 totalItems: totalAuthors,
                 currentPage: page,
@@ -128,11 +129,10 @@ exports.getAuthorById = async (req, res, next) => {
     try {
         const { id } = req.params;
         const author = await prisma.author.findUniqueOrThrow({
-             where: { author_id: id }
-             // Optional: Include related books? Might be very large. Better to have a separate endpoint like /authors/{id}/books
-             // include: { books: { where: { author_ids: { has: id }}}} // This query is inefficient with array fields
+             where: { author_id: id },
+             include: AUTHOR_BOOKS_INCLUDE,
         });
-        handleSuccess(res, author);
+        handleSuccess(res, toAuthorResponse(author));
     } catch (error) {
         // P2025 (NotFound) handled by global handler
         next(error);
@@ -141,7 +141,7 @@ exports.getAuthorById = async (req, res, next) => {
 
 /**
  * @method updateAuthor
- * @description Updates details of an existing author. Requires Admin or Librarian role. `book_ids` should not be updated here.
+ * @description Updates details of an existing author. Requires Admin or Librarian role. `book_ids` can't be updated here.
  * @route PUT /api/v1/authors/{id}
  * @access Admin, Librarian
  * @tag Authors
@@ -162,8 +162,9 @@ exports.updateAuthor = async (req, res, next) => {
         const updatedAuthor = await prisma.author.update({
             where: { author_id: id },
             data: updateData,
+            include: AUTHOR_BOOKS_INCLUDE,
         });
-        handleSuccess(res, updatedAuthor);
+        handleSuccess(res, toAuthorResponse(updatedAuthor));
     } catch (error) {
         // P2025 (NotFound) handled by global handler
         next(error);
@@ -172,7 +173,7 @@ exports.updateAuthor = async (req, res, next) => {
 
 /**
  * @method deleteAuthor
- * @description Deletes an author. Requires Admin role only. Note: This does not automatically update books referencing this author.
+ * @description Deletes an author. Requires Admin role only. The author is removed from every book that lists them.
  * @route DELETE /api/v1/authors/{id}
  * @access Admin
  * @tag Authors
@@ -180,48 +181,13 @@ exports.updateAuthor = async (req, res, next) => {
 exports.deleteAuthor = async (req, res, next) => {
     const { id } = req.params;
     try {
-         // IMPORTANT CAVEAT: Similar to Genres, deleting an Author does not automatically
-         // update the `author_ids` array in associated Books. Manual cleanup is required.
-         // This schema design makes deleting authors complex if data integrity is critical.
-
-        await prisma.$transaction(async (tx) => {
-            // --- Optional: Find books by this author ---
-             const booksByAuthor = await tx.book.findMany({
-                 where: { author_ids: { has: id } },
-                 select: { book_id: true, title: true }
-             });
-
-             if (booksByAuthor.length > 0) {
-                 // Option 1: Prevent deletion
-                 // throw new Error(`Cannot delete author: Author is associated with ${booksByAuthor.length} book(s) (e.g., "${booksByAuthor[0].title}"). Remove author from books first.`);
-
-                 // Option 2: Automatically remove the author from books (Use with caution!)
-                  console.warn(`Author ${id} is associated with ${booksByAuthor.length} book(s). Removing reference...`);
-                  for (const book of booksByAuthor) {
-                      const currentBookData = await tx.book.findUnique({
-                          where: { book_id: book.book_id },
-                          select: { author_ids: true }
-                      });
-                      const updatedAuthorIds = currentBookData.author_ids.filter(aid => aid !== id);
-                      await tx.book.update({
-                          where: { book_id: book.book_id },
-                          data: { author_ids: updatedAuthorIds }
-                      });
-                  }
-             }
-
-            // --- Delete the author ---
-            await tx.author.delete({
-                where: { author_id: id }
-            });
-        }); // End transaction
+        // Book links (BookAuthor) are deleted with the author
+        await prisma.author.delete({
+            where: { author_id: id }
+        });
 
         res.status(204).send(); // No content on successful delete
     } catch (error) {
-         // Catch specific error from transaction
-         if (error instanceof Error && error.message.startsWith('Cannot delete author:')) {
-            return res.status(400).json({ success: false, error: { message: error.message } });
-         }
         // P2025 (NotFound) handled by global handler
         next(error);
     }
@@ -2,29 +2,24 @@
 const { Prisma } = require('@prisma/client');
 const { getPrismaClient } = require('../../prisma/client');
 const { broadcast } = require('../app');
+const { ACTIVE_LOAN_STATUSES } = require('../utils/circulationHelper');
+const { ACTIVE_RESERVATION_STATUSES } = require('../utils/holdQueueHelper');
+const { addCopies, MAX_COPIES_PER_REQUEST } = require('../utils/inventoryHelper');
+const { BOOK_RELATIONS_INCLUDE, toBookResponse, parseContributors, setBookContributors, resolveGenreNames, setBookGenres } = require('../utils/bookRelations');
 const prisma = getPrismaClient();
 
 // Helper for success responses
 const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
 
 // --- Validation Helper ---
-// Throws an error if counts are invalid, otherwise returns true.
-const validateBookCounts = (data, currentTotal = null) => {
-     // Use provided values or default to 0 if null/undefined
-     const total = data.total_copies ?? currentTotal ?? 0; // Use current total if updating and not provided
-     const available = data.available_copies ?? 0;
-     const reserved = data.reserved_copies ?? 0;
-
-     // Basic non-negativity checks
-     if (total < 0 || available < 0 || reserved < 0) {
-        throw new Error("Book counts (total, available, reserved) cannot be negative.");
-     }
-     // Consistency check: available + reserved should not exceed total
-     if (available + reserved > total) {
-        throw new Error(`Sum of available (${available}) and reserved (${reserved}) copies cannot exceed total copies (${total}).`);
-    }
-     return true;
-}
+// Copy counts are derived from BookCopy rows, so they can't be written directly.
+const COPY_COUNT_FIELDS = ['total_copies', 'available_copies', 'reserved_copies'];
+
+// Replacement price is optional; null clears it
+const isValidPrice = (price) => price === undefined || price === null || (typeof price === 'number' && price >= 0);
+
+// genre_ids and genre_names are optional lists
+const isOptionalArray = (value) => value === undefined || Array.isArray(value);
 
 // --- Helper to check related entities ---
 // Throws errors if related entities don't exist.
@@ -68,34 +63,42 @@ const checkRelatedEntities = async (tx, { library_id, author_ids = [], genre_ids
 /**
  * @method createBook
  * @description Adds a new book record to the library catalog. Requires Admin or Librarian role.
+ * Copies are created from `copies` (barcode, condition, acquisition date) or, if omitted, `total_copies` copies with generated barcodes.
+ * Authors come from `author_ids` and/or `contributors` (with a role); genres from `genre_ids` and/or `genre_names`
+ * (unknown names become new genres).
  * @route POST /api/v1/books
  * @access Admin, Librarian
  * @tag Books
  */
 exports.createBook = async (req, res, next) => {
     try {
-        const { library_id, title, author_ids = [], genre_ids = [], ...bookData } = req.body;
+        const { library_id, title, author_ids, contributors, genre_ids = [], genre_names = [], copies, total_copies, available_copies, reserved_copies, ...bookData } = req.body; // available/reserved counts are derived from the copies, so ignored
 
         // 1. Basic Input Validation
         if (!library_id || !title) {
              return res.status(400).json({ success: false, error: { message: 'Missing required fields: library_id, title' } });
         }
-        if(!req.body.genre_names || req.body.genre_names.length < 1){
-            return res.status(400).json({ success: false, error: { message: 'At least one genre name is required.' } });
+        if (!isOptionalArray(genre_ids) || !isOptionalArray(genre_names)) {
+            return res.status(400).json({ success: false, error: { message: 'genre_ids and genre_names must be arrays.' } });
         }
-        // Validate counts based on input data (no current data yet)
-        validateBookCounts(bookData);
-
-        // Set default available copies if not provided, ensuring consistency
-        const totalCopies = bookData.total_copies ?? 1;
-        const availableCopies = bookData.available_copies ?? totalCopies; // Default available to total if not set
-         if (availableCopies > totalCopies) {
-              return res.status(400).json({ success: false, error: { message: 'Available copies cannot exceed total copies.' } });
-         }
-        const reservedCopies = bookData.reserved_copies ?? 0;
-        if (availableCopies + reservedCopies > totalCopies) {
-            return res.status(400).json({ success: false, error: { message: 'Sum of available and reserved copies cannot exceed total copies.' } });
+        if (genre_ids.length < 1 && genre_names.length < 1) {
+            return res.status(400).json({ success: false, error: { message: 'At least one genre is required (genre_ids or genre_names).' } });
+        }
+        const contributorList = parseContributors(author_ids ?? [], contributors); // Throws 'Invalid ...' (400 below)
+        if (copies !== undefined && !Array.isArray(copies)) {
+            return res.status(400).json({ success: false, error: { message: 'copies must be an array.' } });
+        }
+        if (total_copies !== undefined && (!Number.isInteger(total_copies) || total_copies < 0 || total_copies > MAX_COPIES_PER_REQUEST)) {
+            return res.status(400).json({ success: false, error: { message: `total_copies must be an integer from 0 to ${MAX_COPIES_PER_REQUEST}.` } });
         }
+        if (copies?.length > MAX_COPIES_PER_REQUEST) {
+            return res.status(400).json({ success: false, error: { message: `At most ${MAX_COPIES_PER_REQUEST} copies can be added at once.` } });
+        }
+        if (!isValidPrice(bookData.price)) {
+            return res.status(400).json({ success: false, error: { message: 'price must be a non-negative number.' } });
+        }
+        // Every new copy starts on the shelf; explicit copies win over a bare count
+        const copyInputs = copies ?? Array.from({ length: total_copies ?? 1 }, () => ({}));
 
         if (req.body.isbn) { // Check only if an ISBN was actually sent in the request
             const existingBookWithISBN = await prisma.book.findFirst({
@@ -113,58 +116,52 @@ exports.createBook = async (req, res, next) => {
         }
 
         // 2. Check Related Entities within a Transaction
-        await prisma.$transaction(async (tx) => {
-            await checkRelatedEntities(tx, { library_id, author_ids, genre_ids });
+        const createdBook = await prisma.$transaction(async (tx) => {
+            await checkRelatedEntities(tx, { library_id, author_ids: contributorList.map(contributor => contributor.author_id), genre_ids });
 
             // 3. Create the book within the same transaction
-            let newBook = await tx.book.create({
+            const book = await tx.book.create({
                 data: {
                     ...bookData,
                     library_id,
                     title,
-                    author_ids,
-                    genre_ids,
-                    total_copies: totalCopies,
-                    available_copies: availableCopies,
-                    reserved_copies: reservedCopies,
+                    total_copies: 0,
+                    available_copies: 0,
+                    reserved_copies: 0,
                 },
             });
 
-            // 4. Update Author's book_ids array (still within transaction)
-            if (author_ids.length > 0) {
-                await tx.author.updateMany({
-                    where: { author_id: { in: author_ids } },
-                    data: {
-                        book_ids: { push: newBook.book_id } // Atomically add the new book ID
-                    }
-                });
-            }
-            const authorNames = await tx.author.findMany({
-                where: { author_id: { in: author_ids } },   
-                select: { name: true }
-            });
-            console.log(authorNames);
-            
-            newBook.authorNames = authorNames.map(author => author.name); // Add author names to the new book object
-
-            // 5. Send success response *after* transaction commits
-            handleSuccess(res, newBook, 201);
-            const broadCastmessage= {
-                type: 'bookCreated',
-                data:newBook
-            }
-            broadcast(JSON.stringify(broadCastmessage), {}); // Broadcast the creation event
+            // 3b. Create the physical copies; the book's counters are derived from them
+            await addCopies(tx, book, copyInputs);
+
+            // 4. Link authors and genres
+            await setBookContributors(tx, book.book_id, contributorList);
+            await setBookGenres(tx, book.book_id, [...genre_ids, ...await resolveGenreNames(tx, genre_names)]);
+
+            return tx.book.findUniqueOrThrow({ where: { book_id: book.book_id }, include: BOOK_RELATIONS_INCLUDE });
         });
 
+        // 5. Send success response *after* transaction commits
+        const newBook = toBookResponse(createdBook);
+        handleSuccess(res, newBook, 201);
+        const broadCastmessage= {
+            type: 'bookCreated',
+            data:newBook
+        }
+        broadcast(JSON.stringify(broadCastmessage), {}); // Broadcast the creation event
+
     } catch (error) {
          // --- Specific Error Handling ---
          if (error instanceof Prisma.PrismaClientKnownRequestError) {
             if (error.code === 'P2002' && error.meta?.target?.includes('isbn')) {
                  return res.status(409).json({ success: false, error: { message: 'ISBN already exists.' } });
             }
+            if (error.code === 'P2002' && error.meta?.target?.includes('barcode')) {
+                 return res.status(409).json({ success: false, error: { message: 'Barcode already exists in this library.' } });
+            }
          }
          // Catch errors thrown by validation helpers
-         if (error instanceof Error && (error.message.includes('not found') || error.message.includes('Invalid') || error.message.includes('cannot exceed') || error.message.includes('negative'))) {
+         if (error instanceof Error && (error.message.includes('not found') || error.message.includes('Invalid'))) {
             return res.status(400).json({ success: false, error: { message: error.message } });
          }
          // Pass other errors to the global handler
@@ -195,8 +192,8 @@ exports.getAllBooks = async (req, res, next) => {
         const where = {};
 
         if (libraryId) where.library_id = libraryId;
-        if (authorId) where.author_ids = { has: authorId }; // Check if array contains the ID
-        if (genreId) where.genre_ids = { has: genreId }; // Check if array contains the ID
+        if (authorId) where.book_authors = { some: { author_id: authorId } }; // Any role (author, editor, ...)
+        if (genreId) where.book_genres = { some: { genre_id: genreId } };
         if (available === 'true') where.available_copies = { gt: 0 }; // Filter for available books
         if (available === 'false') where.available_copies = { lte: 0 }; // Filter for unavailable books
         if (search) {
@@ -216,58 +213,15 @@ exports.getAllBooks = async (req, res, next) => {
                 skip,
                 take: limit,
                 orderBy: { [sortBy]: sortOrder },
-                // REMOVED the include for author here
+                include: BOOK_RELATIONS_INCLUDE, // Author names and genres come from the join tables
             }),
             prisma.book.count({ where })
         ]);
         console.timeEnd("Fetching Books");
-        
-        // 2. Extract all unique author IDs from the results
-        const allAuthorIds = booksData.reduce((ids, book) => {
-            book.author_ids.forEach(id => ids.add(id));
-            return ids;
-        }, new Set()); // Use a Set to get unique IDs automatically
-        
-        const uniqueAuthorIds = Array.from(allAuthorIds); // Convert Set back to Array
-        
-        // 3. Fetch the corresponding authors IF there are any IDs
-        let authorsMap = {}; // Use a map for easy lookup: { authorId: name }
-        console.time("Fetching Authors");
-        if (uniqueAuthorIds.length > 0) {
-            const authors = await prisma.author.findMany({
-                where: {
-                    author_id: {
-                        in: uniqueAuthorIds
-                    }
-                },
-                select: {
-                    author_id: true,
-                    name: true
-                }
-            });
-            // Create the lookup map
-            authors.forEach(author => {
-                authorsMap[author.author_id] = author.name;
-            });
-        }
-        console.timeEnd("Fetching Authors");
-        
-        // 4. Map author names onto the book data (Modify the response structure)
-        const booksWithAuthorNames = booksData.map(book => {
-            return {
-                ...book, // Spread existing book properties
-                // Add a new field, e.g., 'authorNames'
-                authorNames: book.author_ids.map(id => authorsMap[id] || 'Unknown Author').filter(name => name !== 'Unknown Author'), // Map IDs to names, handle missing authors
-                // Or replace author_ids if you prefer
-                // authors: book.author_ids.map(id => ({ id: id, name: authorsMap[id] || 'Unknown Author' })).filter(a => a.name !== 'Unknown Author')
-            };
-        });
-        
-        
+
         // --- Response ---
         handleSuccess(res, {
-            // Send the modified data
-            data: booksWithAuthorNames,
+            data: booksData.map(toBookResponse),
             pagination: {
                 totalItems: totalBooks,
                 currentPage: page,
@@ -298,13 +252,9 @@ exports.getBookById = async (req, res, next) => {
         const { id } = req.params;
         const book = await prisma.book.findUniqueOrThrow({
              where: { book_id: id },
-             // Optional: Include related data if desired for the detail view
-             // include: {
-             //    library: { select: { library_id: true, name: true } },
-             //    // Maybe fetch author/genre names (requires separate queries or schema change)
-             // }
+             include: BOOK_RELATIONS_INCLUDE,
         });
-        handleSuccess(res, book);
+        handleSuccess(res, toBookResponse(book));
     } catch (error) {
         // P2025 (NotFound) handled by global handler
         next(error);
@@ -314,112 +264,74 @@ exports.getBookById = async (req, res, next) => {
 /**
  * @method updateBook
  * @description Updates details of an existing book. Requires Admin or Librarian role.
+ * Copy counts can't be set here; they follow the book's copies (see /books/{id}/copies).
+ * `contributors` replaces every contributor; `author_ids` alone only replaces those with the 'author' role.
+ * `genre_ids` and/or `genre_names` replace the genres.
  * @route PUT /api/v1/books/{id}
  * @access Admin, Librarian
  * @tag Books
  */
 exports.updateBook = async (req, res, next) => {
     const { id } = req.params;
-    const { library_id, title, author_ids, genre_ids, ...updateData } = req.body; // library_id usually not changed via this endpoint
+    const { library_id, title, author_ids, contributors, genre_ids, genre_names, copies, ...updateData } = req.body; // library_id usually not changed via this endpoint
+
+    if (COPY_COUNT_FIELDS.some(field => updateData[field] !== undefined) || copies !== undefined) {
+        return res.status(400).json({ success: false, error: { message: "Copy counts are derived from the book's copies and cannot be updated directly. Use the /books/{id}/copies endpoints instead." } });
+    }
+    if (!isValidPrice(updateData.price)) {
+        return res.status(400).json({ success: false, error: { message: 'price must be a non-negative number.' } });
+    }
+    if (!isOptionalArray(genre_ids) || !isOptionalArray(genre_names)) {
+        return res.status(400).json({ success: false, error: { message: 'genre_ids and genre_names must be arrays.' } });
+    }
 
     // Prevent updating with an empty object
     if (Object.keys(req.body).length === 1 && req.body.id) { // Check if only id was passed somehow
         // Or more robustly: check if updateData and potentially author/genre arrays are empty
-        if (Object.keys(updateData).length === 0 && author_ids === undefined && genre_ids === undefined) {
+        if (Object.keys(updateData).length === 0 && author_ids === undefined && contributors === undefined && genre_ids === undefined && genre_names === undefined) {
             return res.status(400).json({ success: false, error: { message: 'No update data provided.' } });
         }
     }
 
     try {
-        // Use transaction for multi-step update (fetch, validate, update book, update authors)
+        const contributorList = parseContributors(author_ids, contributors); // Throws 'Invalid ...' (400 below)
+
+        // Use transaction for multi-step update (fetch, validate, update book, relink authors/genres)
         const updatedBook = await prisma.$transaction(async (tx) => {
-            // 1. Get current book data (needed for validation and array diff)
-            const currentBook = await tx.book.findUniqueOrThrow({
+            // 1. Make sure the book exists (P2025 otherwise)
+            await tx.book.findUniqueOrThrow({
                 where: { book_id: id },
-                select: { author_ids: true, genre_ids: true, total_copies: true } // Select fields needed for logic
+                select: { book_id: true }
             });
 
-            // 2. Validate counts (pass current total for comparison)
-            validateBookCounts(updateData, currentBook.total_copies);
-
-            // 3. Check existence of new authors/genres if arrays are provided
-            await checkRelatedEntities(tx, { author_ids: author_ids ?? [], genre_ids: genre_ids ?? [] });
-
+            // 2. Check existence of new authors/genres if arrays are provided
+            await checkRelatedEntities(tx, { author_ids: contributorList?.map(contributor => contributor.author_id) ?? [], genre_ids: genre_ids ?? [] });
 
-            // 4. Prepare final update data
-            const finalUpdateData = {
-                ...updateData,
-                 // Only include author_ids/genre_ids if they were actually passed in the request
-                 ...(author_ids !== undefined && { author_ids: author_ids }),
-                 ...(genre_ids !== undefined && { genre_ids: genre_ids }),
-                 // Ensure consistency if counts are updated
-                 total_copies: updateData.total_copies ?? currentBook.total_copies,
-                 // Recalculate available if total changes and available isn't explicitly set? Decide on logic.
-                 // Example: Keep proportion (more complex) or require explicit available_copies if total changes.
-                 // Simple approach: Use provided available/reserved or keep current ones if not provided.
-                 available_copies: updateData.available_copies,
-                 reserved_copies: updateData.reserved_copies,
-            };
-
-
-            // 5. Update the book
-            const bookAfterUpdate = await tx.book.update({
+            // 3. Update the book
+            await tx.book.update({
                 where: { book_id: id },
-                data: finalUpdateData,
+                data: updateData,
             });
 
-            // 6. Update Author book_ids arrays *if* author_ids were changed
-            const oldAuthorIds = currentBook.author_ids;
-            const newAuthorIds = bookAfterUpdate.author_ids; // Use the IDs actually stored after update
-
-            if (JSON.stringify(oldAuthorIds.sort()) !== JSON.stringify(newAuthorIds.sort())) {
-                 const authorsToAdd = newAuthorIds.filter(aid => !oldAuthorIds.includes(aid));
-                 const authorsToRemove = oldAuthorIds.filter(aid => !newAuthorIds.includes(aid));
-
-                 // Add book ID to new authors
-                 if (authorsToAdd.length > 0) {
-                     await tx.author.updateMany({
-                         where: { author_id: { in: authorsToAdd } },
-                         data: { book_ids: { push: id } }
-                     });
-                 }
-                 // Remove book ID from old authors
-                 if (authorsToRemove.length > 0) {
-                    // This requires fetching each author individually to update the array correctly
-                     const authorsToUpdate = await tx.author.findMany({
-                         where: { author_id: { in: authorsToRemove } },
-                         select: { author_id: true, book_ids: true }
-                     });
-                     for (const author of authorsToUpdate) {
-                         const updatedBookIds = author.book_ids.filter(bid => bid !== id);
-                         await tx.author.update({
-                             where: { author_id: author.author_id },
-                             data: { book_ids: updatedBookIds }
-                         });
-                     }
-                 }
-            } // end if author_ids changed
-
-            return bookAfterUpdate; // Return the updated book from the transaction block
+            // 4. Relink authors/genres only if they were passed in the request
+            if (contributorList !== undefined) {
+                // A client that only knows author_ids keeps the book's editors, translators...
+                await setBookContributors(tx, id, contributorList, contributors === undefined ? { roles: ['author'] } : {});
+            }
+            if (genre_ids !== undefined || genre_names !== undefined) {
+                await setBookGenres(tx, id, [...(genre_ids ?? []), ...await resolveGenreNames(tx, genre_names ?? [])]);
+            }
+
+            return tx.book.findUniqueOrThrow({ where: { book_id: id }, include: BOOK_RELATIONS_INCLUDE });
 
         }); // End transaction
-        console.log(updatedBook);
-        
-        handleSuccess(res, updatedBook); // Send response after transaction succeeds
-        let book = await prisma.book.findUnique({
-            where: { book_id: id },
-        })
-        const authorNames = await prisma.author.findMany({
-            where: { author_id: { in: book.author_ids } },   
-            select: { name: true }
-        });
+
+        const book = toBookResponse(updatedBook);
+        handleSuccess(res, book); // Send response after transaction succeeds
 
         const broadCastmessage= {
             type: 'bookUpdated',
-            data:{
-                ...book,
-                authorNames: authorNames.map(author => author.name) // Add author names to the new book object
-            }
+            data: book
         }
         broadcast(JSON.stringify(broadCastmessage), {}); // Broadcast the update event
 
@@ -431,8 +343,8 @@ exports.updateBook = async (req, res, next) => {
              }
              // P2025 (NotFound) will be caught by global handler if findUniqueOrThrow fails initially
          }
-         // Catch errors thrown by validation helpers or entity checks
-         if (error instanceof Error && (error.message.includes('not found') || error.message.includes('Invalid') || error.message.includes('cannot exceed') || error.message.includes('negative'))) {
+         // Catch errors thrown by entity checks
+         if (error instanceof Error && (error.message.includes('not found') || error.message.includes('Invalid'))) {
             return res.status(400).json({ success: false, error: { message: error.message } });
          }
         // Pass other errors to global handler
@@ -456,11 +368,10 @@ exports.deleteBook = async (req, res, next) => {
         await prisma.$transaction(async (tx) => {
              // 1. Check for active borrows or reservations
              const activeBorrows = await tx.borrowTransaction.count({
-                 where: { book_id: id, status: { not: 'returned' } } // Check borrowed or overdue
+                 where: { book_id: id, status: { in: ['requested', ...ACTIVE_LOAN_STATUSES] } } // Check pending requests and books still out
              });
              const activeReservations = await tx.reservation.count({
-                 where: { book_id: id } // Check if any reservation exists
-                 // Add expiry check if needed: AND: { expires_at: { gt: new Date() } }
+                 where: { book_id: id, status: { in: ACTIVE_RESERVATION_STATUSES } } // Closed reservations are only history
              });
 
              if (activeBorrows > 0 || activeReservations > 0) {
@@ -468,29 +379,7 @@ exports.deleteBook = async (req, res, next) => {
                  throw new Error(`Cannot delete book: ${activeBorrows} active borrow(s) and ${activeReservations} active reservation(s) exist.`);
              }
 
-            // 2. Get book details *before* deleting to update author arrays
-             const bookToDelete = await tx.book.findUnique({
-                 where: { book_id: id },
-                 select: { author_ids: true }
-             });
-
-             // If book not found here, delete below will throw P2025 handled globally
-             if (bookToDelete && bookToDelete.author_ids.length > 0) {
-                // 3. Remove book ID from author arrays (similar logic as update)
-                 const authorsToUpdate = await tx.author.findMany({
-                     where: { author_id: { in: bookToDelete.author_ids } },
-                     select: { author_id: true, book_ids: true }
-                 });
-                 for (const author of authorsToUpdate) {
-                     const updatedBookIds = author.book_ids.filter(bid => bid !== id);
-                     await tx.author.update({
-                         where: { author_id: author.author_id },
-                         data: { book_ids: updatedBookIds }
-                     });
-                 }
-             }
-
-            // 4. Delete the book
+            // 2. Delete the book (its author and genre links go with it)
             await tx.book.delete({
                 where: { book_id: id }
             });
@@ -0,0 +1,213 @@
+// src/controllers/bookCopy.controller.js
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../../prisma/client');
+const { addCopies, setCopyStatus, syncBookCounts, MANUAL_COPY_STATUSES, MAX_COPIES_PER_REQUEST, COPY_CONFLICT_MESSAGE } = require('../utils/inventoryHelper');
+const { allocateAvailableCopies, returnCopyToShelf } = require('../utils/holdQueueHelper');
+const prisma = getPrismaClient();
+
+// Helper for success responses
+const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
+
+const COPY_CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BookCopy:
+ *       # Already defined in swagger.js
+ *     BookCopyInput:
+ *       # Already defined in swagger.js
+ *   parameters:
+ *      CopyIdPathParam:
+ *        name: copyId
+ *        in: path
+ *        required: true
+ *        schema: { type: string, format: uuid }
+ *        description: The unique identifier of the book copy.
+ */
+
+/**
+ * @controller BookCopyController
+ */
+
+/**
+ * @method getBookCopies
+ * @description Lists the physical copies of a book, optionally filtered by status or barcode.
+ * @route GET /api/v1/books/{id}/copies
+ * @access Authenticated Users
+ * @tag Books
+ */
+exports.getBookCopies = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { status, barcode } = req.query;
+
+        // Ensure the book exists so an unknown id is a 404 rather than an empty list
+        await prisma.book.findUniqueOrThrow({ where: { book_id: id }, select: { book_id: true } });
+
+        const where = { book_id: id };
+        if (status) where.status = status;
+        if (barcode) where.barcode = barcode;
+
+        const copies = await prisma.bookCopy.findMany({
+            where,
+            orderBy: { created_at: 'asc' },
+        });
+
+        handleSuccess(res, { data: copies });
+    } catch (error) {
+         if (error instanceof Prisma.PrismaClientValidationError) {
+            return res.status(400).json({ success: false, error: { message: "Invalid filter parameter format." } });
+         }
+        // P2025 (NotFound) handled by global handler
+        next(error);
+    }
+};
+
+/**
+ * @method addBookCopies
+ * @description Adds one or more physical copies to a book. Barcodes are generated for copies that don't have one.
+ * New copies go to the holds waiting for the book first (FIFO); the rest are available on the shelf.
+ * @route POST /api/v1/books/{id}/copies
+ * @access Admin, Librarian
+ * @tag Books
+ */
+exports.addBookCopies = async (req, res, next) => {
+    const { id } = req.params;
+    // Accept either { copies: [...] } or a single copy's fields
+    const copyInputs = Array.isArray(req.body?.copies) ? req.body.copies : [req.body ?? {}];
+
+    if (copyInputs.length === 0) {
+        return res.status(400).json({ success: false, error: { message: 'At least one copy is required.' } });
+    }
+    if (copyInputs.length > MAX_COPIES_PER_REQUEST) {
+        return res.status(400).json({ success: false, error: { message: `At most ${MAX_COPIES_PER_REQUEST} copies can be added at once.` } });
+    }
+    const invalidCondition = copyInputs.find(copy => copy.condition !== undefined && !COPY_CONDITIONS.includes(copy.condition));
+    if (invalidCondition) {
+        return res.status(400).json({ success: false, error: { message: `Invalid condition '${invalidCondition.condition}'. Allowed: ${COPY_CONDITIONS.join(', ')}.` } });
+    }
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            const book = await tx.book.findUniqueOrThrow({
+                where: { book_id: id },
+                select: { book_id: true, library_id: true }
+            });
+            const added = await addCopies(tx, book, copyInputs);
+
+            // Members waiting in the hold queue get the new copies first
+            const holdsReady = await allocateAvailableCopies(tx, book.book_id);
+            if (holdsReady.length === 0) {
+                return { ...added, holdsReady };
+            }
+            const [copies, updatedBook] = await Promise.all([
+                tx.bookCopy.findMany({
+                    where: { copy_id: { in: added.copies.map(copy => copy.copy_id) } },
+                    orderBy: { created_at: 'asc' }
+                }),
+                syncBookCounts(tx, book.book_id),
+            ]);
+            return { copies, book: updatedBook, holdsReady };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result, 201);
+    } catch (error) {
+        if (error instanceof Prisma.PrismaClientKnownRequestError) {
+            if (error.code === 'P2002' && error.meta?.target?.includes('barcode')) {
+                return res.status(409).json({ success: false, error: { message: 'Barcode already exists in this library.' } });
+            }
+            if (error.code === 'P2025') {
+                const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+                return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+            }
+        }
+        next(error);
+    }
+};
+
+/**
+ * @method updateBookCopy
+ * @description Updates a copy's barcode, condition or notes, or moves it between shelf statuses
+ * (available, in_repair, withdrawn). Copies that are on loan or on the hold shelf are managed by circulation.
+ * @route PUT /api/v1/books/{id}/copies/{copyId}
+ * @access Admin, Librarian
+ * @tag Books
+ */
+exports.updateBookCopy = async (req, res, next) => {
+    const { id, copyId } = req.params;
+    const { barcode, condition, notes, status } = req.body ?? {};
+
+    if (barcode === undefined && condition === undefined && notes === undefined && status === undefined) {
+        return res.status(400).json({ success: false, error: { message: 'No update data provided (barcode, condition, notes or status required).' } });
+    }
+    if (condition !== undefined && !COPY_CONDITIONS.includes(condition)) {
+        return res.status(400).json({ success: false, error: { message: `Invalid condition '${condition}'. Allowed: ${COPY_CONDITIONS.join(', ')}.` } });
+    }
+    if (status !== undefined && !MANUAL_COPY_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: { message: `Invalid status '${status}'. Allowed: ${MANUAL_COPY_STATUSES.join(', ')}.` } });
+    }
+
+    try {
+        const updatedCopy = await prisma.$transaction(async (tx) => {
+            // 1. Fetch the copy and make sure it belongs to this book
+            const copy = await tx.bookCopy.findUniqueOrThrow({
+                where: { copy_id: copyId },
+            });
+            if (copy.book_id !== id) {
+                throw new Error(`Cannot update copy: Copy ${copyId} does not belong to this book.`);
+            }
+
+            // 2. Update the descriptive fields
+            const updateData = {};
+            if (barcode !== undefined) updateData.barcode = barcode;
+            if (condition !== undefined) updateData.condition = condition;
+            if (notes !== undefined) updateData.notes = notes;
+            let result = Object.keys(updateData).length > 0
+                ? await tx.bookCopy.update({ where: { copy_id: copyId }, data: updateData })
+                : copy;
+
+            // 3. Move the copy between shelf statuses (book counts follow)
+            if (status !== undefined && status !== copy.status) {
+                if (!MANUAL_COPY_STATUSES.includes(copy.status)) {
+                    throw new Error(`Cannot update copy: Copy is '${copy.status}' and is managed by circulation.`);
+                }
+                if (status === 'available') {
+                    // A copy back from repair goes to the next hold in the queue, if anyone is waiting
+                    await returnCopyToShelf(tx, copy);
+                    result = await tx.bookCopy.findUniqueOrThrow({ where: { copy_id: copyId } });
+                } else {
+                    result = await setCopyStatus(tx, copy, status);
+                }
+            }
+
+            return result;
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, updatedCopy);
+    } catch (error) {
+        if (error instanceof Error && error.message.includes('Cannot update copy')) {
+            return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.includes(COPY_CONFLICT_MESSAGE)) {
+            return res.status(409).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError) {
+            if (error.code === 'P2002' && error.meta?.target?.includes('barcode')) {
+                return res.status(409).json({ success: false, error: { message: 'Barcode already exists in this library.' } });
+            }
+            if (error.code === 'P2025') {
+                const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+                return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+            }
+        }
+        next(error);
+    }
+};
@@ -2,35 +2,39 @@
 const { Prisma } = require('@prisma/client');
 const { getPrismaClient } = require('../../prisma/client');
 const { broadcast } = require('../app');
+const { CHECKOUT_RULE_ERRORS, CHECKIN_RULE_ERRORS, isRuleError, calculateDueDate, calculateOverdueDays, cancelReplacementCharge, chargeReplacement, checkinBook, checkoutBook, parseDueDate, releaseRequestedCopy, renewLoan, resolveDueDate, resolveLoanForCheckin, syncOverdueFine, upsertLoanFine, ACTIVE_LOAN_STATUSES } = require('../utils/circulationHelper');
+const { setCopyStatus } = require('../utils/inventoryHelper');
+const { ACTIVE_RESERVATION_STATUSES, closeReservation, removeCopyFromCirculation, returnCopyToShelf } = require('../utils/holdQueueHelper');
+const { loadLibraryCalendar } = require('../utils/calendarHelper');
+const { issueCheckoutReceipt, issueReturnReceipt } = require('../utils/receiptHelper');
+const { isBorrowingBlockedError, sendBorrowingBlocked } = require('../utils/borrowingBlockHelper');
 const prisma = getPrismaClient();
 
 // Helper for success responses
 const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
 
-// Helper to calculate overdue days (excluding the due date itself)
-const calculateOverdueDays = (borrowDate, returnDate, maxBorrowDays) => {
-    if (!borrowDate || !returnDate || !maxBorrowDays || maxBorrowDays <= 0) return 0;
+// Largest number of items accepted by one batch request
+const MAX_BATCH_ITEMS = 50;
 
-    // Calculate the actual due date
-    const dueDate = new Date(borrowDate);
-    dueDate.setDate(dueDate.getDate() + maxBorrowDays);
-    dueDate.setHours(23, 59, 59, 999); // Due at the end of the day
-
-    // Ensure returnDate is a Date object
-    const actualReturnDate = new Date(returnDate);
-
-    if (actualReturnDate <= dueDate) {
-        return 0; // Returned on or before the due date
+/**
+ * Throws unless a librarian acting on a borrow transaction works at its library. Admins may act on any library; members
+ * are limited to their own transactions by the endpoints that allow them.
+ * @param {object} tx - Prisma transaction client
+ * @param {{ id: string, role: string }} requester - The authenticated user (req.user)
+ * @param {string} libraryId - Library of the borrow transaction
+ * @param {string} action - Verb used in the error message
+ */
+const assertLibraryStaff = async (tx, requester, libraryId, action) => {
+    if (requester.role !== 'librarian') return;
+    const librarian = await tx.user.findUniqueOrThrow({
+        where: { user_id: requester.id },
+        select: { library_id: true }
+    });
+    if (librarian.library_id !== libraryId) {
+        throw new Error(`Forbidden: Librarians can only ${action} transactions of their own library.`);
     }
-
-    // Calculate the difference in milliseconds and convert to days
-    const diffTime = actualReturnDate.getTime() - dueDate.getTime();
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)); // Use ceil to count any part of a day as a full day
-
-    return Math.max(0, diffDays); // Ensure non-negative
 };
 
-
 /**
  * @swagger
  * components:
@@ -41,12 +45,72 @@ const calculateOverdueDays = (borrowDate, returnDate, maxBorrowDays) => {
  *       # Already defined in swagger.js (needed for return response)
  *     BorrowInput:
  *       type: object
- *       required: [bookId]
  *       properties:
  *          bookId:
  *             type: string
  *             format: uuid
- *             description: The ID of the book to borrow.
+ *             description: The ID of the book to borrow. May be omitted when copyId or barcode is given.
+ *          userId:
+ *             type: string
+ *             format: uuid
+ *             description: The member checking out the book (Librarian only; members always borrow for themselves).
+ *          copyId:
+ *             type: string
+ *             format: uuid
+ *             description: Specific copy to hand out. Defaults to the member's hold-shelf copy or the next available copy.
+ *          barcode:
+ *             type: string
+ *             description: Barcode of the specific copy to hand out (alternative to copyId).
+ *     RejectBorrowInput:
+ *       type: object
+ *       properties:
+ *          reason:
+ *             type: string
+ *             description: Optional explanation shown to the member.
+ *     AdjustDueDateInput:
+ *       type: object
+ *       required: [dueDate, reason]
+ *       properties:
+ *          dueDate:
+ *             type: string
+ *             format: date
+ *             description: New due date. The loan is due at the end of this day.
+ *          reason:
+ *             type: string
+ *             description: Why the due date was changed (kept on the transaction).
+ *     ReportLostInput:
+ *       type: object
+ *       properties:
+ *          notes:
+ *             type: string
+ *             description: Circumstances of the loss (kept on the transaction).
+ *     ReportDamagedInput:
+ *       type: object
+ *       properties:
+ *          notes:
+ *             type: string
+ *             description: Description of the damage (kept on the transaction and the copy).
+ *          writeOff:
+ *             type: boolean
+ *             default: false
+ *             description: The copy can't be repaired. It is withdrawn and the member is charged the replacement cost and processing fee.
+ *          damageCharge:
+ *             type: number
+ *             format: float
+ *             description: Repair charge for a copy that is kept (sent to repair). Ignored when writeOff is true.
+ *     IncidentResponse:
+ *       type: object
+ *       properties:
+ *          transaction:
+ *             $ref: '#/components/schemas/BorrowTransaction'
+ *          fines:
+ *             type: array
+ *             items: { $ref: '#/components/schemas/Fine' }
+ *             description: Fines charged or finalised for this incident.
+ *          requeuedHold:
+ *             allOf: [{ $ref: '#/components/schemas/Reservation' }]
+ *             nullable: true
+ *             description: Damage reports only. The hold a damaged copy had been set aside for; it is back in the queue, or was given another copy.
  *     ReturnResponse:
  *       type: object
  *       properties:
@@ -56,6 +120,80 @@ const calculateOverdueDays = (borrowDate, returnDate, maxBorrowDays) => {
  *             $ref: '#/components/schemas/Fine'
  *             nullable: true
  *             description: Details of the fine generated, if any.
+ *          holdReady:
+ *             $ref: '#/components/schemas/Reservation'
+ *             nullable: true
+ *             description: The first hold in the book's queue, if any. The returned copy is allocated to it; put the copy on the hold shelf and mark the reservation ready.
+ *          receipt:
+ *             $ref: '#/components/schemas/Receipt'
+ *             description: Return receipt, listing the fine if one was charged.
+ *     BatchCheckoutInput:
+ *       type: object
+ *       required: [userId, items]
+ *       properties:
+ *          userId:
+ *             type: string
+ *             format: uuid
+ *             description: The member checking out the books.
+ *          items:
+ *             type: array
+ *             maxItems: 50
+ *             description: One entry per book in the stack. Each needs a bookId, copyId or barcode.
+ *             items:
+ *                type: object
+ *                properties:
+ *                   bookId: { type: string, format: uuid }
+ *                   copyId: { type: string, format: uuid }
+ *                   barcode: { type: string }
+ *     BatchCheckinInput:
+ *       type: object
+ *       required: [items]
+ *       properties:
+ *          items:
+ *             type: array
+ *             maxItems: 50
+ *             description: One entry per returned book, identified by barcode, copyId, borrowId or bookId (add userId if several members have the book).
+ *             items:
+ *                type: object
+ *                properties:
+ *                   barcode: { type: string }
+ *                   copyId: { type: string, format: uuid }
+ *                   borrowId: { type: string, format: uuid }
+ *                   bookId: { type: string, format: uuid }
+ *                   userId: { type: string, format: uuid }
+ *     BatchCirculationResponse:
+ *       type: object
+ *       properties:
+ *          results:
+ *             type: array
+ *             description: Outcome of each item, in request order.
+ *             items:
+ *                type: object
+ *                properties:
+ *                   index: { type: integer }
+ *                   success: { type: boolean }
+ *                   transaction: { $ref: '#/components/schemas/BorrowTransaction' }
+ *                   fineGenerated: { $ref: '#/components/schemas/Fine' }
+ *                   holdReady: { $ref: '#/components/schemas/Reservation' }
+ *                   receipt: { $ref: '#/components/schemas/Receipt' }
+ *                   error: { type: string, description: 'Why the item was refused' }
+ *          receipt:
+ *             type: object
+ *             description: Consolidated summary covering the items that succeeded, with each item's receipt_number (also sent as the WebSocket event payload).
+ *             properties:
+ *                type: { type: string, enum: [checkout, checkin] }
+ *                library_id: { type: string, format: uuid }
+ *                processed_by: { type: string, format: uuid }
+ *                processed_at: { type: string, format: date-time }
+ *                member: { type: object, description: 'Checkout only' }
+ *                items: { type: array, items: { type: object } }
+ *                total_fines: { type: number, description: 'Checkin only' }
+ *                summary:
+ *                   type: object
+ *                   properties:
+ *                      requested: { type: integer }
+ *                      succeeded: { type: integer }
+ *                      failed: { type: integer }
  *     PaginationInfo:
  *       # Already defined in swagger.js
  *   parameters:
@@ -74,134 +212,54 @@ const calculateOverdueDays = (borrowDate, returnDate, maxBorrowDays) => {
 
 /**
  * @method borrowBook
- * @description Creates a borrow transaction for the authenticated user. Checks availability, user limits, and handles reservations.
+ * @description Creates a borrow transaction. Checks availability, user limits, and handles reservations.
+ * The loan is tied to a specific copy: the scanned copy (copyId/barcode), the copy held on the hold shelf for the member, or the next available copy.
+ * Members submit a 'requested' transaction that holds a copy until a librarian approves or rejects it (or it expires).
+ * Librarians checking out on behalf of a member create a 'borrowed' transaction directly, and get a checkout receipt for it.
  * @route POST /api/v1/borrow-transactions
- * @access Member
+ * @access Member, Librarian
  * @tag Borrow Transactions
  */
 exports.borrowBook = async (req, res, next) => {
-    const { bookId,userId } = req.body;
+    const { bookId, copyId, barcode } = req.body;
+    const isRequest = req.user.role === 'member';
+    // Members can only borrow for themselves; librarians specify the member in the body
+    const userId = isRequest ? req.user.id : req.body.userId;
 
-    if (!bookId) {
-        return res.status(400).json({ success: false, error: { message: 'bookId is required.' } });
+    if (!bookId && !copyId && !barcode) {
+        return res.status(400).json({ success: false, error: { message: 'bookId (or copyId/barcode) is required.' } });
+    }
+    if (!userId) {
+        return res.status(400).json({ success: false, error: { message: 'userId is required.' } });
     }
 
     try {
-        const newTransaction = await prisma.$transaction(async (tx) => {
-            // 1. Fetch necessary data concurrently
-            const [user, book, reservation] = await Promise.all([
-                tx.user.findUniqueOrThrow({ // Ensure user exists and is active
-                    where: { user_id: userId, is_active: true },
-                     select: { user_id: true, library_id: true, borrowed_book_ids: true, reserved_book_ids: true }
-                }),
-                tx.book.findUniqueOrThrow({ // Ensure book exists
-                    where: { book_id: bookId },
-                    select: { book_id: true, library_id: true, available_copies: true, reserved_copies: true }
-                }),
-                 // Check if this user has an active reservation for this book
-                 tx.reservation.findFirst({
-                     where: { user_id:userId, book_id: bookId },
-                 })
-            ]);
-
-            // Basic check: User and Book belong to the same library? (Assuming single library context per transaction for now)
-            // This might need refinement if users can borrow from other libraries
-            if (user.library_id !== book.library_id) {
-                throw new Error(`User and Book belong to different libraries. Cross-library borrowing not implemented.`);
-            }
-
-             // 2. Fetch library policy
-             const policy = await tx.policy.findUniqueOrThrow({
-                 where: { library_id: user.library_id }, // Assumes policy exists for the user's library
-             });
-
-             // 3. Perform validation checks
-             if (user.borrowed_book_ids.includes(bookId)) {
-                 throw new Error(`User has already borrowed this book and not returned it.`);
-             }
-             if (user.borrowed_book_ids.length >= policy.max_books_per_user) {
-                throw new Error(`User has reached the borrowing limit of ${policy.max_books_per_user} books.`);
-             }
-
-            let availableToBorrow = book.available_copies;
-            let reservedDecrement = 0;
-
-             // Handle reservation logic
-             if (reservation) {
-                 // User has a reservation. They can borrow even if available_copies is 0, consuming a reserved copy.
-                 if (book.reserved_copies <= 0) {
-                     // Data inconsistency? Reservation exists but no reserved copies? Log error.
-                     console.error(`Inconsistency: Reservation found for user ${userId} book ${bookId}, but reserved_copies is ${book.reserved_copies}`);
-                     // Decide how to handle - maybe still allow borrow if total > borrowed? For now, block.
-                      throw new Error(`Book is reserved but no reserved copies available. Please contact library staff.`);
-                 }
-                 reservedDecrement = 1; // We will decrement reserved copies
-             } else {
-                 // No reservation, standard borrow check
-                 if (availableToBorrow <= 0) {
-                     throw new Error(`Book is not available for borrowing (0 available copies).`);
-                 }
-             }
-
-
-            // 4. Perform updates
-            // a) Update book counts
-            await tx.book.update({
-                where: { book_id: bookId },
-                data: {
-                    available_copies: { decrement: (reservedDecrement === 0 ? 1 : 0) }, // Decrement available only if NOT borrowing a reserved copy
-                    reserved_copies: { decrement: reservedDecrement }, // Decrement reserved if borrowing reserved copy
-                }
-            });
-
-            // b) Update user's borrowed list (and potentially reserved list)
-            const updatedUserData = { borrowed_book_ids: { push: bookId } };
-             if (reservation) {
-                updatedUserData.reserved_book_ids = user.reserved_book_ids.filter(id => id !== bookId); // Remove book from reserved list
-             }
-             await tx.user.update({
-                where: { user_id: userId },
-                data: updatedUserData
-             });
-
-            // c) Delete the reservation if it existed
-            if (reservation) {
-                 await tx.reservation.delete({
-                     where: { reservation_id: reservation.reservation_id }
-                 });
-            }
-
-            // d) Create the borrow transaction record
-            const borrowRecord = await tx.borrowTransaction.create({
-                data: {
-                    user_id: userId,
-                    book_id: bookId,
-                    library_id: user.library_id, // <<<<<<<<<<<<<< ADD library_id HERE
-                    status: 'borrowed',    // Set status to 'borrowed' (or your default)
-                    // borrow_date defaults to now() via schema
-                }
-            });
-
-
-
-            return borrowRecord; // Return the created transaction
-
+        const { newTransaction, receipt } = await prisma.$transaction(async (tx) => {
+            const transaction = await checkoutBook(tx, { userId, bookId, copyId, barcode, isRequest });
+            // Requests get their receipt when approved and the book actually goes out
+            const checkoutReceipt = transaction.status === 'borrowed'
+                ? await issueCheckoutReceipt(tx, transaction, { issuedBy: req.user.id })
+                : null;
+            return { newTransaction: transaction, receipt: checkoutReceipt };
         }, {
              maxWait: 10000, // Allow 10 seconds for the transaction
              timeout: 20000, // Overall timeout
         }); // End transaction
         const broadcastMessage = {
-            type : 'borrow',
+            type : isRequest ? 'borrowRequest' : 'borrow',
             data : newTransaction
         }
         broadcast(JSON.stringify(broadcastMessage),{});
-        handleSuccess(res, newTransaction, 201);
+        handleSuccess(res, { ...newTransaction, receipt }, 201);
 
     } catch (error) {
          // Handle specific errors thrown within the transaction
          console.error('Error during borrow transaction:', error); // Log the error for debugging
          
-         if (error instanceof Error && (error.message.includes('borrowed this book') || error.message.includes('borrowing limit') || error.message.includes('not available') || error.message.includes('different libraries') || error.message.includes('reserved copies available'))) {
+         if (isBorrowingBlockedError(error)) {
+            return sendBorrowingBlocked(res, error);
+         }
+         if (isRuleError(error, CHECKOUT_RULE_ERRORS)) {
             return res.status(400).json({ success: false, error: { message: error.message } });
          }
          // Handle Prisma 'RecordNotFound' errors if findUniqueOrThrow was used incorrectly or for policy/user/book lookups
@@ -217,6 +275,8 @@ exports.borrowBook = async (req, res, next) => {
 /**
  * @method returnBook
  * @description Marks a borrow transaction as returned, updates book availability, and potentially generates a fine if overdue.
+ * The returned copy goes to the first hold waiting for the book (FIFO), if any, instead of back on the open shelf.
+ * A return receipt listing any fine is issued.
  * @route PUT /api/v1/borrow-transactions/{borrowId}/return
  * @access Member (own), Librarian (any in their library)
  * @tag Borrow Transactions
@@ -228,117 +288,247 @@ exports.returnBook = async (req, res, next) => {
 
     try {
         const result = await prisma.$transaction(async (tx) => {
-            // 1. Fetch the transaction and related data
-            const transaction = await tx.borrowTransaction.findUniqueOrThrow({
-                where: { borrow_id: borrowId },
-                include: {
-                    user: { select: { user_id: true, library_id: true, borrowed_book_ids: true } }, // Include library_id for policy lookup
-                    book: { select: { book_id: true, library_id: true } } // Include library_id for sanity check
-                }
+            const checkin = await checkinBook(tx, borrowId, { requestingUserId, requestingUserRole });
+            const receipt = await issueReturnReceipt(tx, checkin.transaction, checkin.fineGenerated, {
+                issuedBy: requestingUserRole === 'member' ? undefined : requestingUserId
             });
+            return { ...checkin, receipt };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
 
-            // 2. Authorization check: Member can only return their own, Librarian can return any
-            if (requestingUserRole === 'member' && transaction.user_id !== requestingUserId) {
-                 throw new Error(`Forbidden: You can only return your own borrowed books.`); // Custom forbidden error
-            }
-            // Optional: Add check if Librarian belongs to the same library as the transaction
+        if (result.holdReady) {
+            broadcast(JSON.stringify({ type: 'reservationAllocated', data: result.holdReady }), {});
+        }
+        handleSuccess(res, result); // Send back object containing transaction, potential fine, the hold now ready and the receipt
 
-            // 3. Validation checks
-            if (transaction.status === 'returned') {
-                throw new Error(`This transaction has already been marked as returned.`);
-            }
-            // Optional: Check if user and book library match, though less critical on return
-            // if (transaction.user.library_id !== transaction.book.library_id) { ... }
+    } catch (error) {
+         // Handle specific errors thrown within the transaction
+         if (isRuleError(error, CHECKIN_RULE_ERRORS)) {
+            return res.status(400).json({ success: false, error: { message: error.message } });
+         }
+          // Handle Not Found errors for transaction or policy
+         if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+              const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+              return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+         }
+        next(error);
+    }
+};
 
-             // 4. Fetch the library policy for fine calculation
-             const policy = await tx.policy.findUniqueOrThrow({
-                 where: { library_id: transaction.user.library_id },
-             });
 
+// Describes why one item of a batch failed, without leaking unexpected internals
+const describeBatchError = (error, ruleErrors) => {
+    if (isRuleError(error, ruleErrors) || isBorrowingBlockedError(error)) return error.message;
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        return `${error.meta?.modelName || error.meta?.cause || 'Required record'} not found.`;
+    }
+    console.error('Unexpected error in batch circulation item:', error);
+    return 'Unexpected error while processing this item.';
+};
 
-            // 5. Determine return date and new status
-            const returnDate = new Date(); // Use current server time as return date
-            let newStatus = 'returned';
+/**
+ * @method batchCheckout
+ * @description Checks out a stack of books to one member at the circulation desk.
+ * The member must belong to the librarian's library (admins may check out to any member).
+ * Each item is validated and processed on its own (same rules as borrowBook), so one failing item doesn't block the rest.
+ * Every item that goes out gets its own numbered checkout receipt, like borrowBook.
+ * Responds with per-item results and one consolidated summary, and emits a single 'batchCheckout' WebSocket event.
+ * @route POST /api/v1/borrow-transactions/batch/checkout
+ * @access Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.batchCheckout = async (req, res, next) => {
+    const { userId, items } = req.body ?? {};
 
-            // 6. Calculate overdue days and fine
-            const overdueDays = calculateOverdueDays(transaction.borrow_date, returnDate, policy.max_borrow_days);
-            let fineGenerated = null;
+    if (!userId) {
+        return res.status(400).json({ success: false, error: { message: 'userId is required.' } });
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ success: false, error: { message: 'items must be a non-empty array.' } });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({ success: false, error: { message: `A batch can contain at most ${MAX_BATCH_ITEMS} items.` } });
+    }
 
-            if (overdueDays > 0) {
-                newStatus = 'overdue'; // Mark as overdue even if returned now, fine applies
-                const fineAmount = overdueDays * parseFloat(policy.fine_per_day); // Ensure fine_per_day is treated as number
+    try {
+        const member = await prisma.user.findUniqueOrThrow({
+            where: { user_id: userId },
+            select: { user_id: true, library_id: true, name: true, email: true }
+        });
+        if (req.user.role === 'librarian') {
+            const librarian = await prisma.user.findUniqueOrThrow({
+                where: { user_id: req.user.id },
+                select: { library_id: true }
+            });
+            if (librarian.library_id !== member.library_id) {
+                return res.status(403).json({ success: false, error: { message: 'Forbidden: Librarians can only check out books to members of their own library.' } });
+            }
+        }
 
-                // Create fine record
-                fineGenerated = await tx.fine.create({
-                    data: {
-                        borrow_id: transaction.borrow_id,
-                        user_id: transaction.user_id,
-                        book_id: transaction.book_id,
-                        library_id: transaction.user.library_id, // Use library from user/transaction context
-                        amount: fineAmount,
-                        reason: `Returned ${overdueDays} day(s) late.`,
-                        is_paid: false,
-                        // fine_date defaults to now()
-                    }
+        // 1. Process items one by one; later items see the borrowing limit used up by earlier ones
+        const results = [];
+        for (const [index, item] of items.entries()) {
+            const { bookId, copyId, barcode } = item ?? {};
+            if (!bookId && !copyId && !barcode) {
+                results.push({ index, success: false, error: 'bookId (or copyId/barcode) is required.' });
+                continue;
+            }
+            try {
+                const { transaction, receipt } = await prisma.$transaction(async (tx) => {
+                    const transaction = await checkoutBook(tx, { userId, bookId, copyId, barcode });
+                    const receipt = await issueCheckoutReceipt(tx, transaction, { issuedBy: req.user.id });
+                    return { transaction, receipt };
+                }, {
+                     maxWait: 10000,
+                     timeout: 20000,
                 });
-                 // If fine is generated, keep status 'overdue' until fine is paid?
-                 // Or mark 'returned' here and let fine be tracked separately?
-                 // Decision: Mark transaction 'returned' now, fine is separate record.
-                 newStatus = 'returned'; // Override back to returned
+                results.push({ index, success: true, transaction, receipt });
+            } catch (error) {
+                results.push({ index, bookId, barcode, success: false, error: describeBatchError(error, CHECKOUT_RULE_ERRORS) });
             }
+        }
 
-            // 7. Perform updates
-            // a) Update transaction status and return date
-             const updatedTransaction = await tx.borrowTransaction.update({
-                where: { borrow_id: borrowId },
-                data: {
-                    status: newStatus,
-                    return_date: returnDate,
-                }
-            });
+        // 2. Build the consolidated summary from the items that went out
+        const checkedOut = results.filter(result => result.success).map(result => result.transaction);
+        const receiptNumbers = new Map(results.filter(result => result.success).map(result => [result.transaction.borrow_id, result.receipt.receipt_number]));
+        const [books, copies] = await Promise.all([
+            prisma.book.findMany({
+                where: { book_id: { in: checkedOut.map(transaction => transaction.book_id) } },
+                select: { book_id: true, title: true }
+            }),
+            prisma.bookCopy.findMany({
+                where: { copy_id: { in: checkedOut.map(transaction => transaction.copy_id) } },
+                select: { copy_id: true, barcode: true }
+            }),
+        ]);
+        const receipt = {
+            type: 'checkout',
+            library_id: member.library_id,
+            processed_by: req.user.id,
+            processed_at: new Date(),
+            member: { user_id: member.user_id, name: member.name, email: member.email },
+            items: checkedOut.map(transaction => ({
+                borrow_id: transaction.borrow_id,
+                book_id: transaction.book_id,
+                title: books.find(book => book.book_id === transaction.book_id)?.title ?? null,
+                barcode: copies.find(copy => copy.copy_id === transaction.copy_id)?.barcode ?? null,
+                due_date: transaction.due_date,
+                receipt_number: receiptNumbers.get(transaction.borrow_id),
+            })),
+            summary: { requested: items.length, succeeded: checkedOut.length, failed: items.length - checkedOut.length },
+        };
+
+        if (checkedOut.length > 0) {
+            broadcast(JSON.stringify({ type: 'batchCheckout', data: receipt }), {});
+        }
+        handleSuccess(res, { results, receipt });
 
-            // b) Update book availability
-            await tx.book.update({
-                where: { book_id: transaction.book_id },
-                data: {
-                    available_copies: { increment: 1 } // Make one copy available again
-                    // Should reserved_copies be touched? No, return adds to available pool.
-                }
-            });
+    } catch (error) {
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+        next(error);
+    }
+};
 
-            // c) Update user's borrowed list
-            const updatedBorrowedIds = transaction.user.borrowed_book_ids.filter(id => id !== transaction.book_id);
-            await tx.user.update({
-                where: { user_id: transaction.user_id },
-                data: {
-                    borrowed_book_ids: updatedBorrowedIds
-                }
-            });
+/**
+ * @method batchCheckin
+ * @description Checks in a stack of returned books. Items are identified by barcode, copyId, borrowId or bookId (+ optional userId).
+ * Each item is processed on its own (same rules as returnBook, including overdue fines) and gets its own numbered return receipt.
+ * Responds with per-item results and one consolidated summary, and emits a single 'batchCheckin' WebSocket event.
+ * @route POST /api/v1/borrow-transactions/batch/checkin
+ * @access Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.batchCheckin = async (req, res, next) => {
+    const { items } = req.body ?? {};
 
-            return { transaction: updatedTransaction, fineGenerated }; // Return both updated transaction and any fine
+    if (!Array.isArray(items) || items.length === 0) {
+        return res.status(400).json({ success: false, error: { message: 'items must be a non-empty array.' } });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+        return res.status(400).json({ success: false, error: { message: `A batch can contain at most ${MAX_BATCH_ITEMS} items.` } });
+    }
 
-        }, {
-             maxWait: 10000,
-             timeout: 20000,
-        }); // End transaction
+    try {
+        // Scanned barcodes are resolved within the desk's own library
+        const librarian = await prisma.user.findUniqueOrThrow({
+            where: { user_id: req.user.id },
+            select: { library_id: true }
+        });
 
-        handleSuccess(res, result); // Send back object containing transaction and potential fine
+        // 1. Process items one by one
+        const results = [];
+        for (const [index, item] of items.entries()) {
+            try {
+                const { transaction, fineGenerated, holdReady, receipt } = await prisma.$transaction(async (tx) => {
+                    const borrowId = await resolveLoanForCheckin(tx, item ?? {}, librarian.library_id);
+                    const checkin = await checkinBook(tx, borrowId, { requestingUserId: req.user.id, requestingUserRole: req.user.role });
+                    const receipt = await issueReturnReceipt(tx, checkin.transaction, checkin.fineGenerated, { issuedBy: req.user.id });
+                    return { ...checkin, receipt };
+                }, {
+                     maxWait: 10000,
+                     timeout: 20000,
+                });
+                results.push({ index, success: true, transaction, fineGenerated, holdReady, receipt });
+            } catch (error) {
+                results.push({ index, ...item, success: false, error: describeBatchError(error, CHECKIN_RULE_ERRORS) });
+            }
+        }
+
+        // 2. Build the consolidated summary from the items that came back
+        const returned = results.filter(result => result.success);
+        const [books, copies, members] = await Promise.all([
+            prisma.book.findMany({
+                where: { book_id: { in: returned.map(result => result.transaction.book_id) } },
+                select: { book_id: true, title: true }
+            }),
+            prisma.bookCopy.findMany({
+                where: { copy_id: { in: returned.map(result => result.transaction.copy_id).filter(Boolean) } },
+                select: { copy_id: true, barcode: true }
+            }),
+            prisma.user.findMany({
+                where: { user_id: { in: returned.map(result => result.transaction.user_id) } },
+                select: { user_id: true, name: true, email: true }
+            }),
+        ]);
+        const receipt = {
+            type: 'checkin',
+            library_id: librarian.library_id,
+            processed_by: req.user.id,
+            processed_at: new Date(),
+            items: returned.map(({ transaction, fineGenerated, holdReady, receipt }) => ({
+                borrow_id: transaction.borrow_id,
+                book_id: transaction.book_id,
+                title: books.find(book => book.book_id === transaction.book_id)?.title ?? null,
+                barcode: copies.find(copy => copy.copy_id === transaction.copy_id)?.barcode ?? null,
+                member: members.find(member => member.user_id === transaction.user_id) ?? null,
+                return_date: transaction.return_date,
+                fine_amount: fineGenerated ? parseFloat(fineGenerated.amount) : 0,
+                hold_ready: Boolean(holdReady), // Copy goes to the hold shelf, not back on the open shelf
+                receipt_number: receipt.receipt_number,
+            })),
+            total_fines: returned.reduce((sum, result) => sum + (result.fineGenerated ? parseFloat(result.fineGenerated.amount) : 0), 0),
+            summary: { requested: items.length, succeeded: returned.length, failed: items.length - returned.length },
+        };
+
+        if (returned.length > 0) {
+            broadcast(JSON.stringify({ type: 'batchCheckin', data: receipt }), {});
+        }
+        handleSuccess(res, { results, receipt });
 
     } catch (error) {
-         // Handle specific errors thrown within the transaction
-         if (error instanceof Error && (error.message.includes('already been marked') || error.message.includes('Forbidden'))) {
-            return res.status(400).json({ success: false, error: { message: error.message } });
-         }
-          // Handle Not Found errors for transaction or policy
-         if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
-              const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
-              return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
-         }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
         next(error);
     }
 };
 
-
 /**
  * @method getAllBorrowTransactions
  * @description Retrieves a paginated list of borrow transactions. Admins/Librarians see all, Members see only their own.
@@ -357,7 +547,7 @@ exports.getAllBorrowTransactions = async (req, res, next) => {
         const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
         const skip = (page - 1) * limit;
 
-        const allowedSortBy = ['borrow_date', 'return_date', 'status'];
+        const allowedSortBy = ['borrow_date', 'due_date', 'return_date', 'status'];
         const sortBy = allowedSortBy.includes(req.query.sortBy) ? req.query.sortBy : 'borrow_date';
         const sortOrder = req.query.sortOrder === 'asc' ? 'asc' : 'desc';
 
@@ -439,7 +629,7 @@ exports.getBorrowTransactionById = async (req, res, next) => {
              include: { // Include more details for single view
                  user: { select: { user_id: true, name: true, email: true, library_id: true } },
                  book: { select: { book_id: true, title: true, isbn: true, library_id: true } },
-                 fine: true // Include associated fine if it exists
+                 fines: true // Include associated fines (overdue, replacement, ...) if any
              }
         });
 
@@ -449,7 +639,11 @@ exports.getBorrowTransactionById = async (req, res, next) => {
              return res.status(403).json({ success: false, error: { message: "Forbidden: You can only view your own borrow transactions." } });
         }
 
-        handleSuccess(res, transaction);
+        // `fine` is kept for clients that predate multiple fines per loan
+        handleSuccess(res, {
+            ...transaction,
+            fine: transaction.fines.find(fine => fine.fine_type === 'overdue') ?? null,
+        });
 
     } catch (error) {
         // P2025 (NotFound) handled by global handler
@@ -478,6 +672,7 @@ exports.cancelBorrow = async (req, res, next) => {
                     borrow_id: true,
                     user_id: true,
                     book_id: true,
+                    copy_id: true,
                     status: true,
                     // Include user's borrowed_book_ids for update logic
                     user: { select: { user_id: true, borrowed_book_ids: true } }
@@ -500,17 +695,11 @@ exports.cancelBorrow = async (req, res, next) => {
                 where: { borrow_id: transaction.borrow_id }
             });
 
-            // 5. Update Book Availability: Increment available copies
-            // Note: We assume cancelling a borrow always returns the book to the 'available' pool.
-            // If it was borrowed from a reservation, this logic might need refinement depending on desired behavior.
-            // For simplicity, we just increment available_copies.
-            await tx.book.update({
-                where: { book_id: transaction.book_id },
-                data: {
-                    available_copies: { increment: 1 }
-                    // Do not decrement reserved_copies here unless specific logic requires it.
-                }
-            });
+            // 5. Put the held copy back on the shelf, or to the next hold in the queue (book counts follow the copy)
+            // Note: A hold the member had on the book is still open, so they get the copy back if they're first in line.
+            if (transaction.copy_id) {
+                await returnCopyToShelf(tx, { copy_id: transaction.copy_id, book_id: transaction.book_id });
+            }
 
             // 6. Update User's borrowed list: Remove the book ID
             if (transaction.user) { // Check if user data was successfully fetched
@@ -542,9 +731,573 @@ exports.cancelBorrow = async (req, res, next) => {
         }
          // Handle Not Found errors for transaction
         if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
-             const entity = error.meta?.modelName || error.meta?.cause || 'Borrow transaction';
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+       next(error);
+    }
+};
+
+/**
+ * @method approveBorrowRequest
+ * @description Approves a pending borrow request. The held copy is handed out, the loan period starts now and a checkout receipt is issued.
+ * @route PUT /api/v1/borrow-transactions/{borrowId}/approve
+ * @access Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.approveBorrowRequest = async (req, res, next) => {
+    const { borrowId } = req.params;
+
+    try {
+        const approvedTransaction = await prisma.$transaction(async (tx) => {
+            // 1. Fetch the request
+            const transaction = await tx.borrowTransaction.findUniqueOrThrow({
+                where: { borrow_id: borrowId },
+                select: { borrow_id: true, user_id: true, book_id: true, library_id: true, status: true, request_expires_at: true }
+            });
+
+            // 2. Validation: only this library's pending, unexpired requests can be approved
+            await assertLibraryStaff(tx, req.user, transaction.library_id, 'approve');
+            if (transaction.status !== 'requested') {
+                throw new Error(`Cannot approve transaction: Status is '${transaction.status}'. Only 'requested' transactions can be approved.`);
+            }
+            if (transaction.request_expires_at && transaction.request_expires_at < new Date()) {
+                // The expiry job releases the copy; don't hand it out here
+                throw new Error(`Cannot approve transaction: The request expired at ${transaction.request_expires_at.toISOString()}.`);
+            }
+
+            // 3. Fetch the library policy and opening calendar for the loan period
+            const [policy, calendar] = await Promise.all([
+                tx.policy.findUniqueOrThrow({
+                    where: { library_id: transaction.library_id },
+                }),
+                loadLibraryCalendar(tx, transaction.library_id),
+            ]);
+
+            // 4. Mark as borrowed. Copy counts and the user's borrowed list were already updated when the request was made.
+            const now = new Date();
+            const borrowed = await tx.borrowTransaction.update({
+                where: { borrow_id: borrowId },
+                data: {
+                    status: 'borrowed',
+                    borrow_date: now, // Loan period starts when the book leaves the desk
+                    due_date: calculateDueDate(now, policy.max_borrow_days, calendar),
+                    request_expires_at: null,
+                    reviewed_by: req.user.id,
+                    reviewed_at: now,
+                }
+            });
+
+            // 5. The member's hold on the book (left open by the request, see checkoutBook) is used up now.
+            //    A copy it was given meanwhile goes on to the next hold
+            const reservation = await tx.reservation.findFirst({
+                where: { user_id: transaction.user_id, book_id: transaction.book_id, status: { in: ACTIVE_RESERVATION_STATUSES } },
+            });
+            if (reservation) {
+                await closeReservation(tx, reservation, 'picked_up');
+            }
+
+            // 6. The book goes out now, so this is when the member gets the checkout receipt
+            const receipt = await issueCheckoutReceipt(tx, borrowed, { issuedBy: req.user.id });
+            return { ...borrowed, receipt };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        const { receipt, ...transactionData } = approvedTransaction;
+        broadcast(JSON.stringify({ type: 'borrowApproved', data: transactionData }), {});
+        handleSuccess(res, approvedTransaction);
+
+    } catch (error) {
+        if (error instanceof Error && error.message.includes('Forbidden')) {
+           return res.status(403).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.includes('Cannot approve transaction')) {
+           return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+       next(error);
+    }
+};
+
+/**
+ * @method rejectBorrowRequest
+ * @description Rejects a pending borrow request. The held copy returns to the available pool and the member's borrow slot is freed.
+ * @route PUT /api/v1/borrow-transactions/{borrowId}/reject
+ * @access Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.rejectBorrowRequest = async (req, res, next) => {
+    const { borrowId } = req.params;
+    const { reason } = req.body ?? {};
+
+    try {
+        const rejectedTransaction = await prisma.$transaction(async (tx) => {
+            // 1. Fetch the request
+            const transaction = await tx.borrowTransaction.findUniqueOrThrow({
+                where: { borrow_id: borrowId },
+                select: { borrow_id: true, user_id: true, book_id: true, library_id: true, copy_id: true, status: true }
+            });
+
+            // 2. Validation: only this library's pending requests can be rejected
+            await assertLibraryStaff(tx, req.user, transaction.library_id, 'reject');
+            if (transaction.status !== 'requested') {
+                throw new Error(`Cannot reject transaction: Status is '${transaction.status}'. Only 'requested' transactions can be rejected.`);
+            }
+
+            // 3. Release the held copy and record who rejected it
+            return releaseRequestedCopy(tx, transaction, 'rejected', {
+                reviewed_by: req.user.id,
+                reviewed_at: new Date(),
+                rejection_reason: reason ?? null,
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        broadcast(JSON.stringify({ type: 'borrowRejected', data: rejectedTransaction }), {});
+        handleSuccess(res, rejectedTransaction);
+
+    } catch (error) {
+        if (error instanceof Error && error.message.includes('Forbidden')) {
+           return res.status(403).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.includes('Cannot reject transaction')) {
+           return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+       next(error);
+    }
+};
+
+
+/**
+ * @method renewBorrow
+ * @description Renews an active loan, extending its due date by the policy's renewal period.
+ * Refused when the loan is overdue, the renewal limit is reached, another member has reserved the book, or the member
+ * is blocked for unpaid fines or overdue items (403 with code BORROWING_BLOCKED).
+ * @route PUT /api/v1/borrow-transactions/{borrowId}/renew
+ * @access Member (own), Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.renewBorrow = async (req, res, next) => {
+    const { borrowId } = req.params;
+    const requestingUserId = req.user.id;
+    const requestingUserRole = req.user.role;
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            return renewLoan(tx, borrowId, { requestingUserId, requestingUserRole });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result);
+
+    } catch (error) {
+        if (isBorrowingBlockedError(error)) {
+           return sendBorrowingBlocked(res, error);
+        }
+        if (error instanceof Error && error.message.includes('Forbidden')) {
+           return res.status(403).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.includes('Cannot renew transaction')) {
+           return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+       next(error);
+    }
+};
+
+
+/**
+ * @method adjustDueDate
+ * @description Manually sets the due date of an active loan (e.g. extension for a sick member). Requires a reason, which is stored with the librarian who made the change.
+ * Any unpaid running fine is recalculated against the new due date.
+ * @route PUT /api/v1/borrow-transactions/{borrowId}/due-date
+ * @access Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.adjustDueDate = async (req, res, next) => {
+    const { borrowId } = req.params;
+    const { dueDate, reason } = req.body ?? {};
+
+    if (!dueDate || !reason) {
+        return res.status(400).json({ success: false, error: { message: 'dueDate and reason are required.' } });
+    }
+    const newDueDate = parseDueDate(dueDate); // Due at the end of that day, same as computed due dates
+    if (!newDueDate) {
+        return res.status(400).json({ success: false, error: { message: 'dueDate must be a valid date.' } });
+    }
+
+    try {
+        const updatedTransaction = await prisma.$transaction(async (tx) => {
+            // 1. Fetch the transaction
+            const transaction = await tx.borrowTransaction.findUniqueOrThrow({
+                where: { borrow_id: borrowId },
+                select: { borrow_id: true, user_id: true, book_id: true, library_id: true, status: true, borrow_date: true }
+            });
+
+            // 2. Validation: only this library's loans that are still out have a meaningful due date
+            await assertLibraryStaff(tx, req.user, transaction.library_id, 'adjust due dates of');
+            if (!ACTIVE_LOAN_STATUSES.includes(transaction.status)) {
+                throw new Error(`Cannot adjust due date: Status is '${transaction.status}'. Only borrowed or overdue loans can be adjusted.`);
+            }
+            if (newDueDate < transaction.borrow_date) {
+                throw new Error(`Cannot adjust due date: The due date cannot be before the borrow date.`);
+            }
+
+            // 3. Bring the running fine in line with the new due date
+            const [policy, calendar] = await Promise.all([
+                tx.policy.findUniqueOrThrow({
+                    where: { library_id: transaction.library_id },
+                }),
+                loadLibraryCalendar(tx, transaction.library_id),
+            ]);
+            const now = new Date();
+            const overdueDays = calculateOverdueDays(newDueDate, now, calendar);
+            // No longer late (or within the grace period) drops any unpaid fine accrued against the old due date
+            await syncOverdueFine(tx, transaction, overdueDays, policy, `Overdue by ${overdueDays} day(s).`);
+
+            // 4. Store the new due date and who changed it
+            return tx.borrowTransaction.update({
+                where: { borrow_id: borrowId },
+                data: {
+                    due_date: newDueDate,
+                    status: overdueDays > 0 ? 'overdue' : 'borrowed',
+                    due_date_adjusted_by: req.user.id,
+                    due_date_adjusted_at: now,
+                    due_date_adjustment_reason: reason,
+                }
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, updatedTransaction);
+
+    } catch (error) {
+        if (error instanceof Error && error.message.includes('Forbidden')) {
+           return res.status(403).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.includes('Cannot adjust due date')) {
+           return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+       next(error);
+    }
+};
+
+/**
+ * @method reportLost
+ * @description Declares an active loan lost. The copy is written off (total_copies drops), any overdue fine is finalised,
+ * and the member is charged the book's replacement price plus the policy's lost item processing fee.
+ * @route PUT /api/v1/borrow-transactions/{borrowId}/lost
+ * @access Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.reportLost = async (req, res, next) => {
+    const { borrowId } = req.params;
+    const { notes } = req.body ?? {};
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            // 1. Fetch the transaction and related data
+            const transaction = await tx.borrowTransaction.findUniqueOrThrow({
+                where: { borrow_id: borrowId },
+                include: {
+                    user: { select: { borrowed_book_ids: true } },
+                    book: { select: { book_id: true, title: true, price: true } },
+                    inter_library_loan: { select: { ill_id: true } }
+                }
+            });
+
+            // 2. Validation: only books that are still out can be lost
+            await assertLibraryStaff(tx, req.user, transaction.library_id, 'report losses on');
+            if (!ACTIVE_LOAN_STATUSES.includes(transaction.status)) {
+                throw new Error(`Cannot report lost: Status is '${transaction.status}'. Only borrowed or overdue loans can be reported lost.`);
+            }
+
+            const [policy, calendar] = await Promise.all([
+                tx.policy.findUniqueOrThrow({
+                    where: { library_id: transaction.library_id },
+                }),
+                loadLibraryCalendar(tx, transaction.library_id),
+            ]);
+
+            // 3. Finalise the overdue fine up to today, then charge the replacement
+            const now = new Date();
+            const fines = [];
+            const overdueDays = calculateOverdueDays(resolveDueDate(transaction, policy), now, calendar);
+            const overdueFine = await syncOverdueFine(tx, transaction, overdueDays, policy, `Overdue by ${overdueDays} day(s) when reported lost.`);
+            if (overdueFine) fines.push(overdueFine);
+            fines.push(...await chargeReplacement(tx, transaction, transaction.book, policy, `"${transaction.book.title}" reported lost.`));
+
+            // 4. Write the copy off (book counts follow the copy)
+            if (transaction.copy_id) {
+                await setCopyStatus(tx, { copy_id: transaction.copy_id, book_id: transaction.book_id }, 'lost');
+            } else {
+                console.warn(`Borrow transaction ${borrowId} has no copy attached. Book counts were not updated.`);
+            }
+
+            // 5. Free the member's borrow slot
+            await tx.user.update({
+                where: { user_id: transaction.user_id },
+                data: { borrowed_book_ids: transaction.user.borrowed_book_ids.filter(id => id !== transaction.book_id) }
+            });
+
+            // 6. Record the incident on the transaction (and on the inter-library loan, if the book was borrowed from another library)
+            if (transaction.inter_library_loan) {
+                await tx.interLibraryLoan.update({
+                    where: { ill_id: transaction.inter_library_loan.ill_id },
+                    data: { status: 'lost' }
+                });
+            }
+            const updatedTransaction = await tx.borrowTransaction.update({
+                where: { borrow_id: borrowId },
+                data: {
+                    status: 'lost',
+                    incident_reported_by: req.user.id,
+                    incident_reported_at: now,
+                    incident_notes: notes,
+                }
+            });
+
+            return { transaction: updatedTransaction, fines };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result);
+
+    } catch (error) {
+        if (error instanceof Error && error.message.includes('Forbidden')) {
+           return res.status(403).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.includes('Cannot report lost')) {
+           return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
              return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
         }
        next(error);
     }
-};
\ No newline at end of file
+};
+
+/**
+ * @method reportDamaged
+ * @description Declares a book damaged, either at the desk while it is being returned (active loans are checked in first)
+ * or shortly after return while the copy is still on the shelf or the hold shelf. Damaged copies go to repair and may carry a repair charge;
+ * with writeOff the copy is withdrawn and the member pays the replacement cost and processing fee instead.
+ * @route PUT /api/v1/borrow-transactions/{borrowId}/damaged
+ * @access Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.reportDamaged = async (req, res, next) => {
+    const { borrowId } = req.params;
+    const { notes, writeOff = false, damageCharge } = req.body ?? {};
+
+    if (typeof writeOff !== 'boolean') {
+        return res.status(400).json({ success: false, error: { message: 'writeOff must be a boolean.' } });
+    }
+    if (damageCharge !== undefined && (typeof damageCharge !== 'number' || isNaN(damageCharge) || damageCharge < 0)) {
+        return res.status(400).json({ success: false, error: { message: 'damageCharge must be a non-negative number.' } });
+    }
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            // 1. Fetch the transaction
+            let transaction = await tx.borrowTransaction.findUniqueOrThrow({
+                where: { borrow_id: borrowId },
+                include: {
+                    book: { select: { book_id: true, title: true, price: true } },
+                    copy: { select: { copy_id: true, book_id: true, status: true, notes: true } },
+                    inter_library_loan: { select: { ill_id: true } }
+                }
+            });
+
+            // 2. Validation
+            await assertLibraryStaff(tx, req.user, transaction.library_id, 'report damage on');
+            if (transaction.inter_library_loan) {
+                throw new Error(`Cannot report damage: Inter-library loans are checked for damage by the lending library when they come back.`);
+            }
+            if (!transaction.copy) {
+                throw new Error(`Cannot report damage: The transaction has no copy attached.`);
+            }
+            if (transaction.status !== 'returned' && !ACTIVE_LOAN_STATUSES.includes(transaction.status)) {
+                throw new Error(`Cannot report damage: Status is '${transaction.status}'. Only borrowed, overdue or returned loans can be reported damaged.`);
+            }
+            if (transaction.status === 'returned') {
+                // Still on the shelf, or set aside for a hold, and not lent out again since
+                const laterLoans = await tx.borrowTransaction.count({
+                    where: { copy_id: transaction.copy_id, borrow_id: { not: borrowId }, borrow_date: { gt: transaction.borrow_date } }
+                });
+                if (!['available', 'on_hold_shelf'].includes(transaction.copy.status) || laterLoans > 0) {
+                    throw new Error(`Cannot report damage: The copy has moved on since it was returned (status '${transaction.copy.status}').`);
+                }
+            }
+
+            // 3. Books still out are checked in first (finalises any overdue fine); the copy isn't shelved, so it
+            //    can't be handed to a waiting hold before it goes to repair
+            const fines = [];
+            if (ACTIVE_LOAN_STATUSES.includes(transaction.status)) {
+                const { fineGenerated } = await checkinBook(tx, borrowId, { requestingUserId: req.user.id, requestingUserRole: req.user.role, shelve: false });
+                if (fineGenerated) fines.push(fineGenerated);
+            }
+
+            const policy = await tx.policy.findUniqueOrThrow({
+                where: { library_id: transaction.library_id },
+            });
+
+            // 4. Charge the member and take the copy off the shelf
+            const reason = `"${transaction.book.title}" returned damaged.`;
+            if (writeOff) {
+                fines.push(...await chargeReplacement(tx, transaction, transaction.book, policy, reason));
+            } else if (damageCharge > 0) {
+                fines.push(await upsertLoanFine(tx, transaction, 'damage', damageCharge, `Damage charge: ${reason}`));
+            }
+
+            await tx.bookCopy.update({
+                where: { copy_id: transaction.copy_id },
+                data: {
+                    condition: 'damaged',
+                    ...(notes && { notes: transaction.copy.notes ? `${transaction.copy.notes}\n${notes}` : notes }),
+                }
+            });
+            // A hold the copy was set aside for goes back to the queue
+            const { requeuedHold } = await removeCopyFromCirculation(tx, transaction.copy, writeOff ? 'withdrawn' : 'in_repair');
+
+            // 5. Record the incident on the transaction
+            transaction = await tx.borrowTransaction.update({
+                where: { borrow_id: borrowId },
+                data: {
+                    status: 'damaged',
+                    incident_reported_by: req.user.id,
+                    incident_reported_at: new Date(),
+                    incident_notes: notes,
+                }
+            });
+
+            return { transaction, fines, requeuedHold };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result);
+
+    } catch (error) {
+        if (error instanceof Error && error.message.includes('Forbidden')) {
+           return res.status(403).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.includes('Cannot report damage')) {
+           return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+       next(error);
+    }
+};
+
+/**
+ * @method markFound
+ * @description Records that a lost book has turned up. The copy goes back on the shelf and the loan is closed as returned.
+ * The replacement fine is cancelled (kept, with the cancellation in its adjustment history) and anything paid on it is refunded.
+ * Overdue fines and the processing fee stand.
+ * @route PUT /api/v1/borrow-transactions/{borrowId}/found
+ * @access Librarian, Admin
+ * @tag Borrow Transactions
+ */
+exports.markFound = async (req, res, next) => {
+    const { borrowId } = req.params;
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            // 1. Fetch the transaction
+            const transaction = await tx.borrowTransaction.findUniqueOrThrow({
+                where: { borrow_id: borrowId },
+                include: {
+                    fines: { where: { fine_type: 'replacement' } },
+                    inter_library_loan: { select: { ill_id: true } }
+                }
+            });
+
+            // 2. Validation
+            await assertLibraryStaff(tx, req.user, transaction.library_id, 'mark found');
+            if (transaction.status !== 'lost') {
+                throw new Error(`Cannot mark found: Status is '${transaction.status}'. Only lost loans can be marked found.`);
+            }
+
+            // 3. Put the copy back into circulation (book counts follow the copy)
+            const now = new Date();
+            if (transaction.inter_library_loan) {
+                // Found at the borrowing library: it still has to be shipped back to the lender
+                await tx.interLibraryLoan.update({
+                    where: { ill_id: transaction.inter_library_loan.ill_id },
+                    data: { status: 'returned', returned_at: now }
+                });
+                if (transaction.copy_id) {
+                    await setCopyStatus(tx, { copy_id: transaction.copy_id, book_id: transaction.book_id }, 'on_interlibrary_loan');
+                }
+            } else if (transaction.copy_id) {
+                await returnCopyToShelf(tx, { copy_id: transaction.copy_id, book_id: transaction.book_id });
+            } else {
+                console.warn(`Borrow transaction ${borrowId} has no copy attached. Book counts were not updated.`);
+            }
+
+            // 4. Cancel the replacement charge and give back what was paid on it; the fine and its history stay
+            const [replacementFine] = transaction.fines;
+            const refundedFine = replacementFine ? await cancelReplacementCharge(tx, replacementFine, req.user.id) : null;
+
+            // 5. Close the loan
+            const updatedTransaction = await tx.borrowTransaction.update({
+                where: { borrow_id: borrowId },
+                data: {
+                    status: 'returned',
+                    return_date: now,
+                    found_at: now,
+                }
+            });
+
+            return { transaction: updatedTransaction, refundedFine };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result);
+
+    } catch (error) {
+        if (error instanceof Error && error.message.includes('Forbidden')) {
+           return res.status(403).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.includes('Cannot mark found')) {
+           return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+             const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+             return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+       next(error);
+    }
+};
@@ -0,0 +1,178 @@
+// src/controllers/borrowingBlock.controller.js
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../../prisma/client');
+const { getBorrowingBlock } = require('../utils/borrowingBlockHelper');
+const prisma = getPrismaClient();
+
+// Helper for success responses
+const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
+
+// How long an override lifts the block when the librarian doesn't say (hours), and the longest allowed
+const DEFAULT_OVERRIDE_HOURS = 24;
+const MAX_OVERRIDE_HOURS = 24 * 7;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BorrowingBlock:
+ *       # Already defined in swagger.js
+ *     BorrowingBlockOverride:
+ *       # Already defined in swagger.js
+ *     BorrowingBlockOverrideInput:
+ *       type: object
+ *       required: [reason]
+ *       properties:
+ *          reason:
+ *             type: string
+ *             description: Why the block is being overridden. Stored with the librarian who overrode it.
+ *          hours:
+ *             type: integer
+ *             minimum: 1
+ *             maximum: 168
+ *             default: 24
+ *             description: How long the member may borrow, renew and reserve despite the block.
+ */
+
+/**
+ * @controller BorrowingBlockController
+ */
+
+// Loads the member and their library's policy; staff may only look at members of their own library
+const loadMemberForStaff = async (client, requester, userId) => {
+    const member = await client.user.findUniqueOrThrow({
+        where: { user_id: userId },
+        select: { user_id: true, name: true, library_id: true }
+    });
+
+    if (requester.role === 'member') {
+        if (requester.id !== userId) {
+            throw new Error(`Forbidden: You can only view your own borrowing block.`);
+        }
+    } else {
+        const staff = await client.user.findUniqueOrThrow({
+            where: { user_id: requester.id },
+            select: { library_id: true }
+        });
+        if (staff.library_id !== member.library_id) {
+            throw new Error(`Forbidden: You can only manage members of your own library.`);
+        }
+    }
+
+    const policy = await client.policy.findUniqueOrThrow({ where: { library_id: member.library_id } });
+    return { member, policy };
+};
+
+const handleBlockError = (error, res, next) => {
+    if (error instanceof Error && error.message.startsWith('Forbidden')) {
+        return res.status(403).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Error && error.message.startsWith('Cannot')) {
+        return res.status(400).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+        return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+    }
+    next(error);
+};
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/borrowing-block:
+ *   get:
+ *     summary: Check whether a member is blocked from borrowing (Member own, Admin/Librarian)
+ *     tags: [Users]
+ *     description: Reports the member's unpaid fines and overdue items against the library policy's thresholds, and any override currently lifting the block.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'User ID' }
+ *     responses:
+ *       200: { description: 'Block status', content: { application/json: { schema: { $ref: '#/components/schemas/BorrowingBlock' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+exports.getBorrowingBlock = async (req, res, next) => {
+    try {
+        const { member, policy } = await loadMemberForStaff(prisma, req.user, req.params.id);
+        const block = await getBorrowingBlock(prisma, member.user_id, member.library_id, policy);
+
+        handleSuccess(res, {
+            user_id: member.user_id,
+            ...block,
+            thresholds: {
+                max_unpaid_fines: policy.max_unpaid_fines_for_borrowing,
+                max_overdue_items: policy.max_overdue_items_for_borrowing,
+            },
+        });
+    } catch (error) {
+        handleBlockError(error, res, next);
+    }
+};
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/borrowing-block/override:
+ *   post:
+ *     summary: Override a member's borrowing block (Admin/Librarian Only)
+ *     tags: [Users]
+ *     description: Lets a blocked member borrow, renew and reserve for the given number of hours. The librarian, the reason and what the member owed at the time are recorded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'User ID' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/BorrowingBlockOverrideInput' } } }
+ *     responses:
+ *       201: { description: 'Block overridden', content: { application/json: { schema: { $ref: '#/components/schemas/BorrowingBlockOverride' } } } }
+ *       400: { description: 'Bad Request - Missing reason, invalid hours, or the member is not blocked', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+exports.overrideBorrowingBlock = async (req, res, next) => {
+    const { reason, hours = DEFAULT_OVERRIDE_HOURS } = req.body ?? {};
+
+    if (typeof reason !== 'string' || reason.trim() === '') {
+        return res.status(400).json({ success: false, error: { message: 'A reason is required to override a borrowing block.' } });
+    }
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_OVERRIDE_HOURS) {
+        return res.status(400).json({ success: false, error: { message: `hours must be an integer from 1 to ${MAX_OVERRIDE_HOURS}.` } });
+    }
+
+    try {
+        const override = await prisma.$transaction(async (tx) => {
+            const { member, policy } = await loadMemberForStaff(tx, req.user, req.params.id);
+
+            const block = await getBorrowingBlock(tx, member.user_id, member.library_id, policy);
+            if (block.reasons.length === 0) {
+                throw new Error(`Cannot override borrowing block: ${member.name} is not blocked.`);
+            }
+
+            const now = new Date();
+            return tx.borrowingBlockOverride.create({
+                data: {
+                    user_id: member.user_id,
+                    library_id: member.library_id,
+                    granted_by: req.user.id,
+                    reason: reason.trim(),
+                    unpaid_fines: block.unpaid_fines,
+                    overdue_items: block.overdue_items,
+                    expires_at: new Date(now.getTime() + hours * 60 * 60 * 1000),
+                }
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, override, 201);
+    } catch (error) {
+        handleBlockError(error, res, next);
+    }
+};
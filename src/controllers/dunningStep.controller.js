@@ -0,0 +1,202 @@
+// src/controllers/dunningStep.controller.js
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../../prisma/client');
+const prisma = getPrismaClient();
+
+// Helper for success responses
+const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
+
+const DUNNING_ACTIONS = ['reminder', 'final_notice', 'block'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DunningStep:
+ *       # Already defined in swagger.js
+ *     DunningStepInput:
+ *       # Already defined in swagger.js
+ *   parameters:
+ *      DunningStepIdPathParam:
+ *        name: stepId
+ *        in: path
+ *        required: true
+ *        schema: { type: string, format: uuid }
+ *        description: The unique identifier of the dunning step.
+ */
+
+/**
+ * @controller DunningStepController
+ */
+
+// The notices themselves are sent by the fineDunning job (src/jobs/fineDunning.job.js); this controller only
+// manages each library's schedule.
+
+// --- Validation Helper ---
+// Returns an error message when the step is invalid
+const validateStep = ({ days_after, action }) => {
+    if (!Number.isInteger(days_after) || days_after < 1) {
+        return 'days_after must be a positive integer.';
+    }
+    if (!DUNNING_ACTIONS.includes(action)) {
+        return `action must be one of: ${DUNNING_ACTIONS.join(', ')}.`;
+    }
+    return null;
+};
+
+// Librarians and admins can only change their own library's schedule
+const assertOwnLibrary = async (client, requester, libraryId) => {
+    const user = await client.user.findUniqueOrThrow({
+        where: { user_id: requester.id },
+        select: { library_id: true }
+    });
+    if (user.library_id !== libraryId) {
+        throw new Error(`Forbidden: You can only manage the dunning schedule of your own library.`);
+    }
+};
+
+// Loads a step and checks it belongs to the library in the path
+const loadStep = async (tx, libraryId, stepId, action) => {
+    const step = await tx.dunningStep.findUniqueOrThrow({ where: { step_id: stepId } });
+    if (step.library_id !== libraryId) {
+        throw new Error(`Cannot ${action}: Step ${stepId} does not belong to this library.`);
+    }
+    return step;
+};
+
+const handleStepError = (error, res, next) => {
+    if (error instanceof Error && error.message.startsWith('Forbidden')) {
+        return res.status(403).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Error && error.message.startsWith('Cannot')) {
+        return res.status(400).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2002') {
+        return res.status(409).json({ success: false, error: { message: 'The library already has a dunning step on that day.' } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+        return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+    }
+    next(error);
+};
+
+/**
+ * @method getDunningSteps
+ * @description Lists a library's dunning schedule in the order the steps apply.
+ * @route GET /api/v1/libraries/{id}/dunning-steps
+ * @access Admin, Librarian
+ * @tag Libraries
+ */
+exports.getDunningSteps = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        // Ensure the library exists so an unknown id is a 404 rather than an empty list
+        await prisma.library.findUniqueOrThrow({ where: { library_id: id }, select: { library_id: true } });
+
+        const steps = await prisma.dunningStep.findMany({
+            where: { library_id: id },
+            orderBy: { days_after: 'asc' },
+        });
+
+        handleSuccess(res, { data: steps });
+    } catch (error) {
+        // P2025 (NotFound) handled by global handler
+        next(error);
+    }
+};
+
+/**
+ * @method createDunningStep
+ * @description Adds a step to the librarian's library schedule. Fines already past that day get the notice on the
+ * next run of the dunning job, unless they already had a later one.
+ * @route POST /api/v1/libraries/{id}/dunning-steps
+ * @access Admin, Librarian
+ * @tag Libraries
+ */
+exports.createDunningStep = async (req, res, next) => {
+    const { id } = req.params;
+    const { days_after, action } = req.body ?? {};
+    const validationError = validateStep({ days_after, action });
+    if (validationError) {
+        return res.status(400).json({ success: false, error: { message: validationError } });
+    }
+
+    try {
+        const step = await prisma.$transaction(async (tx) => {
+            await assertOwnLibrary(tx, req.user, id);
+            return tx.dunningStep.create({
+                data: { library_id: id, days_after, action, created_by: req.user.id }
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, step, 201);
+    } catch (error) {
+        handleStepError(error, res, next);
+    }
+};
+
+/**
+ * @method updateDunningStep
+ * @description Changes a step's day or action. Notices already sent are kept as they were.
+ * @route PUT /api/v1/libraries/{id}/dunning-steps/{stepId}
+ * @access Admin, Librarian
+ * @tag Libraries
+ */
+exports.updateDunningStep = async (req, res, next) => {
+    const { id, stepId } = req.params;
+
+    try {
+        const step = await prisma.$transaction(async (tx) => {
+            await assertOwnLibrary(tx, req.user, id);
+            const existing = await loadStep(tx, id, stepId, 'update dunning step');
+
+            // Fields not sent keep their current values
+            const data = {
+                days_after: req.body?.days_after ?? existing.days_after,
+                action: req.body?.action ?? existing.action,
+            };
+            const validationError = validateStep(data);
+            if (validationError) {
+                throw new Error(`Cannot update dunning step: ${validationError}`);
+            }
+
+            return tx.dunningStep.update({ where: { step_id: stepId }, data });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, step);
+    } catch (error) {
+        handleStepError(error, res, next);
+    }
+};
+
+/**
+ * @method deleteDunningStep
+ * @description Removes a step from the schedule. Notices already sent for it are kept; a block it caused stays until
+ * the fine is settled or a librarian overrides it.
+ * @route DELETE /api/v1/libraries/{id}/dunning-steps/{stepId}
+ * @access Admin, Librarian
+ * @tag Libraries
+ */
+exports.deleteDunningStep = async (req, res, next) => {
+    const { id, stepId } = req.params;
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            await assertOwnLibrary(tx, req.user, id);
+            await loadStep(tx, id, stepId, 'delete dunning step');
+            await tx.dunningStep.delete({ where: { step_id: stepId } });
+        }); // End transaction
+
+        res.status(204).send(); // No content on successful delete
+    } catch (error) {
+        handleStepError(error, res, next);
+    }
+};
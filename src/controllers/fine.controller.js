@@ -1,6 +1,11 @@
 // src/controllers/fine.controller.js
 const { PrismaClient, Prisma } = require('@prisma/client');
 const prisma = new PrismaClient();
+const { FINE_LIBRARY_SELECT, adjustFine, recordPayment, recordRefund, reversePayment, roundMoney, withBalance } = require('../utils/fineLedger');
+const { formatMoney, formatMoneyFields } = require('../utils/money');
+const { getPaymentProvider } = require('../utils/paymentProvider');
+const { applyCheckoutEvent, isDuplicateWebhookEvent, prepareCheckout, settleCheckoutRefund } = require('../utils/fineCheckout');
+const { issuePaymentReceipt } = require('../utils/receiptHelper');
 
 // Helper for success responses
 const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
@@ -32,8 +37,68 @@ const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).js
  *               properties:
  *                 library_id: { type: string, format: uuid }
  *                 name: { type: string }
+ *                 currency: { type: string }
+ *                 locale: { type: string }
+ *             adjustments: { type: array, items: { $ref: '#/components/schemas/FineAdjustment' }, description: 'Single fine only' }
+ *             notices: { type: array, items: { $ref: '#/components/schemas/FineNotice' }, description: 'Dunning notices sent (single fine only)' }
  *     PaginationInfo:
  *       # Already defined in swagger.js
+ *     Payment:
+ *       # Already defined in swagger.js
+ *     FinePaymentInput:
+ *       type: object
+ *       required: [method]
+ *       properties:
+ *         amount: { type: number, format: float, description: 'Amount paid. Defaults to the whole balance; anything less is a partial payment.' }
+ *         currency: { type: string, example: EUR, description: "Optional check: refused unless it is the fine's currency" }
+ *         method: { type: string, enum: [cash, card, online, other] }
+ *         reference: { type: string, description: 'Receipt or card terminal reference' }
+ *         note: { type: string }
+ *     FineRefundInput:
+ *       type: object
+ *       required: [reason]
+ *       properties:
+ *         amount: { type: number, format: float, description: 'Amount given back. Defaults to everything paid and not yet refunded.' }
+ *         currency: { type: string, example: EUR, description: "Optional check: refused unless it is the fine's currency" }
+ *         method: { type: string, enum: [cash, card, online, other] }
+ *         reference: { type: string }
+ *         reason: { type: string, description: 'Why the money is given back (e.g. charged twice). Kept as the note on the refund.' }
+ *     PaymentReversalInput:
+ *       type: object
+ *       required: [reason]
+ *       properties:
+ *         reason: { type: string, description: 'Why the payment is being reversed (e.g. recorded on the wrong fine, card charge bounced)' }
+ *     FineAdjustment:
+ *       # Already defined in swagger.js
+ *     FineWaiverInput:
+ *       type: object
+ *       required: [reason]
+ *       properties:
+ *         reason: { type: string, description: 'Why the fine is forgiven (e.g. member was in hospital)' }
+ *     FineAdjustmentInput:
+ *       type: object
+ *       required: [amount, reason]
+ *       properties:
+ *         amount: { type: number, format: float, minimum: 0, description: 'New, lower amount. Not below what has already been paid.' }
+ *         reason: { type: string }
+ *     FineAdjustmentResult:
+ *       type: object
+ *       properties:
+ *         adjustment: { $ref: '#/components/schemas/FineAdjustment' }
+ *         fine: { $ref: '#/components/schemas/Fine' }
+ *     PaymentSession:
+ *       # Already defined in swagger.js
+ *     FineCheckoutInput:
+ *       type: object
+ *       required: [fineIds]
+ *       properties:
+ *         fineIds: { type: array, items: { type: string, format: uuid }, minItems: 1, description: 'Unpaid fines to pay, all from the same library' }
+ *     LedgerEntryResult:
+ *       type: object
+ *       properties:
+ *         payment: { $ref: '#/components/schemas/Payment' }
+ *         fine: { $ref: '#/components/schemas/Fine' }
+ *         receipt: { allOf: [{ $ref: '#/components/schemas/Receipt' }], description: 'Only for payments' }
  *   parameters:
  *      FineIdPathParam:
  *        name: fineId
@@ -41,6 +106,18 @@ const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).js
  *        required: true
  *        schema: { type: string, format: uuid }
  *        description: The unique identifier of the fine.
+ *      PaymentIdPathParam:
+ *        name: paymentId
+ *        in: path
+ *        required: true
+ *        schema: { type: string, format: uuid }
+ *        description: The unique identifier of the ledger entry.
+ *      CheckoutSessionIdPathParam:
+ *        name: sessionId
+ *        in: path
+ *        required: true
+ *        schema: { type: string, format: uuid }
+ *        description: The unique identifier of the online checkout.
  *      UserIdPathParam: # Re-using from other controllers if defined
  *        name: userId
  *        in: path
@@ -53,10 +130,47 @@ const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).js
  * @controller FineController
  */
 
-// NOTE: Fines are typically CREATED automatically by the returnBook logic
-// in borrowTransaction.controller.js when a book is overdue.
+// NOTE: Fines are CREATED automatically: the overdue sweeper job (src/jobs/overdueSweeper.job.js)
+// keeps a running fine on loans that are still out, and returnBook in
+// borrowTransaction.controller.js finalises it when the book comes back.
+// The library's Policy limits them: grace days, a per-loan maximum, a per-member outstanding cap and a
+// replacement-cost ceiling (see calculateOverdueFine / syncOverdueFine in src/utils/circulationHelper.js).
+// Replacement, processing-fee and damage fines are charged when a librarian declares a loan lost or damaged.
+// A loan has at most one fine of each fine_type.
 // There isn't usually a direct POST /fines endpoint for manual fine creation via API,
-// unless for administrative adjustments. We'll focus on GET and PUT (pay fine).
+// unless for administrative adjustments.
+// Money is tracked in the Payment ledger (src/utils/fineLedger.js): payments (partial or full), refunds and
+// reversals. is_paid, amount_paid and the refund totals on a fine are derived from it, and responses carry
+// the computed `balance` still owed. Fines and their ledger entries are in the library's currency; responses
+// add a `money` object with each amount formatted in the library's locale (src/utils/money.js).
+// Librarians can waive or reduce a fine with a reason (kept as FineAdjustment history), up to the policy's
+// librarian_waiver_limit per month; admins aren't limited.
+// Members pay online through a checkout session with the configured payment provider; the provider's signed webhook
+// records the payments (src/utils/fineCheckout.js). Money the provider took that couldn't be applied is kept on the
+// checkout as refund_due until a librarian gives it back.
+
+// Staff may only handle the money of their own library's fines
+const assertSameLibrary = async (client, requester, libraryId) => {
+    if (requester.role !== 'librarian') return;
+    const staff = await client.user.findUniqueOrThrow({ where: { user_id: requester.id }, select: { library_id: true } });
+    if (staff.library_id !== libraryId) {
+        throw new Error(`Forbidden: You can only handle fines of your own library.`);
+    }
+};
+
+const handleLedgerError = (error, res, next) => {
+    if (error instanceof Error && error.message.startsWith('Forbidden')) {
+        return res.status(403).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Error && error.message.startsWith('Cannot')) {
+        return res.status(400).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+        return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+    }
+    next(error);
+};
 
 /**
  * @method getAllFines
@@ -122,7 +236,7 @@ exports.getAllFines = async (req, res, next) => {
                 include: { // Include context
                     user: { select: { user_id: true, name: true, email: true } },
                     book: { select: { book_id: true, title: true } },
-                    library: { select: { library_id: true, name: true } }
+                    library: { select: FINE_LIBRARY_SELECT }
                 }
             }),
             prisma.fine.count({ where })
@@ -130,7 +244,7 @@ exports.getAllFines = async (req, res, next) => {
 
         // --- Response ---
         handleSuccess(res, {
-            data: fines,
+            data: fines.map(withBalance),
             pagination: {
                 totalItems: totalFines,
                 currentPage: page,
@@ -151,6 +265,7 @@ exports.getAllFines = async (req, res, next) => {
 /**
  * @method getFinesForUser
  * @description Retrieves a paginated list of fines for a specific user. Admins/Librarians can view any user's fines. Members can only view their own.
+ * Also returns the user's outstanding balance at their library against the policy's max_outstanding_fines_per_member.
  * @route GET /api/v1/fines/user/{userId}
  * @access Member (own), Librarian, Admin
  * @tag Fines
@@ -182,7 +297,11 @@ exports.getFinesForUser = async (req, res, next) => {
 
 
         // --- Database Query ---
-        const [fines, totalFines] = await prisma.$transaction([
+        const targetUser = await prisma.user.findUniqueOrThrow({
+            where: { user_id: targetUserId },
+            select: { library_id: true, library: { select: { currency: true, locale: true } } }
+        });
+        const [fines, totalFines, outstanding, policy] = await prisma.$transaction([
             prisma.fine.findMany({
                 where,
                 skip,
@@ -190,15 +309,36 @@ exports.getFinesForUser = async (req, res, next) => {
                 orderBy: { [sortBy]: sortOrder },
                 include: {
                     book: { select: { book_id: true, title: true } },
-                    library: { select: { library_id: true, name: true } }
+                    library: { select: FINE_LIBRARY_SELECT }
                 }
             }),
-            prisma.fine.count({ where })
+            prisma.fine.count({ where }),
+            prisma.fine.aggregate({
+                where: { user_id: targetUserId, library_id: targetUser.library_id, is_paid: false },
+                _sum: { amount: true, amount_paid: true }
+            }),
+            prisma.policy.findUnique({
+                where: { library_id: targetUser.library_id },
+                select: { max_outstanding_fines_per_member: true }
+            })
         ]);
 
+        // Overdue fines stop accruing once the outstanding balance reaches the cap (see syncOverdueFine)
+        const outstandingTotal = roundMoney(parseFloat(outstanding._sum.amount ?? 0) - parseFloat(outstanding._sum.amount_paid ?? 0));
+        const outstandingCap = policy?.max_outstanding_fines_per_member != null ? parseFloat(policy.max_outstanding_fines_per_member) : null;
+
          // --- Response ---
         handleSuccess(res, {
-            data: fines,
+            data: fines.map(withBalance),
+            outstanding: {
+                total: outstandingTotal,
+                cap: outstandingCap,
+                cap_reached: outstandingCap !== null && outstandingTotal >= outstandingCap,
+                money: {
+                    total: formatMoney(outstandingTotal, targetUser.library),
+                    cap: formatMoney(outstandingCap, targetUser.library),
+                }
+            },
             pagination: {
                 totalItems: totalFines,
                 currentPage: page,
@@ -218,7 +358,7 @@ exports.getFinesForUser = async (req, res, next) => {
 
 /**
  * @method getFineById
- * @description Fetches details of a specific fine. Admins/Librarians see any, Members see only their own.
+ * @description Fetches details of a specific fine, with its waivers, adjustments and dunning notices. Admins/Librarians see any, Members see only their own.
  * @route GET /api/v1/fines/{fineId}
  * @access Authenticated Users
  * @tag Fines
@@ -234,8 +374,10 @@ exports.getFineById = async (req, res, next) => {
              include: { // Include all details
                  user: { select: { user_id: true, name: true, email: true } },
                  book: { select: { book_id: true, title: true, isbn: true } },
-                 library: { select: { library_id: true, name: true } },
-                 borrow_transaction: true // Include the original borrow transaction
+                 library: { select: FINE_LIBRARY_SELECT },
+                 borrow_transaction: true, // Include the original borrow transaction
+                 adjustments: { orderBy: { created_at: 'asc' } },
+                 notices: { orderBy: { created_at: 'asc' } }
              }
         });
 
@@ -244,7 +386,7 @@ exports.getFineById = async (req, res, next) => {
              return res.status(403).json({ success: false, error: { message: "Forbidden: You can only view your own fines." } });
         }
 
-        handleSuccess(res, fine);
+        handleSuccess(res, withBalance(fine));
 
     } catch (error) {
         // P2025 (NotFound) handled by global handler
@@ -254,59 +396,509 @@ exports.getFineById = async (req, res, next) => {
 
 
 /**
- * @method markFineAsPaid
- * @description Marks a fine as paid. Requires Admin or Librarian role.
- * @route PUT /api/v1/fines/{fineId}/pay
- * @access Admin, Librarian
+ * @method getFinePayments
+ * @description Lists the ledger of a fine (payments, refunds and reversals, oldest first) with its current balance,
+ * and the online checkouts that included it.
+ * @route GET /api/v1/fines/{fineId}/payments
+ * @access Member (own), Librarian, Admin
  * @tag Fines
  */
-exports.markFineAsPaid = async (req, res, next) => {
+exports.getFinePayments = async (req, res, next) => {
     try {
         const { fineId } = req.params;
 
-        // Fetch fine to ensure it exists and isn't already paid
         const fine = await prisma.fine.findUniqueOrThrow({
             where: { fine_id: fineId },
-            select: { is_paid: true, borrow_id: true }
+            include: { library: { select: FINE_LIBRARY_SELECT } }
+        });
+        if (req.user.role === 'member' && fine.user_id !== req.user.id) {
+            return res.status(403).json({ success: false, error: { message: "Forbidden: You can only view your own fines." } });
+        }
+        await assertSameLibrary(prisma, req.user, fine.library_id);
+
+        const [payments, checkouts] = await Promise.all([
+            prisma.payment.findMany({
+                where: { fine_id: fineId },
+                orderBy: { created_at: 'asc' }
+            }),
+            // Online attempts, including ones that failed or were abandoned
+            prisma.paymentSession.findMany({
+                where: { fine_ids: { has: fineId } },
+                orderBy: { created_at: 'asc' }
+            }),
+        ]);
+
+        const format = { currency: fine.currency, locale: fine.library.locale };
+        handleSuccess(res, {
+            fine: withBalance(fine),
+            data: payments.map(payment => ({ ...payment, money: formatMoneyFields(payment, ['amount'], format) })),
+            checkouts,
         });
 
-        if (fine.is_paid) {
-            return res.status(400).json({ success: false, error: { message: 'This fine has already been paid.' } });
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method recordFinePayment
+ * @description Records a payment on a fine: the whole balance by default, or a partial amount.
+ * The fine becomes paid once its payments cover the amount. A payment receipt is issued.
+ * @route POST /api/v1/fines/{fineId}/payments
+ * @access Admin, Librarian
+ * @tag Fines
+ */
+exports.recordFinePayment = async (req, res, next) => {
+    const { fineId } = req.params;
+    const { amount, currency, method, reference, note } = req.body ?? {};
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            const fine = await tx.fine.findUniqueOrThrow({ where: { fine_id: fineId } });
+            await assertSameLibrary(tx, req.user, fine.library_id);
+
+            const entry = await recordPayment(tx, fine, { amount, currency, method, reference, note, collectedBy: req.user.id });
+            const receipt = await issuePaymentReceipt(tx, entry.payment, entry.fine, { issuedBy: req.user.id });
+            return { ...entry, receipt };
+        }, {
+            maxWait: 10000,
+            timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, { payment: result.payment, fine: withBalance(result.fine), receipt: result.receipt }, 201);
+
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method markFineAsPaid
+ * @description Marks a fine as paid by recording a payment of its whole remaining balance (cash unless a method is given),
+ * and issues a payment receipt.
+ * Requires Admin or Librarian role.
+ * @route PUT /api/v1/fines/{fineId}/pay
+ * @access Admin, Librarian
+ * @tag Fines
+ */
+exports.markFineAsPaid = async (req, res, next) => {
+    const { fineId } = req.params;
+    const { method = 'cash', reference, note } = req.body ?? {};
+
+    try {
+        const updatedFine = await prisma.$transaction(async (tx) => {
+            const fine = await tx.fine.findUniqueOrThrow({ where: { fine_id: fineId } });
+            await assertSameLibrary(tx, req.user, fine.library_id);
+
+            // No amount: the whole balance is paid
+            const entry = await recordPayment(tx, fine, { method, reference, note, collectedBy: req.user.id });
+            const receipt = await issuePaymentReceipt(tx, entry.payment, entry.fine, { issuedBy: req.user.id });
+
+            const paidFine = await tx.fine.findUniqueOrThrow({
+                where: { fine_id: fineId },
+                include: { // Return full fine details
+                    user: { select: { user_id: true, name: true } },
+                    book: { select: { book_id: true, title: true } },
+                    library: { select: FINE_LIBRARY_SELECT }
+                }
+            });
+            return { ...withBalance(paidFine), receipt };
+        }, {
+            maxWait: 10000,
+            timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, updatedFine);
+
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method refundFine
+ * @description Gives money paid on a fine back to the member: everything not yet refunded by default, or a partial amount.
+ * A refund doesn't reopen the fine. A reason is required.
+ * @route POST /api/v1/fines/{fineId}/refunds
+ * @access Admin, Librarian
+ * @tag Fines
+ */
+exports.refundFine = async (req, res, next) => {
+    const { fineId } = req.params;
+    const { amount, currency, method, reference, reason } = req.body ?? {};
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ success: false, error: { message: 'A reason is required to refund a fine.' } });
+    }
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            const fine = await tx.fine.findUniqueOrThrow({ where: { fine_id: fineId } });
+            await assertSameLibrary(tx, req.user, fine.library_id);
+
+            return recordRefund(tx, fine, { amount, currency, method, reference, note: reason.trim(), collectedBy: req.user.id });
+        }, {
+            maxWait: 10000,
+            timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, { payment: result.payment, fine: withBalance(result.fine) }, 201);
+
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method reverseFinePayment
+ * @description Reverses a payment recorded by mistake (or that bounced) with a counter-entry; the amount is owed again.
+ * A payment can only be reversed once, and not once its money has been refunded.
+ * @route POST /api/v1/fines/payments/{paymentId}/reverse
+ * @access Admin, Librarian
+ * @tag Fines
+ */
+exports.reverseFinePayment = async (req, res, next) => {
+    const { paymentId } = req.params;
+    const { reason } = req.body ?? {};
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ success: false, error: { message: 'A reason is required to reverse a payment.' } });
+    }
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            const { library_id } = await tx.payment.findUniqueOrThrow({ where: { payment_id: paymentId }, select: { library_id: true } });
+            await assertSameLibrary(tx, req.user, library_id);
+
+            return reversePayment(tx, paymentId, { note: reason.trim(), collectedBy: req.user.id });
+        }, {
+            maxWait: 10000,
+            timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, { payment: result.payment, fine: withBalance(result.fine) }, 201);
+
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method startFineCheckout
+ * @description Starts an online payment for one or more of the member's unpaid fines with the configured payment provider.
+ * Returns the checkout URL; the fines are paid when the provider confirms the payment through its webhook.
+ * @route POST /api/v1/fines/checkout
+ * @access Member
+ * @tag Fines
+ */
+exports.startFineCheckout = async (req, res, next) => {
+    const { fineIds } = req.body ?? {};
+
+    if (!Array.isArray(fineIds) || fineIds.length === 0 || fineIds.some(id => typeof id !== 'string')) {
+        return res.status(400).json({ success: false, error: { message: 'fineIds must be a non-empty array of fine IDs.' } });
+    }
+    const provider = getPaymentProvider();
+    if (!provider) {
+        return next(new Error(`Payment provider '${process.env.PAYMENT_PROVIDER}' is not available.`));
+    }
+
+    try {
+        const uniqueFineIds = [...new Set(fineIds)];
+        const session = await prisma.$transaction(async (tx) => {
+            const { libraryId, amount, currency } = await prepareCheckout(tx, req.user.id, uniqueFineIds);
+            return tx.paymentSession.create({
+                data: {
+                    user_id: req.user.id,
+                    library_id: libraryId,
+                    provider: provider.name,
+                    fine_ids: uniqueFineIds,
+                    amount,
+                    currency,
+                }
+            });
+        }, {
+            maxWait: 10000,
+            timeout: 20000,
+        }); // End transaction
+
+        // Outside the transaction: the provider is an external call
+        let checkout;
+        try {
+            checkout = await provider.createCheckoutSession({
+                sessionId: session.session_id,
+                amount: parseFloat(session.amount),
+                currency: session.currency,
+                description: `Library fines (${uniqueFineIds.length})`,
+            });
+        } catch (providerError) {
+            console.error(`Payment provider ${provider.name} failed to create checkout ${session.session_id}:`, providerError);
+            await prisma.paymentSession.update({
+                where: { session_id: session.session_id },
+                data: { status: 'failed', failure_reason: 'The payment provider could not start the checkout.' }
+            });
+            return res.status(502).json({ success: false, error: { message: 'The payment provider could not start the checkout. Please try again later.' } });
         }
 
-        const updatedFine = await prisma.fine.update({
-            where: { fine_id: fineId },
+        const startedSession = await prisma.paymentSession.update({
+            where: { session_id: session.session_id },
             data: {
-                is_paid: true,
-                // updated_at will be set automatically
-            },
-            include: { // Return full fine details
-                 user: { select: { user_id: true, name: true } },
-                 book: { select: { book_id: true, title: true } }
+                provider_session_id: checkout.providerSessionId,
+                checkout_url: checkout.checkoutUrl,
+                expires_at: checkout.expiresAt,
+            }
+        });
+
+        handleSuccess(res, startedSession, 201);
+
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method getFineCheckout
+ * @description Fetches an online checkout with the ledger entries it produced, e.g. to show the outcome after the member returns from the provider.
+ * @route GET /api/v1/fines/checkout/{sessionId}
+ * @access Member (own), Librarian, Admin
+ * @tag Fines
+ */
+exports.getFineCheckout = async (req, res, next) => {
+    try {
+        const session = await prisma.paymentSession.findUniqueOrThrow({
+            where: { session_id: req.params.sessionId },
+            include: { payments: { orderBy: { created_at: 'asc' } } }
+        });
+        if (req.user.role === 'member' && session.user_id !== req.user.id) {
+            return res.status(403).json({ success: false, error: { message: "Forbidden: You can only view your own checkouts." } });
+        }
+        await assertSameLibrary(prisma, req.user, session.library_id);
+
+        handleSuccess(res, session);
+
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method getCheckoutRefundsDue
+ * @description Lists online checkouts whose money, or part of it, couldn't be applied to fines and still has to be given
+ * back to the member. Librarians see their own library's; admins all, or one library's with libraryId.
+ * @route GET /api/v1/fines/checkout/refunds-due
+ * @access Admin, Librarian
+ * @tag Fines
+ */
+exports.getCheckoutRefundsDue = async (req, res, next) => {
+    try {
+        // --- Pagination ---
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+        const skip = (page - 1) * limit;
+
+        // --- Filtering ---
+        const where = { refund_due: { not: null }, refund_settled_at: null };
+        if (req.user.role === 'librarian') {
+            const librarian = await prisma.user.findUniqueOrThrow({
+                where: { user_id: req.user.id },
+                select: { library_id: true }
+            });
+            where.library_id = librarian.library_id;
+        } else if (req.query.libraryId) {
+            where.library_id = req.query.libraryId;
+        }
+
+        // --- Database Query ---
+        const [sessions, totalSessions] = await prisma.$transaction([
+            prisma.paymentSession.findMany({
+                where,
+                skip,
+                take: limit,
+                orderBy: { updated_at: 'asc' },
+                include: { user: { select: { user_id: true, name: true, email: true } } }
+            }),
+            prisma.paymentSession.count({ where })
+        ]);
+
+        // --- Response ---
+        handleSuccess(res, {
+            data: sessions,
+            pagination: {
+                totalItems: totalSessions,
+                currentPage: page,
+                itemsPerPage: limit,
+                totalPages: Math.ceil(totalSessions / limit)
             }
         });
 
-        // Optional: If a borrow transaction was 'overdue', should its status change back to 'returned'
-        // once the associated fine is paid? This depends on business rules.
-        // For simplicity, we don't change borrow_transaction status here,
-        // but you could add logic to update it if needed.
-        // Example:
-        // if (fine.borrow_id) {
-        //     await prisma.borrowTransaction.updateMany({
-        //         where: { borrow_id: fine.borrow_id, status: 'overdue' },
-        //         data: { status: 'returned' } // If fine payment means it's fully resolved
-        //     });
-        // }
+    } catch (error) {
+        if (error instanceof Prisma.PrismaClientValidationError) {
+            return res.status(400).json({ success: false, error: { message: "Invalid filter parameter format." } });
+        }
+        next(error);
+    }
+};
 
 
-        handleSuccess(res, updatedFine);
+/**
+ * @method settleFineCheckoutRefund
+ * @description Records that the money due back on an online checkout was given back to the member, with the provider's
+ * or desk's reference.
+ * @route POST /api/v1/fines/checkout/{sessionId}/refund
+ * @access Admin, Librarian
+ * @tag Fines
+ */
+exports.settleFineCheckoutRefund = async (req, res, next) => {
+    const { reference } = req.body ?? {};
+
+    if (reference !== undefined && (typeof reference !== 'string' || !reference.trim())) {
+        return res.status(400).json({ success: false, error: { message: 'reference must be a non-empty string.' } });
+    }
+
+    try {
+        const session = await prisma.$transaction(async (tx) => {
+            const checkout = await tx.paymentSession.findUniqueOrThrow({ where: { session_id: req.params.sessionId } });
+            await assertSameLibrary(tx, req.user, checkout.library_id);
+
+            return settleCheckoutRefund(tx, checkout, { reference: reference?.trim(), settledBy: req.user.id });
+        }, {
+            maxWait: 10000,
+            timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, session);
 
     } catch (error) {
-        // P2025 (NotFound) handled by global handler
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method handlePaymentWebhook
+ * @description Receives a payment provider's callback. The signature is checked against the raw body; a completed
+ * checkout pays its fines (even one that had lapsed on our side) with a payment receipt for each, a failed or expired one is closed. Each provider event is applied once: repeated deliveries
+ * are acknowledged without changing anything, so the provider stops retrying.
+ * @route POST /api/v1/fines/webhooks/{provider}
+ * @access Public (signed by the provider)
+ * @tag Fines
+ */
+exports.handlePaymentWebhook = async (req, res, next) => {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ success: false, error: { message: `Unknown payment provider '${req.params.provider}'.` } });
+    }
+
+    let event;
+    try {
+        event = provider.verifyWebhook(req.rawBody, req.headers);
+    } catch (error) {
+        if (error instanceof Error && error.message.startsWith('Invalid webhook')) {
+            return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        return next(error);
+    }
+
+    try {
+        const { session, result } = await prisma.$transaction(
+            (tx) => applyCheckoutEvent(tx, provider.name, event),
+            {
+                maxWait: 10000,
+                timeout: 20000,
+            }
+        ); // End transaction
+
+        if (session?.refund_due && !session.refund_settled_at) {
+            console.warn(`Checkout ${session.session_id}: ${result}; ${parseFloat(session.refund_due).toFixed(2)} ${session.currency} is due back to the member`);
+        }
+        handleSuccess(res, { received: true, duplicate: false, result });
+
+    } catch (error) {
+        // Same provider event delivered again; other unique violations are real errors
+        if (error instanceof Prisma.PrismaClientKnownRequestError && isDuplicateWebhookEvent(error)) {
+            return handleSuccess(res, { received: true, duplicate: true });
+        }
         next(error);
     }
 };
 
 
+// Waives or adjusts a fine within the requesting librarian's monthly limit
+const changeFineAmount = async (req, kind, amount, reason) => prisma.$transaction(async (tx) => {
+    const fine = await tx.fine.findUniqueOrThrow({ where: { fine_id: req.params.fineId } });
+    await assertSameLibrary(tx, req.user, fine.library_id);
+
+    let waiverLimit = null;
+    if (req.user.role === 'librarian') {
+        const policy = await tx.policy.findUnique({
+            where: { library_id: fine.library_id },
+            select: { librarian_waiver_limit: true }
+        });
+        waiverLimit = policy?.librarian_waiver_limit ?? null;
+    }
+
+    return adjustFine(tx, fine, { kind, amount, reason: reason.trim(), adjustedBy: req.user.id, waiverLimit });
+}, {
+    maxWait: 10000,
+    timeout: 20000,
+}); // End transaction
+
+
+/**
+ * @method waiveFine
+ * @description Forgives everything still owed on a fine. A reason is required, and librarians are held to the policy's monthly waiver limit.
+ * The original amount is kept on the fine and the waiver is recorded in its adjustment history.
+ * @route PUT /api/v1/fines/{fineId}/waive
+ * @access Admin, Librarian
+ * @tag Fines
+ */
+exports.waiveFine = async (req, res, next) => {
+    const { reason } = req.body ?? {};
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ success: false, error: { message: 'A reason is required to waive a fine.' } });
+    }
+
+    try {
+        const result = await changeFineAmount(req, 'waiver', undefined, reason);
+        handleSuccess(res, { adjustment: result.adjustment, fine: withBalance(result.fine) });
+
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
+/**
+ * @method adjustFineAmount
+ * @description Reduces a fine to a lower amount (not below what has been paid). A reason is required, and librarians are
+ * held to the policy's monthly waiver limit for the amount taken off. The original amount is kept on the fine.
+ * @route PUT /api/v1/fines/{fineId}/adjust
+ * @access Admin, Librarian
+ * @tag Fines
+ */
+exports.adjustFineAmount = async (req, res, next) => {
+    const { amount, reason } = req.body ?? {};
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ success: false, error: { message: 'A reason is required to adjust a fine.' } });
+    }
+
+    try {
+        const result = await changeFineAmount(req, 'adjustment', amount, reason);
+        handleSuccess(res, { adjustment: result.adjustment, fine: withBalance(result.fine) });
+
+    } catch (error) {
+        handleLedgerError(error, res, next);
+    }
+};
+
+
 // DELETE /fines/{fineId} is typically NOT provided as fines are historical records.
 // If needed for admin correction, it would be similar to other delete operations with Admin role.
\ No newline at end of file
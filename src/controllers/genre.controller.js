@@ -138,7 +138,7 @@ exports.getGenreById = async (req, res, next) => {
 
 /**
  * @method updateGenre
- * @description Updates details of an existing genre. Requires Admin or Librarian role.
+ * @description Updates details of an existing genre. Requires Admin or Librarian role. A new name shows on every book in the genre (genre_names).
  * @route PUT /api/v1/genres/{id}
  * @access Admin, Librarian
  * @tag Genres
@@ -176,7 +176,7 @@ exports.updateGenre = async (req, res, next) => {
 
 /**
  * @method deleteGenre
- * @description Deletes a genre. Requires Admin role only. Note: This does not automatically update books referencing this genre.
+ * @description Deletes a genre. Requires Admin role only. The genre is removed from every book that lists it.
  * @route DELETE /api/v1/genres/{id}
  * @access Admin
  * @tag Genres
@@ -184,51 +184,13 @@ exports.updateGenre = async (req, res, next) => {
 exports.deleteGenre = async (req, res, next) => {
     const { id } = req.params;
     try {
-        // IMPORTANT CAVEAT: Deleting a genre ID stored in a Book's genre_ids array
-        // is NOT automatically handled by Prisma or the database in this schema design.
-        // You would need to manually implement logic here (or elsewhere) to find all books
-        // using this genreId and remove it from their genre_ids array before deleting the genre.
-        // This can be complex and potentially slow.
-        // Consider if genres should be soft-deleted or if a proper many-to-many relation is better.
-
-        await prisma.$transaction(async (tx) => {
-            // --- Optional: Find books using this genre ---
-            const booksUsingGenre = await tx.book.findMany({
-                where: { genre_ids: { has: id } },
-                select: { book_id: true, title: true }
-            });
-
-            if (booksUsingGenre.length > 0) {
-                // Option 1: Prevent deletion
-                // throw new Error(`Cannot delete genre: It is currently used by ${booksUsingGenre.length} book(s) (e.g., "${booksUsingGenre[0].title}"). Remove genre from books first.`);
-
-                // Option 2: Automatically remove the genre from books (Use with caution!)
-                console.warn(`Genre ${id} is used by ${booksUsingGenre.length} book(s). Removing reference...`);
-                 for (const book of booksUsingGenre) {
-                     const currentBookData = await tx.book.findUnique({
-                         where: { book_id: book.book_id },
-                         select: { genre_ids: true }
-                     });
-                     const updatedGenreIds = currentBookData.genre_ids.filter(gid => gid !== id);
-                     await tx.book.update({
-                         where: { book_id: book.book_id },
-                         data: { genre_ids: updatedGenreIds }
-                     });
-                 }
-            }
-
-            // --- Delete the genre ---
-            await tx.genre.delete({
-                where: { genre_id: id }
-            });
-        }); // End transaction
+        // Book links (BookGenre) are deleted with the genre
+        await prisma.genre.delete({
+            where: { genre_id: id }
+        });
 
         res.status(204).send(); // No content on successful delete
     } catch (error) {
-         // Catch specific error from transaction
-         if (error instanceof Error && error.message.startsWith('Cannot delete genre:')) {
-            return res.status(400).json({ success: false, error: { message: error.message } });
-         }
         // P2025 (NotFound) handled by global handler
         next(error);
     }
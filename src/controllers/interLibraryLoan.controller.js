@@ -0,0 +1,692 @@
+// src/controllers/interLibraryLoan.controller.js
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../../prisma/client');
+const { broadcast } = require('../app');
+const { calculateDueDate } = require('../utils/circulationHelper');
+const { findCopyForCirculation, setCopyStatus } = require('../utils/inventoryHelper');
+const { returnCopyToShelf } = require('../utils/holdQueueHelper');
+const { loadLibraryCalendar } = require('../utils/calendarHelper');
+const { assertNotBlocked, isBorrowingBlockedError, sendBorrowingBlocked } = require('../utils/borrowingBlockHelper');
+const { issueCheckoutReceipt } = require('../utils/receiptHelper');
+const prisma = getPrismaClient();
+
+// Helper for success responses
+const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
+
+// Inter-library loans that still count against the member's ill_max_active_requests
+const OPEN_ILL_STATUSES = ['requested', 'approved', 'in_transit', 'received', 'on_loan'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InterLibraryLoan:
+ *       # Already defined in swagger.js
+ *     InterLibraryLoanInput:
+ *       type: object
+ *       required: [bookId]
+ *       properties:
+ *          bookId:
+ *             type: string
+ *             format: uuid
+ *             description: The book to borrow, from another library's catalog.
+ *          userId:
+ *             type: string
+ *             format: uuid
+ *             description: The member the book is for (Librarian only; members always request for themselves).
+ *          notes:
+ *             type: string
+ *             description: Message for the lending library.
+ *     IllApproveInput:
+ *       type: object
+ *       properties:
+ *          copyId:
+ *             type: string
+ *             format: uuid
+ *             description: Specific copy to send. The next available copy is used when omitted.
+ *          barcode:
+ *             type: string
+ *             description: Barcode of the specific copy to send.
+ *     IllRejectInput:
+ *       type: object
+ *       properties:
+ *          reason:
+ *             type: string
+ *             description: Why the lending library refused the request.
+ *   parameters:
+ *      IllIdPathParam:
+ *        name: illId
+ *        in: path
+ *        required: true
+ *        schema: { type: string, format: uuid }
+ *        description: The unique identifier of the inter-library loan.
+ */
+
+/**
+ * @controller InterLibraryLoanController
+ */
+
+/**
+ * Loads an inter-library loan and checks the requesting librarian works on the right side of it.
+ * Admins may act for either library.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} illId - Inter-library loan to load
+ * @param {object} requester - req.user
+ * @param {'borrowing'|'lending'|Array<'borrowing'|'lending'>} side - Which library performs the step (either of several)
+ * @param {string} action - Verb used in error messages (e.g. 'approve')
+ * @returns {Promise<object>} The inter-library loan
+ */
+const loadIllForLibrary = async (tx, illId, requester, side, action) => {
+    const ill = await tx.interLibraryLoan.findUniqueOrThrow({
+        where: { ill_id: illId },
+    });
+    if (requester.role !== 'admin') {
+        const librarian = await tx.user.findUniqueOrThrow({
+            where: { user_id: requester.id },
+            select: { library_id: true }
+        });
+        const sides = [].concat(side);
+        const libraryIds = sides.map(name => name === 'lending' ? ill.lending_library_id : ill.borrowing_library_id);
+        if (!libraryIds.includes(librarian.library_id)) {
+            throw new Error(`Forbidden: Only the ${sides.join(' or ')} library can ${action} this inter-library loan.`);
+        }
+    }
+    return ill;
+};
+
+/**
+ * Throws unless the inter-library loan is in one of the given statuses.
+ * @param {object} ill - Inter-library loan
+ * @param {string[]} statuses - Allowed current statuses
+ * @param {string} action - Verb used in the error message
+ */
+const assertIllStatus = (ill, statuses, action) => {
+    if (!statuses.includes(ill.status)) {
+        throw new Error(`Cannot ${action} inter-library loan: Status is '${ill.status}', expected ${statuses.map(status => `'${status}'`).join(' or ')}.`);
+    }
+};
+
+/**
+ * Maps errors thrown inside inter-library loan transactions to HTTP responses.
+ */
+const handleIllError = (error, res, next) => {
+    if (isBorrowingBlockedError(error)) {
+        return sendBorrowingBlocked(res, error);
+    }
+    if (error instanceof Error && error.message.startsWith('Forbidden')) {
+        return res.status(403).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Error && (error.message.startsWith('Cannot') || error.message.includes('not available') || error.message.includes('not found for this book'))) {
+        return res.status(400).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+        return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+    }
+    next(error);
+};
+
+/**
+ * Moves an inter-library loan one step along its shipping route.
+ * @param {object} req - Express request (uses params.illId and user)
+ * @param {object} step
+ * @param {'borrowing'|'lending'} step.side - Which library performs the step
+ * @param {string} step.action - Verb used in error messages
+ * @param {string[]} step.from - Statuses the loan may be in
+ * @param {object} step.data - Fields to set on the loan
+ * @returns {Promise<object>} The updated inter-library loan
+ */
+const advanceIll = (req, { side, action, from, data }) => prisma.$transaction(async (tx) => {
+    const ill = await loadIllForLibrary(tx, req.params.illId, req.user, side, action);
+    assertIllStatus(ill, from, action);
+    return tx.interLibraryLoan.update({
+        where: { ill_id: ill.ill_id },
+        data,
+    });
+}, {
+     maxWait: 10000,
+     timeout: 20000,
+}); // End transaction
+
+/**
+ * @method createInterLibraryLoan
+ * @description Requests a book from another library on this instance. Both libraries' policies must allow inter-library loans,
+ * and the member must be under their library's limit of open inter-library loans.
+ * @route POST /api/v1/inter-library-loans
+ * @access Member, Librarian
+ * @tag Inter-Library Loans
+ */
+exports.createInterLibraryLoan = async (req, res, next) => {
+    const { bookId, notes } = req.body ?? {};
+    // Members request for themselves; librarians request on behalf of a member
+    const userId = req.user.role === 'member' ? req.user.id : req.body?.userId;
+
+    if (!bookId || !userId) {
+        return res.status(400).json({ success: false, error: { message: req.user.role === 'member' ? 'bookId is required.' : 'bookId and userId are required.' } });
+    }
+
+    try {
+        const newIll = await prisma.$transaction(async (tx) => {
+            // 1. Fetch the member and the book
+            const [user, book] = await Promise.all([
+                tx.user.findUniqueOrThrow({
+                    where: { user_id: userId, is_active: true },
+                    select: { user_id: true, library_id: true, borrowed_book_ids: true }
+                }),
+                tx.book.findUniqueOrThrow({
+                    where: { book_id: bookId },
+                    select: { book_id: true, library_id: true }
+                }),
+            ]);
+
+            if (user.library_id === book.library_id) {
+                throw new Error(`Cannot request inter-library loan: The book belongs to the member's own library. Borrow it directly instead.`);
+            }
+            if (req.user.role === 'librarian') {
+                const librarian = await tx.user.findUniqueOrThrow({
+                    where: { user_id: req.user.id },
+                    select: { library_id: true }
+                });
+                if (librarian.library_id !== user.library_id) {
+                    throw new Error(`Forbidden: Librarians can only request inter-library loans for members of their own library.`);
+                }
+            }
+
+            // 2. Both sides must take part in inter-library loans
+            const [borrowingPolicy, lendingPolicy] = await Promise.all([
+                tx.policy.findUniqueOrThrow({ where: { library_id: user.library_id } }),
+                tx.policy.findUnique({ where: { library_id: book.library_id } }),
+            ]);
+            if (!borrowingPolicy.ill_borrowing_enabled) {
+                throw new Error(`Cannot request inter-library loan: The member's library does not borrow from other libraries.`);
+            }
+            if (!lendingPolicy?.ill_lending_enabled) {
+                throw new Error(`Cannot request inter-library loan: The book's library does not lend to other libraries.`);
+            }
+
+            // 3. Member checks
+            if (user.borrowed_book_ids.includes(bookId)) {
+                throw new Error(`Cannot request inter-library loan: The member already has this book.`);
+            }
+            const openIlls = await tx.interLibraryLoan.findMany({
+                where: { user_id: userId, status: { in: OPEN_ILL_STATUSES } },
+                select: { book_id: true }
+            });
+            if (openIlls.some(ill => ill.book_id === bookId)) {
+                throw new Error(`Cannot request inter-library loan: The member already has an open request for this book.`);
+            }
+            if (openIlls.length >= borrowingPolicy.ill_max_active_requests) {
+                throw new Error(`Cannot request inter-library loan: The member has reached the limit of ${borrowingPolicy.ill_max_active_requests} open inter-library loans.`);
+            }
+            await assertNotBlocked(tx, { userId, libraryId: user.library_id, policy: borrowingPolicy, action: 'request inter-library loans' });
+
+            // 4. Create the request; the lending library picks a copy when it approves
+            return tx.interLibraryLoan.create({
+                data: {
+                    user_id: userId,
+                    book_id: bookId,
+                    borrowing_library_id: user.library_id,
+                    lending_library_id: book.library_id,
+                    notes,
+                }
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanRequested', data: newIll }), {});
+        handleSuccess(res, newIll, 201);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method getAllInterLibraryLoans
+ * @description Lists inter-library loans. Members see their own; librarians see the loans their library borrows or lends
+ * (narrowed with side=borrowing|lending). Admins see all.
+ * @route GET /api/v1/inter-library-loans
+ * @access Authenticated Users
+ * @tag Inter-Library Loans
+ */
+exports.getAllInterLibraryLoans = async (req, res, next) => {
+    try {
+        // --- Pagination & Sorting ---
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+        const skip = (page - 1) * limit;
+
+        const allowedSortBy = ['requested_at', 'updated_at', 'status'];
+        const sortBy = allowedSortBy.includes(req.query.sortBy) ? req.query.sortBy : 'requested_at';
+        const sortOrder = req.query.sortOrder === 'asc' ? 'asc' : 'desc';
+
+        // --- Filtering ---
+        const { status, side, userId, bookId } = req.query;
+        const where = {};
+
+        if (req.user.role === 'member') {
+            where.user_id = req.user.id;
+        } else {
+            if (userId) where.user_id = userId;
+            if (req.user.role === 'librarian') {
+                const librarian = await prisma.user.findUniqueOrThrow({
+                    where: { user_id: req.user.id },
+                    select: { library_id: true }
+                });
+                if (side === 'borrowing') where.borrowing_library_id = librarian.library_id;
+                else if (side === 'lending') where.lending_library_id = librarian.library_id;
+                else where.OR = [{ borrowing_library_id: librarian.library_id }, { lending_library_id: librarian.library_id }];
+            }
+        }
+        if (status) where.status = status;
+        if (bookId) where.book_id = bookId;
+
+        // --- Database Query ---
+        const [ills, totalIlls] = await prisma.$transaction([
+            prisma.interLibraryLoan.findMany({
+                where,
+                skip,
+                take: limit,
+                orderBy: { [sortBy]: sortOrder },
+                include: {
+                    book: { select: { book_id: true, title: true, isbn: true } },
+                    borrowing_library: { select: { library_id: true, name: true } },
+                    lending_library: { select: { library_id: true, name: true } },
+                }
+            }),
+            prisma.interLibraryLoan.count({ where })
+        ]);
+
+        // --- Response ---
+        handleSuccess(res, {
+            data: ills,
+            pagination: {
+                totalItems: totalIlls,
+                currentPage: page,
+                itemsPerPage: limit,
+                totalPages: Math.ceil(totalIlls / limit)
+            }
+        });
+
+    } catch (error) {
+         if (error instanceof Prisma.PrismaClientValidationError) {
+            return res.status(400).json({ success: false, error: { message: "Invalid filter parameter format." } });
+         }
+        next(error);
+    }
+};
+
+/**
+ * @method getInterLibraryLoanById
+ * @description Fetches one inter-library loan with its book, copy, libraries and the member's loan.
+ * Members see only their own; librarians only those their library borrows or lends.
+ * @route GET /api/v1/inter-library-loans/{illId}
+ * @access Authenticated Users
+ * @tag Inter-Library Loans
+ */
+exports.getInterLibraryLoanById = async (req, res, next) => {
+    try {
+        const ill = await prisma.interLibraryLoan.findUniqueOrThrow({
+            where: { ill_id: req.params.illId },
+            include: {
+                user: { select: { user_id: true, name: true, email: true } },
+                book: { select: { book_id: true, title: true, isbn: true } },
+                copy: { select: { copy_id: true, barcode: true, status: true } },
+                borrowing_library: { select: { library_id: true, name: true } },
+                lending_library: { select: { library_id: true, name: true } },
+                borrow_transaction: true,
+            }
+        });
+
+        if (req.user.role === 'member' && ill.user_id !== req.user.id) {
+            return res.status(403).json({ success: false, error: { message: "Forbidden: You can only view your own inter-library loans." } });
+        }
+        if (req.user.role === 'librarian') {
+            const librarian = await prisma.user.findUniqueOrThrow({
+                where: { user_id: req.user.id },
+                select: { library_id: true }
+            });
+            if (![ill.borrowing_library_id, ill.lending_library_id].includes(librarian.library_id)) {
+                return res.status(403).json({ success: false, error: { message: "Forbidden: This inter-library loan doesn't involve your library." } });
+            }
+        }
+
+        handleSuccess(res, ill);
+
+    } catch (error) {
+        // P2025 (NotFound) handled by global handler
+        next(error);
+    }
+};
+
+/**
+ * @method approveInterLibraryLoan
+ * @description Lending library accepts a request. A copy is pulled from the shelf for shipping.
+ * @route PUT /api/v1/inter-library-loans/{illId}/approve
+ * @access Librarian (lending library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.approveInterLibraryLoan = async (req, res, next) => {
+    const { copyId, barcode } = req.body ?? {};
+
+    try {
+        const approvedIll = await prisma.$transaction(async (tx) => {
+            const ill = await loadIllForLibrary(tx, req.params.illId, req.user, 'lending', 'approve');
+            assertIllStatus(ill, ['requested'], 'approve');
+
+            // Pull a copy; it stays out of the lending library's available count until it comes back
+            const copy = await findCopyForCirculation(tx, { book_id: ill.book_id, library_id: ill.lending_library_id }, { copyId, barcode });
+            await setCopyStatus(tx, copy, 'on_interlibrary_loan');
+
+            return tx.interLibraryLoan.update({
+                where: { ill_id: ill.ill_id },
+                data: {
+                    status: 'approved',
+                    copy_id: copy.copy_id,
+                    approved_by: req.user.id,
+                    approved_at: new Date(),
+                }
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: approvedIll }), {});
+        handleSuccess(res, approvedIll);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method rejectInterLibraryLoan
+ * @description Lending library refuses a request, optionally with a reason.
+ * @route PUT /api/v1/inter-library-loans/{illId}/reject
+ * @access Librarian (lending library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.rejectInterLibraryLoan = async (req, res, next) => {
+    const { reason } = req.body ?? {};
+
+    try {
+        const rejectedIll = await advanceIll(req, {
+            side: 'lending',
+            action: 'reject',
+            from: ['requested'],
+            data: { status: 'rejected', rejection_reason: reason, approved_by: req.user.id, approved_at: new Date() },
+        });
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: rejectedIll }), {});
+        handleSuccess(res, rejectedIll);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method cancelInterLibraryLoan
+ * @description Withdraws a request before it is shipped. The member can cancel their own; librarians of the borrowing library any.
+ * A copy already pulled by the lending library goes back on its shelf.
+ * @route PUT /api/v1/inter-library-loans/{illId}/cancel
+ * @access Member (own), Librarian (borrowing library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.cancelInterLibraryLoan = async (req, res, next) => {
+    try {
+        const cancelledIll = await prisma.$transaction(async (tx) => {
+            let ill;
+            if (req.user.role === 'member') {
+                ill = await tx.interLibraryLoan.findUniqueOrThrow({ where: { ill_id: req.params.illId } });
+                if (ill.user_id !== req.user.id) {
+                    throw new Error(`Forbidden: You can only cancel your own inter-library loans.`);
+                }
+            } else {
+                ill = await loadIllForLibrary(tx, req.params.illId, req.user, 'borrowing', 'cancel');
+            }
+            assertIllStatus(ill, ['requested', 'approved'], 'cancel');
+
+            if (ill.copy_id) {
+                await returnCopyToShelf(tx, { copy_id: ill.copy_id, book_id: ill.book_id });
+            }
+
+            return tx.interLibraryLoan.update({
+                where: { ill_id: ill.ill_id },
+                data: { status: 'cancelled', cancelled_at: new Date() }
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: cancelledIll }), {});
+        handleSuccess(res, cancelledIll);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method shipInterLibraryLoan
+ * @description Lending library sends the pulled copy to the borrowing library.
+ * @route PUT /api/v1/inter-library-loans/{illId}/ship
+ * @access Librarian (lending library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.shipInterLibraryLoan = async (req, res, next) => {
+    try {
+        const shippedIll = await advanceIll(req, {
+            side: 'lending',
+            action: 'ship',
+            from: ['approved'],
+            data: { status: 'in_transit', shipped_at: new Date() },
+        });
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: shippedIll }), {});
+        handleSuccess(res, shippedIll);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method receiveInterLibraryLoan
+ * @description Borrowing library confirms the book arrived. It waits at the desk for the member.
+ * @route PUT /api/v1/inter-library-loans/{illId}/receive
+ * @access Librarian (borrowing library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.receiveInterLibraryLoan = async (req, res, next) => {
+    try {
+        const receivedIll = await advanceIll(req, {
+            side: 'borrowing',
+            action: 'receive',
+            from: ['in_transit'],
+            data: { status: 'received', received_at: new Date() },
+        });
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: receivedIll }), {});
+        handleSuccess(res, receivedIll);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method checkoutInterLibraryLoan
+ * @description Borrowing library hands the book to the member. A borrow transaction is opened at the borrowing library
+ * (its borrowing limit and fine rules apply); the due date follows the lending library's ill_loan_days.
+ * The member gets a numbered checkout receipt and returns it through the normal return endpoint, after which the
+ * borrowing library ships it back.
+ * @route PUT /api/v1/inter-library-loans/{illId}/checkout
+ * @access Librarian (borrowing library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.checkoutInterLibraryLoan = async (req, res, next) => {
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            const ill = await loadIllForLibrary(tx, req.params.illId, req.user, 'borrowing', 'check out');
+            assertIllStatus(ill, ['received'], 'check out');
+
+            // 1. Fetch the member, both policies and the borrowing library's opening calendar (the book is returned there)
+            const [user, borrowingPolicy, lendingPolicy, calendar] = await Promise.all([
+                tx.user.findUniqueOrThrow({
+                    where: { user_id: ill.user_id, is_active: true },
+                    select: { user_id: true, borrowed_book_ids: true }
+                }),
+                tx.policy.findUniqueOrThrow({ where: { library_id: ill.borrowing_library_id } }),
+                tx.policy.findUniqueOrThrow({ where: { library_id: ill.lending_library_id } }),
+                loadLibraryCalendar(tx, ill.borrowing_library_id),
+            ]);
+
+            // 2. Borrowing library rules
+            if (user.borrowed_book_ids.includes(ill.book_id)) {
+                throw new Error(`Cannot check out inter-library loan: The member already has this book.`);
+            }
+            if (user.borrowed_book_ids.length >= borrowingPolicy.max_books_per_user) {
+                throw new Error(`Cannot check out inter-library loan: The member has reached the borrowing limit of ${borrowingPolicy.max_books_per_user} books.`);
+            }
+            await assertNotBlocked(tx, { userId: ill.user_id, libraryId: ill.borrowing_library_id, policy: borrowingPolicy, action: 'borrow' });
+
+            // 3. Open the loan at the borrowing library; the lender decides how long it may stay out
+            const borrowDate = new Date();
+            const transaction = await tx.borrowTransaction.create({
+                data: {
+                    user_id: ill.user_id,
+                    book_id: ill.book_id,
+                    library_id: ill.borrowing_library_id,
+                    copy_id: ill.copy_id,
+                    status: 'borrowed',
+                    borrow_date: borrowDate,
+                    due_date: calculateDueDate(borrowDate, lendingPolicy.ill_loan_days ?? lendingPolicy.max_borrow_days, calendar),
+                    reviewed_by: req.user.id,
+                    reviewed_at: borrowDate,
+                }
+            });
+            await tx.user.update({
+                where: { user_id: ill.user_id },
+                data: { borrowed_book_ids: { push: ill.book_id } }
+            });
+
+            const updatedIll = await tx.interLibraryLoan.update({
+                where: { ill_id: ill.ill_id },
+                data: { status: 'on_loan', borrow_id: transaction.borrow_id }
+            });
+            const receipt = await issueCheckoutReceipt(tx, transaction, { issuedBy: req.user.id });
+
+            return { interLibraryLoan: updatedIll, transaction, receipt };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: result.interLibraryLoan }), {});
+        handleSuccess(res, result);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method returnShipInterLibraryLoan
+ * @description Borrowing library sends a returned book back to the lending library. A received book the member never
+ * collected can be sent straight back without a checkout.
+ * @route PUT /api/v1/inter-library-loans/{illId}/return-ship
+ * @access Librarian (borrowing library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.returnShipInterLibraryLoan = async (req, res, next) => {
+    try {
+        const shippedIll = await advanceIll(req, {
+            side: 'borrowing',
+            action: 'ship back',
+            from: ['returned', 'received'],
+            data: { status: 'return_in_transit', return_shipped_at: new Date() },
+        });
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: shippedIll }), {});
+        handleSuccess(res, shippedIll);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method completeInterLibraryLoan
+ * @description Lending library confirms the book is back. The copy returns to its shelf and the loan is closed.
+ * @route PUT /api/v1/inter-library-loans/{illId}/complete
+ * @access Librarian (lending library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.completeInterLibraryLoan = async (req, res, next) => {
+    try {
+        const completedIll = await prisma.$transaction(async (tx) => {
+            const ill = await loadIllForLibrary(tx, req.params.illId, req.user, 'lending', 'complete');
+            assertIllStatus(ill, ['return_in_transit'], 'complete');
+
+            if (ill.copy_id) {
+                await returnCopyToShelf(tx, { copy_id: ill.copy_id, book_id: ill.book_id });
+            }
+
+            return tx.interLibraryLoan.update({
+                where: { ill_id: ill.ill_id },
+                data: { status: 'completed', completed_at: new Date() }
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: completedIll }), {});
+        handleSuccess(res, completedIll);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
+
+/**
+ * @method reportInterLibraryLoanLost
+ * @description Either library reports a book lost in the post, on its way out or back. The lending library's copy is
+ * written off and the loan is closed as 'lost'; the member isn't charged. Books lost while checked out to the member
+ * go through PUT /api/v1/borrow-transactions/{borrowId}/lost instead.
+ * @route PUT /api/v1/inter-library-loans/{illId}/lost
+ * @access Librarian (borrowing or lending library), Admin
+ * @tag Inter-Library Loans
+ */
+exports.reportInterLibraryLoanLost = async (req, res, next) => {
+    try {
+        const lostIll = await prisma.$transaction(async (tx) => {
+            const ill = await loadIllForLibrary(tx, req.params.illId, req.user, ['borrowing', 'lending'], 'report lost');
+            assertIllStatus(ill, ['in_transit', 'return_in_transit'], 'report lost');
+
+            // Write the copy off (the lending library's book counts follow the copy)
+            if (ill.copy_id) {
+                await setCopyStatus(tx, { copy_id: ill.copy_id, book_id: ill.book_id }, 'lost');
+            }
+
+            return tx.interLibraryLoan.update({
+                where: { ill_id: ill.ill_id },
+                data: { status: 'lost' }
+            });
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        broadcast(JSON.stringify({ type: 'interLibraryLoanUpdated', data: lostIll }), {});
+        handleSuccess(res, lostIll);
+
+    } catch (error) {
+        handleIllError(error, res, next);
+    }
+};
@@ -0,0 +1,308 @@
+// src/controllers/kiosk.controller.js
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../../prisma/client');
+const { broadcast } = require('../app');
+const { CHECKOUT_RULE_ERRORS, CHECKIN_RULE_ERRORS, isRuleError, checkoutBook, checkinBook, resolveLoanForCheckin } = require('../utils/circulationHelper');
+const { isBorrowingBlockedError, sendBorrowingBlocked } = require('../utils/borrowingBlockHelper');
+const { generateKioskKey, issueQrToken, verifyQrToken } = require('../utils/kioskHelper');
+const { issueCheckoutReceipt, issueReturnReceipt } = require('../utils/receiptHelper');
+const prisma = getPrismaClient();
+
+// Helper for success responses
+const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
+
+// Kiosk fields safe to return (never the key hash)
+const KIOSK_SELECT = {
+    kiosk_id: true,
+    library_id: true,
+    name: true,
+    location: true,
+    is_active: true,
+    registered_by: true,
+    key_rotated_at: true,
+    last_seen_at: true,
+    created_at: true,
+    updated_at: true,
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Kiosk:
+ *       # Already defined in swagger.js
+ *     KioskInput:
+ *       # Already defined in swagger.js
+ *   parameters:
+ *      KioskIdPathParam:
+ *        name: kioskId
+ *        in: path
+ *        required: true
+ *        schema: { type: string, format: uuid }
+ *        description: The unique identifier of the kiosk.
+ */
+
+/**
+ * @controller KioskController
+ */
+
+// Library of the librarian/admin managing kiosks
+const getStaffLibraryId = async (client, requester) => {
+    const staff = await client.user.findUniqueOrThrow({
+        where: { user_id: requester.id },
+        select: { library_id: true }
+    });
+    return staff.library_id;
+};
+
+// Loads a kiosk of the staff member's library; kiosks of other libraries look like they don't exist
+const loadKioskForStaff = async (client, requester, kioskId) => {
+    const libraryId = await getStaffLibraryId(client, requester);
+    return client.kiosk.findFirstOrThrow({
+        where: { kiosk_id: kioskId, library_id: libraryId },
+        select: { kiosk_id: true }
+    });
+};
+
+// Member behind a scanned QR token; the token only works at kiosks of the member's own library
+const resolveKioskMember = (kiosk, qrToken) => {
+    if (!qrToken) {
+        throw new Error('Invalid QR token: qrToken is required.');
+    }
+    const { userId, libraryId } = verifyQrToken(qrToken);
+    if (libraryId !== kiosk.library_id) {
+        throw new Error('Forbidden: This QR code is for another library.');
+    }
+    return userId;
+};
+
+const handleKioskError = (error, res, next, ruleErrors = []) => {
+    if (isBorrowingBlockedError(error)) {
+        return sendBorrowingBlocked(res, error);
+    }
+    if (error instanceof Error && error.message.startsWith('Forbidden')) {
+        return res.status(403).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Error && (error.message.startsWith('Invalid QR token') || error.message.startsWith('Cannot') || isRuleError(error, ruleErrors))) {
+        return res.status(400).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+        return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+    }
+    next(error);
+};
+
+/**
+ * @method registerKiosk
+ * @description Registers a self-service kiosk for the librarian's library and issues its key.
+ * The key is only returned here (and when rotated); it is stored hashed.
+ * @route POST /api/v1/kiosks
+ * @access Admin, Librarian
+ * @tag Kiosks
+ */
+exports.registerKiosk = async (req, res, next) => {
+    const { name, location } = req.body ?? {};
+
+    if (typeof name !== 'string' || name.trim() === '') {
+        return res.status(400).json({ success: false, error: { message: 'name is required.' } });
+    }
+
+    try {
+        const libraryId = await getStaffLibraryId(prisma, req.user);
+        const kioskId = crypto.randomUUID();
+        const { key, keyHash } = generateKioskKey(kioskId);
+
+        const kiosk = await prisma.kiosk.create({
+            data: {
+                kiosk_id: kioskId,
+                library_id: libraryId,
+                name: name.trim(),
+                location,
+                key_hash: keyHash,
+                registered_by: req.user.id,
+            },
+            select: KIOSK_SELECT
+        });
+
+        handleSuccess(res, { kiosk, key }, 201);
+    } catch (error) {
+        handleKioskError(error, res, next);
+    }
+};
+
+/**
+ * @method getKiosks
+ * @description Lists the kiosks of the librarian's library.
+ * @route GET /api/v1/kiosks
+ * @access Admin, Librarian
+ * @tag Kiosks
+ */
+exports.getKiosks = async (req, res, next) => {
+    try {
+        const libraryId = await getStaffLibraryId(prisma, req.user);
+        const kiosks = await prisma.kiosk.findMany({
+            where: { library_id: libraryId },
+            select: KIOSK_SELECT,
+            orderBy: { name: 'asc' }
+        });
+
+        handleSuccess(res, { data: kiosks });
+    } catch (error) {
+        handleKioskError(error, res, next);
+    }
+};
+
+/**
+ * @method updateKiosk
+ * @description Renames, moves, deactivates or reactivates a kiosk of the librarian's library.
+ * @route PUT /api/v1/kiosks/{kioskId}
+ * @access Admin, Librarian
+ * @tag Kiosks
+ */
+exports.updateKiosk = async (req, res, next) => {
+    const { name, location, is_active } = req.body ?? {};
+
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+        return res.status(400).json({ success: false, error: { message: 'name cannot be empty.' } });
+    }
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+        return res.status(400).json({ success: false, error: { message: 'is_active must be true or false.' } });
+    }
+
+    try {
+        const { kiosk_id } = await loadKioskForStaff(prisma, req.user, req.params.kioskId);
+        const kiosk = await prisma.kiosk.update({
+            where: { kiosk_id },
+            data: { name: name?.trim(), location, is_active },
+            select: KIOSK_SELECT
+        });
+
+        handleSuccess(res, kiosk);
+    } catch (error) {
+        handleKioskError(error, res, next);
+    }
+};
+
+/**
+ * @method rotateKioskKey
+ * @description Issues a new key for a kiosk. The old key stops working immediately.
+ * @route POST /api/v1/kiosks/{kioskId}/rotate-key
+ * @access Admin, Librarian
+ * @tag Kiosks
+ */
+exports.rotateKioskKey = async (req, res, next) => {
+    try {
+        const { kiosk_id } = await loadKioskForStaff(prisma, req.user, req.params.kioskId);
+        const { key, keyHash } = generateKioskKey(kiosk_id);
+
+        const kiosk = await prisma.kiosk.update({
+            where: { kiosk_id },
+            data: { key_hash: keyHash, key_rotated_at: new Date() },
+            select: KIOSK_SELECT
+        });
+
+        handleSuccess(res, { kiosk, key });
+    } catch (error) {
+        handleKioskError(error, res, next);
+    }
+};
+
+/**
+ * @method createQrToken
+ * @description Issues a short-lived QR token the member shows at a kiosk of their library instead of logging in there.
+ * @route POST /api/v1/kiosks/qr-token
+ * @access Member
+ * @tag Kiosks
+ */
+exports.createQrToken = async (req, res, next) => {
+    try {
+        const member = await prisma.user.findUniqueOrThrow({
+            where: { user_id: req.user.id, is_active: true },
+            select: { user_id: true, library_id: true }
+        });
+
+        handleSuccess(res, issueQrToken(member), 201);
+    } catch (error) {
+        handleKioskError(error, res, next);
+    }
+};
+
+/**
+ * @method kioskCheckout
+ * @description Checks a scanned copy out to the member whose QR token was scanned, with the same rules as borrowBook.
+ * Kiosk checkouts are loans straight away (no librarian approval) and record the kiosk on the transaction.
+ * A numbered checkout receipt is issued, as at the desk.
+ * @route POST /api/v1/kiosks/checkout
+ * @access Kiosk (X-Kiosk-Key)
+ * @tag Kiosks
+ */
+exports.kioskCheckout = async (req, res, next) => {
+    const { qrToken, copyId, barcode } = req.body ?? {};
+
+    // The kiosk hands out the copy in front of it, so a copy must be scanned
+    if (!copyId && !barcode) {
+        return res.status(400).json({ success: false, error: { message: 'copyId or barcode is required.' } });
+    }
+
+    try {
+        const userId = resolveKioskMember(req.kiosk, qrToken);
+
+        const result = await prisma.$transaction(async (tx) => {
+            const transaction = await checkoutBook(tx, { userId, copyId, barcode, kioskId: req.kiosk.id });
+            const [book, copy] = await Promise.all([
+                tx.book.findUnique({ where: { book_id: transaction.book_id }, select: { book_id: true, title: true } }),
+                tx.bookCopy.findUnique({ where: { copy_id: transaction.copy_id }, select: { copy_id: true, barcode: true } }),
+            ]);
+            const receipt = await issueCheckoutReceipt(tx, transaction);
+            return { transaction, book, copy, receipt };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        broadcast(JSON.stringify({ type: 'borrow', data: result.transaction }), {});
+        handleSuccess(res, result, 201);
+    } catch (error) {
+        handleKioskError(error, res, next, CHECKOUT_RULE_ERRORS);
+    }
+};
+
+/**
+ * @method kioskReturn
+ * @description Returns a scanned copy at a kiosk, with the same rules as returnBook (late returns are fined).
+ * A QR token is optional; when given, only that member's loans can be returned. A numbered return receipt is issued,
+ * listing any fine.
+ * @route POST /api/v1/kiosks/return
+ * @access Kiosk (X-Kiosk-Key)
+ * @tag Kiosks
+ */
+exports.kioskReturn = async (req, res, next) => {
+    const { qrToken, copyId, barcode } = req.body ?? {};
+
+    if (!copyId && !barcode) {
+        return res.status(400).json({ success: false, error: { message: 'copyId or barcode is required.' } });
+    }
+
+    try {
+        // Without a QR token the kiosk acts like a book drop: any loan of the scanned copy is returned
+        const requester = qrToken
+            ? { requestingUserId: resolveKioskMember(req.kiosk, qrToken), requestingUserRole: 'member' }
+            : { requestingUserId: null, requestingUserRole: 'kiosk' };
+
+        const result = await prisma.$transaction(async (tx) => {
+            const borrowId = await resolveLoanForCheckin(tx, { copyId, barcode }, req.kiosk.library_id);
+            const checkin = await checkinBook(tx, borrowId, requester);
+            const receipt = await issueReturnReceipt(tx, checkin.transaction, checkin.fineGenerated);
+            return { ...checkin, receipt };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result);
+    } catch (error) {
+        handleKioskError(error, res, next, CHECKIN_RULE_ERRORS);
+    }
+};
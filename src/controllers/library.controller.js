@@ -1,5 +1,6 @@
 // src/controllers/library.controller.js
 const { getPrismaClient } = require('../../prisma/client');
+const { normalizeCurrency, normalizeLocale } = require('../utils/money');
 const prisma = getPrismaClient();
 
 // Helper function for common responses (optional)
@@ -7,6 +8,20 @@ const handleNotFound = (res, entity = 'Resource') => res.status(404).json({ succ
 const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
 const { authenticate, isAdmin, isAdminOrLibrarian } = require('../middleware/auth.middleware');
 
+// Normalises currency ('eur' -> 'EUR') and locale in a library body. Returns an error message instead when invalid.
+const normalizeMoneySettings = (data) => {
+  if (data.currency !== undefined) {
+    const currency = normalizeCurrency(data.currency);
+    if (!currency) return 'currency must be an ISO 4217 code such as USD or EUR.';
+    data.currency = currency;
+  }
+  if (data.locale !== undefined) {
+    const locale = normalizeLocale(data.locale);
+    if (!locale) return 'locale must be a language tag such as en-US or de-DE.';
+    data.locale = locale;
+  }
+  return null;
+};
 
 
 /**
@@ -34,6 +49,11 @@ const { authenticate, isAdmin, isAdminOrLibrarian } = require('../middleware/aut
  *         $ref: '#/components/schemas/ServerErrorResponse'
  */
 exports.createLibrary = async (req, res, next) => {
+  const moneyError = normalizeMoneySettings(req.body ?? {});
+  if (moneyError) {
+    return res.status(400).json({ success: false, error: { message: moneyError } });
+  }
+
   try {
     const newLibrary = await prisma.library.create({
       data: req.body,
@@ -204,18 +224,46 @@ exports.getLibraryById = async (req, res, next) => {
  *         $ref: '#/components/schemas/BadRequestResponse'
  *       404:
  *         $ref: '#/components/schemas/NotFoundResponse'
+ *       409:
+ *         description: The currency can't change while the library has unpaid fines or open online checkouts
  *       500:
  *         $ref: '#/components/schemas/ServerErrorResponse'
  */
 exports.updateLibrary = async (req, res, next) => {
+  const moneyError = normalizeMoneySettings(req.body ?? {});
+  if (moneyError) {
+    return res.status(400).json({ success: false, error: { message: moneyError } });
+  }
+
   try {
     const { id } = req.params;
-    const updatedLibrary = await prisma.library.update({
-      where: { library_id: id },
-      data: req.body, // Ensure only valid fields are passed from req.body
-    });
+    const updatedLibrary = await prisma.$transaction(async (tx) => {
+      const library = await tx.library.findUniqueOrThrow({ where: { library_id: id }, select: { currency: true } });
+
+      // Fines and payments keep the currency they were raised in, so it can only change once nothing is owed
+      if (req.body?.currency !== undefined && req.body.currency !== library.currency) {
+        const [unpaidFines, openCheckouts] = await Promise.all([
+          tx.fine.count({ where: { library_id: id, is_paid: false } }),
+          tx.paymentSession.count({ where: { library_id: id, status: 'pending' } }),
+        ]);
+        if (unpaidFines > 0 || openCheckouts > 0) {
+          throw new Error(`Cannot change currency: The library still has ${unpaidFines} unpaid fine(s) and ${openCheckouts} open online checkout(s) in ${library.currency}.`);
+        }
+      }
+
+      return tx.library.update({
+        where: { library_id: id },
+        data: req.body, // Ensure only valid fields are passed from req.body
+      });
+    }, {
+      maxWait: 10000,
+      timeout: 20000,
+    }); // End transaction
     handleSuccess(res, updatedLibrary);
   } catch (error) {
+    if (error instanceof Error && error.message.startsWith('Cannot change currency')) {
+      return res.status(409).json({ success: false, error: { message: error.message } });
+    }
     // P2025 (Record to update not found) will be caught by errorHandler
     next(error);
   }
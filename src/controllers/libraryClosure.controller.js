@@ -0,0 +1,276 @@
+// src/controllers/libraryClosure.controller.js
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../../prisma/client');
+const { ACTIVE_LOAN_STATUSES } = require('../utils/circulationHelper');
+const { WEEKDAY_NAMES, loadLibraryCalendar, isClosedDay, nextOpenDay } = require('../utils/calendarHelper');
+const prisma = getPrismaClient();
+
+// Helper for success responses
+const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
+
+const CLOSURE_TYPES = ['weekly', 'holiday'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LibraryClosure:
+ *       # Already defined in swagger.js
+ *     LibraryClosureInput:
+ *       # Already defined in swagger.js
+ *   parameters:
+ *      ClosureIdPathParam:
+ *        name: closureId
+ *        in: path
+ *        required: true
+ *        schema: { type: string, format: uuid }
+ *        description: The unique identifier of the library closure.
+ */
+
+/**
+ * @controller LibraryClosureController
+ */
+
+// --- Validation Helper ---
+// Normalises a closure body into the columns for its type. Returns an error message instead when invalid.
+const buildClosureData = ({ closure_type, weekday, start_date, end_date, description }) => {
+    if (!CLOSURE_TYPES.includes(closure_type)) {
+        return { error: `closure_type must be one of: ${CLOSURE_TYPES.join(', ')}.` };
+    }
+
+    if (closure_type === 'weekly') {
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+            return { error: 'weekday must be an integer from 0 (Sunday) to 6 (Saturday) for weekly closures.' };
+        }
+        return { data: { closure_type, weekday, start_date: null, end_date: null, description } };
+    }
+
+    const startDate = new Date(start_date);
+    const endDate = end_date ? new Date(end_date) : startDate;
+    if (!start_date || isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        return { error: 'start_date (and end_date, if given) must be valid dates for holiday closures.' };
+    }
+    if (endDate < startDate) {
+        return { error: 'end_date cannot be before start_date.' };
+    }
+    return { data: { closure_type, weekday: null, start_date: startDate, end_date: endDate, description } };
+};
+
+// Librarians and admins can only change their own library's calendar
+const assertOwnLibrary = async (client, requester, libraryId) => {
+    const user = await client.user.findUniqueOrThrow({
+        where: { user_id: requester.id },
+        select: { library_id: true }
+    });
+    if (user.library_id !== libraryId) {
+        throw new Error(`Forbidden: You can only manage the calendar of your own library.`);
+    }
+};
+
+// Refuses a second weekly closure on the same weekday
+const assertNoDuplicateWeekday = async (tx, libraryId, data, closureId) => {
+    if (data.closure_type !== 'weekly') return;
+    const duplicate = await tx.libraryClosure.findFirst({
+        where: { library_id: libraryId, closure_type: 'weekly', weekday: data.weekday, ...(closureId && { closure_id: { not: closureId } }) },
+        select: { closure_id: true }
+    });
+    if (duplicate) {
+        throw new Error(`Duplicate closure: The library is already closed every ${WEEKDAY_NAMES[data.weekday]}.`);
+    }
+};
+
+/**
+ * Moves the due dates of open loans that now fall on a closed day to the next open day.
+ * Must be called inside a Prisma interactive transaction after the calendar changed.
+ * @returns {Promise<number>} Number of loans rescheduled
+ */
+const rescheduleOpenLoans = async (tx, libraryId) => {
+    const calendar = await loadLibraryCalendar(tx, libraryId);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const openLoans = await tx.borrowTransaction.findMany({
+        where: { library_id: libraryId, status: { in: ACTIVE_LOAN_STATUSES }, due_date: { gte: today } },
+        select: { borrow_id: true, due_date: true }
+    });
+
+    let rescheduled = 0;
+    for (const loan of openLoans) {
+        if (!isClosedDay(calendar, loan.due_date)) continue;
+        await tx.borrowTransaction.update({
+            where: { borrow_id: loan.borrow_id },
+            data: { due_date: nextOpenDay(calendar, loan.due_date) }
+        });
+        rescheduled++;
+    }
+    return rescheduled;
+};
+
+const handleClosureError = (error, res, next) => {
+    if (error instanceof Error && error.message.startsWith('Forbidden')) {
+        return res.status(403).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Error && error.message.startsWith('Duplicate closure')) {
+        return res.status(409).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Error && error.message.startsWith('Cannot')) {
+        return res.status(400).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+        return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+    }
+    next(error);
+};
+
+/**
+ * @method getLibraryClosures
+ * @description Lists a library's weekly closures and holidays. Holidays can be limited to those overlapping from/to.
+ * @route GET /api/v1/libraries/{id}/closures
+ * @access Authenticated Users
+ * @tag Libraries
+ */
+exports.getLibraryClosures = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { from, to } = req.query;
+
+        // Ensure the library exists so an unknown id is a 404 rather than an empty list
+        await prisma.library.findUniqueOrThrow({ where: { library_id: id }, select: { library_id: true } });
+
+        const holidayWhere = { closure_type: 'holiday' };
+        if (from) holidayWhere.end_date = { gte: new Date(from) };
+        if (to) holidayWhere.start_date = { lte: new Date(to) };
+
+        const closures = await prisma.libraryClosure.findMany({
+            where: { library_id: id, OR: [{ closure_type: 'weekly' }, holidayWhere] },
+            orderBy: [{ closure_type: 'desc' }, { weekday: 'asc' }, { start_date: 'asc' }], // Weekly first, then holidays by date
+        });
+
+        handleSuccess(res, { data: closures });
+    } catch (error) {
+         if (error instanceof Prisma.PrismaClientValidationError) {
+            return res.status(400).json({ success: false, error: { message: "Invalid filter parameter format." } });
+         }
+        // P2025 (NotFound) handled by global handler
+        next(error);
+    }
+};
+
+/**
+ * @method createLibraryClosure
+ * @description Adds a weekly closure or holiday to the librarian's library. Open loans due on a day that is now closed
+ * are moved to the next open day.
+ * @route POST /api/v1/libraries/{id}/closures
+ * @access Admin, Librarian
+ * @tag Libraries
+ */
+exports.createLibraryClosure = async (req, res, next) => {
+    const { id } = req.params;
+    const { data, error } = buildClosureData(req.body ?? {});
+    if (error) {
+        return res.status(400).json({ success: false, error: { message: error } });
+    }
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            await assertOwnLibrary(tx, req.user, id);
+            await assertNoDuplicateWeekday(tx, id, data);
+
+            const closure = await tx.libraryClosure.create({
+                data: { ...data, library_id: id, created_by: req.user.id }
+            });
+            return { ...closure, rescheduled_loans: await rescheduleOpenLoans(tx, id) };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result, 201);
+    } catch (error) {
+        handleClosureError(error, res, next);
+    }
+};
+
+/**
+ * @method updateLibraryClosure
+ * @description Replaces a closure's dates, weekday or description. Open loans due on a day that is now closed
+ * are moved to the next open day; due dates already moved are left alone.
+ * @route PUT /api/v1/libraries/{id}/closures/{closureId}
+ * @access Admin, Librarian
+ * @tag Libraries
+ */
+exports.updateLibraryClosure = async (req, res, next) => {
+    const { id, closureId } = req.params;
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            await assertOwnLibrary(tx, req.user, id);
+
+            const existing = await tx.libraryClosure.findUniqueOrThrow({
+                where: { closure_id: closureId },
+            });
+            if (existing.library_id !== id) {
+                throw new Error(`Cannot update closure: Closure ${closureId} does not belong to this library.`);
+            }
+
+            // Fields not sent keep their current values
+            const { data, error } = buildClosureData({
+                closure_type: existing.closure_type,
+                weekday: existing.weekday,
+                start_date: existing.start_date,
+                end_date: existing.end_date,
+                description: existing.description,
+                ...req.body,
+            });
+            if (error) {
+                throw new Error(`Cannot update closure: ${error}`);
+            }
+            await assertNoDuplicateWeekday(tx, id, data, closureId);
+
+            const closure = await tx.libraryClosure.update({
+                where: { closure_id: closureId },
+                data,
+            });
+            return { ...closure, rescheduled_loans: await rescheduleOpenLoans(tx, id) };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result);
+    } catch (error) {
+        handleClosureError(error, res, next);
+    }
+};
+
+/**
+ * @method deleteLibraryClosure
+ * @description Removes a closure. Due dates already moved because of it are left alone.
+ * @route DELETE /api/v1/libraries/{id}/closures/{closureId}
+ * @access Admin, Librarian
+ * @tag Libraries
+ */
+exports.deleteLibraryClosure = async (req, res, next) => {
+    const { id, closureId } = req.params;
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            await assertOwnLibrary(tx, req.user, id);
+
+            const closure = await tx.libraryClosure.findUniqueOrThrow({
+                where: { closure_id: closureId },
+                select: { library_id: true }
+            });
+            if (closure.library_id !== id) {
+                throw new Error(`Cannot delete closure: Closure ${closureId} does not belong to this library.`);
+            }
+
+            await tx.libraryClosure.delete({ where: { closure_id: closureId } });
+        }); // End transaction
+
+        res.status(204).send(); // No content on successful delete
+    } catch (error) {
+        handleClosureError(error, res, next);
+    }
+};
@@ -0,0 +1,168 @@
+// src/controllers/marcImport.controller.js
+const { getPrismaClient } = require('../../prisma/client');
+const { broadcast } = require('../app');
+const { addCopies, MAX_COPIES_PER_REQUEST } = require('../utils/inventoryHelper');
+const { BOOK_RELATIONS_INCLUDE, toBookResponse, setBookContributors, resolveAuthorNames, resolveGenreNames, setBookGenres } = require('../utils/bookRelations');
+const { MARC_FORMATS, detectMarcFormat, parseMarcFile, marcRecordToBook } = require('../utils/marcParser');
+const prisma = getPrismaClient();
+
+// Helper for success responses
+const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MarcImportRecord:
+ *       type: object
+ *       properties:
+ *         index: { type: integer, description: 'Position of the record in the file (0-based)' }
+ *         status: { type: string, enum: [created, updated, rejected] }
+ *         book_id: { type: string, format: uuid, description: 'Created or updated book' }
+ *         title: { type: string }
+ *         isbn: { type: string, nullable: true }
+ *         reason: { type: string, description: 'Why the record was rejected' }
+ *     MarcImportReport:
+ *       type: object
+ *       properties:
+ *         format: { type: string, enum: [marc21, marcxml] }
+ *         library_id: { type: string, format: uuid }
+ *         total: { type: integer }
+ *         created: { type: integer }
+ *         updated: { type: integer }
+ *         rejected: { type: integer }
+ *         records:
+ *           type: array
+ *           items: { $ref: '#/components/schemas/MarcImportRecord' }
+ */
+
+/**
+ * @controller MarcImportController
+ */
+
+// Record-level problems the cataloguer can fix in the file; anything else is logged
+const isRecordError = (error) => error instanceof Error && error.message.startsWith('Cannot import record:');
+
+/**
+ * Creates or updates the book of one record. A record matches an existing book of the library by ISBN; records
+ * without an ISBN always create a book.
+ * @returns {Promise<{ created: boolean, book: object }>}
+ */
+const saveRecord = async (libraryId, data, copyCount) => {
+    return prisma.$transaction(async (tx) => {
+        const existing = data.isbn
+            ? await tx.book.findFirst({ where: { library_id: libraryId, isbn: data.isbn }, select: { book_id: true } })
+            : null;
+
+        // Missing authors and genres are created
+        const authorIdsByName = await resolveAuthorNames(tx, data.contributors.map(contributor => contributor.name));
+        const contributors = data.contributors
+            .map(contributor => ({ author_id: authorIdsByName.get(contributor.name.trim().toLowerCase()), role: contributor.role }))
+            .filter(contributor => contributor.author_id)
+            .filter((contributor, index, list) => list.findIndex(other => other.author_id === contributor.author_id && other.role === contributor.role) === index);
+        const genreIds = await resolveGenreNames(tx, data.genres);
+        if (!existing && genreIds.length === 0) {
+            // Same rule as createBook: every book is filed under at least one genre
+            throw new Error('Cannot import record: It has no subjects or genres (650/655 $a).');
+        }
+
+        // Fields missing from the record keep their current values on an update
+        const fields = {
+            title: data.title,
+            ...(data.isbn && { isbn: data.isbn }),
+            ...(data.description && { description: data.description }),
+            ...(data.published_date && { published_date: data.published_date }),
+        };
+
+        let bookId;
+        if (existing) {
+            bookId = existing.book_id;
+            await tx.book.update({ where: { book_id: bookId }, data: fields });
+        } else {
+            const book = await tx.book.create({
+                data: { ...fields, library_id: libraryId, total_copies: 0, available_copies: 0, reserved_copies: 0 }
+            });
+            bookId = book.book_id;
+            await addCopies(tx, book, Array.from({ length: copyCount }, () => ({})));
+        }
+
+        // The record's contributors and genres replace the book's, unless it has none
+        if (contributors.length > 0) await setBookContributors(tx, bookId, contributors);
+        if (genreIds.length > 0) await setBookGenres(tx, bookId, genreIds);
+
+        return {
+            created: !existing,
+            book: await tx.book.findUniqueOrThrow({ where: { book_id: bookId }, include: BOOK_RELATIONS_INCLUDE }),
+        };
+    }, {
+        maxWait: 10000,
+        timeout: 20000,
+    });
+};
+
+/**
+ * @method importMarcRecords
+ * @description Imports a vendor file of MARC 21 records (binary ISO 2709 or MARCXML) into the librarian's library.
+ * Each record is saved in its own transaction, so a bad record is rejected without affecting the others. New books
+ * get `copies` copies (default 1) with generated barcodes; existing books keep their copies.
+ * @route POST /api/v1/books/import/marc
+ * @access Admin, Librarian
+ * @tag Books
+ */
+exports.importMarcRecords = async (req, res, next) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ success: false, error: { message: 'Send the MARC file as the request body with Content-Type application/marc (binary) or application/marcxml+xml.' } });
+    }
+    const format = detectMarcFormat(req.query.format, req.headers['content-type'], req.body);
+    if (!format) {
+        return res.status(400).json({ success: false, error: { message: `format must be one of: ${MARC_FORMATS.join(', ')}.` } });
+    }
+    const copyCount = req.query.copies === undefined ? 1 : Number(req.query.copies);
+    if (!Number.isInteger(copyCount) || copyCount < 0 || copyCount > MAX_COPIES_PER_REQUEST) {
+        return res.status(400).json({ success: false, error: { message: `copies must be an integer from 0 to ${MAX_COPIES_PER_REQUEST}.` } });
+    }
+
+    try {
+        const requester = await prisma.user.findUniqueOrThrow({
+            where: { user_id: req.user.id },
+            select: { library_id: true }
+        });
+        const entries = parseMarcFile(req.body, format);
+
+        const report = { format, library_id: requester.library_id, total: entries.length, created: 0, updated: 0, rejected: 0, records: [] };
+        for (const entry of entries) {
+            let data = null;
+            try {
+                if (entry.error) throw new Error(`Cannot import record: ${entry.error}`);
+                data = marcRecordToBook(entry.record);
+                const { created, book } = await saveRecord(requester.library_id, data, copyCount);
+
+                const responseBook = toBookResponse(book);
+                report[created ? 'created' : 'updated']++;
+                report.records.push({ index: entry.index, status: created ? 'created' : 'updated', book_id: book.book_id, title: book.title, isbn: book.isbn });
+                broadcast(JSON.stringify({ type: created ? 'bookCreated' : 'bookUpdated', data: responseBook }), {});
+            } catch (error) {
+                if (!isRecordError(error)) {
+                    console.error(`Failed to import MARC record ${entry.index}:`, error);
+                }
+                report.rejected++;
+                report.records.push({
+                    index: entry.index,
+                    status: 'rejected',
+                    title: data?.title,
+                    isbn: data?.isbn,
+                    reason: isRecordError(error) ? error.message.replace('Cannot import record: ', '') : 'The record could not be saved.',
+                });
+            }
+        }
+
+        handleSuccess(res, report);
+    } catch (error) {
+        // The file as a whole couldn't be read
+        if (error instanceof Error && error.message.startsWith('Invalid MARC')) {
+            return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        // P2025 (NotFound) handled by global handler
+        next(error);
+    }
+};
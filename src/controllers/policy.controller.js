@@ -1,16 +1,29 @@
 // src/controllers/policy.controller.js
 const { Prisma } = require('@prisma/client');
 const { getPrismaClient } = require('../../prisma/client');
+const { formatMoneyFields } = require('../utils/money');
 const prisma = getPrismaClient();
 
 // Helper for success responses
 const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
 
+// Policy fields that are amounts of money, in the library's currency
+const POLICY_MONEY_FIELDS = ['fine_per_day', 'lost_item_processing_fee', 'max_fine_per_loan', 'max_outstanding_fines_per_member', 'replacement_cost_ceiling', 'max_unpaid_fines_for_borrowing', 'librarian_waiver_limit'];
+
+// Library fields included with a policy so its money can be formatted
+const POLICY_LIBRARY_SELECT = { name: true, currency: true, locale: true };
+
+// Adds the formatted `money` object (needs the policy's library with currency and locale)
+const withMoney = (policy) => ({ ...policy, money: formatMoneyFields(policy, POLICY_MONEY_FIELDS, policy.library) });
+
 // --- Validation Helper ---
 const validatePolicyInput = (data) => {
     const errors = [];
-    const requiredInts = ['max_borrow_days', 'max_books_per_user', 'reservation_expiry_days'];
-    const requiredNumeric = ['fine_per_day'];
+    const requiredInts = ['max_borrow_days', 'max_books_per_user', 'reservation_expiry_days', 'borrow_request_expiry_hours', 'renewal_period_days', 'ill_max_active_requests', 'ill_loan_days'];
+    const nonNegativeInts = ['max_renewals', 'grace_period_days', 'max_overdue_items_for_borrowing']; // 0 is meaningful (e.g. renewals disabled)
+    const requiredNumeric = ['fine_per_day', 'lost_item_processing_fee'];
+    const optionalCaps = ['max_fine_per_loan', 'max_outstanding_fines_per_member', 'replacement_cost_ceiling', 'max_unpaid_fines_for_borrowing', 'librarian_waiver_limit']; // null removes the cap
+    const booleans = ['ill_borrowing_enabled', 'ill_lending_enabled'];
 
     for (const field of requiredInts) {
         if (data[field] === undefined || data[field] === null) continue; // Allow partial updates
@@ -21,6 +34,15 @@ const validatePolicyInput = (data) => {
          data[field] = value; // Ensure it's stored as int
     }
 
+    for (const field of nonNegativeInts) {
+        if (data[field] === undefined || data[field] === null) continue; // Allow partial updates
+        const value = parseInt(data[field], 10);
+        if (isNaN(value) || value < 0) {
+            errors.push(`${field} must be a non-negative integer.`);
+        }
+        data[field] = value;
+    }
+
     for (const field of requiredNumeric) {
          if (data[field] === undefined || data[field] === null) continue; // Allow partial updates
          // Prisma expects Decimal compatible type (Number or String representation)
@@ -33,6 +55,22 @@ const validatePolicyInput = (data) => {
          data[field] = value; // Or keep as string if needed: data[field] = String(value);
     }
 
+    for (const field of optionalCaps) {
+        if (data[field] === undefined || data[field] === null) continue; // Allow partial updates and clearing the cap
+        const value = parseFloat(data[field]);
+        if (isNaN(value) || value < 0) {
+            errors.push(`${field} must be a non-negative number or null.`);
+        }
+        data[field] = value;
+    }
+
+    for (const field of booleans) {
+        if (data[field] === undefined) continue; // Allow partial updates
+        if (typeof data[field] !== 'boolean') {
+            errors.push(`${field} must be true or false.`);
+        }
+    }
+
     if (errors.length > 0) {
         // Throw a single error with all validation messages
         throw new Error(`Validation failed: ${errors.join(' ')}`);
@@ -109,11 +147,12 @@ exports.createPolicy = async (req, res, next) => {
                 data: {
                     library_id,
                     ...validatedData // Use validated (and potentially type-coerced) data
-                }
+                },
+                include: { library: { select: POLICY_LIBRARY_SELECT } }
             });
         });
 
-        handleSuccess(res, newPolicy, 201);
+        handleSuccess(res, withMoney(newPolicy), 201);
 
     } catch (error) {
          // Handle specific errors
@@ -155,8 +194,8 @@ exports.getAllPolicies = async (req, res, next) => {
                 skip,
                 take: limit,
                 orderBy: { [sortBy]: sortOrder },
-                include: { // Include library name for context
-                    library: { select: { name: true } }
+                include: { // Include library name for context, and its currency for money
+                    library: { select: POLICY_LIBRARY_SELECT }
                 }
             }),
             prisma.policy.count() // Total count without filters
@@ -164,7 +203,7 @@ exports.getAllPolicies = async (req, res, next) => {
 
         // --- Response ---
         handleSuccess(res, {
-            data: policies,
+            data: policies.map(withMoney),
             pagination: {
                 totalItems: totalPolicies,
                 currentPage: page,
@@ -190,11 +229,11 @@ exports.getPolicyByLibraryId = async (req, res, next) => {
         // Use findUniqueOrThrow on the unique library_id field
         const policy = await prisma.policy.findUniqueOrThrow({
              where: { library_id: libraryId },
-             include: { // Include library name for context
-                 library: { select: { name: true } }
+             include: { // Include library name for context, and its currency for money
+                 library: { select: POLICY_LIBRARY_SELECT }
              }
         });
-        handleSuccess(res, policy);
+        handleSuccess(res, withMoney(policy));
     } catch (error) {
         // P2025 (NotFound) handled by global handler. Handles cases where library exists but has no policy.
         next(error);
@@ -224,8 +263,9 @@ exports.updatePolicy = async (req, res, next) => {
         const updatedPolicy = await prisma.policy.update({
             where: { policy_id: policyId },
             data: validatedData, // Use validated data
+            include: { library: { select: POLICY_LIBRARY_SELECT } }
         });
-        handleSuccess(res, updatedPolicy);
+        handleSuccess(res, withMoney(updatedPolicy));
     } catch (error) {
          // Catch validation errors
          if (error instanceof Error && error.message.includes('Validation failed')) {
@@ -0,0 +1,182 @@
+// src/controllers/receipt.controller.js
+const { Prisma } = require('@prisma/client');
+const { getPrismaClient } = require('../../prisma/client');
+const { renderReceiptHtml, renderReceiptPdf, sendReceiptEmail } = require('../utils/receiptHelper');
+const prisma = getPrismaClient();
+
+// Helper for success responses
+const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
+
+const RECEIPT_FORMATS = ['json', 'html', 'pdf'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Receipt:
+ *       # Already defined in swagger.js
+ *     PaginationInfo:
+ *       # Already defined in swagger.js
+ *   parameters:
+ *      ReceiptIdPathParam:
+ *        name: receiptId
+ *        in: path
+ *        required: true
+ *        schema: { type: string, format: uuid }
+ *        description: The unique identifier of the receipt.
+ */
+
+/**
+ * @controller ReceiptController
+ */
+
+// Receipts are issued by borrowBook/approveBorrowRequest (checkout), returnBook (return) and the staff fine payment
+// endpoints (payment); see src/utils/receiptHelper.js. This controller only reads and re-sends them.
+
+// Loads a receipt the requester may see: members their own, librarians their library's, admins any
+const loadReceipt = async (client, requester, receiptId) => {
+    const receipt = await client.receipt.findUniqueOrThrow({ where: { receipt_id: receiptId } });
+    if (requester.role === 'member' && receipt.user_id !== requester.id) {
+        throw new Error('Forbidden: You can only view your own receipts.');
+    }
+    if (requester.role === 'librarian') {
+        const staff = await client.user.findUniqueOrThrow({ where: { user_id: requester.id }, select: { library_id: true } });
+        if (staff.library_id !== receipt.library_id) {
+            throw new Error('Forbidden: You can only view receipts of your own library.');
+        }
+    }
+    return receipt;
+};
+
+const handleReceiptError = (error, res, next) => {
+    if (error instanceof Error && error.message.startsWith('Forbidden')) {
+        return res.status(403).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+        return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+    }
+    next(error);
+};
+
+/**
+ * @method getAllReceipts
+ * @description Lists receipts, newest first. Members see their own; librarians their library's; admins all (optionally one library's).
+ * @route GET /api/v1/receipts
+ * @access Authenticated Users
+ * @tag Receipts
+ */
+exports.getAllReceipts = async (req, res, next) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+        const skip = (page - 1) * limit;
+
+        const { userId, libraryId, kind, borrowId } = req.query;
+        const where = {};
+        if (req.user.role === 'member') {
+            if (userId && userId !== req.user.id) {
+                return res.status(403).json({ success: false, error: { message: 'Forbidden: Members can only view their own receipts.' } });
+            }
+            where.user_id = req.user.id;
+        } else {
+            if (userId) where.user_id = userId;
+            if (req.user.role === 'librarian') {
+                const staff = await prisma.user.findUniqueOrThrow({ where: { user_id: req.user.id }, select: { library_id: true } });
+                where.library_id = staff.library_id;
+            } else if (libraryId) {
+                where.library_id = libraryId;
+            }
+        }
+        if (kind) where.kind = kind;
+        if (borrowId) where.borrow_id = borrowId;
+
+        const [receipts, totalReceipts] = await prisma.$transaction([
+            prisma.receipt.findMany({
+                where,
+                skip,
+                take: limit,
+                orderBy: { created_at: 'desc' }
+            }),
+            prisma.receipt.count({ where })
+        ]);
+
+        handleSuccess(res, {
+            data: receipts,
+            pagination: {
+                totalItems: totalReceipts,
+                currentPage: page,
+                itemsPerPage: limit,
+                totalPages: Math.ceil(totalReceipts / limit)
+            }
+        });
+
+    } catch (error) {
+        if (error instanceof Prisma.PrismaClientValidationError) {
+            return res.status(400).json({ success: false, error: { message: 'Invalid filter parameter format.' } });
+        }
+        handleReceiptError(error, res, next);
+    }
+};
+
+/**
+ * @method getReceiptById
+ * @description Fetches a receipt as JSON, a printable HTML page or a PDF (?format=json|html|pdf).
+ * @route GET /api/v1/receipts/{receiptId}
+ * @access Member (own), Librarian (own library), Admin
+ * @tag Receipts
+ */
+exports.getReceiptById = async (req, res, next) => {
+    const format = req.query.format ?? 'json';
+    if (!RECEIPT_FORMATS.includes(format)) {
+        return res.status(400).json({ success: false, error: { message: `format must be one of ${RECEIPT_FORMATS.join(', ')}.` } });
+    }
+
+    try {
+        const receipt = await loadReceipt(prisma, req.user, req.params.receiptId);
+
+        if (format === 'html') {
+            return res.status(200).type('html').send(renderReceiptHtml(receipt));
+        }
+        if (format === 'pdf') {
+            return res.status(200)
+                .type('application/pdf')
+                .set('Content-Disposition', `inline; filename="${receipt.receipt_number}.pdf"`)
+                .send(renderReceiptPdf(receipt));
+        }
+        handleSuccess(res, receipt);
+
+    } catch (error) {
+        handleReceiptError(error, res, next);
+    }
+};
+
+/**
+ * @method emailReceipt
+ * @description Emails a past receipt to the member's current email address, as HTML with the PDF attached.
+ * @route POST /api/v1/receipts/{receiptId}/email
+ * @access Member (own), Librarian (own library), Admin
+ * @tag Receipts
+ */
+exports.emailReceipt = async (req, res, next) => {
+    try {
+        const receipt = await loadReceipt(prisma, req.user, req.params.receiptId);
+        const member = await prisma.user.findUniqueOrThrow({ where: { user_id: receipt.user_id }, select: { email: true } });
+
+        try {
+            await sendReceiptEmail(receipt, member.email);
+        } catch (mailError) {
+            console.error(`Failed to email receipt ${receipt.receipt_id} to ${member.email}:`, mailError);
+            return res.status(502).json({ success: false, error: { message: 'The receipt could not be emailed. Please try again later.' } });
+        }
+
+        const updatedReceipt = await prisma.receipt.update({
+            where: { receipt_id: receipt.receipt_id },
+            data: { emailed_at: new Date() }
+        });
+        handleSuccess(res, { sent_to: member.email, receipt: updatedReceipt });
+
+    } catch (error) {
+        handleReceiptError(error, res, next);
+    }
+};
@@ -1,17 +1,61 @@
 // src/controllers/reservation.controller.js
 const { Prisma } = require('@prisma/client');
 const { getPrismaClient } = require('../../prisma/client');
+const { broadcast } = require('../app');
+const { ACTIVE_RESERVATION_STATUSES, HELD_RESERVATION_STATUSES, WAITING_HOLD_WHERE, allocateAvailableCopies, calculatePickupDeadline, closeReservation, getQueuePosition, reactivateHolds, transitionReservation } = require('../utils/holdQueueHelper');
+const { sendHoldReadyEmail } = require('../utils/reservationMailer');
+const { assertNotBlocked, isBorrowingBlockedError, sendBorrowingBlocked } = require('../utils/borrowingBlockHelper');
 const prisma = getPrismaClient();
 
 // Helper for success responses
 const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).json(data);
 
+// Longest a member can put their holds on hold in one go
+const MAX_SUSPENSION_DAYS = 180;
+
+// Member whose holds are being suspended/resumed: members act for themselves, staff for members of their library
+const resolveHoldOwner = async (client, requester, userId) => {
+    if (requester.role === 'member') {
+        if (userId && userId !== requester.id) {
+            throw new Error(`Forbidden: You can only suspend your own reservations.`);
+        }
+        return requester.id;
+    }
+    if (!userId) {
+        throw new Error(`Cannot change suspension: userId is required.`);
+    }
+    const [staff, member] = await Promise.all([
+        client.user.findUniqueOrThrow({ where: { user_id: requester.id }, select: { library_id: true } }),
+        client.user.findUniqueOrThrow({ where: { user_id: userId }, select: { library_id: true } }),
+    ]);
+    if (staff.library_id !== member.library_id) {
+        throw new Error(`Forbidden: You can only manage members of your own library.`);
+    }
+    return userId;
+};
+
+const handleSuspensionError = (error, res, next) => {
+    if (error instanceof Error && error.message.startsWith('Forbidden')) {
+        return res.status(403).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Error && error.message.startsWith('Cannot')) {
+        return res.status(400).json({ success: false, error: { message: error.message } });
+    }
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+        const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+        return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+    }
+    next(error);
+};
+
 /**
  * @swagger
  * components:
  *   schemas:
  *     Reservation:
  *       # Already defined in swagger.js
+ *     ReservationQueue:
+ *       # Already defined in swagger.js
  *     ReservationInput:
  *       type: object
  *       required: [bookId]
@@ -20,6 +64,22 @@ const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).js
  *             type: string
  *             format: uuid
  *             description: The ID of the book to reserve.
+ *     ReservationSuspensionInput:
+ *       type: object
+ *       required: [until]
+ *       properties:
+ *          from:
+ *             type: string
+ *             format: date-time
+ *             description: Start of the suspension. Defaults to now.
+ *          until:
+ *             type: string
+ *             format: date-time
+ *             description: When the holds are reactivated. At most 180 days after from.
+ *          userId:
+ *             type: string
+ *             format: uuid
+ *             description: Member whose holds are suspended (Admin/Librarian only; members always suspend their own).
  *     PaginationInfo:
  *       # Already defined in swagger.js
  *   parameters:
@@ -38,7 +98,10 @@ const handleSuccess = (res, data, statusCode = 200) => res.status(statusCode).js
 
 /**
  * @method createReservation
- * @description Creates a reservation for a book for the authenticated member. Calculates expiry based on policy.
+ * @description Places a hold on a book for the authenticated member. Holds join the book's FIFO queue ('waiting'):
+ * if a copy is available it is set aside straight away ('allocated'), otherwise the hold waits until a copy is returned.
+ * The pickup window (policy reservation_expiry_days) starts when a librarian puts the copy on the hold shelf.
+ * Refused if the member is blocked for unpaid fines or overdue items (403 with code BORROWING_BLOCKED).
  * @route POST /api/v1/reservations
  * @access Member
  * @tag Reservations
@@ -76,41 +139,32 @@ exports.createReservation = async (req, res, next) => {
             if (user.borrowed_book_ids.includes(bookId)) {
                  throw new Error(`Cannot reserve a book you currently have borrowed.`);
             }
-             if (!policy.reservation_expiry_days || policy.reservation_expiry_days <= 0) {
-                 console.warn(`Library ${user.library_id} has invalid reservation_expiry_days (${policy.reservation_expiry_days}). Using default of 7 days.`);
-                 policy.reservation_expiry_days = 7; // Fallback if policy is invalid
-             }
-
-            // 3. Calculate expiry date
-            const reservedAt = new Date();
-            const expiresAt = new Date(reservedAt);
-            expiresAt.setDate(reservedAt.getDate() + policy.reservation_expiry_days);
-            expiresAt.setHours(23, 59, 59, 999); // Expire at the end of the expiry day
+            await assertNotBlocked(tx, { userId, libraryId: user.library_id, policy, action: 'reserve' });
+            const existingReservation = await tx.reservation.findFirst({
+                where: { user_id: userId, book_id: bookId, status: { in: ACTIVE_RESERVATION_STATUSES } },
+                select: { reservation_id: true }
+            });
+            if (existingReservation) {
+                throw new Error(`Duplicate reservation: You already have an active reservation for this book.`);
+            }
 
-            // 4. Attempt to create reservation (unique constraint user_id_book_id handles duplicates)
+            // 3. Join the end of the book's hold queue (the pickup window only starts once a copy is set aside)
             const createdReservation = await tx.reservation.create({
                 data: {
                     user_id: userId,
                     book_id: bookId,
-                    reserved_at: reservedAt,
-                    expires_at: expiresAt,
+                    reserved_at: new Date(),
                     library_id: user.library_id // Ensure library_id is set
                 }
             });
 
-            // 5. Update Book: Increment reserved copies
-            await tx.book.update({
-                where: { book_id: bookId },
-                data: {
-                    reserved_copies: { increment: 1 },
-                    available_copies: { decrement: 1}, // Decrement available only if NOT borrowing a reserved copy
-
-                    
-                }
+            // 4. Set aside any available copy for the queue; nobody is ahead of this hold when one is on the shelf
+            await allocateAvailableCopies(tx, bookId);
+            const reservation = await tx.reservation.findUniqueOrThrow({
+                where: { reservation_id: createdReservation.reservation_id }
             });
 
-
-            // 6. Update User: Add to reserved_book_ids array
+            // 5. Update User: Add to reserved_book_ids array
             await tx.user.update({
                 where: { user_id: userId },
                 data: {
@@ -118,7 +172,7 @@ exports.createReservation = async (req, res, next) => {
                 }
             });
 
-            return createdReservation;
+            return { ...reservation, queue: await getQueuePosition(tx, reservation) };
 
         }, { // Transaction options
              maxWait: 10000,
@@ -129,6 +183,9 @@ exports.createReservation = async (req, res, next) => {
 
     } catch (error) {
          // --- Specific Error Handling ---
+         if (isBorrowingBlockedError(error)) {
+            return sendBorrowingBlocked(res, error);
+         }
          if (error instanceof Prisma.PrismaClientKnownRequestError) {
             // Handle unique constraint violation (already reserved)
             if (error.code === 'P2002' && error.meta?.target?.includes('user_id') && error.meta?.target?.includes('book_id')) {
@@ -140,6 +197,9 @@ exports.createReservation = async (req, res, next) => {
                  return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
             }
          }
+         if (error instanceof Error && error.message.startsWith('Duplicate')) {
+             return res.status(409).json({ success: false, error: { message: error.message } });
+         }
          // Handle custom validation errors
          if (error instanceof Error && (error.message.includes('currently have borrowed') || error.message.includes('different libraries'))) {
              return res.status(400).json({ success: false, error: { message: error.message } });
@@ -172,7 +232,7 @@ exports.getAllReservations = async (req, res, next) => {
         const sortOrder = req.query.sortOrder === 'desc' ? 'desc' : 'asc';
 
         // --- Filtering ---
-        const { userId, bookId, expired } = req.query; // Allow filtering
+        const { userId, bookId, expired, status } = req.query; // Allow filtering
         const where = {};
 
         // RBAC Filtering: Members can only see their own
@@ -190,6 +250,7 @@ exports.getAllReservations = async (req, res, next) => {
         if (bookId) where.book_id = bookId;
         if (expired === 'true') where.expires_at = { lt: new Date() };
         if (expired === 'false') where.expires_at = { gte: new Date() };
+        if (status) where.status = status; // Invalid values are rejected by Prisma (400 below)
         const user = await prisma.user.findUnique({
             where: { user_id: requestingUserId },
             select: { library_id: true }
@@ -260,10 +321,257 @@ exports.getReservationById = async (req, res, next) => {
     }
 };
 
+/**
+ * @method getReservationQueue
+ * @description Reports where a hold stands in its book's FIFO queue and a rough estimate of when a copy will be set
+ * aside for it (based on the due dates of the copies that are out). Members can only query their own holds,
+ * librarians and admins the holds of their library.
+ * @route GET /api/v1/reservations/{reservationId}/queue
+ * @access Member (own), Librarian, Admin
+ * @tag Reservations
+ */
+exports.getReservationQueue = async (req, res, next) => {
+    try {
+        const reservation = await prisma.reservation.findUniqueOrThrow({
+            where: { reservation_id: req.params.reservationId }
+        });
+
+        if (req.user.role === 'member') {
+            if (reservation.user_id !== req.user.id) {
+                return res.status(403).json({ success: false, error: { message: "Forbidden: You can only view your own reservations." } });
+            }
+        } else {
+            const staff = await prisma.user.findUniqueOrThrow({
+                where: { user_id: req.user.id },
+                select: { library_id: true }
+            });
+            if (staff.library_id !== reservation.library_id) {
+                return res.status(403).json({ success: false, error: { message: "Forbidden: This reservation belongs to another library." } });
+            }
+        }
+
+        const queue = await getQueuePosition(prisma, reservation);
+        handleSuccess(res, { reservation_id: reservation.reservation_id, book_id: reservation.book_id, ...queue });
+
+    } catch (error) {
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+            const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+            return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @method getHoldShelf
+ * @description Lists the holds of the librarian's library that have a copy set aside: 'allocated' ones still have to be
+ * put on the hold shelf, 'ready' ones are on it (pickup_overdue flags those the expiry job hasn't closed yet).
+ * @route GET /api/v1/reservations/hold-shelf
+ * @access Librarian, Admin
+ * @tag Reservations
+ */
+exports.getHoldShelf = async (req, res, next) => {
+    const { status } = req.query;
+
+    if (status !== undefined && !HELD_RESERVATION_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: { message: `Invalid status '${status}'. Allowed: ${HELD_RESERVATION_STATUSES.join(', ')}.` } });
+    }
+
+    try {
+        const staff = await prisma.user.findUniqueOrThrow({
+            where: { user_id: req.user.id },
+            select: { library_id: true }
+        });
+
+        const holds = await prisma.reservation.findMany({
+            where: { library_id: staff.library_id, status: status ?? { in: HELD_RESERVATION_STATUSES } },
+            orderBy: [{ status: 'asc' }, { expires_at: 'asc' }, { allocated_at: 'asc' }],
+            include: {
+                user: { select: { user_id: true, name: true, email: true } },
+                book: { select: { book_id: true, title: true } },
+                copy: { select: { copy_id: true, barcode: true } },
+            }
+        });
+
+        const now = new Date();
+        const data = holds.map(hold => ({ ...hold, pickup_overdue: hold.status === 'ready' && hold.expires_at < now }));
+        handleSuccess(res, {
+            data,
+            summary: {
+                allocated: data.filter(hold => hold.status === 'allocated').length,
+                ready: data.filter(hold => hold.status === 'ready').length,
+                pickup_overdue: data.filter(hold => hold.pickup_overdue).length,
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @method markReservationReady
+ * @description Marks an allocated hold as ready once its copy is on the hold shelf. Starts the pickup window
+ * (policy reservation_expiry_days, to the end of the last day) and emails the member.
+ * @route PUT /api/v1/reservations/{reservationId}/ready
+ * @access Librarian, Admin
+ * @tag Reservations
+ */
+exports.markReservationReady = async (req, res, next) => {
+    try {
+        const readyReservation = await prisma.$transaction(async (tx) => {
+            const [reservation, staff] = await Promise.all([
+                tx.reservation.findUniqueOrThrow({
+                    where: { reservation_id: req.params.reservationId },
+                    include: {
+                        user: { select: { name: true, email: true } },
+                        book: { select: { title: true } },
+                    }
+                }),
+                tx.user.findUniqueOrThrow({
+                    where: { user_id: req.user.id },
+                    select: { library_id: true }
+                }),
+            ]);
+            if (staff.library_id !== reservation.library_id) {
+                throw new Error(`Forbidden: This reservation belongs to another library.`);
+            }
+
+            const policy = await tx.policy.findUnique({
+                where: { library_id: reservation.library_id },
+                select: { reservation_expiry_days: true }
+            });
+            const updated = await transitionReservation(tx, reservation, 'ready', {
+                expires_at: calculatePickupDeadline(new Date(), policy)
+            });
+            return { ...updated, user: reservation.user, book: reservation.book };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        const { user, book, ...reservation } = readyReservation;
+        await sendHoldReadyEmail(user, book, reservation);
+        broadcast(JSON.stringify({ type: 'reservationReady', data: reservation }), {});
+        handleSuccess(res, reservation);
+
+    } catch (error) {
+        if (error instanceof Error && error.message.startsWith('Forbidden')) {
+            return res.status(403).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Error && error.message.startsWith('Cannot')) {
+            return res.status(400).json({ success: false, error: { message: error.message } });
+        }
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === 'P2025') {
+            const entity = error.meta?.modelName || error.meta?.cause || 'Required record';
+            return res.status(404).json({ success: false, error: { message: `${entity} not found.` } });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @method suspendReservations
+ * @description Suspends a member's waiting holds for a date range (e.g. while on vacation). Suspended holds keep their
+ * place in the queue but are skipped when copies are allocated, and are reactivated automatically at `until`
+ * (see holdReactivation job). Holds that already have a copy set aside can't be suspended and are reported back.
+ * @route POST /api/v1/reservations/suspend
+ * @access Member (own), Librarian, Admin (members of their library)
+ * @tag Reservations
+ */
+exports.suspendReservations = async (req, res, next) => {
+    const { from, until, userId } = req.body ?? {};
+    const now = new Date();
+    const suspendedFrom = from ? new Date(from) : now;
+    const suspendedUntil = new Date(until);
+
+    if (!until || isNaN(suspendedUntil.getTime()) || isNaN(suspendedFrom.getTime())) {
+        return res.status(400).json({ success: false, error: { message: 'until is required and from/until must be valid dates.' } });
+    }
+    if (suspendedUntil <= suspendedFrom || suspendedUntil <= now) {
+        return res.status(400).json({ success: false, error: { message: 'until must be in the future and after from.' } });
+    }
+    if (suspendedUntil - suspendedFrom > MAX_SUSPENSION_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ success: false, error: { message: `Holds can be suspended for at most ${MAX_SUSPENSION_DAYS} days at a time.` } });
+    }
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            const ownerId = await resolveHoldOwner(tx, req.user, userId);
+
+            const openHolds = await tx.reservation.findMany({
+                where: { user_id: ownerId, status: { in: ACTIVE_RESERVATION_STATUSES } },
+                select: { reservation_id: true, status: true }
+            });
+            const waitingIds = openHolds.filter(hold => hold.status === 'waiting').map(hold => hold.reservation_id);
+            if (waitingIds.length === 0) {
+                throw new Error(`Cannot suspend reservations: There are no reservations waiting in the queue.`);
+            }
+
+            await tx.reservation.updateMany({
+                where: { reservation_id: { in: waitingIds } },
+                data: { suspended_from: suspendedFrom, suspended_until: suspendedUntil }
+            });
+
+            return {
+                suspended_from: suspendedFrom,
+                suspended_until: suspendedUntil,
+                data: await tx.reservation.findMany({ where: { reservation_id: { in: waitingIds } }, orderBy: { reserved_at: 'asc' } }),
+                // Already have a copy set aside: pick them up or cancel them instead
+                not_suspended: openHolds.filter(hold => hold.status !== 'waiting'),
+            };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result);
+
+    } catch (error) {
+        handleSuspensionError(error, res, next);
+    }
+};
+
+/**
+ * @method resumeReservations
+ * @description Ends (or cancels a planned) suspension of a member's holds now. Copies already on the shelf are
+ * allocated to the reactivated holds straight away if they are first in line.
+ * @route POST /api/v1/reservations/resume
+ * @access Member (own), Librarian, Admin (members of their library)
+ * @tag Reservations
+ */
+exports.resumeReservations = async (req, res, next) => {
+    const { userId } = req.body ?? {};
+
+    try {
+        const result = await prisma.$transaction(async (tx) => {
+            const ownerId = await resolveHoldOwner(tx, req.user, userId);
+            const { reactivated, allocated } = await reactivateHolds(tx, { user_id: ownerId });
+
+            return {
+                reactivated,
+                data: await tx.reservation.findMany({
+                    where: { user_id: ownerId, ...WAITING_HOLD_WHERE },
+                    orderBy: { reserved_at: 'asc' }
+                }),
+                allocated: allocated.filter(hold => hold.user_id === ownerId),
+            };
+        }, {
+             maxWait: 10000,
+             timeout: 20000,
+        }); // End transaction
+
+        handleSuccess(res, result);
+
+    } catch (error) {
+        handleSuspensionError(error, res, next);
+    }
+};
 
 /**
  * @method deleteReservation
- * @description Cancels/Deletes a reservation. Members can cancel their own, Admins/Librarians can cancel any. Updates book/user records.
+ * @description Cancels a reservation. Members can cancel their own, Admins/Librarians can cancel any. The reservation is
+ * kept as 'cancelled' history; a copy set aside for it goes to the next hold in the queue or back on the shelf.
  * @route DELETE /api/v1/reservations/{reservationId}
  * @access Member (own), Librarian, Admin
  * @tag Reservations
@@ -278,7 +586,7 @@ exports.deleteReservation = async (req, res, next) => {
             // 1. Find the reservation to get user_id and book_id
             const reservation = await tx.reservation.findUniqueOrThrow({
                 where: { reservation_id: reservationId },
-                select: { reservation_id: true, user_id: true, book_id: true }
+                select: { reservation_id: true, user_id: true, book_id: true, copy_id: true, status: true }
             });
 
             // 2. Authorization check: Member can only delete their own
@@ -286,52 +594,25 @@ exports.deleteReservation = async (req, res, next) => {
                  throw new Error(`Forbidden: You can only cancel your own reservations.`); // Custom error for transaction rollback
             }
 
-            // 3. Delete the reservation
-            await tx.reservation.delete({
-                where: { reservation_id: reservation.reservation_id }
-            });
-
-            // 4. Update Book: Decrement reserved copies (only if > 0)
-            await tx.book.update({
-                where: { book_id: reservation.book_id },
-                data: {
-                    reserved_copies: {
-                        decrement: 1
-                    },
-                    available_copies:{
-                        increment: 1
-                    }
-                },
-                // Add a condition to prevent decrementing below zero if needed,
-                // though Prisma handles this gracefully (sets to 0).
-                // For explicit check: find book first, check count, then update.
-            });
-
-            // 5. Update User: Remove book ID from reserved_book_ids array
-             const user = await tx.user.findUnique({ // Need current array
-                 where: { user_id: reservation.user_id },
-                 select: { reserved_book_ids: true }
-             });
-             if (user) { // User might be deleted concurrently? Unlikely but possible.
-                 const updatedReservedIds = user.reserved_book_ids.filter(id => id !== reservation.book_id);
-                 await tx.user.update({
-                     where: { user_id: reservation.user_id },
-                     data: { reserved_book_ids: updatedReservedIds }
-                 });
-             }
+            // 3. Close it as cancelled: frees the member's reserved_book_ids slot and passes a held copy on to the next
+            //    hold in the queue, or puts it back on the shelf (book counts follow the copy)
+            await closeReservation(tx, reservation, 'cancelled', { cancelled_by: requestingUserId });
 
         }, { // Transaction options
              maxWait: 10000,
              timeout: 20000,
         }); // End transaction
 
-        res.status(204).send(); // No content on successful delete
+        res.status(204).send(); // No content on successful cancel
 
     } catch (error) {
          // Handle specific errors
          if (error instanceof Error && error.message.includes('Forbidden')) {
              return res.status(403).json({ success: false, error: { message: error.message } });
          }
+         if (error instanceof Error && error.message.startsWith('Cannot')) {
+             return res.status(400).json({ success: false, error: { message: error.message } });
+         }
         // P2025 (NotFound) handled by global handler
         next(error);
     }
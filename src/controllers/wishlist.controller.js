@@ -1,6 +1,7 @@
 // src/controllers/wishlist.controller.js
 const { Prisma } = require('@prisma/client');
 const { getPrismaClient } = require('../../prisma/client');
+const { BOOK_RELATIONS_INCLUDE, toBookResponse } = require('../utils/bookRelations');
 const prisma = getPrismaClient();
 
 // Helper for success responses
@@ -211,60 +212,18 @@ exports.getMyWishlist = async (req, res, next) => {
                             title: true,
                             description: true,
                             available_copies: true, // Show availability
-                             author_ids: true, // Maybe fetch author names requires another step
-                             genre_ids: true,
                              cover_image_url: true,
                              total_copies: true,
-                             available_copies: true,
                              reserved_copies: true,
-                             author_ids: true,
                              library_id: true,
+                             ...BOOK_RELATIONS_INCLUDE, // author_ids/authorNames and genre_ids/genre_names
                         }
                     }
                 }
             }),
             prisma.wishlist.count({ where: { user_id: userId } })
         ]);
-        const allAuthorIds = wishlistItems.reduce((ids, e) => {
-            e.book.author_ids.forEach(id => ids.add(id));
-            return ids;
-        }, new Set()); // Use a Set to get unique IDs automatically
-        
-        const uniqueAuthorIds = Array.from(allAuthorIds); // Convert Set back to Array
-        
-        // 3. Fetch the corresponding authors IF there are any IDs
-        let authorsMap = {}; // Use a map for easy lookup: { authorId: name }
-        if (uniqueAuthorIds.length > 0) {
-            const authors = await prisma.author.findMany({
-                where: {
-                    author_id: {
-                        in: uniqueAuthorIds
-                    }
-                },
-                select: {
-                    author_id: true,
-                    name: true
-                }
-            });
-            // Create the lookup map
-            authors.forEach(author => {
-                authorsMap[author.author_id] = author.name;
-            });
-        }
-        
-        // 4. Map author names onto the book data (Modify the response structure)
-        const booksWithAuthorNames = wishlistItems.map(e => {
-            return {
-                ...e, // Spread existing book properties
-                // Add a new field, e.g., 'authorNames'
-                book:{
-                    ...e.book, // Spread existing book properties
-                    authorNames: e.book.author_ids.map(id => authorsMap[id] || 'Unknown Author').filter(name => name !== 'Unknown Author'), // Map IDs to names, handle missing authors
-                }
-                // Or replace author_ids if you prefer
-                // authors: book.author_ids.map(id => ({ id: id, name: authorsMap[id] || 'Unknown Author' })).filter(a => a.name !== 'Unknown Author')
-            };
-        });
+        const booksWithAuthorNames = wishlistItems.map(item => ({ ...item, book: toBookResponse(item.book) }));
         // --- Response ---
         handleSuccess(res, {
             data: booksWithAuthorNames,
@@ -0,0 +1,48 @@
+// src/jobs/borrowRequestExpiry.job.js
+const { getPrismaClient } = require('../../prisma/client');
+const { releaseRequestedCopy } = require('../utils/circulationHelper');
+const prisma = getPrismaClient();
+
+/**
+ * Expires borrow requests that were not approved in time.
+ * Each expired request releases its held copy and frees the member's borrow slot.
+ * @returns {Promise<number>} Number of requests expired
+ */
+const expireBorrowRequests = async () => {
+    const now = new Date();
+
+    const staleRequests = await prisma.borrowTransaction.findMany({
+        where: {
+            status: 'requested',
+            request_expires_at: { lt: now }
+        },
+        select: { borrow_id: true, user_id: true, book_id: true, copy_id: true }
+    });
+
+    let expiredCount = 0;
+    for (const request of staleRequests) {
+        try {
+            // One transaction per request so a single failure doesn't block the rest
+            await prisma.$transaction(async (tx) => {
+                // Re-check inside the transaction in case a librarian acted on it meanwhile
+                const current = await tx.borrowTransaction.findUnique({
+                    where: { borrow_id: request.borrow_id },
+                    select: { status: true }
+                });
+                if (!current || current.status !== 'requested') return;
+
+                await releaseRequestedCopy(tx, request, 'expired');
+                expiredCount++;
+            }, {
+                maxWait: 10000,
+                timeout: 20000,
+            });
+        } catch (error) {
+            console.error(`Failed to expire borrow request ${request.borrow_id}:`, error);
+        }
+    }
+
+    return expiredCount;
+};
+
+module.exports = { expireBorrowRequests };
@@ -0,0 +1,83 @@
+// src/jobs/fineDunning.job.js
+const { getPrismaClient } = require('../../prisma/client');
+const { DAY, dueStep, recordFineNotices, strongestAction } = require('../utils/dunningHelper');
+const { sendFineNoticeEmail } = require('../utils/fineNoticeMailer');
+const prisma = getPrismaClient();
+
+/**
+ * Sends the notices of each library's dunning schedule (DunningStep) for fines that are still unpaid.
+ * Each member gets at most one email per library per run, covering all their fines due for a notice. Every notice
+ * is recorded as a FineNotice; a 'block' notice also blocks borrowing (see borrowingBlockHelper) until the fine is
+ * settled. Paid and fully waived fines have is_paid set, so they drop out of the schedule.
+ * @returns {Promise<{ notices: number, emailsSent: number, blocks: number }>}
+ */
+const sendFineNotices = async () => {
+    const now = new Date();
+    const summary = { notices: 0, emailsSent: 0, blocks: 0 };
+
+    const steps = await prisma.dunningStep.findMany({ orderBy: { days_after: 'asc' } });
+    const stepsByLibrary = new Map();
+    for (const step of steps) {
+        if (!stepsByLibrary.has(step.library_id)) stepsByLibrary.set(step.library_id, []);
+        stepsByLibrary.get(step.library_id).push(step);
+    }
+
+    for (const [libraryId, librarySteps] of stepsByLibrary) {
+        const fines = await prisma.fine.findMany({
+            where: { library_id: libraryId, is_paid: false, fine_date: { lte: new Date(now.getTime() - librarySteps[0].days_after * DAY) } },
+            select: { fine_id: true, user_id: true, fine_date: true, notices: { select: { days_after: true } } },
+        });
+
+        // Member -> [{ fineId, step }]
+        const dueByMember = new Map();
+        for (const fine of fines) {
+            const step = dueStep(librarySteps, fine, now);
+            if (!step) continue;
+            if (!dueByMember.has(fine.user_id)) dueByMember.set(fine.user_id, []);
+            dueByMember.get(fine.user_id).push({ fineId: fine.fine_id, step });
+        }
+
+        for (const [userId, due] of dueByMember) {
+            let recorded;
+            try {
+                // One transaction per member so a single failure doesn't block the rest
+                recorded = await prisma.$transaction(
+                    (tx) => recordFineNotices(tx, { userId, libraryId, due }),
+                    {
+                        maxWait: 10000,
+                        timeout: 20000,
+                    }
+                );
+            } catch (error) {
+                console.error(`Failed to record fine notices for member ${userId} at library ${libraryId}:`, error);
+                continue;
+            }
+            if (recorded.notices.length === 0) continue;
+
+            summary.notices += recorded.notices.length;
+            summary.blocks += recorded.notices.filter(notice => notice.action === 'block').length;
+
+            try {
+                const [member, library] = await Promise.all([
+                    prisma.user.findUniqueOrThrow({ where: { user_id: userId }, select: { name: true, email: true } }),
+                    prisma.library.findUniqueOrThrow({ where: { library_id: libraryId }, select: { name: true, currency: true, locale: true } }),
+                ]);
+                const action = strongestAction(recorded.notices);
+
+                if (await sendFineNoticeEmail(member, library, action, recorded.fines)) {
+                    summary.emailsSent++;
+                    await prisma.fineNotice.updateMany({
+                        where: { notice_id: { in: recorded.notices.map(notice => notice.notice_id) } },
+                        data: { emailed_at: new Date() }
+                    });
+                }
+            } catch (error) {
+                console.error(`Failed to email fine notices to member ${userId}:`, error);
+            }
+        }
+    }
+
+    return summary;
+};
+
+module.exports = { sendFineNotices };
@@ -0,0 +1,41 @@
+// src/jobs/holdReactivation.job.js
+const { getPrismaClient } = require('../../prisma/client');
+const { reactivateHolds, WAITING_HOLD_WHERE } = require('../utils/holdQueueHelper');
+const prisma = getPrismaClient();
+
+/**
+ * Reactivates suspended holds whose suspension has ended.
+ * Returned copies skip suspended holds, so each reactivated book also gets any copy sitting on the shelf handed to its
+ * queue (the reactivated hold gets it if it is first in line).
+ * @returns {Promise<{ reactivated: number, allocated: number }>}
+ */
+const reactivateSuspendedHolds = async () => {
+    const now = new Date();
+    const summary = { reactivated: 0, allocated: 0 };
+
+    const endedSuspensions = await prisma.reservation.findMany({
+        where: { ...WAITING_HOLD_WHERE, suspended_until: { lte: now } },
+        select: { book_id: true },
+        distinct: ['book_id'],
+    });
+
+    for (const { book_id } of endedSuspensions) {
+        try {
+            // One transaction per book so a single failure doesn't block the rest
+            const result = await prisma.$transaction(async (tx) => {
+                return reactivateHolds(tx, { book_id, suspended_until: { lte: now } });
+            }, {
+                maxWait: 10000,
+                timeout: 20000,
+            });
+            summary.reactivated += result.reactivated;
+            summary.allocated += result.allocated.length;
+        } catch (error) {
+            console.error(`Failed to reactivate suspended holds for book ${book_id}:`, error);
+        }
+    }
+
+    return summary;
+};
+
+module.exports = { reactivateSuspendedHolds };
@@ -0,0 +1,70 @@
+// src/jobs/index.js - Background job scheduler
+const { expireBorrowRequests } = require('./borrowRequestExpiry.job');
+const { sweepOverdueLoans } = require('./overdueSweeper.job');
+const { expireReservations } = require('./reservationExpiry.job');
+const { reactivateSuspendedHolds } = require('./holdReactivation.job');
+const { sendFineNotices } = require('./fineDunning.job');
+
+const MINUTE = 60 * 1000;
+
+// Register jobs here: name, function to run and how often to run it
+const jobs = [
+    { name: 'borrowRequestExpiry', run: expireBorrowRequests, intervalMs: 15 * MINUTE },
+    { name: 'overdueSweeper', run: sweepOverdueLoans, intervalMs: 60 * MINUTE }, // Fines accrue per day; hourly keeps them current
+    { name: 'reservationExpiry', run: expireReservations, intervalMs: 15 * MINUTE },
+    { name: 'holdReactivation', run: reactivateSuspendedHolds, intervalMs: 15 * MINUTE },
+    { name: 'fineDunning', run: sendFineNotices, intervalMs: 60 * MINUTE },
+];
+
+const timers = [];
+
+/**
+ * Wraps a job so overlapping runs are skipped and errors are logged instead of crashing the process.
+ */
+const createRunner = (job) => {
+    let running = false;
+    return async () => {
+        if (running) {
+            console.warn(`Job ${job.name} is still running. Skipping this tick.`);
+            return;
+        }
+        running = true;
+        try {
+            const result = await job.run();
+            console.log(`Job ${job.name} finished.`, result ?? '');
+        } catch (error) {
+            console.error(`Job ${job.name} failed:`, error);
+        } finally {
+            running = false;
+        }
+    };
+};
+
+/**
+ * Starts all registered jobs. Each job runs once at startup and then on its interval.
+ * Set DISABLE_JOBS=true to skip (e.g. when running several instances).
+ */
+const startJobs = () => {
+    if (process.env.DISABLE_JOBS === 'true') {
+        console.log('Background jobs disabled (DISABLE_JOBS=true).');
+        return;
+    }
+    for (const job of jobs) {
+        const runner = createRunner(job);
+        runner();
+        const timer = setInterval(runner, job.intervalMs);
+        timer.unref(); // Don't keep the process alive just for jobs
+        timers.push(timer);
+        console.log(`⏱️  Job ${job.name} scheduled every ${job.intervalMs / MINUTE} minute(s)`);
+    }
+};
+
+/**
+ * Stops all running job timers (used on shutdown).
+ */
+const stopJobs = () => {
+    timers.forEach(clearInterval);
+    timers.length = 0;
+};
+
+module.exports = { startJobs, stopJobs, jobs };
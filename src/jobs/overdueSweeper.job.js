@@ -0,0 +1,83 @@
+// src/jobs/overdueSweeper.job.js
+const { getPrismaClient } = require('../../prisma/client');
+const { calculateOverdueDays, resolveDueDate, syncOverdueFine, ACTIVE_LOAN_STATUSES } = require('../utils/circulationHelper');
+const { loadLibraryCalendar } = require('../utils/calendarHelper');
+const prisma = getPrismaClient();
+
+/**
+ * Marks late loans as 'overdue' and keeps their running fine up to date.
+ * Uses the same rules as returnBook (calculateOverdueDays against the loan's due date, skipping days the library was
+ * closed, then syncOverdueFine with the policy's grace period and caps), so the fine a member sees while the book is
+ * out matches what they're charged on return.
+ * Safe to run repeatedly: the fine amount is recomputed from the due date, not incremented.
+ * @returns {Promise<{ checked: number, markedOverdue: number, finesUpdated: number }>}
+ */
+const sweepOverdueLoans = async () => {
+    const now = new Date();
+    const summary = { checked: 0, markedOverdue: 0, finesUpdated: 0 };
+
+    const activeLoans = await prisma.borrowTransaction.findMany({
+        where: { status: { in: ACTIVE_LOAN_STATUSES } },
+        select: { borrow_id: true, user_id: true, book_id: true, library_id: true, borrow_date: true, due_date: true, renewal_count: true, status: true }
+    });
+    if (activeLoans.length === 0) return summary;
+
+    // Fetch each library's policy once
+    const libraryIds = [...new Set(activeLoans.map(loan => loan.library_id))];
+    const policies = await prisma.policy.findMany({
+        where: { library_id: { in: libraryIds } }
+    });
+    const policyByLibrary = new Map(policies.map(policy => [policy.library_id, policy]));
+    // ...and its opening calendar, so closed days don't accrue fines
+    const calendarByLibrary = new Map();
+    for (const libraryId of libraryIds) {
+        calendarByLibrary.set(libraryId, await loadLibraryCalendar(prisma, libraryId));
+    }
+
+    for (const loan of activeLoans) {
+        summary.checked++;
+        const policy = policyByLibrary.get(loan.library_id);
+        if (!policy) {
+            console.warn(`No policy found for library ${loan.library_id}. Skipping loan ${loan.borrow_id}.`);
+            continue;
+        }
+
+        if (calculateOverdueDays(resolveDueDate(loan, policy), now, calendarByLibrary.get(loan.library_id)) <= 0) continue;
+
+        try {
+            await prisma.$transaction(async (tx) => {
+                // The loan may have been returned, reported lost or given a new due date since the list was read
+                const current = await tx.borrowTransaction.findUnique({
+                    where: { borrow_id: loan.borrow_id },
+                    select: { borrow_id: true, user_id: true, book_id: true, library_id: true, borrow_date: true, due_date: true, renewal_count: true, status: true }
+                });
+                if (!current || !ACTIVE_LOAN_STATUSES.includes(current.status)) return;
+                const overdueDays = calculateOverdueDays(resolveDueDate(current, policy), now, calendarByLibrary.get(current.library_id));
+                if (overdueDays <= 0) return;
+
+                // Conditional on what was just read, so a return or due date change committed in between wins
+                // (the update waits for it and then matches nothing); this also flips 'borrowed' loans to 'overdue'
+                const { count } = await tx.borrowTransaction.updateMany({
+                    where: { borrow_id: current.borrow_id, status: current.status, due_date: current.due_date },
+                    data: { status: 'overdue' }
+                });
+                if (count === 0) return;
+                if (current.status !== 'overdue') summary.markedOverdue++;
+
+                // Nothing is charged during the grace period
+                if (await syncOverdueFine(tx, current, overdueDays, policy, `Overdue by ${overdueDays} day(s).`)) {
+                    summary.finesUpdated++;
+                }
+            }, {
+                maxWait: 10000,
+                timeout: 20000,
+            });
+        } catch (error) {
+            console.error(`Failed to process overdue loan ${loan.borrow_id}:`, error);
+        }
+    }
+
+    return summary;
+};
+
+module.exports = { sweepOverdueLoans };
@@ -0,0 +1,63 @@
+// src/jobs/reservationExpiry.job.js
+const { getPrismaClient } = require('../../prisma/client');
+const { closeReservation } = require('../utils/holdQueueHelper');
+const { sendReservationExpiredEmail } = require('../utils/reservationMailer');
+const prisma = getPrismaClient();
+
+/**
+ * Expires holds that were not picked up from the hold shelf before the end of the pickup window.
+ * Each expired hold is marked 'expired' (kept as history), removed from the member's reserved_book_ids, and its copy
+ * is allocated to the next hold in the queue (or goes back on the shelf, restoring the book's counts).
+ * The member whose hold lapsed is emailed once the change is committed; the next member is told when a librarian
+ * puts the copy on the hold shelf for them.
+ * @returns {Promise<{ expired: number, passedOn: number, emailsSent: number }>}
+ */
+const expireReservations = async () => {
+    const now = new Date();
+    const summary = { expired: 0, passedOn: 0, emailsSent: 0 };
+
+    // Only holds on the shelf have a pickup deadline
+    const staleReservations = await prisma.reservation.findMany({
+        where: {
+            status: 'ready',
+            expires_at: { lt: now }
+        },
+        select: {
+            reservation_id: true,
+            user: { select: { name: true, email: true } },
+            book: { select: { title: true } },
+        }
+    });
+
+    for (const reservation of staleReservations) {
+        let nextHold = null;
+        try {
+            // One transaction per reservation so a single failure doesn't block the rest
+            const expired = await prisma.$transaction(async (tx) => {
+                // Re-check inside the transaction in case the member picked it up meanwhile
+                const current = await tx.reservation.findUnique({
+                    where: { reservation_id: reservation.reservation_id }
+                });
+                if (!current || current.status !== 'ready' || current.expires_at >= now) return false;
+
+                ({ nextHold } = await closeReservation(tx, current, 'expired'));
+                return true;
+            }, {
+                maxWait: 10000,
+                timeout: 20000,
+            });
+            if (!expired) continue;
+        } catch (error) {
+            console.error(`Failed to expire reservation ${reservation.reservation_id}:`, error);
+            continue;
+        }
+
+        summary.expired++;
+        if (nextHold) summary.passedOn++;
+        if (await sendReservationExpiredEmail(reservation.user, reservation.book)) summary.emailsSent++;
+    }
+
+    return summary;
+};
+
+module.exports = { expireReservations };
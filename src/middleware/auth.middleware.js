@@ -1,6 +1,7 @@
 // src/middleware/auth.middleware.js
 const jwt = require('jsonwebtoken');
 const { getPrismaClient } = require('../../prisma/client');
+const { parseKioskKey, keyHashMatches } = require('../utils/kioskHelper');
 const prisma = getPrismaClient();
 
 const handleAuthError = (res, message, statusCode = 401) => {
@@ -72,6 +73,43 @@ const verifyToken = (req, res, next) => {
     });
 }
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Middleware to authenticate self-service kiosks by their key (X-Kiosk-Key header).
+ * Attaches the kiosk to req.kiosk. Kiosk routes don't get a req.user: the member is identified by their QR token.
+ */
+const authenticateKiosk = async (req, res, next) => {
+    const credentials = parseKioskKey(req.headers['x-kiosk-key']);
+    if (!credentials || !UUID_PATTERN.test(credentials.kioskId)) {
+        return handleAuthError(res, 'Unauthorized: No kiosk key provided or invalid format.');
+    }
+
+    try {
+        const kiosk = await prisma.kiosk.findUnique({
+            where: { kiosk_id: credentials.kioskId },
+            select: { kiosk_id: true, library_id: true, name: true, key_hash: true, is_active: true }
+        });
+        if (!kiosk || !keyHashMatches(credentials.keyHash, kiosk.key_hash)) {
+            return handleAuthError(res, 'Unauthorized: Invalid kiosk key.');
+        }
+        if (!kiosk.is_active) {
+            return handleAuthError(res, 'Forbidden: This kiosk has been deactivated.', 403);
+        }
+
+        await prisma.kiosk.update({
+            where: { kiosk_id: kiosk.kiosk_id },
+            data: { last_seen_at: new Date() }
+        });
+
+        req.kiosk = { id: kiosk.kiosk_id, library_id: kiosk.library_id, name: kiosk.name };
+        next();
+    } catch (error) {
+        console.error("Kiosk authentication error:", error);
+        return handleAuthError(res, 'Internal server error during authentication.', 500);
+    }
+};
+
 /**
  * Middleware factory to authorize requests based on allowed roles.
  * Use this *after* the `authenticate` middleware.
@@ -111,5 +149,6 @@ module.exports = {
     isLibrarian,
     isMember,
     isAdminOrLibrarian,
-    verifyToken
+    verifyToken,
+    authenticateKiosk
 };
\ No newline at end of file
@@ -1,10 +1,53 @@
 const express = require('express');
 const adminController = require('../controllers/admin.controller');
+const { authenticate, isAdmin } = require('../middleware/auth.middleware');
 
 const router = express.Router();
 
 
 router.post('/', adminController.createUser);
 
+/**
+ * @swagger
+ * /api/v1/admin/consistency:
+ *   get:
+ *     summary: Audit denormalised data in the admin's library (Admin)
+ *     tags: [Admin]
+ *     description: Recomputes User borrowed/reserved/wishlist arrays and copy counters from BorrowTransaction, Reservation, Wishlist and BookCopy rows and lists every discrepancy. Nothing is changed.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: 'Audit report', content: { application/json: { schema: { $ref: '#/components/schemas/ConsistencyReport' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.get('/consistency',
+    authenticate,
+    isAdmin,
+    adminController.auditConsistency
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/consistency/repair:
+ *   post:
+ *     summary: Audit and repair denormalised data in the admin's library (Admin)
+ *     tags: [Admin]
+ *     description: Runs the same audit as GET /api/v1/admin/consistency and writes the expected values back in one transaction. Books without any copies are reported but not repaired (run the copy backfill first).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: 'Audit report of what was found and repaired', content: { application/json: { schema: { $ref: '#/components/schemas/ConsistencyReport' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/consistency/repair',
+    authenticate,
+    isAdmin,
+    adminController.auditConsistency
+);
+
 
 module.exports = router;
\ No newline at end of file
@@ -95,7 +95,7 @@ router.get('/:id',
  *       - { $ref: '#/components/parameters/AuthorIdPathParam' }
  *     requestBody:
  *       required: true
- *       content: { application/json: { schema: { $ref: '#/components/schemas/AuthorInput' } } } # Reusing input, ignores book_ids
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/AuthorInput' } } } # Reusing input
  *     responses:
  *       200: { description: 'Author updated successfully', content: { application/json: { schema: { $ref: '#/components/schemas/Author' } } } }
  *       400: { $ref: '#/components/schemas/BadRequestResponse' }
@@ -1,6 +1,8 @@
 // src/routes/book.routes.js
 const express = require('express');
 const bookController = require('../controllers/book.controller');
+const bookCopyController = require('../controllers/bookCopy.controller');
+const marcImportController = require('../controllers/marcImport.controller');
 // --- Import Auth Middleware ---
 const { authenticate, isAdmin, isLibrarian, isAdminOrLibrarian } = require('../middleware/auth.middleware');
 
@@ -36,6 +38,49 @@ router.post('/',
     bookController.createBook
 );
 
+// MARC files are sent as the raw request body rather than JSON
+const marcFileBody = express.raw({
+    type: ['application/marc', 'application/marcxml+xml', 'application/xml', 'text/xml', 'application/octet-stream'],
+    limit: '20mb',
+});
+
+/**
+ * @swagger
+ * /api/v1/books/import/marc:
+ *   post:
+ *     summary: Import MARC 21 records (Admin/Librarian Only)
+ *     tags: [Books]
+ *     description: |
+ *       Imports a vendor file of MARC 21 records, binary (ISO 2709, UTF-8) or MARCXML, into the librarian's library.
+ *       Title (245), ISBN (020), authors (100/110/111, 700/710/711 with relator $4/$e), genres (650/655),
+ *       publication date (008, 264/260) and summary (520) are mapped onto the book; missing authors and genres are created.
+ *       A record whose ISBN matches a book of the library updates it; other records create a book with `copies` copies.
+ *       Records without a title, or new books without any subject or genre, are rejected. Every record is reported.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: format, in: query, schema: { type: string, enum: [marc21, marcxml] }, description: 'Defaults to the Content-Type, else the content of the file' }
+ *       - { name: copies, in: query, schema: { type: integer, minimum: 0, maximum: 100, default: 1 }, description: 'Copies to create for each new book' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/marc: { schema: { type: string, format: binary } }
+ *         application/marcxml+xml: { schema: { type: string } }
+ *     responses:
+ *       200: { description: 'Import report', content: { application/json: { schema: { $ref: '#/components/schemas/MarcImportReport' } } } }
+ *       400: { description: 'Bad Request - No file, unknown format or no readable records', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       413: { description: 'Payload Too Large - Files are limited to 20 MB', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/import/marc',
+    authenticate,
+    isAdminOrLibrarian,
+    marcFileBody,
+    marcImportController.importMarcRecords
+);
+
 /**
  * @swagger
  * /api/v1/books:
@@ -54,8 +99,8 @@ router.post('/',
  *         description: Field to sort by.
  *       - { $ref: '#/components/parameters/SortOrderQueryParam' }
  *       - { name: libraryId, in: query, schema: { type: string, format: uuid }, description: 'Filter by library ID' }
- *       - { name: authorId, in: query, schema: { type: string, format: uuid }, description: 'Filter by author ID (checks author_ids array)' }
- *       - { name: genreId, in: query, schema: { type: string, format: uuid }, description: 'Filter by genre ID (checks genre_ids array)' }
+ *       - { name: authorId, in: query, schema: { type: string, format: uuid }, description: 'Filter by author ID (any contributor role)' }
+ *       - { name: genreId, in: query, schema: { type: string, format: uuid }, description: 'Filter by genre ID' }
  *       - { name: available, in: query, schema: { type: boolean }, description: 'Filter by availability (true for available_copies > 0)' }
  *       - { name: search, in: query, schema: { type: string }, description: 'Search term for title or ISBN' }
  *     responses:
@@ -145,4 +190,86 @@ router.delete('/:id',
     bookController.deleteBook
 );
 
+// --- Copy-level inventory ---
+
+/**
+ * @swagger
+ * /api/v1/books/{id}/copies:
+ *   get:
+ *     summary: List the physical copies of a book (Authenticated Users)
+ *     tags: [Books]
+ *     description: Lists every copy of the book with its barcode, status and condition. The book's total/available/reserved counts are derived from these copies.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Book ID' }
+ *       - { name: status, in: query, schema: { type: string, enum: [available, on_loan, on_hold_shelf, in_repair, lost, withdrawn, on_interlibrary_loan] }, description: 'Filter by copy status' }
+ *       - { name: barcode, in: query, schema: { type: string }, description: 'Filter by barcode' }
+ *     responses:
+ *       200: { description: 'Copies of the book', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/BookCopy' } } } } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ *   post:
+ *     summary: Add copies to a book (Admin/Librarian Only)
+ *     tags: [Books]
+ *     description: Adds one copy (body is a BookCopyInput) or several, up to 100 (body is { copies [BookCopyInput] }). Barcodes are generated for copies without one. New copies are set aside for members waiting in the book's hold queue first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Book ID' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { oneOf: [ { $ref: '#/components/schemas/BookCopyInput' }, { type: object, properties: { copies: { type: array, items: { $ref: '#/components/schemas/BookCopyInput' } } } } ] } } }
+ *     responses:
+ *       201: { description: 'Copies added. Returns the new copies, the book with refreshed counts and the holds the copies were set aside for.', content: { application/json: { schema: { type: object, properties: { copies: { type: array, items: { $ref: '#/components/schemas/BookCopy' } }, book: { $ref: '#/components/schemas/Book' }, holdsReady: { type: array, items: { $ref: '#/components/schemas/Reservation' } } } } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       409: { description: 'Conflict - Barcode already exists in this library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.get('/:id/copies',
+    authenticate,
+    bookCopyController.getBookCopies
+);
+
+router.post('/:id/copies',
+    authenticate,
+    isAdminOrLibrarian,
+    bookCopyController.addBookCopies
+);
+
+/**
+ * @swagger
+ * /api/v1/books/{id}/copies/{copyId}:
+ *   put:
+ *     summary: Update a copy (Admin/Librarian Only)
+ *     tags: [Books]
+ *     description: Updates a copy's barcode, condition or notes, or moves it between available, in_repair and withdrawn. Copies on loan or on the hold shelf can't be moved by hand. A copy made available goes to the first hold waiting for the book, if any (its status is then on_hold_shelf).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Book ID' }
+ *       - { $ref: '#/components/parameters/CopyIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/BookCopyUpdateInput' } } }
+ *     responses:
+ *       200: { description: 'Copy updated', content: { application/json: { schema: { $ref: '#/components/schemas/BookCopy' } } } }
+ *       400: { description: 'Bad Request - Invalid status/condition, or copy is managed by circulation.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       409: { description: 'Conflict - Barcode already exists in this library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:id/copies/:copyId',
+    authenticate,
+    isAdminOrLibrarian,
+    bookCopyController.updateBookCopy
+);
+
 module.exports = router;
\ No newline at end of file
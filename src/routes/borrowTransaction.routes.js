@@ -13,19 +13,19 @@ const router = express.Router();
  * @swagger
  * /api/v1/borrow-transactions:
  *   post:
- *     summary: Borrow a book (Member Only)
+ *     summary: Request or check out a book (Member, Librarian)
  *     tags: [Borrow Transactions]
- *     description: Allows an authenticated member to borrow an available book, respecting library policies and limits.
+ *     description: Members submit a borrow request that holds a copy until a librarian approves or rejects it, or it expires after the policy's borrow_request_expiry_hours. Librarians check a book out directly for the member given in userId. Library policies and limits apply to both.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content: { application/json: { schema: { $ref: '#/components/schemas/BorrowInput' } } }
  *     responses:
- *       201: { description: 'Book borrowed successfully', content: { application/json: { schema: { $ref: '#/components/schemas/BorrowTransaction' } } } }
+ *       201: { description: "Borrow request created (status 'requested') or book checked out (status 'borrowed'), with the checkout receipt when the book went out", content: { application/json: { schema: { allOf: [{ $ref: '#/components/schemas/BorrowTransaction' }, { type: object, properties: { receipt: { allOf: [{ $ref: '#/components/schemas/Receipt' }], nullable: true } } }] } } } }
  *       400: { description: 'Bad Request - Book not available, user limit reached, already borrowed, etc.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
- *       403: { $ref: '#/components/schemas/ForbiddenResponse' } # If role is not Member
+ *       403: { description: 'Forbidden - Not allowed, or the member is blocked for unpaid fines or overdue items (code BORROWING_BLOCKED)', content: { 'application/json': { schema: { oneOf: [ { $ref: '#/components/schemas/ErrorResponse' }, { $ref: '#/components/schemas/BorrowingBlockedResponse' } ] } } } }
  *       404: { description: 'Not Found - User, Book, or Policy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
  */
@@ -60,6 +60,57 @@ router.put('/:borrowId/return',
     borrowTransactionController.returnBook
 );
 
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/batch/checkout:
+ *   post:
+ *     summary: Check out several books to one member (Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Circulation desk checkout of a stack of books. Each item is validated against the library policy and processed independently. Librarians can only check out to members of their own library. Each item that goes out gets its own numbered checkout receipt. Returns per-item results plus one consolidated summary, and emits a single 'batchCheckout' WebSocket event.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/BatchCheckoutInput' } } }
+ *     responses:
+ *       200: { description: 'Batch processed (check each result for success)', content: { application/json: { schema: { $ref: '#/components/schemas/BatchCirculationResponse' } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Member not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/batch/checkout',
+    authenticate,
+    isAdminOrLibrarian,
+    borrowTransactionController.batchCheckout
+);
+
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/batch/checkin:
+ *   post:
+ *     summary: Check in several returned books (Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Circulation desk check-in of a stack of books identified by barcode, copy, loan or book. Overdue items get their fine as with a single return, and each item gets its own numbered return receipt. Returns per-item results plus one consolidated summary, and emits a single 'batchCheckin' WebSocket event.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/BatchCheckinInput' } } }
+ *     responses:
+ *       200: { description: 'Batch processed (check each result for success)', content: { application/json: { schema: { $ref: '#/components/schemas/BatchCirculationResponse' } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/batch/checkin',
+    authenticate,
+    isAdminOrLibrarian,
+    borrowTransactionController.batchCheckin
+);
+
 /**
  * @swagger
  * /api/v1/borrow-transactions:
@@ -74,7 +125,7 @@ router.put('/:borrowId/return',
  *       - { $ref: '#/components/parameters/LimitQueryParam' }
  *       - name: sortBy
  *         in: query
- *         schema: { type: string, default: 'borrow_date', enum: [borrow_date, return_date, status] }
+ *         schema: { type: string, default: 'borrow_date', enum: [borrow_date, due_date, return_date, status] }
  *         description: Field to sort by.
  *       - { $ref: '#/components/parameters/SortOrderQueryParam' }
  *       - name: userId
@@ -87,7 +138,7 @@ router.put('/:borrowId/return',
  *         description: Filter by Book ID.
  *       - name: status
  *         in: query
- *         schema: { type: string, enum: [borrowed, returned, overdue,requested] }
+ *         schema: { type: string, enum: [requested, borrowed, returned, overdue, rejected, expired] }
  *         description: Filter by transaction status.
  *       # - name: libraryId # Add if filtering by library is implemented
  *       #   in: query
@@ -129,6 +180,200 @@ router.get('/:borrowId',
     borrowTransactionController.getBorrowTransactionById
 );
 
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/{borrowId}/approve:
+ *   put:
+ *     summary: Approve a borrow request (Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Moves a 'requested' transaction to 'borrowed'. The copy held by the request is handed out, the loan period starts at approval time and any hold the member had on the book is closed. Librarians can only approve requests of their own library.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/BorrowIdPathParam' }
+ *     responses:
+ *       200: { description: 'Request approved, with the checkout receipt', content: { application/json: { schema: { allOf: [{ $ref: '#/components/schemas/BorrowTransaction' }, { type: object, properties: { receipt: { $ref: '#/components/schemas/Receipt' } } }] } } } }
+ *       400: { description: 'Bad Request - Transaction is not a pending request, or the request has expired.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Borrow transaction not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:borrowId/approve',
+    authenticate,
+    isAdminOrLibrarian,
+    borrowTransactionController.approveBorrowRequest
+);
+
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/{borrowId}/reject:
+ *   put:
+ *     summary: Reject a borrow request (Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Moves a 'requested' transaction to 'rejected', returns the held copy to the available pool (or the next hold) and frees the member's borrow slot. A hold the member had on the book stays open at its place in the queue. Librarians can only reject requests of their own library.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/BorrowIdPathParam' }
+ *     requestBody:
+ *       required: false
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/RejectBorrowInput' } } }
+ *     responses:
+ *       200: { description: 'Request rejected', content: { application/json: { schema: { $ref: '#/components/schemas/BorrowTransaction' } } } }
+ *       400: { description: 'Bad Request - Transaction is not a pending request.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Borrow transaction not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:borrowId/reject',
+    authenticate,
+    isAdminOrLibrarian,
+    borrowTransactionController.rejectBorrowRequest
+);
+
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/{borrowId}/renew:
+ *   put:
+ *     summary: Renew a loan (Member own, Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Extends the due date of a 'borrowed' loan by the policy's renewal_period_days (or max_borrow_days). Refused when the loan is overdue, the policy's max_renewals has been reached, or another member has reserved the book.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/BorrowIdPathParam' }
+ *     responses:
+ *       200: { description: 'Loan renewed. Includes the new due_date and renewals_remaining.', content: { application/json: { schema: { $ref: '#/components/schemas/BorrowTransaction' } } } }
+ *       400: { description: 'Bad Request - Loan not renewable (overdue, limit reached, reserved by another member).', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Not allowed, or the member is blocked for unpaid fines or overdue items (code BORROWING_BLOCKED)', content: { 'application/json': { schema: { oneOf: [ { $ref: '#/components/schemas/ErrorResponse' }, { $ref: '#/components/schemas/BorrowingBlockedResponse' } ] } } } }
+ *       404: { description: 'Not Found - Borrow transaction or Policy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:borrowId/renew',
+    authenticate,
+    authorize(['member', 'librarian', 'admin']),
+    // Ownership check for 'Member' happens inside the controller
+    borrowTransactionController.renewBorrow
+);
+
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/{borrowId}/due-date:
+ *   put:
+ *     summary: Adjust the due date of a loan (Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Sets a new due date on a 'borrowed' or 'overdue' loan. A reason is required and is stored with who made the change. The loan's status and any unpaid running fine are recalculated against the new date. Librarians can only adjust loans of their own library.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/BorrowIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/AdjustDueDateInput' } } }
+ *     responses:
+ *       200: { description: 'Due date adjusted', content: { application/json: { schema: { $ref: '#/components/schemas/BorrowTransaction' } } } }
+ *       400: { description: 'Bad Request - Missing/invalid date or reason, loan not active, or date before the borrow date.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Borrow transaction or Policy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:borrowId/due-date',
+    authenticate,
+    isAdminOrLibrarian,
+    borrowTransactionController.adjustDueDate
+);
+
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/{borrowId}/lost:
+ *   put:
+ *     summary: Declare a loan lost (Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Marks a 'borrowed' or 'overdue' loan as lost. The copy is written off, any overdue fine is finalised, and the member is charged the book's price plus the policy's lost item processing fee. Librarians can only act on loans of their own library.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/BorrowIdPathParam' }
+ *     requestBody:
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/ReportLostInput' } } }
+ *     responses:
+ *       200: { description: 'Loan declared lost. Includes the fines charged.', content: { application/json: { schema: { $ref: '#/components/schemas/IncidentResponse' } } } }
+ *       400: { description: 'Bad Request - Loan not active.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Borrow transaction or Policy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:borrowId/lost',
+    authenticate,
+    isAdminOrLibrarian,
+    borrowTransactionController.reportLost
+);
+
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/{borrowId}/damaged:
+ *   put:
+ *     summary: Declare a returned book damaged (Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Marks the book as damaged, checking it in first if it is still out. The copy goes to repair with an optional damage charge, or is withdrawn (writeOff) and the member is charged the replacement cost and processing fee. A returned book can be reported while its copy is on the shelf or the hold shelf and hasn't been lent out again; a hold it was set aside for goes back to the queue. Librarians can only act on loans of their own library.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/BorrowIdPathParam' }
+ *     requestBody:
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/ReportDamagedInput' } } }
+ *     responses:
+ *       200: { description: 'Damage recorded. Includes the fines charged.', content: { application/json: { schema: { $ref: '#/components/schemas/IncidentResponse' } } } }
+ *       400: { description: 'Bad Request - Invalid input, or the loan or copy is in a state that cannot be reported damaged.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Borrow transaction or Policy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:borrowId/damaged',
+    authenticate,
+    isAdminOrLibrarian,
+    borrowTransactionController.reportDamaged
+);
+
+/**
+ * @swagger
+ * /api/v1/borrow-transactions/{borrowId}/found:
+ *   put:
+ *     summary: Record that a lost book was found (Librarian, Admin)
+ *     tags: [Borrow Transactions]
+ *     description: Returns a 'lost' loan. The copy goes back on the shelf, the replacement fine is cancelled (it stays, with the cancellation in its adjustment history) and anything paid on it is refunded. The processing fee and any overdue fine stand. Librarians can only act on loans of their own library.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/BorrowIdPathParam' }
+ *     responses:
+ *       200:
+ *         description: Loan closed as returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transaction: { $ref: '#/components/schemas/BorrowTransaction' }
+ *                 refundedFine: { allOf: [{ $ref: '#/components/schemas/Fine' }], nullable: true, description: 'Replacement fine, cancelled, with anything paid on it refunded (null when none was charged)' }
+ *       400: { description: 'Bad Request - Loan is not lost.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Borrow transaction not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:borrowId/found',
+    authenticate,
+    isAdminOrLibrarian,
+    borrowTransactionController.markFound
+);
+
 // DELETE endpoint is intentionally omitted as transactions are typically kept for history.
 /**
  * @swagger
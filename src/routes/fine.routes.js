@@ -44,7 +44,7 @@ const router = express.Router();
  *         description: Filter by payment status (true/false). For Members, defaults to false if not 'true'.
  *     responses:
  *       200: { description: 'A paginated list of fines', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/FineWithDetails' } }, pagination: { $ref: '#/components/schemas/PaginationInfo' } } } } } }
- *       400: { $ref: '#/components/responses/BadRequestResponse' }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
  *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
  *       403: { description: 'Forbidden - Member trying to filter/view other users fines inappropriately', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       500: { $ref: '#/components/responses/ServerErrorResponse' }
@@ -78,8 +78,8 @@ router.get('/',
  *         schema: { type: boolean }
  *         description: Filter by payment status (true/false).
  *     responses:
- *       200: { description: "A paginated list of the user's fines", content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/FineWithDetails' } }, pagination: { $ref: '#/components/schemas/PaginationInfo' } } } } } }
- *       400: { $ref: '#/components/responses/BadRequestResponse' }
+ *       200: { description: "A paginated list of the user's fines, plus their unpaid total at their library against the policy's outstanding cap", content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/FineWithDetails' } }, outstanding: { type: object, properties: { total: { type: number, format: float }, cap: { type: number, format: float, nullable: true }, cap_reached: { type: boolean } } }, pagination: { $ref: '#/components/schemas/PaginationInfo' } } } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
  *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
  *       403: { description: 'Forbidden - Member trying to view another user fines', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       500: { $ref: '#/components/responses/ServerErrorResponse' }
@@ -91,6 +91,145 @@ router.get('/user/:userId',
 );
 
 
+/**
+ * @swagger
+ * /api/v1/fines/checkout:
+ *   post:
+ *     summary: Start paying fines online (Member Only)
+ *     tags: [Fines]
+ *     description: Creates a checkout with the configured payment provider for some of the member's unpaid fines and returns where to pay. The fines are paid once the provider confirms the payment through its webhook. A fine can only be in one pending checkout at a time.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/FineCheckoutInput' }
+ *     responses:
+ *       201: { description: 'Checkout started; send the member to checkout_url', content: { application/json: { schema: { $ref: '#/components/schemas/PaymentSession' } } } }
+ *       400: { description: 'Bad Request - Fines not the member own, nothing owed, from several libraries, or already in a checkout', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ *       502: { description: 'The payment provider could not start the checkout', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.post('/checkout',
+    authenticate,
+    isMember,
+    fineController.startFineCheckout
+);
+
+/**
+ * @swagger
+ * /api/v1/fines/checkout/refunds-due:
+ *   get:
+ *     summary: List online checkouts with money to give back (Admin/Librarian Only)
+ *     tags: [Fines]
+ *     description: Gets the checkouts whose money, or part of it, couldn't be applied to fines (settled meanwhile, or the provider reported a different amount) and hasn't been given back yet, oldest first. Librarians see their own library's; admins all, or one library's with libraryId.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/PageQueryParam' }
+ *       - { $ref: '#/components/parameters/LimitQueryParam' }
+ *       - name: libraryId
+ *         in: query
+ *         schema: { type: string, format: uuid }
+ *         description: Filter by library (Admin only; librarians always see their own).
+ *     responses:
+ *       200: { description: 'Checkouts with a refund due', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/PaymentSession' } }, pagination: { $ref: '#/components/schemas/PaginationInfo' } } } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.get('/checkout/refunds-due',
+    authenticate,
+    isAdminOrLibrarian,
+    fineController.getCheckoutRefundsDue
+);
+
+/**
+ * @swagger
+ * /api/v1/fines/checkout/{sessionId}/refund:
+ *   post:
+ *     summary: Record that a checkout's refund was given back (Admin/Librarian Only)
+ *     tags: [Fines]
+ *     description: Marks the money due back on an online checkout as given back to the member, through the provider or at the desk. Librarians can only settle their own library's checkouts.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/CheckoutSessionIdPathParam' }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { type: object, properties: { reference: { type: string, description: "The provider's refund id or a desk receipt reference" } } }
+ *     responses:
+ *       200: { description: 'Refund settled', content: { application/json: { schema: { $ref: '#/components/schemas/PaymentSession' } } } }
+ *       400: { description: 'Bad Request - Nothing due back on the checkout, already given back, or invalid reference', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.post('/checkout/:sessionId/refund',
+    authenticate,
+    isAdminOrLibrarian,
+    fineController.settleFineCheckoutRefund
+);
+
+/**
+ * @swagger
+ * /api/v1/fines/checkout/{sessionId}:
+ *   get:
+ *     summary: Retrieve an online checkout (Member own, Admin/Librarian any)
+ *     tags: [Fines]
+ *     description: Gets the status of an online checkout and the payments it recorded on the fines.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/CheckoutSessionIdPathParam' }
+ *     responses:
+ *       200: { description: 'Checkout details', content: { application/json: { schema: { allOf: [{ $ref: '#/components/schemas/PaymentSession' }, { type: object, properties: { payments: { type: array, items: { $ref: '#/components/schemas/Payment' } } } }] } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Member trying to view another user checkout, or librarian of another library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.get('/checkout/:sessionId',
+    authenticate,
+    // RBAC and ownership check is within the controller
+    fineController.getFineCheckout
+);
+
+/**
+ * @swagger
+ * /api/v1/fines/webhooks/{provider}:
+ *   post:
+ *     summary: Payment provider webhook (signed, no login)
+ *     tags: [Fines]
+ *     description: Called by the payment provider when a checkout completes, fails or expires. Each fine a completed checkout pays gets a numbered payment receipt. The provider's signature is checked over the raw body (the fake provider uses an X-Fake-Signature header). Each provider event is applied once; a repeated delivery returns duplicate true and changes nothing. A completion is applied even if the checkout had lapsed on our side; money that no longer fits its fines, or a payment of a different amount than the checkout's, is kept as the checkout's refund_due for a librarian to give back.
+ *     parameters:
+ *       - name: provider
+ *         in: path
+ *         required: true
+ *         schema: { type: string, example: fake }
+ *         description: Name of the payment provider.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { type: object, description: 'Provider-specific event payload' }
+ *     responses:
+ *       200: { description: 'Event received', content: { application/json: { schema: { type: object, properties: { received: { type: boolean }, duplicate: { type: boolean }, result: { type: string, description: 'What the event did, e.g. paid 2 fine(s)' } } } } } }
+ *       400: { description: 'Bad Request - Signature missing, invalid or too old, or malformed event', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { description: 'Unknown payment provider', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.post('/webhooks/:provider',
+    // No authenticate: the provider signs the request instead
+    fineController.handlePaymentWebhook
+);
+
 /**
  * @swagger
  * /api/v1/fines/{fineId}:
@@ -115,19 +254,137 @@ router.get('/:fineId',
     fineController.getFineById
 );
 
+/**
+ * @swagger
+ * /api/v1/fines/{fineId}/payments:
+ *   get:
+ *     summary: Retrieve the payment ledger of a fine (Member own, Admin/Librarian any)
+ *     tags: [Fines]
+ *     description: Lists the payments, refunds and reversals recorded on a fine, oldest first, with the fine and its current balance, plus the online checkouts (including failed or abandoned ones) that included it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/FineIdPathParam' }
+ *     responses:
+ *       200: { description: 'The fine, its ledger and the online checkouts that included it', content: { application/json: { schema: { type: object, properties: { fine: { $ref: '#/components/schemas/Fine' }, data: { type: array, items: { $ref: '#/components/schemas/Payment' } }, checkouts: { type: array, items: { $ref: '#/components/schemas/PaymentSession' } } } } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Member trying to view another user fine, or librarian of another library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ *   post:
+ *     summary: Record a full or partial payment on a fine (Admin/Librarian Only)
+ *     tags: [Fines]
+ *     description: Without an amount the whole balance is paid. The fine becomes paid once its payments cover the amount.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/FineIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/FinePaymentInput' }
+ *     responses:
+ *       201: { description: 'Payment recorded', content: { application/json: { schema: { $ref: '#/components/schemas/LedgerEntryResult' } } } }
+ *       400: { description: 'Bad Request - Fine already paid, invalid method, or amount not positive or above the balance', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.get('/:fineId/payments',
+    authenticate,
+    // RBAC and ownership check is within the controller
+    fineController.getFinePayments
+);
+router.post('/:fineId/payments',
+    authenticate,
+    isAdminOrLibrarian,
+    fineController.recordFinePayment
+);
+
+/**
+ * @swagger
+ * /api/v1/fines/{fineId}/refunds:
+ *   post:
+ *     summary: Refund money paid on a fine (Admin/Librarian Only)
+ *     tags: [Fines]
+ *     description: Without an amount everything paid and not yet refunded is given back. A reason is required. A refund doesn't reopen the fine.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/FineIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/FineRefundInput' }
+ *     responses:
+ *       201: { description: 'Refund recorded', content: { application/json: { schema: { $ref: '#/components/schemas/LedgerEntryResult' } } } }
+ *       400: { description: 'Bad Request - Missing reason, nothing left to refund, or amount above what can be refunded', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.post('/:fineId/refunds',
+    authenticate,
+    isAdminOrLibrarian,
+    fineController.refundFine
+);
+
+/**
+ * @swagger
+ * /api/v1/fines/payments/{paymentId}/reverse:
+ *   post:
+ *     summary: Reverse a payment (Admin/Librarian Only)
+ *     tags: [Fines]
+ *     description: Records a reversal against a payment made in error; its amount is owed again. Refunds and reversals can't be reversed, and a payment can only be reversed once and not after its money was refunded.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/PaymentIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PaymentReversalInput' }
+ *     responses:
+ *       201: { description: 'Reversal recorded', content: { application/json: { schema: { $ref: '#/components/schemas/LedgerEntryResult' } } } }
+ *       400: { description: 'Bad Request - Missing reason, not a payment, already reversed, or already refunded', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.post('/payments/:paymentId/reverse',
+    authenticate,
+    isAdminOrLibrarian,
+    fineController.reverseFinePayment
+);
+
 /**
  * @swagger
  * /api/v1/fines/{fineId}/pay:
  *   put:
  *     summary: Mark a fine as paid (Admin/Librarian Only)
  *     tags: [Fines]
- *     description: Updates the status of a fine to 'paid'. This action is typically performed by library staff.
+ *     description: Records a payment of the fine's whole remaining balance, which makes it paid. This action is typically performed by library staff.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - { $ref: '#/components/parameters/FineIdPathParam' }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method: { type: string, enum: [cash, card, online, other], default: cash }
+ *               reference: { type: string }
+ *               note: { type: string }
  *     responses:
- *       200: { description: 'Fine marked as paid successfully', content: { application/json: { schema: { $ref: '#/components/schemas/FineWithDetails' } } } }
+ *       200: { description: 'Fine marked as paid successfully, with the payment receipt', content: { application/json: { schema: { allOf: [{ $ref: '#/components/schemas/FineWithDetails' }, { type: object, properties: { receipt: { $ref: '#/components/schemas/Receipt' } } }] } } } }
  *       400: { description: 'Bad Request - Fine already paid', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
  *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
@@ -140,4 +397,64 @@ router.put('/:fineId/pay',
     fineController.markFineAsPaid
 );
 
+/**
+ * @swagger
+ * /api/v1/fines/{fineId}/waive:
+ *   put:
+ *     summary: Waive a fine (Admin/Librarian Only)
+ *     tags: [Fines]
+ *     description: Forgives everything still owed on the fine; anything already paid stands. A reason is required. Librarians can only waive fines of their own library and are held to the policy's librarian_waiver_limit per month.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/FineIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/FineWaiverInput' }
+ *     responses:
+ *       200: { description: 'Fine waived', content: { application/json: { schema: { $ref: '#/components/schemas/FineAdjustmentResult' } } } }
+ *       400: { description: 'Bad Request - Missing reason or nothing owed', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Fine of another library, or over the monthly waiver limit', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.put('/:fineId/waive',
+    authenticate,
+    isAdminOrLibrarian,
+    fineController.waiveFine
+);
+
+/**
+ * @swagger
+ * /api/v1/fines/{fineId}/adjust:
+ *   put:
+ *     summary: Reduce a fine (Admin/Librarian Only)
+ *     tags: [Fines]
+ *     description: Lowers the fine to a new amount, which can't be below what has already been paid. A reason is required. Librarians can only adjust fines of their own library and the amount taken off counts towards their monthly waiver limit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/FineIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/FineAdjustmentInput' }
+ *     responses:
+ *       200: { description: 'Fine adjusted', content: { application/json: { schema: { $ref: '#/components/schemas/FineAdjustmentResult' } } } }
+ *       400: { description: 'Bad Request - Missing reason, or new amount not lower or below what was paid', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Fine of another library, or over the monthly waiver limit', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.put('/:fineId/adjust',
+    authenticate,
+    isAdminOrLibrarian,
+    fineController.adjustFineAmount
+);
+
 module.exports = router;
\ No newline at end of file
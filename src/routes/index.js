@@ -17,6 +17,9 @@ const otpRoutes = require('./otp.routes');
 const analyticsRoutes = require('./analytics.routes');
 // const ticketRoutes = require('./ticket.routes');
 const fineRoutes = require('./fine.routes');
+const interLibraryLoanRoutes = require('./interLibraryLoan.routes');
+const kioskRoutes = require('./kiosk.routes');
+const receiptRoutes = require('./receipt.routes');
 // const documentUploadRoutes = require('./documentUpload.routes');
 
 const router = express.Router();
@@ -69,6 +72,9 @@ router.use(`${API_PREFIX}/otp`, otpRoutes);
 router.use(`${API_PREFIX}/analytics`, analyticsRoutes);
 // router.use(`${API_PREFIX}/tickets`, ticketRoutes);
 router.use(`${API_PREFIX}/fines`, fineRoutes);
+router.use(`${API_PREFIX}/inter-library-loans`, interLibraryLoanRoutes);
+router.use(`${API_PREFIX}/kiosks`, kioskRoutes);
+router.use(`${API_PREFIX}/receipts`, receiptRoutes);
 // router.use(`${API_PREFIX}/document-uploads`, documentUploadRoutes);
 
 // Add tags for Swagger documentation sections if not defined in controllers
@@ -99,6 +105,12 @@ router.use(`${API_PREFIX}/fines`, fineRoutes);
  *     description: User support tickets
  *   - name: Fines
  *     description: Managing fines for overdue books
+ *   - name: Inter-Library Loans
+ *     description: Borrowing books between libraries on this instance
+ *   - name: Kiosks
+ *     description: Self-service checkout kiosks and the QR tokens members use at them
+ *   - name: Receipts
+ *     description: Printable receipts for checkouts, returns and fine payments
  *   - name: Document Uploads
  *     description: Handling document uploads (if needed)
  *   - name: Health
@@ -107,6 +119,8 @@ router.use(`${API_PREFIX}/fines`, fineRoutes);
  *     description: Two-factor authentication using OTP
  *   - name: Analytics
  *     description: Library analytics and statistics
+ *   - name: Admin
+ *     description: Library administration and maintenance tools
  */
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,339 @@
+// src/routes/interLibraryLoan.routes.js
+const express = require('express');
+const interLibraryLoanController = require('../controllers/interLibraryLoan.controller');
+const { authenticate, isAdminOrLibrarian, authorize } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Base Path: /api/v1/inter-library-loans
+ *
+ * Flow: requested -> approved (lending) -> in_transit (lending ships) -> received (borrowing) -> on_loan (borrowing checks out)
+ *       -> returned (member returns via /borrow-transactions/{borrowId}/return) -> return_in_transit (borrowing ships back)
+ *       -> completed (lending receives it back)
+ *       A received book the member never collects is shipped back from 'received'; a book lost in the post
+ *       (in_transit or return_in_transit) is reported lost by either library.
+ */
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans:
+ *   post:
+ *     summary: Request a book from another library (Member, Librarian)
+ *     tags: [Inter-Library Loans]
+ *     description: Members request a book from another library's catalog for themselves; librarians request one for a member of their library. The member's library must allow inter-library borrowing and the book's library must allow lending.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoanInput' } } }
+ *     responses:
+ *       201: { description: "Request created (status 'requested')", content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Same library, inter-library loans disabled, limit reached, or already requested.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Not allowed, or the member is blocked for unpaid fines or overdue items (code BORROWING_BLOCKED)', content: { 'application/json': { schema: { oneOf: [ { $ref: '#/components/schemas/ErrorResponse' }, { $ref: '#/components/schemas/BorrowingBlockedResponse' } ] } } } }
+ *       404: { description: 'Not Found - User, Book, or Policy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/',
+    authenticate,
+    authorize(['member', 'librarian']),
+    interLibraryLoanController.createInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans:
+ *   get:
+ *     summary: List inter-library loans (Authenticated Users)
+ *     tags: [Inter-Library Loans]
+ *     description: Members see their own requests. Librarians see the loans their library borrows or lends; admins see all.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/PageQueryParam' }
+ *       - { $ref: '#/components/parameters/LimitQueryParam' }
+ *       - name: sortBy
+ *         in: query
+ *         schema: { type: string, default: 'requested_at', enum: [requested_at, updated_at, status] }
+ *         description: Field to sort by.
+ *       - { $ref: '#/components/parameters/SortOrderQueryParam' }
+ *       - name: side
+ *         in: query
+ *         schema: { type: string, enum: [borrowing, lending] }
+ *         description: Only loans the librarian's library is borrowing, or only those it is lending (Librarian only).
+ *       - name: status
+ *         in: query
+ *         schema: { type: string, enum: [requested, approved, rejected, cancelled, in_transit, received, on_loan, returned, return_in_transit, completed, lost] }
+ *       - name: userId
+ *         in: query
+ *         schema: { type: string, format: uuid }
+ *         description: Filter by member (Admin/Librarian only).
+ *       - name: bookId
+ *         in: query
+ *         schema: { type: string, format: uuid }
+ *     responses:
+ *       200: { description: 'A paginated list of inter-library loans', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/InterLibraryLoan' } }, pagination: { $ref: '#/components/schemas/PaginationInfo' } } } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.get('/',
+    authenticate,
+    // RBAC filtering happens inside the controller
+    interLibraryLoanController.getAllInterLibraryLoans
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}:
+ *   get:
+ *     summary: Get an inter-library loan by ID (Authenticated Users)
+ *     tags: [Inter-Library Loans]
+ *     description: Members can view their own; librarians those involving their library.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     responses:
+ *       200: { description: 'Inter-library loan details', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.get('/:illId',
+    authenticate,
+    interLibraryLoanController.getInterLibraryLoanById
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/approve:
+ *   put:
+ *     summary: Approve an inter-library loan request (Lending Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Accepts a 'requested' loan and pulls a copy (the given one, or the next available) for shipping.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     requestBody:
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/IllApproveInput' } } }
+ *     responses:
+ *       200: { description: 'Request approved', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Not requested, or no copy available.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Inter-library loan or copy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/approve',
+    authenticate,
+    isAdminOrLibrarian,
+    interLibraryLoanController.approveInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/reject:
+ *   put:
+ *     summary: Reject an inter-library loan request (Lending Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Refuses a 'requested' loan.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     requestBody:
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/IllRejectInput' } } }
+ *     responses:
+ *       200: { description: 'Request rejected', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Not requested.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Inter-library loan not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/reject',
+    authenticate,
+    isAdminOrLibrarian,
+    interLibraryLoanController.rejectInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/cancel:
+ *   put:
+ *     summary: Cancel an inter-library loan request (Member own, Borrowing Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Withdraws a 'requested' or 'approved' loan. A copy already pulled goes back on the lending library's shelf.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     responses:
+ *       200: { description: 'Request cancelled', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Already shipped or closed.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Inter-library loan not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/cancel',
+    authenticate,
+    authorize(['member', 'librarian', 'admin']),
+    interLibraryLoanController.cancelInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/ship:
+ *   put:
+ *     summary: Ship a book to the borrowing library (Lending Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Marks an 'approved' loan as in transit.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     responses:
+ *       200: { description: 'Book shipped', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Not approved.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Inter-library loan not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/ship',
+    authenticate,
+    isAdminOrLibrarian,
+    interLibraryLoanController.shipInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/receive:
+ *   put:
+ *     summary: Receive a book from the lending library (Borrowing Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Marks an 'in_transit' loan as received; it waits at the desk for the member.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     responses:
+ *       200: { description: 'Book received', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Not in transit.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Inter-library loan not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/receive',
+    authenticate,
+    isAdminOrLibrarian,
+    interLibraryLoanController.receiveInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/checkout:
+ *   put:
+ *     summary: Hand a received book to the member (Borrowing Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Opens a borrow transaction at the borrowing library. Its borrowing limit and fine rules apply; the due date follows the lending library's ill_loan_days. A numbered checkout receipt is issued. The member returns the book through PUT /api/v1/borrow-transactions/{borrowId}/return.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     responses:
+ *       200: { description: 'Book checked out', content: { application/json: { schema: { type: object, properties: { interLibraryLoan: { $ref: '#/components/schemas/InterLibraryLoan' }, transaction: { $ref: '#/components/schemas/BorrowTransaction' }, receipt: { $ref: '#/components/schemas/Receipt' } } } } } }
+ *       400: { description: 'Bad Request - Not received, or the member is at their borrowing limit.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Not allowed, or the member is blocked for unpaid fines or overdue items (code BORROWING_BLOCKED)', content: { 'application/json': { schema: { oneOf: [ { $ref: '#/components/schemas/ErrorResponse' }, { $ref: '#/components/schemas/BorrowingBlockedResponse' } ] } } } }
+ *       404: { description: 'Not Found - Inter-library loan, member or Policy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/checkout',
+    authenticate,
+    isAdminOrLibrarian,
+    interLibraryLoanController.checkoutInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/return-ship:
+ *   put:
+ *     summary: Ship a returned book back to the lending library (Borrowing Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Marks a 'returned' loan as in transit back to the lender. A 'received' loan the member never collected can be shipped back without being checked out.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     responses:
+ *       200: { description: 'Book shipped back', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Not received or returned by the member yet.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Inter-library loan not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/return-ship',
+    authenticate,
+    isAdminOrLibrarian,
+    interLibraryLoanController.returnShipInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/complete:
+ *   put:
+ *     summary: Receive a book back from the borrowing library (Lending Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Closes a 'return_in_transit' loan and puts the copy back on the shelf.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     responses:
+ *       200: { description: 'Loan completed', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Not on its way back.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Inter-library loan not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/complete',
+    authenticate,
+    isAdminOrLibrarian,
+    interLibraryLoanController.completeInterLibraryLoan
+);
+
+/**
+ * @swagger
+ * /api/v1/inter-library-loans/{illId}/lost:
+ *   put:
+ *     summary: Report a book lost in the post (Borrowing or Lending Librarian, Admin)
+ *     tags: [Inter-Library Loans]
+ *     description: Closes an 'in_transit' or 'return_in_transit' loan as 'lost' and writes off the lending library's copy. The member isn't charged. Books lost while checked out are reported through PUT /api/v1/borrow-transactions/{borrowId}/lost.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/IllIdPathParam' }
+ *     responses:
+ *       200: { description: 'Loan closed as lost', content: { application/json: { schema: { $ref: '#/components/schemas/InterLibraryLoan' } } } }
+ *       400: { description: 'Bad Request - Not in transit.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { description: 'Not Found - Inter-library loan not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:illId/lost',
+    authenticate,
+    isAdminOrLibrarian,
+    interLibraryLoanController.reportInterLibraryLoanLost
+);
+
+module.exports = router;
@@ -0,0 +1,179 @@
+// src/routes/kiosk.routes.js
+const express = require('express');
+const kioskController = require('../controllers/kiosk.controller');
+const { authenticate, isAdminOrLibrarian, isMember, authenticateKiosk } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Base Path: /api/v1/kiosks
+ *
+ * Flow: a librarian registers a kiosk and installs its key on the device -> the member generates a QR token in the app
+ *       -> the kiosk scans the QR code and the copy and calls /checkout (or /return) with its own key.
+ */
+
+/**
+ * @swagger
+ * /api/v1/kiosks/qr-token:
+ *   post:
+ *     summary: Generate a kiosk QR token (Member Only)
+ *     tags: [Kiosks]
+ *     description: Returns a signed token, valid for two minutes, that the member shows as a QR code at a kiosk of their library. It can't be used to log in.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201: { description: 'QR token issued', content: { application/json: { schema: { $ref: '#/components/schemas/KioskQrToken' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/qr-token',
+    authenticate,
+    isMember,
+    kioskController.createQrToken
+);
+
+/**
+ * @swagger
+ * /api/v1/kiosks/checkout:
+ *   post:
+ *     summary: Check out a copy at a kiosk (Kiosk key)
+ *     tags: [Kiosks]
+ *     description: Checks the scanned copy out to the member whose QR token was scanned. Same rules as POST /api/v1/borrow-transactions, but the loan starts immediately and records the kiosk. A numbered checkout receipt is issued.
+ *     security:
+ *       - kioskKey: []
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/KioskCheckoutInput' } } }
+ *     responses:
+ *       201: { description: 'Checked out', content: { application/json: { schema: { $ref: '#/components/schemas/KioskCheckoutResponse' } } } }
+ *       400: { description: 'Bad Request - Invalid or expired QR token, or a borrowing rule was broken', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { description: 'Unauthorized - Missing or invalid kiosk key', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       403: { description: 'Forbidden - Kiosk deactivated, QR code from another library, or the member is blocked (code BORROWING_BLOCKED)', content: { 'application/json': { schema: { oneOf: [ { $ref: '#/components/schemas/ErrorResponse' }, { $ref: '#/components/schemas/BorrowingBlockedResponse' } ] } } } }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/checkout',
+    authenticateKiosk,
+    kioskController.kioskCheckout
+);
+
+/**
+ * @swagger
+ * /api/v1/kiosks/return:
+ *   post:
+ *     summary: Return a copy at a kiosk (Kiosk key)
+ *     tags: [Kiosks]
+ *     description: Returns the active loan of the scanned copy. Same rules as PUT /api/v1/borrow-transactions/{borrowId}/return, including late fines. With a QR token only that member's loans can be returned. A numbered return receipt is issued.
+ *     security:
+ *       - kioskKey: []
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/KioskReturnInput' } } }
+ *     responses:
+ *       200: { description: 'Returned', content: { application/json: { schema: { type: object, properties: { transaction: { $ref: '#/components/schemas/BorrowTransaction' }, fineGenerated: { allOf: [ { $ref: '#/components/schemas/Fine' } ], nullable: true }, holdReady: { allOf: [ { $ref: '#/components/schemas/Reservation' } ], nullable: true, description: 'Hold the copy was allocated to; put it on the hold shelf' }, receipt: { $ref: '#/components/schemas/Receipt' } } } } } }
+ *       400: { description: 'Bad Request - Invalid or expired QR token, copy not on loan, or loan already returned', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { description: 'Unauthorized - Missing or invalid kiosk key', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       403: { description: "Forbidden - Kiosk deactivated, QR code from another library, or another member's loan", content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/return',
+    authenticateKiosk,
+    kioskController.kioskReturn
+);
+
+/**
+ * @swagger
+ * /api/v1/kiosks:
+ *   post:
+ *     summary: Register a kiosk (Admin/Librarian Only)
+ *     tags: [Kiosks]
+ *     description: Registers a kiosk for the caller's library and returns its key. The key is shown only once; install it on the device as the X-Kiosk-Key header.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/KioskInput' } } }
+ *     responses:
+ *       201: { description: 'Kiosk registered', content: { application/json: { schema: { $ref: '#/components/schemas/KioskWithKey' } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ *   get:
+ *     summary: List the library's kiosks (Admin/Librarian Only)
+ *     tags: [Kiosks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: 'Kiosks of the library', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/Kiosk' } } } } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/',
+    authenticate,
+    isAdminOrLibrarian,
+    kioskController.registerKiosk
+);
+
+router.get('/',
+    authenticate,
+    isAdminOrLibrarian,
+    kioskController.getKiosks
+);
+
+/**
+ * @swagger
+ * /api/v1/kiosks/{kioskId}:
+ *   put:
+ *     summary: Update or deactivate a kiosk (Admin/Librarian Only)
+ *     tags: [Kiosks]
+ *     description: A deactivated kiosk's key is refused until the kiosk is reactivated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/KioskIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/KioskInput' } } }
+ *     responses:
+ *       200: { description: 'Kiosk updated', content: { application/json: { schema: { $ref: '#/components/schemas/Kiosk' } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:kioskId',
+    authenticate,
+    isAdminOrLibrarian,
+    kioskController.updateKiosk
+);
+
+/**
+ * @swagger
+ * /api/v1/kiosks/{kioskId}/rotate-key:
+ *   post:
+ *     summary: Issue a new kiosk key (Admin/Librarian Only)
+ *     tags: [Kiosks]
+ *     description: Replaces the kiosk's key; the old key stops working immediately. The new key is shown only once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/KioskIdPathParam' }
+ *     responses:
+ *       200: { description: 'New key issued', content: { application/json: { schema: { $ref: '#/components/schemas/KioskWithKey' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/:kioskId/rotate-key',
+    authenticate,
+    isAdminOrLibrarian,
+    kioskController.rotateKioskKey
+);
+
+module.exports = router;
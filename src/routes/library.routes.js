@@ -1,6 +1,8 @@
 // src/routes/library.routes.js
 const express = require('express');
 const libraryController = require('../controllers/library.controller');
+const libraryClosureController = require('../controllers/libraryClosure.controller');
+const dunningStepController = require('../controllers/dunningStep.controller');
 // --- Import Auth Middleware ---
 const { authenticate, isAdmin, isAdminOrLibrarian, verifyToken } = require('../middleware/auth.middleware');
 
@@ -129,4 +131,207 @@ router.delete('/:id',
     libraryController.deleteLibrary
 );
 
+/**
+ * @swagger
+ * /api/v1/libraries/{id}/closures:
+ *   get:
+ *     summary: List a library's closed days (Authenticated Users)
+ *     tags: [Libraries]
+ *     description: Lists weekly closures (e.g. every Sunday) and holidays. Due dates never fall on a closed day and closed days don't count towards overdue fines. from/to only limit which holidays are returned; weekly closures are always listed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Library ID' }
+ *       - { name: from, in: query, schema: { type: string, format: date }, description: 'Only holidays ending on or after this date' }
+ *       - { name: to, in: query, schema: { type: string, format: date }, description: 'Only holidays starting on or before this date' }
+ *     responses:
+ *       200: { description: 'Closures of the library', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/LibraryClosure' } } } } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ *   post:
+ *     summary: Add a closed day (Admin/Librarian Only)
+ *     tags: [Libraries]
+ *     description: Adds a weekly closure or a holiday (one day or a range) to the caller's own library. Open loans due on a day that is now closed are moved to the next open day; their count is returned as rescheduled_loans.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Library ID' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/LibraryClosureInput' } } }
+ *     responses:
+ *       201: { description: 'Closure added', content: { application/json: { schema: { allOf: [ { $ref: '#/components/schemas/LibraryClosure' }, { type: object, properties: { rescheduled_loans: { type: integer } } } ] } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       409: { description: 'Conflict - The library already has a weekly closure on that weekday', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.get('/:id/closures',
+    authenticate,
+    libraryClosureController.getLibraryClosures
+);
+
+router.post('/:id/closures',
+    authenticate,
+    isAdminOrLibrarian,
+    libraryClosureController.createLibraryClosure
+);
+
+/**
+ * @swagger
+ * /api/v1/libraries/{id}/closures/{closureId}:
+ *   put:
+ *     summary: Update a closed day (Admin/Librarian Only)
+ *     tags: [Libraries]
+ *     description: Changes a closure of the caller's own library. Fields not sent keep their values. Open loans due on a day that is now closed are moved to the next open day.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Library ID' }
+ *       - { $ref: '#/components/parameters/ClosureIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/LibraryClosureInput' } } }
+ *     responses:
+ *       200: { description: 'Closure updated', content: { application/json: { schema: { allOf: [ { $ref: '#/components/schemas/LibraryClosure' }, { type: object, properties: { rescheduled_loans: { type: integer } } } ] } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       409: { description: 'Conflict - The library already has a weekly closure on that weekday', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ *   delete:
+ *     summary: Remove a closed day (Admin/Librarian Only)
+ *     tags: [Libraries]
+ *     description: Removes a closure of the caller's own library. Due dates already moved because of it are left unchanged.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Library ID' }
+ *       - { $ref: '#/components/parameters/ClosureIdPathParam' }
+ *     responses:
+ *       204: { description: 'Closure removed' }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:id/closures/:closureId',
+    authenticate,
+    isAdminOrLibrarian,
+    libraryClosureController.updateLibraryClosure
+);
+
+router.delete('/:id/closures/:closureId',
+    authenticate,
+    isAdminOrLibrarian,
+    libraryClosureController.deleteLibraryClosure
+);
+
+/**
+ * @swagger
+ * /api/v1/libraries/{id}/dunning-steps:
+ *   get:
+ *     summary: List a library's dunning schedule (Admin/Librarian Only)
+ *     tags: [Libraries]
+ *     description: Lists the steps applied to unpaid fines, by days since the fine was raised. An hourly job emails the member at each step (reminder, final_notice); a block step also blocks borrowing until the fine is paid or waived. Paid and waived fines get no further notices.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Library ID' }
+ *     responses:
+ *       200: { description: 'Steps of the schedule, earliest first', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/DunningStep' } } } } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ *   post:
+ *     summary: Add a dunning step (Admin/Librarian Only)
+ *     tags: [Libraries]
+ *     description: Adds a step to the caller's own library schedule, e.g. a reminder at 7 days, a final notice at 30 and a block at 60. Fines already past that day that haven't had a later notice get it on the job's next run.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Library ID' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/DunningStepInput' } } }
+ *     responses:
+ *       201: { description: 'Step added', content: { application/json: { schema: { $ref: '#/components/schemas/DunningStep' } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       409: { description: 'Conflict - The library already has a step on that day', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.get('/:id/dunning-steps',
+    authenticate,
+    isAdminOrLibrarian,
+    dunningStepController.getDunningSteps
+);
+
+router.post('/:id/dunning-steps',
+    authenticate,
+    isAdminOrLibrarian,
+    dunningStepController.createDunningStep
+);
+
+/**
+ * @swagger
+ * /api/v1/libraries/{id}/dunning-steps/{stepId}:
+ *   put:
+ *     summary: Update a dunning step (Admin/Librarian Only)
+ *     tags: [Libraries]
+ *     description: Changes a step of the caller's own library schedule. Fields not sent keep their values. Notices already sent are not changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Library ID' }
+ *       - { $ref: '#/components/parameters/DunningStepIdPathParam' }
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/DunningStepInput' } } }
+ *     responses:
+ *       200: { description: 'Step updated', content: { application/json: { schema: { $ref: '#/components/schemas/DunningStep' } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       409: { description: 'Conflict - The library already has a step on that day', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ *   delete:
+ *     summary: Remove a dunning step (Admin/Librarian Only)
+ *     tags: [Libraries]
+ *     description: Removes a step of the caller's own library schedule. Notices already sent are kept, and a block already applied stays until the fine is settled or overridden.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: id, in: path, required: true, schema: { type: string, format: uuid }, description: 'Library ID' }
+ *       - { $ref: '#/components/parameters/DunningStepIdPathParam' }
+ *     responses:
+ *       204: { description: 'Step removed' }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:id/dunning-steps/:stepId',
+    authenticate,
+    isAdminOrLibrarian,
+    dunningStepController.updateDunningStep
+);
+
+router.delete('/:id/dunning-steps/:stepId',
+    authenticate,
+    isAdminOrLibrarian,
+    dunningStepController.deleteDunningStep
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,112 @@
+// src/routes/receipt.routes.js
+const express = require('express');
+const receiptController = require('../controllers/receipt.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+/**
+ * Base Path: /api/v1/receipts
+ *
+ * Receipts are issued automatically at checkout, return and fine payment; these routes fetch and re-send them.
+ */
+
+/**
+ * @swagger
+ * /api/v1/receipts:
+ *   get:
+ *     summary: Retrieve a list of receipts (Authenticated Users)
+ *     tags: [Receipts]
+ *     description: Gets a paginated list of receipts, newest first. Members see their own, librarians their library's, admins all.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/PageQueryParam' }
+ *       - { $ref: '#/components/parameters/LimitQueryParam' }
+ *       - name: userId
+ *         in: query
+ *         schema: { type: string, format: uuid }
+ *         description: Filter by member (Admin/Librarian only).
+ *       - name: libraryId
+ *         in: query
+ *         schema: { type: string, format: uuid }
+ *         description: Filter by library (Admin only; librarians always see their own library).
+ *       - name: kind
+ *         in: query
+ *         schema: { type: string, enum: [checkout, return, payment] }
+ *       - name: borrowId
+ *         in: query
+ *         schema: { type: string, format: uuid }
+ *         description: Receipts for one loan.
+ *     responses:
+ *       200: { description: 'A paginated list of receipts', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/Receipt' } }, pagination: { $ref: '#/components/schemas/PaginationInfo' } } } } } }
+ *       400: { $ref: '#/components/responses/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Member trying to view another user receipts', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.get('/',
+    authenticate,
+    // RBAC filtering logic is within the controller
+    receiptController.getAllReceipts
+);
+
+/**
+ * @swagger
+ * /api/v1/receipts/{receiptId}:
+ *   get:
+ *     summary: Retrieve a receipt as JSON, HTML or PDF (Member own, Librarian own library, Admin any)
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/ReceiptIdPathParam' }
+ *       - name: format
+ *         in: query
+ *         schema: { type: string, enum: [json, html, pdf], default: json }
+ *         description: html returns a printable page; pdf a document to download or print.
+ *     responses:
+ *       200:
+ *         description: The receipt
+ *         content:
+ *           application/json: { schema: { $ref: '#/components/schemas/Receipt' } }
+ *           text/html: { schema: { type: string } }
+ *           application/pdf: { schema: { type: string, format: binary } }
+ *       400: { description: 'Bad Request - Unknown format', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Receipt of another member or library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ */
+router.get('/:receiptId',
+    authenticate,
+    // RBAC and ownership check is within the controller
+    receiptController.getReceiptById
+);
+
+/**
+ * @swagger
+ * /api/v1/receipts/{receiptId}/email:
+ *   post:
+ *     summary: Email a receipt to the member (Member own, Librarian own library, Admin any)
+ *     tags: [Receipts]
+ *     description: Sends the receipt to the member's current email address, as HTML with the PDF attached.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/ReceiptIdPathParam' }
+ *     responses:
+ *       200: { description: 'Receipt emailed', content: { application/json: { schema: { type: object, properties: { sent_to: { type: string, format: email }, receipt: { $ref: '#/components/schemas/Receipt' } } } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Receipt of another member or library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/responses/NotFoundResponse' }
+ *       500: { $ref: '#/components/responses/ServerErrorResponse' }
+ *       502: { description: 'The email could not be sent', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ */
+router.post('/:receiptId/email',
+    authenticate,
+    // RBAC and ownership check is within the controller
+    receiptController.emailReceipt
+);
+
+module.exports = router;
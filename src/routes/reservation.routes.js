@@ -15,17 +15,17 @@ const router = express.Router();
  *   post:
  *     summary: Create a new reservation (Member Only)
  *     tags: [Reservations]
- *     description: Allows an authenticated member to reserve a book. Reservation expiry is set based on library policy.
+ *     description: Places a hold on a book. Holds are served first come, first served. If a copy is available it is set aside at once (status allocated); otherwise the hold waits in the queue (status waiting) until a copy is returned. The pickup window (the policy's reservation_expiry_days) starts when a librarian marks the hold ready.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content: { application/json: { schema: { $ref: '#/components/schemas/ReservationInput' } } }
  *     responses:
- *       201: { description: 'Reservation created successfully', content: { application/json: { schema: { $ref: '#/components/schemas/Reservation' } } } }
+ *       201: { description: 'Reservation created, with its place in the queue', content: { application/json: { schema: { allOf: [ { $ref: '#/components/schemas/Reservation' }, { type: object, properties: { queue: { $ref: '#/components/schemas/ReservationQueue' } } } ] } } } }
  *       400: { description: 'Bad Request - Cannot reserve already borrowed book, etc.', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
- *       403: { $ref: '#/components/schemas/ForbiddenResponse' } # If role is not Member
+ *       403: { description: 'Forbidden - Not allowed, or the member is blocked for unpaid fines or overdue items (code BORROWING_BLOCKED)', content: { 'application/json': { schema: { oneOf: [ { $ref: '#/components/schemas/ErrorResponse' }, { $ref: '#/components/schemas/BorrowingBlockedResponse' } ] } } } }
  *       404: { description: 'Not Found - User, Book, or Policy not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       409: { description: 'Conflict - Already reserved this book', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
@@ -36,6 +36,57 @@ router.post('/',
     reservationController.createReservation
 );
 
+/**
+ * @swagger
+ * /api/v1/reservations/suspend:
+ *   post:
+ *     summary: Suspend a member's holds for a date range (Member own, Librarian, Admin)
+ *     tags: [Reservations]
+ *     description: Suspends all of the member's waiting holds, e.g. while they are on vacation. Suspended holds keep their place in the queue but are skipped when copies are allocated, and are reactivated automatically at until. Holds that already have a copy set aside are not suspended and are listed in not_suspended.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content: { application/json: { schema: { $ref: '#/components/schemas/ReservationSuspensionInput' } } }
+ *     responses:
+ *       200: { description: 'Holds suspended', content: { application/json: { schema: { type: object, properties: { suspended_from: { type: string, format: date-time }, suspended_until: { type: string, format: date-time }, data: { type: array, items: { $ref: '#/components/schemas/Reservation' } }, not_suspended: { type: array, items: { type: object, properties: { reservation_id: { type: string, format: uuid }, status: { type: string } } } } } } } } }
+ *       400: { description: 'Bad Request - Invalid dates, too long, or no holds waiting in the queue', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Another member, or a member of another library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/suspend',
+    authenticate,
+    // Ownership check for 'member' happens inside the controller
+    reservationController.suspendReservations
+);
+
+/**
+ * @swagger
+ * /api/v1/reservations/resume:
+ *   post:
+ *     summary: Reactivate a member's suspended holds now (Member own, Librarian, Admin)
+ *     tags: [Reservations]
+ *     description: Ends a running suspension early or cancels a planned one. A reactivated hold that is first in line gets a copy straight away if one is on the shelf.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content: { application/json: { schema: { type: object, properties: { userId: { type: string, format: uuid, description: 'Admin/Librarian only' } } } } }
+ *     responses:
+ *       200: { description: 'Holds reactivated', content: { application/json: { schema: { type: object, properties: { reactivated: { type: integer }, data: { type: array, items: { $ref: '#/components/schemas/Reservation' }, description: "The member's holds still waiting" }, allocated: { type: array, items: { $ref: '#/components/schemas/Reservation' }, description: 'Holds that got a copy on reactivation' } } } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.post('/resume',
+    authenticate,
+    // Ownership check for 'member' happens inside the controller
+    reservationController.resumeReservations
+);
+
 /**
  * @swagger
  * /api/v1/reservations:
@@ -64,7 +115,11 @@ router.post('/',
  *       - name: expired
  *         in: query
  *         schema: { type: boolean }
- *         description: Filter by expiry status (true=expired, false=active).
+ *         description: Filter by pickup deadline (true=passed, false=not yet). Only holds that have been on the hold shelf have one.
+ *       - name: status
+ *         in: query
+ *         schema: { type: string, enum: [waiting, allocated, ready, picked_up, expired, cancelled] }
+ *         description: Filter by reservation status.
  *     responses:
  *       200: { description: 'A paginated list of reservations', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/Reservation' } }, pagination: { $ref: '#/components/schemas/PaginationInfo' } } } } } }
  *       400: { $ref: '#/components/schemas/BadRequestResponse' }
@@ -78,6 +133,30 @@ router.get('/',
     reservationController.getAllReservations
 );
 
+/**
+ * @swagger
+ * /api/v1/reservations/hold-shelf:
+ *   get:
+ *     summary: List the library's hold shelf (Admin/Librarian Only)
+ *     tags: [Reservations]
+ *     description: Lists the holds of the caller's library that have a copy set aside. Allocated holds still have to be put on the hold shelf and marked ready; ready holds are waiting for the member.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { name: status, in: query, schema: { type: string, enum: [allocated, ready] }, description: 'Only holds with this status' }
+ *     responses:
+ *       200: { description: 'Hold shelf', content: { application/json: { schema: { type: object, properties: { data: { type: array, items: { $ref: '#/components/schemas/HoldShelfEntry' } }, summary: { type: object, properties: { allocated: { type: integer }, ready: { type: integer }, pickup_overdue: { type: integer } } } } } } } }
+ *       400: { $ref: '#/components/schemas/BadRequestResponse' }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { $ref: '#/components/schemas/ForbiddenResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.get('/hold-shelf',
+    authenticate,
+    isAdminOrLibrarian,
+    reservationController.getHoldShelf
+);
+
 /**
  * @swagger
  * /api/v1/reservations/{reservationId}:
@@ -102,19 +181,69 @@ router.get('/:reservationId',
     reservationController.getReservationById
 );
 
+/**
+ * @swagger
+ * /api/v1/reservations/{reservationId}/queue:
+ *   get:
+ *     summary: Get a hold's place in the queue (Member own, Librarian, Admin)
+ *     tags: [Reservations]
+ *     description: Returns the hold's position in the book's FIFO queue and an estimate of when a copy will be set aside for it. The estimate assumes copies come back on their due dates and each later turn takes one loan period; it is null when no copy is in circulation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/ReservationIdPathParam' }
+ *     responses:
+ *       200: { description: 'Queue position', content: { application/json: { schema: { $ref: '#/components/schemas/ReservationQueue' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Member viewing another user reservation, or staff of another library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.get('/:reservationId/queue',
+    authenticate,
+    // RBAC check happens inside the controller
+    reservationController.getReservationQueue
+);
+
+/**
+ * @swagger
+ * /api/v1/reservations/{reservationId}/ready:
+ *   put:
+ *     summary: Mark a hold ready for pickup (Admin/Librarian Only)
+ *     tags: [Reservations]
+ *     description: Call once the allocated copy is on the hold shelf. Starts the pickup window (the policy's reservation_expiry_days, to the end of the last day) and emails the member.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { $ref: '#/components/parameters/ReservationIdPathParam' }
+ *     responses:
+ *       200: { description: 'Hold ready for pickup', content: { application/json: { schema: { $ref: '#/components/schemas/Reservation' } } } }
+ *       400: { description: 'Bad Request - The reservation is not allocated', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
+ *       403: { description: 'Forbidden - Reservation of another library', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
+ *       404: { $ref: '#/components/schemas/NotFoundResponse' }
+ *       500: { $ref: '#/components/schemas/ServerErrorResponse' }
+ */
+router.put('/:reservationId/ready',
+    authenticate,
+    isAdminOrLibrarian,
+    reservationController.markReservationReady
+);
+
 /**
  * @swagger
  * /api/v1/reservations/{reservationId}:
  *   delete:
- *     summary: Cancel/Delete a reservation (Member, Librarian, Admin)
+ *     summary: Cancel a reservation (Member, Librarian, Admin)
  *     tags: [Reservations]
- *     description: Deletes a reservation. Members can delete their own, Admins/Librarians can delete any. Updates book and user records accordingly.
+ *     description: Cancels a reservation; it is kept with status cancelled. Members can cancel their own, Admins/Librarians can cancel any. A copy set aside for it goes to the next hold in the queue, or back on the shelf.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - { $ref: '#/components/parameters/ReservationIdPathParam' }
  *     responses:
- *       204: { description: 'Reservation deleted successfully (No Content)' }
+ *       204: { description: 'Reservation cancelled successfully (No Content)' }
+ *       400: { description: 'Bad Request - The reservation is already closed', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       401: { $ref: '#/components/schemas/UnauthorizedResponse' }
  *       403: { description: 'Forbidden - Member trying to delete another user reservation', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } } }
  *       404: { $ref: '#/components/schemas/NotFoundResponse' }
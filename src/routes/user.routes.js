@@ -1,6 +1,7 @@
 // src/routes/user.routes.js
 const express = require('express');
 const userController = require('../controllers/user.controller');
+const borrowingBlockController = require('../controllers/borrowingBlock.controller');
 const { authenticate, isAdmin, isAdminOrLibrarian, verifyToken } = require('../middleware/auth.middleware');
 
 const router = express.Router();
@@ -23,4 +24,10 @@ router.put('/:id', authenticate, isAdminOrLibrarian, userController.updateUser);
 // DELETE /api/v1/users/:id - Admin Only
 router.delete('/:id', authenticate, isAdminOrLibrarian, userController.deleteUser);
 
+// GET /api/v1/users/:id/borrowing-block - Member can view self, Admin/Librarian members of their library
+router.get('/:id/borrowing-block', authenticate, borrowingBlockController.getBorrowingBlock);
+
+// POST /api/v1/users/:id/borrowing-block/override - Admin or Librarian lifts a member's block for a while
+router.post('/:id/borrowing-block/override', authenticate, isAdminOrLibrarian, borrowingBlockController.overrideBorrowingBlock);
+
 module.exports = router;
\ No newline at end of file
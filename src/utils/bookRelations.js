@@ -0,0 +1,198 @@
+// src/utils/bookRelations.js
+// Links between books and their authors (BookAuthor, with a role) and genres (BookGenre).
+// API responses still carry the shapes clients know: author_ids, authorNames, genre_ids and genre_names on books
+// and book_ids on authors. They are rebuilt here from the join rows and are never stored.
+
+const CONTRIBUTOR_ROLES = ['author', 'editor', 'translator', 'illustrator'];
+
+// Include for book queries whose result goes through toBookResponse
+const BOOK_RELATIONS_INCLUDE = {
+    book_authors: {
+        orderBy: [{ position: 'asc' }, { role: 'asc' }],
+        select: { author_id: true, role: true, author: { select: { name: true } } }
+    },
+    book_genres: {
+        orderBy: { position: 'asc' },
+        select: { genre_id: true, genre: { select: { name: true } } }
+    },
+};
+
+// Select for reading only genre names (e.g. analytics), used with genreNamesOf
+const BOOK_GENRE_NAMES_SELECT = {
+    orderBy: { position: 'asc' },
+    select: { genre: { select: { name: true } } }
+};
+
+// Include for author queries whose result goes through toAuthorResponse
+const AUTHOR_BOOKS_INCLUDE = {
+    book_authors: { select: { book_id: true } },
+};
+
+/**
+ * Shapes a book loaded with BOOK_RELATIONS_INCLUDE for the API.
+ * author_ids and authorNames list the contributors with the 'author' role; `contributors` lists every role.
+ * @param {object} book
+ * @returns {object}
+ */
+const toBookResponse = (book) => {
+    const { book_authors = [], book_genres = [], ...rest } = book;
+    const authors = book_authors.filter(link => link.role === 'author');
+    return {
+        ...rest,
+        author_ids: authors.map(link => link.author_id),
+        authorNames: authors.map(link => link.author.name),
+        contributors: book_authors.map(link => ({ author_id: link.author_id, name: link.author.name, role: link.role })),
+        genre_ids: book_genres.map(link => link.genre_id),
+        genre_names: book_genres.map(link => link.genre.name),
+    };
+};
+
+/**
+ * Genre names of a book loaded with BOOK_GENRE_NAMES_SELECT (or BOOK_RELATIONS_INCLUDE).
+ * @param {{ book_genres: Array<{ genre: { name: string } }> }} book
+ * @returns {string[]}
+ */
+const genreNamesOf = (book) => book.book_genres.map(link => link.genre.name);
+
+/**
+ * Shapes an author loaded with AUTHOR_BOOKS_INCLUDE for the API: book_ids lists the books they contributed to in any role.
+ * @param {object} author
+ * @returns {object}
+ */
+const toAuthorResponse = (author) => {
+    const { book_authors = [], ...rest } = author;
+    return { ...rest, book_ids: [...new Set(book_authors.map(link => link.book_id))] };
+};
+
+/**
+ * Combines the `author_ids` shorthand (role 'author') and `contributors` ([{ author_id, role }]) of a request body.
+ * @param {string[]|undefined} authorIds
+ * @param {Array<{ author_id: string, role?: string }>|undefined} contributors
+ * @returns {Array<{ author_id: string, role: string }>|undefined} Deduplicated list, or undefined when neither was sent
+ * @throws {Error} 'Invalid ...' when the input is malformed
+ */
+const parseContributors = (authorIds, contributors) => {
+    if (authorIds === undefined && contributors === undefined) return undefined;
+    if (authorIds !== undefined && !Array.isArray(authorIds)) throw new Error('Invalid author_ids: must be an array.');
+    if (contributors !== undefined && !Array.isArray(contributors)) throw new Error('Invalid contributors: must be an array.');
+
+    const list = [
+        ...(authorIds ?? []).map(author_id => ({ author_id, role: 'author' })),
+        ...(contributors ?? []).map(contributor => ({ author_id: contributor?.author_id, role: contributor?.role ?? 'author' })),
+    ];
+    for (const contributor of list) {
+        if (typeof contributor.author_id !== 'string') throw new Error('Invalid contributor: author_id is required.');
+        if (!CONTRIBUTOR_ROLES.includes(contributor.role)) {
+            throw new Error(`Invalid contributor role '${contributor.role}'. Allowed: ${CONTRIBUTOR_ROLES.join(', ')}.`);
+        }
+    }
+    return list.filter((contributor, index) => list.findIndex(other => other.author_id === contributor.author_id && other.role === contributor.role) === index);
+};
+
+/**
+ * Replaces a book's contributors.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} bookId
+ * @param {Array<{ author_id: string, role: string }>} contributors - In display order
+ * @param {object} [options]
+ * @param {string[]} [options.roles] - Only replace contributors with these roles (e.g. ['author'] when a client
+ *   only sent author_ids, so editors and translators are kept); all roles when omitted
+ */
+const setBookContributors = async (tx, bookId, contributors, { roles } = {}) => {
+    await tx.bookAuthor.deleteMany({
+        where: { book_id: bookId, ...(roles && { role: { in: roles } }) }
+    });
+    if (contributors.length > 0) {
+        await tx.bookAuthor.createMany({
+            data: contributors.map((contributor, index) => ({ book_id: bookId, author_id: contributor.author_id, role: contributor.role, position: index }))
+        });
+    }
+};
+
+/**
+ * Looks up genres by name (case-insensitive), creating the ones that don't exist yet.
+ * @param {object} tx - Prisma transaction client (or the client itself)
+ * @param {string[]} names
+ * @returns {Promise<string[]>} genre_ids in the order of `names`
+ */
+const resolveGenreNames = async (tx, names) => {
+    const wanted = [...new Set(names.filter(name => typeof name === 'string').map(name => name.trim()).filter(Boolean))];
+    if (wanted.length === 0) return [];
+
+    const findGenres = () => tx.genre.findMany({
+        where: { name: { in: wanted, mode: 'insensitive' } },
+        select: { genre_id: true, name: true }
+    });
+    let genres = await findGenres();
+    const missing = wanted.filter(name => !genres.some(genre => genre.name.toLowerCase() === name.toLowerCase()));
+    if (missing.length > 0) {
+        // skipDuplicates covers a genre created concurrently under the same name
+        await tx.genre.createMany({ data: missing.map(name => ({ name })), skipDuplicates: true });
+        genres = await findGenres();
+    }
+
+    const ids = wanted
+        .map(name => genres.find(genre => genre.name.toLowerCase() === name.toLowerCase())?.genre_id)
+        .filter(Boolean);
+    return [...new Set(ids)];
+};
+
+/**
+ * Looks up authors by name (case-insensitive), creating the ones that don't exist yet. Author names aren't unique;
+ * when several authors share a name the oldest is used.
+ * @param {object} tx - Prisma transaction client
+ * @param {string[]} names - May repeat a name (e.g. one person as author and illustrator)
+ * @returns {Promise<Map<string, string>>} author_id by trimmed, lower-cased name
+ */
+const resolveAuthorNames = async (tx, names) => {
+    const wanted = [...new Set(names.map(name => name.trim()).filter(Boolean))];
+    const idsByName = new Map();
+    if (wanted.length === 0) return idsByName;
+
+    const authors = await tx.author.findMany({
+        where: { name: { in: wanted, mode: 'insensitive' } },
+        orderBy: { created_at: 'asc' },
+        select: { author_id: true, name: true }
+    });
+    for (const name of wanted) {
+        const key = name.toLowerCase();
+        if (idsByName.has(key)) continue; // Same name in another case
+        let author = authors.find(candidate => candidate.name.toLowerCase() === key);
+        if (!author) {
+            author = await tx.author.create({ data: { name }, select: { author_id: true, name: true } });
+            authors.push(author);
+        }
+        idsByName.set(key, author.author_id);
+    }
+    return idsByName;
+};
+
+/**
+ * Replaces a book's genres.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} bookId
+ * @param {string[]} genreIds - In display order
+ */
+const setBookGenres = async (tx, bookId, genreIds) => {
+    await tx.bookGenre.deleteMany({ where: { book_id: bookId } });
+    if (genreIds.length > 0) {
+        await tx.bookGenre.createMany({
+            data: [...new Set(genreIds)].map((genre_id, index) => ({ book_id: bookId, genre_id, position: index }))
+        });
+    }
+};
+
+module.exports = {
+    CONTRIBUTOR_ROLES,
+    BOOK_RELATIONS_INCLUDE,
+    BOOK_GENRE_NAMES_SELECT,
+    AUTHOR_BOOKS_INCLUDE,
+    toBookResponse,
+    genreNamesOf,
+    toAuthorResponse,
+    parseContributors,
+    setBookContributors,
+    resolveAuthorNames,
+    resolveGenreNames,
+    setBookGenres,
+};
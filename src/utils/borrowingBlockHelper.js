@@ -0,0 +1,114 @@
+// src/utils/borrowingBlockHelper.js
+// Members who owe too much are blocked from borrowing, renewing and reserving. The thresholds are on Policy
+// (max_unpaid_fines_for_borrowing, max_overdue_items_for_borrowing); a librarian can lift the block until a given time
+// with a BorrowingBlockOverride, which records who overrode it and why.
+// A fine that reached a 'block' step of the library's dunning schedule (see jobs/fineDunning.job.js) blocks the member
+// the same way until it is paid or waived.
+
+const { getOutstandingBalance } = require('./fineLedger');
+const { formatMoney } = require('./money');
+
+// Same as circulationHelper.ACTIVE_LOAN_STATUSES (not imported: circulationHelper depends on this module)
+const ACTIVE_LOAN_STATUSES = ['borrowed', 'overdue'];
+
+// error.code of the error thrown by assertNotBlocked
+const BORROWING_BLOCKED = 'BORROWING_BLOCKED';
+
+/**
+ * Works out whether a member is currently blocked at their library.
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} userId - Member to check
+ * @param {string} libraryId - The member's library
+ * @param {object} policy - Library policy (uses max_unpaid_fines_for_borrowing, max_overdue_items_for_borrowing)
+ * @returns {Promise<{ blocked: boolean, reasons: object[], unpaid_fines: number, overdue_items: number, dunning_blocked_fines: number, override: object|null }>}
+ *   `reasons` lists every exceeded threshold, even while an override lifts the block
+ */
+const getBorrowingBlock = async (client, userId, libraryId, policy) => {
+    const now = new Date();
+    const [unpaidFines, overdueItems, dunningBlockedFines, override, library] = await Promise.all([
+        getOutstandingBalance(client, userId, libraryId),
+        // The sweeper may not have flagged every late loan yet, so check the dates too
+        client.borrowTransaction.count({
+            where: { user_id: userId, library_id: libraryId, status: { in: ACTIVE_LOAN_STATUSES }, OR: [{ status: 'overdue' }, { due_date: { lt: now } }] }
+        }),
+        client.fine.count({
+            where: { user_id: userId, library_id: libraryId, is_paid: false, notices: { some: { action: 'block' } } }
+        }),
+        client.borrowingBlockOverride.findFirst({
+            where: { user_id: userId, library_id: libraryId, expires_at: { gt: now } },
+            orderBy: { expires_at: 'desc' }
+        }),
+        client.library.findUnique({ where: { library_id: libraryId }, select: { currency: true, locale: true } }),
+    ]);
+
+    const reasons = [];
+    if (policy.max_unpaid_fines_for_borrowing !== null && policy.max_unpaid_fines_for_borrowing !== undefined) {
+        const limit = parseFloat(policy.max_unpaid_fines_for_borrowing);
+        if (unpaidFines > limit) {
+            reasons.push({ type: 'unpaid_fines', current: unpaidFines, threshold: limit, message: `Unpaid fines of ${formatMoney(unpaidFines, library ?? {}).display} exceed the library's threshold of ${formatMoney(limit, library ?? {}).display}.` });
+        }
+    }
+    if (policy.max_overdue_items_for_borrowing !== null && policy.max_overdue_items_for_borrowing !== undefined) {
+        const limit = policy.max_overdue_items_for_borrowing;
+        if (overdueItems > limit) {
+            reasons.push({ type: 'overdue_items', current: overdueItems, threshold: limit, message: `${overdueItems} overdue item(s) exceed the library's threshold of ${limit}.` });
+        }
+    }
+    if (dunningBlockedFines > 0) {
+        reasons.push({ type: 'dunning', current: dunningBlockedFines, threshold: 0, message: `${dunningBlockedFines} fine(s) are still unpaid after the library's final notice.` });
+    }
+
+    return {
+        blocked: reasons.length > 0 && !override,
+        reasons,
+        unpaid_fines: unpaidFines,
+        overdue_items: overdueItems,
+        dunning_blocked_fines: dunningBlockedFines,
+        override,
+    };
+};
+
+/**
+ * Throws when the member is blocked. The error has code BORROWING_BLOCKED and the block details in `error.block`;
+ * send it with sendBorrowingBlocked.
+ * Must be called inside a Prisma interactive transaction (or with the Prisma client).
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} params
+ * @param {string} params.userId - Member to check
+ * @param {string} params.libraryId - The member's library
+ * @param {object} params.policy - Library policy
+ * @param {string} params.action - What was refused ('borrow', 'renew', 'reserve'...), used in the message
+ * @returns {Promise<object>} The block details (from getBorrowingBlock) when not blocked
+ */
+const assertNotBlocked = async (client, { userId, libraryId, policy, action }) => {
+    const block = await getBorrowingBlock(client, userId, libraryId, policy);
+    if (!block.blocked) return block;
+
+    const error = new Error(`Borrowing blocked: The member can't ${action} until their account is settled or a librarian overrides the block. ${block.reasons.map(reason => reason.message).join(' ')}`);
+    error.code = BORROWING_BLOCKED;
+    error.block = block;
+    throw error;
+};
+
+const isBorrowingBlockedError = (error) => error instanceof Error && error.code === BORROWING_BLOCKED;
+
+// Responds 403 with the structured block details
+const sendBorrowingBlocked = (res, error) => res.status(403).json({
+    success: false,
+    error: {
+        message: error.message,
+        code: BORROWING_BLOCKED,
+        reasons: error.block.reasons,
+        unpaid_fines: error.block.unpaid_fines,
+        overdue_items: error.block.overdue_items,
+        dunning_blocked_fines: error.block.dunning_blocked_fines,
+    }
+});
+
+module.exports = {
+    BORROWING_BLOCKED,
+    getBorrowingBlock,
+    assertNotBlocked,
+    isBorrowingBlockedError,
+    sendBorrowingBlocked,
+};
@@ -0,0 +1,72 @@
+// src/utils/calendarHelper.js
+// Library opening calendar: weekly closures (e.g. every Sunday) and holidays (single days or ranges) from LibraryClosure.
+// Due dates roll forward past closed days and closed days don't count towards overdue fines (see circulationHelper).
+
+// Longest run of closed days we'll roll a due date across before giving up (guards against "closed every day")
+const MAX_ROLL_FORWARD_DAYS = 366;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Calendar-day key of a stored @db.Date value (Prisma returns them as UTC midnight)
+const storedDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Calendar-day key of a server-local date-time (due dates are set to the end of the local day)
+const localDateKey = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Loads a library's closures into a calendar usable by isClosedDay / nextOpenDay.
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} libraryId - Library whose calendar to load
+ * @returns {Promise<{ weekdays: Set<number>, holidays: Array<{ start: string, end: string }> }>}
+ */
+const loadLibraryCalendar = async (client, libraryId) => {
+    const closures = await client.libraryClosure.findMany({
+        where: { library_id: libraryId },
+        select: { closure_type: true, weekday: true, start_date: true, end_date: true }
+    });
+
+    return {
+        weekdays: new Set(closures.filter(closure => closure.closure_type === 'weekly').map(closure => closure.weekday)),
+        holidays: closures
+            .filter(closure => closure.closure_type === 'holiday')
+            .map(closure => ({ start: storedDateKey(closure.start_date), end: storedDateKey(closure.end_date ?? closure.start_date) })),
+    };
+};
+
+/**
+ * Whether the library is closed on the calendar day of `date`.
+ * @param {object} [calendar] - From loadLibraryCalendar; without one every day is open
+ * @param {Date} date
+ * @returns {boolean}
+ */
+const isClosedDay = (calendar, date) => {
+    if (!calendar) return false;
+    const day = new Date(date);
+    if (calendar.weekdays.has(day.getDay())) return true;
+    const key = localDateKey(day);
+    return calendar.holidays.some(holiday => holiday.start <= key && key <= holiday.end);
+};
+
+/**
+ * Moves `date` forward (keeping its time of day) until it falls on an open day.
+ * @param {object} [calendar] - From loadLibraryCalendar
+ * @param {Date} date
+ * @returns {Date}
+ */
+const nextOpenDay = (calendar, date) => {
+    const openDay = new Date(date);
+    for (let i = 0; i < MAX_ROLL_FORWARD_DAYS && isClosedDay(calendar, openDay); i++) {
+        openDay.setDate(openDay.getDate() + 1);
+    }
+    return openDay;
+};
+
+module.exports = {
+    WEEKDAY_NAMES,
+    loadLibraryCalendar,
+    isClosedDay,
+    nextOpenDay,
+};
@@ -0,0 +1,714 @@
+// src/utils/circulationHelper.js
+// Shared circulation logic used by both the borrow transaction controller and the background jobs.
+const { claimCopyForCirculation, findCopyForCirculation, setCopyStatus } = require('./inventoryHelper');
+const { isClosedDay, loadLibraryCalendar, nextOpenDay } = require('./calendarHelper');
+const { assertNotBlocked } = require('./borrowingBlockHelper');
+const { ACTIVE_RESERVATION_STATUSES, HELD_RESERVATION_STATUSES, WAITING_HOLD_WHERE, returnCopyToShelf, transitionReservation } = require('./holdQueueHelper');
+const { adjustFine, fineBalance, getOutstandingBalance, recordRefund, roundMoney } = require('./fineLedger');
+
+// Default window (in hours) for a librarian to act on a borrow request if the policy doesn't define one
+const DEFAULT_BORROW_REQUEST_EXPIRY_HOURS = 48;
+
+// Statuses of a loan whose book is still with the member
+const ACTIVE_LOAN_STATUSES = ['borrowed', 'overdue'];
+
+// Rule violations thrown by checkoutBook / checkinBook (and resolveLoanForCheckin), reported to the client as 400s
+const CHECKOUT_RULE_ERRORS = ['borrowed this book', 'borrowing limit', 'not available', 'different libraries', 'for this book', 'in this library'];
+const CHECKIN_RULE_ERRORS = ['already been marked', 'Cannot return transaction', 'Forbidden'];
+const isRuleError = (error, messages) => error instanceof Error && messages.some(message => error.message.includes(message));
+
+// Helper to calculate the due date of a loan lasting `loanDays` from `borrowDate`
+// With a library calendar (calendarHelper.loadLibraryCalendar) a due date on a closed day rolls forward to the next open day
+const calculateDueDate = (borrowDate, loanDays, calendar) => {
+    const dueDate = new Date(borrowDate);
+    dueDate.setDate(dueDate.getDate() + loanDays);
+    dueDate.setHours(23, 59, 59, 999); // Due at the end of the day
+    return nextOpenDay(calendar, dueDate);
+};
+
+// Helper to read a due date given as a calendar day ('YYYY-MM-DD', or a date-time) as the end of that day, like
+// calculateDueDate. A bare date is taken as that day on the server's calendar, not as UTC midnight (which is still
+// the previous day west of UTC). Returns null for anything that isn't a real date
+const parseDueDate = (value) => {
+    const [, year, month, day] = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value) ?? [];
+    const dueDate = year ? new Date(Number(year), Number(month) - 1, Number(day)) : new Date(value);
+    if (isNaN(dueDate.getTime()) || (year && dueDate.getDate() !== Number(day))) return null; // e.g. '2026-02-30'
+    dueDate.setHours(23, 59, 59, 999); // Due at the end of the day
+    return dueDate;
+};
+
+// Days added to the due date by one renewal
+const getRenewalDays = (policy) => policy.renewal_period_days > 0 ? policy.renewal_period_days : policy.max_borrow_days;
+
+// Total loan length in days for a transaction, including any renewals
+const calculateLoanDays = (transaction, policy) => {
+    return policy.max_borrow_days + (transaction.renewal_count ?? 0) * getRenewalDays(policy);
+};
+
+// Due date of a loan: the stored due_date, or (for loans created before it was stored) one derived from the policy
+const resolveDueDate = (transaction, policy) => {
+    if (transaction.due_date) return new Date(transaction.due_date);
+    if (!transaction.borrow_date || !policy) return null;
+    return calculateDueDate(transaction.borrow_date, calculateLoanDays(transaction, policy));
+};
+
+// Helper to calculate overdue days (excluding the due date itself)
+// With a library calendar, days the library was closed don't count
+const calculateOverdueDays = (dueDate, returnDate, calendar) => {
+    if (!dueDate || !returnDate) return 0;
+
+    // Ensure both are Date objects
+    const actualDueDate = new Date(dueDate);
+    const actualReturnDate = new Date(returnDate);
+
+    if (actualReturnDate <= actualDueDate) {
+        return 0; // Returned on or before the due date
+    }
+
+    // Calculate the difference in milliseconds and convert to days
+    const diffTime = actualReturnDate.getTime() - actualDueDate.getTime();
+    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24)); // Use ceil to count any part of a day as a full day
+
+    // Drop the closed days among the late days (day 1 is the day after the due date)
+    let closedDays = 0;
+    if (calendar) {
+        const lateDay = new Date(actualDueDate);
+        for (let i = 1; i <= diffDays; i++) {
+            lateDay.setDate(lateDay.getDate() + 1);
+            if (isClosedDay(calendar, lateDay)) closedDays++;
+        }
+    }
+
+    return Math.max(0, diffDays - closedDays); // Ensure non-negative
+};
+
+/**
+ * Calculates when a borrow request created at `requestedAt` should expire.
+ * @param {Date} requestedAt - When the request was submitted
+ * @param {object} policy - Library policy (uses borrow_request_expiry_hours)
+ * @returns {Date}
+ */
+const calculateRequestExpiry = (requestedAt, policy) => {
+    const hours = policy?.borrow_request_expiry_hours > 0
+        ? policy.borrow_request_expiry_hours
+        : DEFAULT_BORROW_REQUEST_EXPIRY_HOURS;
+    return new Date(new Date(requestedAt).getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Releases the copy held by a 'requested' borrow transaction and closes the request.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} transaction - Borrow transaction (needs borrow_id, user_id, book_id, copy_id)
+ * @param {'rejected'|'expired'} newStatus - Final status of the request
+ * @param {object} [extraData] - Additional fields to store on the transaction (reviewer, reason...)
+ * @returns {Promise<object>} The updated borrow transaction
+ */
+const releaseRequestedCopy = async (tx, transaction, newStatus, extraData = {}) => {
+    // 1. Close the request (keep the row for history)
+    const updatedTransaction = await tx.borrowTransaction.update({
+        where: { borrow_id: transaction.borrow_id },
+        data: {
+            status: newStatus,
+            request_expires_at: null,
+            ...extraData,
+        }
+    });
+
+    // 2. Put the held copy back on the shelf, or to the next hold in the queue (book counters follow the copy).
+    //    A hold the member had on the book is still open (see checkoutBook), so they get it back if they're first in line
+    if (transaction.copy_id) {
+        await returnCopyToShelf(tx, { copy_id: transaction.copy_id, book_id: transaction.book_id });
+    }
+
+    // 3. Free the user's borrow slot
+    const user = await tx.user.findUnique({
+        where: { user_id: transaction.user_id },
+        select: { borrowed_book_ids: true }
+    });
+    if (user) {
+        await tx.user.update({
+            where: { user_id: transaction.user_id },
+            data: { borrowed_book_ids: user.borrowed_book_ids.filter(id => id !== transaction.book_id) }
+        });
+    }
+
+    return updatedTransaction;
+};
+
+/**
+ * Creates or updates the fine of one type on a loan. What was taken off a fine by an adjustment stays off as the
+ * charge changes, and the charge never drops below what was already paid. A settled fine whose charge grows (e.g. a
+ * running overdue fine paid while the book is still out) is owed again.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} transaction - Borrow transaction (needs borrow_id, user_id, book_id, library_id)
+ * @param {'overdue'|'replacement'|'processing_fee'|'damage'} fineType - Which charge this is
+ * @param {number} amount - Amount to charge
+ * @param {string} reason - Reason stored on the fine
+ * @returns {Promise<object>} The fine
+ */
+const upsertLoanFine = async (tx, transaction, fineType, amount, reason) => {
+    const existingFine = await tx.fine.findUnique({
+        where: { borrow_id_fine_type: { borrow_id: transaction.borrow_id, fine_type: fineType } }
+    });
+
+    if (existingFine) {
+        const data = { amount, reason };
+        if (existingFine.original_amount !== null) {
+            // `amount` is the charge before adjustments
+            data.original_amount = amount;
+            data.amount = Math.max(0, amount - parseFloat(existingFine.waived_amount));
+        }
+        // Money already taken isn't given back here; that's a refund
+        const paid = parseFloat(existingFine.amount_paid);
+        data.amount = Math.max(data.amount, paid);
+        // A fine lowered to what was paid is settled; one that grew past it is reopened
+        data.is_paid = paid >= data.amount;
+        return tx.fine.update({
+            where: { fine_id: existingFine.fine_id },
+            data
+        });
+    }
+
+    // Fines are charged in the library's currency; it can't change while this fine is unpaid
+    const library = await tx.library.findUniqueOrThrow({
+        where: { library_id: transaction.library_id },
+        select: { currency: true }
+    });
+    return tx.fine.create({
+        data: {
+            borrow_id: transaction.borrow_id,
+            fine_type: fineType,
+            user_id: transaction.user_id,
+            book_id: transaction.book_id,
+            library_id: transaction.library_id,
+            currency: library.currency,
+            amount,
+            reason,
+            is_paid: false,
+            // fine_date defaults to now()
+        }
+    });
+};
+
+/**
+ * Overdue fine for a loan that is `overdueDays` late: the policy's grace days are free, the rest are charged at
+ * fine_per_day, and the total never exceeds max_fine_per_loan.
+ * @param {number} overdueDays - Days overdue, as returned by calculateOverdueDays
+ * @param {object} policy - Library policy (uses fine_per_day, grace_period_days, max_fine_per_loan)
+ * @returns {number}
+ */
+const calculateOverdueFine = (overdueDays, policy) => {
+    const chargeableDays = Math.max(0, overdueDays - (policy.grace_period_days ?? 0));
+    const amount = chargeableDays * parseFloat(policy.fine_per_day); // Ensure fine_per_day is treated as number
+    if (policy.max_fine_per_loan === null || policy.max_fine_per_loan === undefined) return amount;
+    return Math.min(amount, parseFloat(policy.max_fine_per_loan));
+};
+
+/**
+ * Creates or updates the overdue fine for a loan so it reflects `overdueDays` under the policy (see calculateOverdueFine).
+ * Once the member's outstanding balance at the library reaches max_outstanding_fines_per_member the fine stops growing,
+ * but a fine already charged is never lowered by that cap. When nothing is chargeable (e.g. still within the grace
+ * period) an overdue fine nothing was paid on is removed. A fine paid while the loan is still late keeps accruing
+ * and is reopened for the new days (see upsertLoanFine).
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} transaction - Borrow transaction (needs borrow_id, user_id, book_id, library_id)
+ * @param {number} overdueDays - Days overdue, as returned by calculateOverdueDays
+ * @param {object} policy - Library policy
+ * @param {string} reason - Reason stored on the fine
+ * @returns {Promise<object|null>} The fine, or null if nothing is chargeable
+ */
+const syncOverdueFine = async (tx, transaction, overdueDays, policy, reason) => {
+    let amount = calculateOverdueFine(overdueDays, policy);
+    if (amount <= 0) {
+        // Only fines nothing was paid on or adjusted: their history has to stay
+        await tx.fine.deleteMany({
+            where: { borrow_id: transaction.borrow_id, fine_type: 'overdue', is_paid: false, payments: { none: {} }, adjustments: { none: {} } }
+        });
+        return null;
+    }
+
+    if (policy.max_outstanding_fines_per_member !== null && policy.max_outstanding_fines_per_member !== undefined) {
+        const [existingFine, outstanding] = await Promise.all([
+            tx.fine.findUnique({
+                where: { borrow_id_fine_type: { borrow_id: transaction.borrow_id, fine_type: 'overdue' } },
+                select: { amount: true, amount_paid: true, is_paid: true }
+            }),
+            getOutstandingBalance(tx, transaction.user_id, transaction.library_id),
+        ]);
+        const currentAmount = existingFine ? parseFloat(existingFine.amount) : 0;
+        const currentPaid = existingFine ? parseFloat(existingFine.amount_paid) : 0;
+        // Settled fines aren't part of the outstanding balance
+        const currentBalance = existingFine && !existingFine.is_paid ? currentAmount - currentPaid : 0;
+        // Room left under the cap once this loan's own balance is taken out of the total; what was already
+        // paid on it doesn't count towards the cap
+        const room = parseFloat(policy.max_outstanding_fines_per_member) - (outstanding - currentBalance) + currentPaid;
+        amount = Math.min(amount, Math.max(room, currentAmount));
+        if (amount <= 0) return null;
+    }
+
+    return upsertLoanFine(tx, transaction, 'overdue', amount, reason);
+};
+
+/**
+ * Replacement cost charged for a lost or written-off item: the book's price, limited to the policy's replacement_cost_ceiling.
+ * @param {object} book - Book (needs price)
+ * @param {object} policy - Library policy (uses replacement_cost_ceiling)
+ * @returns {number} 0 when the book has no price
+ */
+const calculateReplacementCost = (book, policy) => {
+    const price = book.price === null || book.price === undefined ? 0 : parseFloat(book.price);
+    if (policy.replacement_cost_ceiling === null || policy.replacement_cost_ceiling === undefined) return price;
+    return Math.min(price, parseFloat(policy.replacement_cost_ceiling));
+};
+
+/**
+ * Charges the replacement cost (Book.price when known, up to the policy's replacement_cost_ceiling) and the policy's
+ * processing fee for a written-off copy.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} transaction - Borrow transaction (needs borrow_id, user_id, book_id, library_id)
+ * @param {object} book - Book (needs price)
+ * @param {object} policy - Library policy (uses replacement_cost_ceiling, lost_item_processing_fee)
+ * @param {string} reason - Reason stored on the fines
+ * @returns {Promise<object[]>} The fines that were charged
+ */
+const chargeReplacement = async (tx, transaction, book, policy, reason) => {
+    const fines = [];
+    const replacementCost = calculateReplacementCost(book, policy);
+    if (replacementCost > 0) {
+        fines.push(await upsertLoanFine(tx, transaction, 'replacement', replacementCost, `Replacement cost: ${reason}`));
+    } else if (book.price === null) {
+        console.warn(`Book ${transaction.book_id} has no price. No replacement fine was charged for loan ${transaction.borrow_id}.`);
+    }
+    if (parseFloat(policy.lost_item_processing_fee) > 0) {
+        fines.push(await upsertLoanFine(tx, transaction, 'processing_fee', parseFloat(policy.lost_item_processing_fee), `Processing fee: ${reason}`));
+    }
+    return fines;
+};
+
+/**
+ * Cancels the replacement charge of a lost item that was found: everything still owed is taken off (kept as a
+ * 'cancellation' in the fine's adjustment history, outside any waiver limit) and anything paid on it is refunded.
+ * The fine itself stays.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} fine - The replacement fine
+ * @param {string} cancelledBy - Librarian or admin recording the find
+ * @returns {Promise<object>} The updated fine
+ */
+const cancelReplacementCharge = async (tx, fine, cancelledBy) => {
+    const reason = 'Lost item was found';
+    let updatedFine = fine;
+    if (fineBalance(updatedFine) > 0) {
+        ({ fine: updatedFine } = await adjustFine(tx, updatedFine, { kind: 'cancellation', reason, adjustedBy: cancelledBy, waiverLimit: null }));
+    }
+    const refundable = roundMoney(parseFloat(updatedFine.amount_paid) - parseFloat(updatedFine.refunded_amount ?? 0));
+    if (refundable > 0) {
+        ({ fine: updatedFine } = await recordRefund(tx, updatedFine, { amount: refundable, collectedBy: cancelledBy, note: reason }));
+    }
+    return updatedFine;
+};
+
+/**
+ * Checks a book out to a member, applying the same rules as POST /borrow-transactions:
+ * active member, same library, not blocked for unpaid fines or overdue items, not already borrowed, borrowing limit,
+ * copy availability and the member's reservation.
+ * Members' checkouts are created as 'requested' and hold the copy until a librarian approves them.
+ * Must be called inside a Prisma interactive transaction; throws on any rule violation.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} params
+ * @param {string} params.userId - Member receiving the book
+ * @param {string} [params.bookId] - Book to check out (may be omitted when a copy is scanned)
+ * @param {string} [params.copyId] - Specific copy to hand out
+ * @param {string} [params.barcode] - Barcode of the specific copy to hand out
+ * @param {boolean} [params.isRequest=false] - Create a pending request instead of a loan
+ * @param {string} [params.kioskId] - Self-service kiosk the checkout happens at
+ * @returns {Promise<object>} The created borrow transaction
+ */
+const checkoutBook = async (tx, { userId, bookId, copyId, barcode, isRequest = false, kioskId }) => {
+    // 0. A scanned copy identifies the book on its own
+    if (!bookId) {
+        const { library_id } = await tx.user.findUniqueOrThrow({
+            where: { user_id: userId },
+            select: { library_id: true }
+        });
+        const scannedCopy = await tx.bookCopy.findFirst({
+            where: copyId ? { copy_id: copyId, library_id } : { barcode, library_id },
+            select: { book_id: true }
+        });
+        if (!scannedCopy) {
+            throw new Error(`Copy ${copyId || barcode} not found in this library.`);
+        }
+        bookId = scannedCopy.book_id;
+    }
+
+    // 1. Fetch necessary data concurrently
+    const [user, book, reservation] = await Promise.all([
+        tx.user.findUniqueOrThrow({ // Ensure user exists and is active
+            where: { user_id: userId, is_active: true },
+             select: { user_id: true, library_id: true, borrowed_book_ids: true, reserved_book_ids: true }
+        }),
+        tx.book.findUniqueOrThrow({ // Ensure book exists
+            where: { book_id: bookId },
+            select: { book_id: true, library_id: true }
+        }),
+         // Check if this user has an active reservation for this book
+         tx.reservation.findFirst({
+             where: { user_id:userId, book_id: bookId, status: { in: ACTIVE_RESERVATION_STATUSES } },
+         })
+    ]);
+
+    // Books from other libraries go through an inter-library loan (see interLibraryLoan.controller.js)
+    if (user.library_id !== book.library_id) {
+        throw new Error(`User and Book belong to different libraries. Request it as an inter-library loan instead.`);
+    }
+
+     // 2. Fetch library policy and opening calendar
+     const [policy, calendar] = await Promise.all([
+         tx.policy.findUniqueOrThrow({
+             where: { library_id: user.library_id }, // Assumes policy exists for the user's library
+         }),
+         loadLibraryCalendar(tx, user.library_id),
+     ]);
+
+     // 3. Perform validation checks
+     await assertNotBlocked(tx, { userId, libraryId: user.library_id, policy, action: 'borrow' });
+     if (user.borrowed_book_ids.includes(bookId)) {
+         throw new Error(`User has already borrowed this book and not returned it.`);
+     }
+     if (user.borrowed_book_ids.length >= policy.max_books_per_user) {
+        throw new Error(`User has reached the borrowing limit of ${policy.max_books_per_user} books.`);
+     }
+
+     // 4. Pick the copy to hand out
+     // Copy set aside for this member, if any
+     const heldCopyId = HELD_RESERVATION_STATUSES.includes(reservation?.status) ? reservation.copy_id : null;
+     let copy;
+     if (copyId || barcode) {
+         // A specific copy was scanned at the desk
+         copy = await findCopyForCirculation(tx, book, { copyId, barcode, status: heldCopyId ? ['available', 'on_hold_shelf'] : 'available' });
+         if (copy.status === 'on_hold_shelf' && copy.copy_id !== heldCopyId) {
+             throw new Error(`Copy ${copy.barcode} is not available (held for another member).`);
+         }
+     } else if (heldCopyId) {
+         copy = await findCopyForCirculation(tx, book, { copyId: heldCopyId, status: 'on_hold_shelf' });
+     }
+     // Otherwise the oldest available copy is taken in step 5
+     if (isRequest && heldCopyId) {
+         // A request keeps the member's place in the queue rather than the copy on the hold shelf: the hold goes back to
+         // waiting (reserved_at is kept) and is only closed when the request is approved
+         await tx.reservation.update({
+             where: { reservation_id: reservation.reservation_id },
+             data: { status: 'waiting', copy_id: null, allocated_at: null, ready_at: null, expires_at: null }
+         });
+     }
+     if (heldCopyId && heldCopyId !== copy.copy_id) {
+         // A different copy went out; the one set aside for this member goes to the next hold or back on the shelf
+         await returnCopyToShelf(tx, { copy_id: heldCopyId, book_id: bookId });
+     }
+
+    // 5. Perform updates
+    // a) Move the copy out on loan (requests hold it until approved or released); book counts follow.
+    //    Guarded on the copy's status, so concurrent checkouts can't hand out the same copy
+    copy = copy ? await setCopyStatus(tx, copy, 'on_loan') : await claimCopyForCirculation(tx, book, 'on_loan');
+
+    // b) Update user's borrowed list (and potentially reserved list)
+    const updatedUserData = { borrowed_book_ids: { push: bookId } };
+     if (reservation && !isRequest) {
+        updatedUserData.reserved_book_ids = user.reserved_book_ids.filter(id => id !== bookId); // Remove book from reserved list
+     }
+     await tx.user.update({
+        where: { user_id: userId },
+        data: updatedUserData
+     });
+
+    // c) Close the reservation if it existed (kept as history); a request leaves it open until it is approved
+    if (reservation && !isRequest) {
+         await transitionReservation(tx, reservation, 'picked_up');
+    }
+
+    // d) Create the borrow transaction record
+    // Requests hold the copy (counts above) until a librarian approves them or they expire
+    const borrowDate = new Date();
+    const borrowRecord = await tx.borrowTransaction.create({
+        data: {
+            user_id: userId,
+            book_id: bookId,
+            library_id: user.library_id, // <<<<<<<<<<<<<< ADD library_id HERE
+            copy_id: copy.copy_id,
+            kiosk_id: kioskId,
+            status: isRequest ? 'requested' : 'borrowed',
+            borrow_date: borrowDate, // Reset on approval for requests
+            // Due date is fixed at checkout so later policy changes don't move it
+            due_date: isRequest ? null : calculateDueDate(borrowDate, policy.max_borrow_days, calendar),
+            request_expires_at: isRequest ? calculateRequestExpiry(borrowDate, policy) : null,
+        }
+    });
+
+    return borrowRecord; // Return the created transaction
+};
+
+/**
+ * Finds the active loan a scanned item refers to, within the desk's (or kiosk's) library.
+ * Must be called inside a Prisma interactive transaction; throws 'Cannot return transaction: ...' when there is none.
+ * @param {object} tx - Prisma transaction client
+ * @param {{ borrowId?: string, copyId?: string, barcode?: string, bookId?: string, userId?: string }} item - What was scanned
+ * @param {string} libraryId - Library the item is being returned at
+ * @returns {Promise<string>} borrow_id of the loan
+ */
+const resolveLoanForCheckin = async (tx, item, libraryId) => {
+    if (item.borrowId) return item.borrowId;
+
+    if (item.copyId || item.barcode) {
+        const copy = await tx.bookCopy.findFirst({
+            where: item.copyId ? { copy_id: item.copyId, library_id: libraryId } : { barcode: item.barcode, library_id: libraryId },
+            select: { copy_id: true, barcode: true }
+        });
+        if (!copy) {
+            throw new Error(`Cannot return transaction: Copy ${item.copyId || item.barcode} not found in this library.`);
+        }
+        const loan = await tx.borrowTransaction.findFirst({
+            where: { copy_id: copy.copy_id, status: { in: ACTIVE_LOAN_STATUSES } },
+            select: { borrow_id: true }
+        });
+        if (!loan) {
+            throw new Error(`Cannot return transaction: Copy ${copy.barcode} is not on loan.`);
+        }
+        return loan.borrow_id;
+    }
+
+    if (item.bookId) {
+        const loans = await tx.borrowTransaction.findMany({
+            where: {
+                book_id: item.bookId,
+                library_id: libraryId,
+                status: { in: ACTIVE_LOAN_STATUSES },
+                ...(item.userId && { user_id: item.userId }),
+            },
+            select: { borrow_id: true },
+            take: 2,
+        });
+        if (loans.length === 0) {
+            throw new Error(`Cannot return transaction: No active loan found for book ${item.bookId}.`);
+        }
+        if (loans.length > 1) {
+            throw new Error(`Cannot return transaction: Book ${item.bookId} has several active loans. Scan the copy barcode or pass userId.`);
+        }
+        return loans[0].borrow_id;
+    }
+
+    throw new Error(`Cannot return transaction: Each item needs a borrowId, copyId, barcode or bookId.`);
+};
+
+/**
+ * Returns a loan, applying the same rules as PUT /borrow-transactions/{borrowId}/return:
+ * only active loans can be returned, members only their own, and a late return creates or finalises the fine.
+ * Must be called inside a Prisma interactive transaction; throws on any rule violation.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} borrowId - Loan being returned
+ * @param {object} requester
+ * @param {string} requester.requestingUserId - Who is returning the book
+ * @param {string} requester.requestingUserRole - Their role ('member' can only return their own loans)
+ * @param {boolean} [requester.shelve=true] - false leaves the copy 'on_loan' for the caller to take out of circulation
+ *   (e.g. returned damaged), so it isn't handed to a waiting hold first
+ * @returns {Promise<{ transaction: object, fineGenerated: object|null, holdReady: object|null }>} holdReady is the
+ * reservation the returned copy was allocated to, if someone was waiting (it goes to the hold shelf, not the open shelf)
+ */
+const checkinBook = async (tx, borrowId, { requestingUserId, requestingUserRole, shelve = true }) => {
+    // 1. Fetch the transaction and related data
+    const transaction = await tx.borrowTransaction.findUniqueOrThrow({
+        where: { borrow_id: borrowId },
+        include: {
+            user: { select: { user_id: true, library_id: true, borrowed_book_ids: true } }, // Include library_id for policy lookup
+            book: { select: { book_id: true, library_id: true } }, // Include library_id for sanity check
+            inter_library_loan: { select: { ill_id: true } }
+        }
+    });
+
+    // 2. Authorization check: Member can only return their own, Librarian can return any
+    if (requestingUserRole === 'member' && transaction.user_id !== requestingUserId) {
+         throw new Error(`Forbidden: You can only return your own borrowed books.`); // Custom forbidden error
+    }
+    // Optional: Add check if Librarian belongs to the same library as the transaction
+
+    // 3. Validation checks
+    if (transaction.status === 'returned') {
+        throw new Error(`This transaction has already been marked as returned.`);
+    }
+    if (!ACTIVE_LOAN_STATUSES.includes(transaction.status)) {
+        throw new Error(`Cannot return transaction: Status is '${transaction.status}'. Only borrowed or overdue books can be returned.`);
+    }
+    // Optional: Check if user and book library match, though less critical on return
+    // if (transaction.user.library_id !== transaction.book.library_id) { ... }
+
+     // 4. Fetch the library policy and opening calendar for fine calculation
+     const [policy, calendar] = await Promise.all([
+         tx.policy.findUniqueOrThrow({
+             where: { library_id: transaction.user.library_id },
+         }),
+         loadLibraryCalendar(tx, transaction.user.library_id),
+     ]);
+
+    // 5. Determine return date and new status
+    const returnDate = new Date(); // Use current server time as return date
+    let newStatus = 'returned';
+
+    // 6. Calculate overdue days and fine
+    const overdueDays = calculateOverdueDays(resolveDueDate(transaction, policy), returnDate, calendar);
+    let fineGenerated = null;
+
+    if (overdueDays > 0) {
+        newStatus = 'overdue'; // Mark as overdue even if returned now, fine applies
+
+        // Create the fine, or finalise the running fine accrued by the overdue sweeper
+        fineGenerated = await syncOverdueFine(
+            tx,
+            { ...transaction, library_id: transaction.user.library_id }, // Use library from user/transaction context
+            overdueDays,
+            policy,
+            `Returned ${overdueDays} day(s) late.`
+        );
+         // If fine is generated, keep status 'overdue' until fine is paid?
+         // Or mark 'returned' here and let fine be tracked separately?
+         // Decision: Mark transaction 'returned' now, fine is separate record.
+         newStatus = 'returned'; // Override back to returned
+    }
+
+    // 7. Perform updates
+    // a) Update transaction status and return date
+     const updatedTransaction = await tx.borrowTransaction.update({
+        where: { borrow_id: borrowId },
+        data: {
+            status: newStatus,
+            return_date: returnDate,
+        }
+    });
+
+    // b) Hand the returned copy to the first hold in the queue, or put it back on the shelf (book counts follow the copy)
+    let holdReady = null;
+    if (transaction.inter_library_loan) {
+        // Borrowed from another library: the copy stays out until it has been shipped back
+        await tx.interLibraryLoan.update({
+            where: { ill_id: transaction.inter_library_loan.ill_id },
+            data: { status: 'returned', returned_at: returnDate }
+        });
+    } else if (transaction.copy_id) {
+        if (shelve) holdReady = await returnCopyToShelf(tx, { copy_id: transaction.copy_id, book_id: transaction.book_id });
+    } else {
+        console.warn(`Borrow transaction ${borrowId} has no copy attached. Book counts were not updated.`);
+    }
+
+    // c) Update user's borrowed list
+    const updatedBorrowedIds = transaction.user.borrowed_book_ids.filter(id => id !== transaction.book_id);
+    await tx.user.update({
+        where: { user_id: transaction.user_id },
+        data: {
+            borrowed_book_ids: updatedBorrowedIds
+        }
+    });
+
+    return { transaction: updatedTransaction, fineGenerated, holdReady }; // Return the updated transaction, any fine and the hold now ready
+};
+
+/**
+ * Renews a loan, applying the rules of PUT /borrow-transactions/{borrowId}/renew: only the member's own loans (for
+ * members), not overdue, not inter-library, within the policy's max_renewals, nobody else waiting for the book and the
+ * member not blocked. The due date moves out by one renewal period (see getRenewalDays).
+ * Must be called inside a Prisma interactive transaction; throws 'Forbidden: ...' or 'Cannot renew transaction: ...'
+ * on a rule violation, or a BORROWING_BLOCKED error (see borrowingBlockHelper).
+ * @param {object} tx - Prisma transaction client
+ * @param {string} borrowId - Loan being renewed
+ * @param {object} requester
+ * @param {string} requester.requestingUserId - Who is renewing
+ * @param {string} requester.requestingUserRole - Their role ('member' can only renew their own loans)
+ * @returns {Promise<object>} The renewed transaction, with renewals_remaining
+ */
+const renewLoan = async (tx, borrowId, { requestingUserId, requestingUserRole }) => {
+    // 1. Fetch the transaction
+    const transaction = await tx.borrowTransaction.findUniqueOrThrow({
+        where: { borrow_id: borrowId },
+        include: { inter_library_loan: { select: { ill_id: true } } }
+    });
+
+    // 2. Authorization check: Member can only renew their own
+    if (requestingUserRole === 'member' && transaction.user_id !== requestingUserId) {
+        throw new Error(`Forbidden: You can only renew your own borrowed books.`);
+    }
+
+    // 3. Fetch the library policy (renewal limits and period) and opening calendar
+    const [policy, calendar] = await Promise.all([
+        tx.policy.findUniqueOrThrow({
+            where: { library_id: transaction.library_id },
+        }),
+        loadLibraryCalendar(tx, transaction.library_id),
+    ]);
+
+    // 4. Validation checks
+    const now = new Date();
+    const currentDueDate = resolveDueDate(transaction, policy);
+    if (transaction.status !== 'borrowed') {
+        throw new Error(`Cannot renew transaction: Status is '${transaction.status}'. Only borrowed books that are not overdue can be renewed.`);
+    }
+    // The sweeper may not have flagged it yet, so check the dates too
+    if (calculateOverdueDays(currentDueDate, now, calendar) > 0) {
+        throw new Error(`Cannot renew transaction: The loan is overdue. Please return the book.`);
+    }
+    if (transaction.inter_library_loan) {
+        throw new Error(`Cannot renew transaction: Inter-library loans can't be renewed; the lending library sets the due date.`);
+    }
+    if (transaction.renewal_count >= policy.max_renewals) {
+        throw new Error(`Cannot renew transaction: Renewal limit of ${policy.max_renewals} reached.`);
+    }
+    const otherReservation = await tx.reservation.findFirst({
+        where: { book_id: transaction.book_id, user_id: { not: transaction.user_id }, ...WAITING_HOLD_WHERE },
+        select: { reservation_id: true }
+    });
+    if (otherReservation) {
+        throw new Error(`Cannot renew transaction: Another member has reserved this book.`);
+    }
+    await assertNotBlocked(tx, { userId: transaction.user_id, libraryId: transaction.library_id, policy, action: 'renew' });
+
+    // 5. Record the renewal and push the due date out by one renewal period
+    const renewedTransaction = await tx.borrowTransaction.update({
+        where: { borrow_id: borrowId },
+        data: {
+            due_date: calculateDueDate(currentDueDate, getRenewalDays(policy), calendar),
+            renewal_count: { increment: 1 },
+            last_renewed_at: now,
+        }
+    });
+
+    return {
+        ...renewedTransaction,
+        renewals_remaining: policy.max_renewals - renewedTransaction.renewal_count,
+    };
+};
+
+module.exports = {
+    DEFAULT_BORROW_REQUEST_EXPIRY_HOURS,
+    ACTIVE_LOAN_STATUSES,
+    CHECKOUT_RULE_ERRORS,
+    CHECKIN_RULE_ERRORS,
+    isRuleError,
+    calculateDueDate,
+    parseDueDate,
+    calculateLoanDays,
+    calculateOverdueDays,
+    getRenewalDays,
+    resolveDueDate,
+    calculateRequestExpiry,
+    calculateOverdueFine,
+    calculateReplacementCost,
+    chargeReplacement,
+    cancelReplacementCharge,
+    releaseRequestedCopy,
+    upsertLoanFine,
+    syncOverdueFine,
+    checkoutBook,
+    resolveLoanForCheckin,
+    checkinBook,
+    renewLoan,
+};
@@ -0,0 +1,216 @@
+// src/utils/consistencyAuditor.js
+// Recomputes the hand-maintained (denormalised) fields from the rows they mirror and reports where they drifted:
+//   User.borrowed_book_ids  <- open BorrowTransaction rows (requested, borrowed, overdue)
+//   User.reserved_book_ids  <- open Reservation rows (waiting, allocated, ready)
+//   User.wishlist_book_ids  <- Wishlist rows
+//   Book copy counters      <- BookCopy statuses (see countsFromCopyGroups)
+// Book authors and genres are join tables (BookAuthor, BookGenre) with foreign keys, so they can't drift.
+// Used by GET/POST /api/v1/admin/consistency and prisma/scripts/auditConsistency.js.
+const { getPrismaClient } = require('../../prisma/client');
+const { ACTIVE_LOAN_STATUSES } = require('./circulationHelper');
+const { countsFromCopyGroups } = require('./inventoryHelper');
+const { ACTIVE_RESERVATION_STATUSES } = require('./holdQueueHelper');
+const prisma = getPrismaClient();
+
+// Loans that keep the book in User.borrowed_book_ids (pending requests hold their copy too)
+const HELD_LOAN_STATUSES = ['requested', ...ACTIVE_LOAN_STATUSES];
+
+const COPY_COUNT_FIELDS = ['total_copies', 'available_copies', 'reserved_copies'];
+
+/**
+ * Compares an id array against the ids it should contain. Order is ignored.
+ * @returns {{ missing: string[], unexpected: string[] }|null} null when they match
+ */
+const diffIds = (actual, expected) => {
+    const actualSet = new Set(actual);
+    const expectedSet = new Set(expected);
+    const missing = [...expectedSet].filter(id => !actualSet.has(id));
+    const unexpected = [...actualSet].filter(id => !expectedSet.has(id));
+    // Duplicates are drift too (e.g. a book pushed twice into borrowed_book_ids)
+    if (missing.length === 0 && unexpected.length === 0 && actual.length === actualSet.size) return null;
+    return { missing, unexpected };
+};
+
+/**
+ * Groups rows' `valueKey` by `groupKey`.
+ * @returns {Map<string, string[]>}
+ */
+const groupIds = (rows, groupKey, valueKey) => {
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row[groupKey])) groups.set(row[groupKey], []);
+        groups.get(row[groupKey]).push(row[valueKey]);
+    }
+    return groups;
+};
+
+/**
+ * Checks the member arrays (borrowed, reserved, wishlist) of every user in a library.
+ */
+const auditUsers = async (libraryId) => {
+    const [users, openLoans, reservations, wishlists] = await Promise.all([
+        prisma.user.findMany({
+            where: { library_id: libraryId },
+            select: { user_id: true, borrowed_book_ids: true, reserved_book_ids: true, wishlist_book_ids: true }
+        }),
+        prisma.borrowTransaction.findMany({
+            where: { user: { library_id: libraryId }, status: { in: HELD_LOAN_STATUSES } },
+            select: { user_id: true, book_id: true }
+        }),
+        prisma.reservation.findMany({
+            where: { user: { library_id: libraryId }, status: { in: ACTIVE_RESERVATION_STATUSES } },
+            select: { user_id: true, book_id: true }
+        }),
+        prisma.wishlist.findMany({
+            where: { user: { library_id: libraryId } },
+            select: { user_id: true, book_id: true }
+        }),
+    ]);
+
+    const expectedByField = {
+        borrowed_book_ids: groupIds(openLoans, 'user_id', 'book_id'),
+        reserved_book_ids: groupIds(reservations, 'user_id', 'book_id'),
+        wishlist_book_ids: groupIds(wishlists, 'user_id', 'book_id'),
+    };
+
+    const discrepancies = [];
+    for (const user of users) {
+        for (const [field, expectedByUser] of Object.entries(expectedByField)) {
+            const expected = [...new Set(expectedByUser.get(user.user_id) ?? [])];
+            const diff = diffIds(user[field], expected);
+            if (diff) {
+                discrepancies.push({ entity: 'user', id: user.user_id, field, actual: user[field], expected, ...diff });
+            }
+        }
+    }
+    return discrepancies;
+};
+
+/**
+ * Checks the copy counters of every book in a library.
+ */
+const auditBooks = async (libraryId) => {
+    const [books, copyGroups] = await Promise.all([
+        prisma.book.findMany({
+            where: { library_id: libraryId },
+            select: { book_id: true, total_copies: true, available_copies: true, reserved_copies: true }
+        }),
+        prisma.bookCopy.groupBy({
+            by: ['book_id', 'status'],
+            where: { library_id: libraryId },
+            _count: { _all: true },
+        }),
+    ]);
+    const copyGroupsByBook = new Map();
+    for (const group of copyGroups) {
+        if (!copyGroupsByBook.has(group.book_id)) copyGroupsByBook.set(group.book_id, []);
+        copyGroupsByBook.get(group.book_id).push(group);
+    }
+
+    const discrepancies = [];
+    for (const book of books) {
+        // Copy counters follow the copies
+        const groups = copyGroupsByBook.get(book.book_id);
+        if (!groups) {
+            if (book.total_copies > 0) {
+                // Catalogued before copies were tracked; the backfill creates them (counters can't be derived yet)
+                discrepancies.push({ entity: 'book', id: book.book_id, field: 'copies', actual: 0, expected: book.total_copies, note: 'Book has no copies. Run npm run db:backfill-copies.', repairable: false });
+            }
+            continue;
+        }
+        const expectedCounts = countsFromCopyGroups(groups);
+        for (const field of COPY_COUNT_FIELDS) {
+            if (book[field] !== expectedCounts[field]) {
+                discrepancies.push({ entity: 'book', id: book.book_id, field, actual: book[field], expected: expectedCounts[field] });
+            }
+        }
+    }
+
+    return discrepancies;
+};
+
+/**
+ * Writes the expected values from a list of discrepancies back in one transaction.
+ * Array fields keep their current order: unexpected ids are removed and missing ones appended.
+ * @returns {Promise<number>} Number of discrepancies repaired
+ */
+const repairDiscrepancies = async (discrepancies) => {
+    const repairable = discrepancies.filter(discrepancy => discrepancy.repairable !== false);
+
+    await prisma.$transaction(async (tx) => {
+        for (const discrepancy of repairable) {
+            const { entity, id, field } = discrepancy;
+            if (entity === 'user') {
+                // Re-read inside the transaction so concurrent changes to other ids aren't lost
+                const current = await tx.user.findUniqueOrThrow({ where: { user_id: id }, select: { [field]: true } });
+                const kept = [...new Set(current[field].filter(bookId => !discrepancy.unexpected.includes(bookId)))];
+                await tx.user.update({
+                    where: { user_id: id },
+                    data: { [field]: [...kept, ...discrepancy.missing.filter(bookId => !kept.includes(bookId))] }
+                });
+            } else {
+                await tx.book.update({
+                    where: { book_id: id },
+                    data: { [field]: discrepancy.expected }
+                });
+            }
+        }
+    }, {
+        maxWait: 10000,
+        timeout: 60000,
+    });
+
+    return repairable.length;
+};
+
+/**
+ * Audits one library and optionally repairs what it finds.
+ * @param {string} libraryId - Library to audit
+ * @param {object} [options]
+ * @param {boolean} [options.repair=false] - Write the expected values back
+ * @returns {Promise<{ library_id: string, name: string, discrepancy_count: number, repaired_count: number, discrepancies: object[] }>}
+ */
+const auditLibrary = async (libraryId, { repair = false } = {}) => {
+    const library = await prisma.library.findUniqueOrThrow({
+        where: { library_id: libraryId },
+        select: { library_id: true, name: true }
+    });
+
+    const discrepancies = [
+        ...await auditUsers(libraryId),
+        ...await auditBooks(libraryId),
+    ];
+    const repairedCount = repair && discrepancies.length > 0 ? await repairDiscrepancies(discrepancies) : 0;
+
+    return {
+        library_id: library.library_id,
+        name: library.name,
+        discrepancy_count: discrepancies.length,
+        repaired_count: repairedCount,
+        discrepancies,
+    };
+};
+
+/**
+ * Audits every library.
+ * @param {object} [options]
+ * @param {boolean} [options.repair=false] - Write the expected values back
+ * @returns {Promise<{ checked_at: Date, repair: boolean, libraries: object[] }>}
+ */
+const auditAllLibraries = async ({ repair = false } = {}) => {
+    const checkedAt = new Date();
+    const libraries = await prisma.library.findMany({ select: { library_id: true }, orderBy: { name: 'asc' } });
+
+    const results = [];
+    for (const library of libraries) {
+        results.push(await auditLibrary(library.library_id, { repair }));
+    }
+
+    return { checked_at: checkedAt, repair, libraries: results };
+};
+
+module.exports = {
+    HELD_LOAN_STATUSES,
+    auditLibrary,
+    auditAllLibraries,
+};
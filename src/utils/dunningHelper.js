@@ -0,0 +1,72 @@
+// src/utils/dunningHelper.js
+// Rules of the dunning schedule (DunningStep): which notice a fine is due for and recording the notices sent.
+// The daily run that applies them is jobs/fineDunning.job.js; a 'block' notice blocks borrowing through
+// borrowingBlockHelper until the fine is settled.
+const { fineBalance } = require('./fineLedger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stronger actions win when one email covers fines at different steps
+const ACTION_SEVERITY = { reminder: 0, final_notice: 1, block: 2 };
+
+/**
+ * Picks the step a fine is due for: the latest step it has reached, unless a notice for that step (or a later one)
+ * was already sent. A fine that skipped steps (e.g. the schedule was added late) only gets the latest one.
+ * @param {object[]} steps - The library's DunningSteps, by days_after ascending
+ * @param {{ fine_date: Date, notices: { days_after: number }[] }} fine
+ * @param {Date} now
+ * @returns {object|null} The DunningStep, or null when nothing is due
+ */
+const dueStep = (steps, fine, now) => {
+    const ageDays = Math.floor((now - fine.fine_date) / DAY);
+    const reached = steps.filter(step => step.days_after <= ageDays);
+    if (reached.length === 0) return null;
+    const step = reached[reached.length - 1];
+    const lastSent = Math.max(-1, ...fine.notices.map(notice => notice.days_after));
+    return step.days_after > lastSent ? step : null;
+};
+
+// The action one email covering several notices is sent as
+const strongestAction = (notices) => notices
+    .map(notice => notice.action)
+    .reduce((strongest, current) => (ACTION_SEVERITY[current] > ACTION_SEVERITY[strongest] ? current : strongest));
+
+/**
+ * Records the notices due for one member's fines at a library. Each fine is re-read first, so one paid or waived
+ * since the schedule was checked gets no notice.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {{ userId: string, libraryId: string, due: { fineId: string, step: object }[] }} params
+ * @returns {Promise<{ notices: object[], fines: object[] }>} The FineNotices recorded and their fines (with book title)
+ */
+const recordFineNotices = async (tx, { userId, libraryId, due }) => {
+    const notices = [];
+    const noticedFines = [];
+    for (const { fineId, step } of due) {
+        const fine = await tx.fine.findUnique({
+            where: { fine_id: fineId },
+            include: { book: { select: { title: true } } }
+        });
+        if (!fine || fine.is_paid || fineBalance(fine) <= 0) continue;
+
+        notices.push(await tx.fineNotice.create({
+            data: {
+                fine_id: fineId,
+                user_id: userId,
+                library_id: libraryId,
+                step_id: step.step_id,
+                days_after: step.days_after,
+                action: step.action,
+            }
+        }));
+        noticedFines.push(fine);
+    }
+    return { notices, fines: noticedFines };
+};
+
+module.exports = {
+    DAY,
+    dueStep,
+    strongestAction,
+    recordFineNotices,
+};
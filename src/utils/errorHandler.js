@@ -37,6 +37,9 @@ const errorHandler = (err, req, res, next) => {
   } else if (err.name === 'ValidationError') { // Example for a generic validation error
       statusCode = 400;
       message = err.message;
+  } else if (err.type === 'entity.too.large') { // Body parser limit (e.g. MARC imports)
+      statusCode = 413;
+      message = `Request body is larger than the ${err.limit} byte limit.`;
   }
   // Add handling for other error types if needed
 
@@ -0,0 +1,221 @@
+// src/utils/fineCheckout.js
+// Members paying fines online. A PaymentSession covers one or more of a member's fines; the provider
+// (src/utils/paymentProvider.js) hosts the checkout and confirms it with a webhook, which applyCheckoutEvent turns into
+// Payment rows on the fines, each with a numbered payment receipt. Each webhook is stored once per provider event id,
+// so repeated deliveries change nothing.
+const { fineBalance, recordPayment, roundMoney } = require('./fineLedger');
+const { normalizeCurrency } = require('./money');
+const { issuePaymentReceipt } = require('./receiptHelper');
+
+/**
+ * Validates the fines a member wants to pay online and works out the checkout amount.
+ * Also marks the member's lapsed pending checkouts as expired so their fines can be paid again. The provider may still
+ * complete one of those; applyCheckoutEvent then records the payment anyway.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} userId - Member paying
+ * @param {string[]} fineIds
+ * @returns {Promise<{ fines: object[], libraryId: string, amount: number, currency: string }>}
+ * @throws {Error} 'Cannot start checkout: ...' for fines that aren't the member's, have nothing owed, span libraries
+ *   or currencies, or are already in a checkout in progress
+ */
+const prepareCheckout = async (tx, userId, fineIds) => {
+    const now = new Date();
+    await tx.paymentSession.updateMany({
+        where: { user_id: userId, status: 'pending', expires_at: { lt: now } },
+        data: { status: 'expired' }
+    });
+
+    const fines = await tx.fine.findMany({
+        where: { fine_id: { in: fineIds }, user_id: userId },
+        orderBy: { fine_date: 'asc' }
+    });
+    const missing = fineIds.filter(id => !fines.some(fine => fine.fine_id === id));
+    if (missing.length > 0) {
+        throw new Error(`Cannot start checkout: Fine(s) ${missing.join(', ')} not found among your fines.`);
+    }
+    const settled = fines.filter(fine => fineBalance(fine) <= 0);
+    if (settled.length > 0) {
+        throw new Error(`Cannot start checkout: Nothing is owed on fine(s) ${settled.map(fine => fine.fine_id).join(', ')}.`);
+    }
+    const libraryIds = new Set(fines.map(fine => fine.library_id));
+    if (libraryIds.size > 1) {
+        throw new Error(`Cannot start checkout: Fines from different libraries have to be paid separately.`);
+    }
+    const library = await tx.library.findUniqueOrThrow({ where: { library_id: fines[0].library_id }, select: { currency: true } });
+    const otherCurrency = fines.find(fine => fine.currency !== library.currency);
+    if (otherCurrency) {
+        throw new Error(`Cannot start checkout: Fine ${otherCurrency.fine_id} is in ${otherCurrency.currency} but the library charges in ${library.currency}. Please pay it at the desk.`);
+    }
+
+    const inProgress = await tx.paymentSession.findFirst({
+        where: { user_id: userId, status: 'pending', fine_ids: { hasSome: fineIds } },
+        select: { session_id: true }
+    });
+    if (inProgress) {
+        throw new Error(`Cannot start checkout: Some of these fines are already in checkout ${inProgress.session_id}. Finish it or wait for it to expire.`);
+    }
+
+    return {
+        fines,
+        libraryId: fines[0].library_id,
+        currency: library.currency,
+        amount: roundMoney(fines.reduce((sum, fine) => sum + fineBalance(fine), 0)),
+    };
+};
+
+// Pays the session's fines oldest first, issuing a payment receipt for each as the desk does. A fine settled at the desk in the meantime gets nothing, so part of the
+// money can be left over; that is kept on the session as refund_due for a librarian to give back.
+const payCheckoutFines = async (tx, session, event) => {
+    const fines = await tx.fine.findMany({
+        where: { fine_id: { in: session.fine_ids } },
+        orderBy: { fine_date: 'asc' }
+    });
+    let remaining = parseFloat(session.amount);
+    let paidFines = 0;
+    for (const fine of fines) {
+        const amount = Math.min(fineBalance(fine), remaining);
+        if (amount <= 0) continue;
+        const entry = await recordPayment(tx, fine, {
+            amount,
+            currency: session.currency,
+            method: 'online',
+            reference: event.reference,
+            note: `Online checkout via ${session.provider}`,
+            sessionId: session.session_id,
+        });
+        await issuePaymentReceipt(tx, entry.payment, entry.fine);
+        remaining = roundMoney(remaining - amount);
+        paidFines++;
+    }
+    if (remaining > 0) {
+        await tx.paymentSession.update({
+            where: { session_id: session.session_id },
+            data: { refund_due: remaining }
+        });
+    }
+    return remaining > 0
+        ? `paid ${paidFines} fine(s); ${remaining.toFixed(2)} could not be applied and should be refunded`
+        : `paid ${paidFines} fine(s)`;
+};
+
+/**
+ * Applies a verified provider webhook: records the event, then pays the session's fines (checkout.completed) or
+ * closes the session (checkout.failed / checkout.expired). Only a pending session changes, so a second event for a
+ * session that was already settled is recorded and ignored. The exception is a session we marked expired ourselves
+ * (see prepareCheckout): the member was charged, so a completion is still applied, and whatever can no longer go
+ * to its fines (paid meanwhile through another checkout or at the desk) is kept as the session's refund_due. So is the
+ * whole amount when the provider reports a different amount than the checkout's: nothing is paid and it goes back.
+ * Must be called inside a Prisma interactive transaction. A repeated delivery of the same event fails on the unique
+ * (provider, provider_event_id) with Prisma error P2002, rolling back; callers treat that as already handled
+ * (see isDuplicateWebhookEvent).
+ * @param {object} tx - Prisma transaction client
+ * @param {string} providerName
+ * @param {object} event - As returned by the provider's verifyWebhook
+ * @returns {Promise<{ session: object|null, result: string }>}
+ */
+const applyCheckoutEvent = async (tx, providerName, event) => {
+    const session = await tx.paymentSession.findUnique({ where: { provider_session_id: event.providerSessionId } });
+    const webhookEvent = await tx.paymentWebhookEvent.create({
+        data: {
+            provider: providerName,
+            provider_event_id: event.id,
+            type: event.type,
+            session_id: session?.session_id,
+        }
+    });
+
+    let result;
+    let updatedSession = session;
+    if (!session || session.provider !== providerName) {
+        result = 'ignored: unknown checkout session';
+    } else {
+        const now = new Date();
+        let data;
+        if (event.type === 'checkout.completed') {
+            const amountMatches = event.amount === null || roundMoney(event.amount) === roundMoney(parseFloat(session.amount));
+            const currencyMatches = !event.currency || normalizeCurrency(event.currency) === session.currency;
+            if (!currencyMatches) {
+                data = { status: 'failed', failure_reason: `Provider reported a payment in ${event.currency} instead of ${session.currency}; check with the provider.` };
+            } else if (!amountMatches) {
+                data = {
+                    status: 'failed',
+                    failure_reason: `Provider reported ${event.amount.toFixed(2)} paid instead of ${parseFloat(session.amount).toFixed(2)}; check with the provider.`,
+                    refund_due: roundMoney(event.amount),
+                };
+            } else {
+                data = { status: 'paid', completed_at: now };
+            }
+        } else if (event.type === 'checkout.failed') {
+            data = { status: 'failed', failure_reason: 'The provider reported the payment as failed.' };
+        } else {
+            data = { status: 'expired' };
+        }
+
+        // Conditional on the status so two different events for one session can't both apply. The provider only
+        // completes checkouts it hasn't closed, so an 'expired' session being completed lapsed on our side only
+        const openStatuses = event.type === 'checkout.completed' ? ['pending', 'expired'] : ['pending'];
+        const { count } = await tx.paymentSession.updateMany({
+            where: { session_id: session.session_id, status: { in: openStatuses } },
+            data
+        });
+        if (count === 0) {
+            result = 'ignored: checkout is no longer pending';
+        } else {
+            result = data.status === 'paid' ? await payCheckoutFines(tx, session, event) : data.status;
+            updatedSession = await tx.paymentSession.findUnique({ where: { session_id: session.session_id } });
+        }
+    }
+
+    await tx.paymentWebhookEvent.update({
+        where: { event_id: webhookEvent.event_id },
+        data: { result }
+    });
+    return { session: updatedSession, result };
+};
+
+/**
+ * Records that a librarian gave back a checkout's refund_due (through the provider or at the desk).
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} session - PaymentSession
+ * @param {{ reference?: string, settledBy: string }} refund
+ * @returns {Promise<object>} The updated session
+ * @throws {Error} 'Cannot settle refund: ...' if nothing is due or it was already given back
+ */
+const settleCheckoutRefund = async (tx, session, { reference, settledBy }) => {
+    if (session.refund_due === null || session.refund_due === undefined) {
+        throw new Error(`Cannot settle refund: Nothing is due back on checkout ${session.session_id}.`);
+    }
+    // Conditional so two librarians can't both settle it
+    const { count } = await tx.paymentSession.updateMany({
+        where: { session_id: session.session_id, refund_settled_at: null },
+        data: { refund_settled_at: new Date(), refund_settled_by: settledBy, refund_reference: reference ?? null }
+    });
+    if (count === 0) {
+        throw new Error(`Cannot settle refund: The refund on checkout ${session.session_id} was already given back.`);
+    }
+    return tx.paymentSession.findUnique({ where: { session_id: session.session_id } });
+};
+
+/**
+ * Tells whether a failed applyCheckoutEvent was a repeated delivery: a unique violation on the webhook event's
+ * (provider, provider_event_id) key. Any other unique violation is a real error and mustn't be acknowledged.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+const isDuplicateWebhookEvent = (error) => {
+    if (error?.code !== 'P2002') return false;
+    const target = error.meta?.target;
+    if (Array.isArray(target)) {
+        return target.length === 2 && target.includes('provider') && target.includes('provider_event_id');
+    }
+    return target === 'payment_webhook_events_provider_provider_event_id_key';
+};
+
+module.exports = {
+    prepareCheckout,
+    applyCheckoutEvent,
+    settleCheckoutRefund,
+    isDuplicateWebhookEvent,
+};
@@ -0,0 +1,331 @@
+// src/utils/fineLedger.js
+// Payment ledger for fines. Every payment, refund and reversal is a Payment row; the totals on the Fine
+// (amount_paid, refunded_amount, refunded_at, is_paid) are derived from those rows and must only be written
+// through syncFineLedger.
+//   balance          = amount - amount_paid              (what the member still owes)
+//   amount_paid      = payments - reversals
+//   refunded_amount  = refunds                            (given back; doesn't reopen the fine)
+// Waivers, adjustments and cancellations lower `amount` itself (see adjustFine); original_amount keeps what was
+// first charged.
+// Every entry is in the fine's currency, which is the library's (see src/utils/money.js).
+
+const { formatMoneyFields, assertCurrency } = require('./money');
+
+const PAYMENT_METHODS = ['cash', 'card', 'online', 'other'];
+
+// Money is stored with 2 decimals; round sums so float noise doesn't leave 0.000001 owing
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * What the member still owes on a fine.
+ * @param {object} fine - Fine (needs amount, amount_paid)
+ * @returns {number}
+ */
+const fineBalance = (fine) => Math.max(0, roundMoney(parseFloat(fine.amount) - parseFloat(fine.amount_paid ?? 0)));
+
+// Library fields to include with a fine so withBalance can display its money in the library's locale
+const FINE_LIBRARY_SELECT = { library_id: true, name: true, currency: true, locale: true };
+
+const FINE_MONEY_FIELDS = ['amount', 'original_amount', 'waived_amount', 'amount_paid', 'refunded_amount', 'balance'];
+
+/**
+ * Adds the computed balance and the formatted `money` objects to a fine for API responses.
+ * @param {object} fine - Include `library: { select: FINE_LIBRARY_SELECT }` for the library's locale
+ * @returns {object}
+ */
+const withBalance = (fine) => {
+    const withTotal = { ...fine, balance: fineBalance(fine) };
+    return { ...withTotal, money: formatMoneyFields(withTotal, FINE_MONEY_FIELDS, { currency: fine.currency, locale: fine.library?.locale }) };
+};
+
+/**
+ * Recomputes a fine's ledger totals and is_paid from its Payment rows.
+ * Must be called inside a Prisma interactive transaction after any ledger entry.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} fineId
+ * @returns {Promise<object>} The updated fine, with its library (FINE_LIBRARY_SELECT)
+ */
+const syncFineLedger = async (tx, fineId) => {
+    const [fine, groups, lastRefund] = await Promise.all([
+        tx.fine.findUniqueOrThrow({ where: { fine_id: fineId }, select: { amount: true } }),
+        tx.payment.groupBy({
+            by: ['kind'],
+            where: { fine_id: fineId },
+            _sum: { amount: true },
+        }),
+        tx.payment.findFirst({
+            where: { fine_id: fineId, kind: 'refund' },
+            orderBy: { created_at: 'desc' },
+            select: { created_at: true }
+        }),
+    ]);
+    const sumOf = (kind) => parseFloat(groups.find(group => group.kind === kind)?._sum.amount ?? 0);
+    const amountPaid = roundMoney(sumOf('payment') - sumOf('reversal'));
+    const refunded = roundMoney(sumOf('refund'));
+
+    return tx.fine.update({
+        where: { fine_id: fineId },
+        data: {
+            amount_paid: amountPaid,
+            refunded_amount: refunded > 0 ? refunded : null,
+            refunded_at: lastRefund?.created_at ?? null,
+            is_paid: amountPaid >= parseFloat(fine.amount),
+        },
+        include: { library: { select: FINE_LIBRARY_SELECT } }
+    });
+};
+
+// Resolves the amount of a ledger entry: defaults to `max`, must be positive and not above it
+const resolveEntryAmount = (amount, max, action) => {
+    if (amount === undefined || amount === null) {
+        if (max <= 0) throw new Error(`Cannot ${action}: Nothing is left to ${action}.`);
+        return max;
+    }
+    if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+        throw new Error(`Cannot ${action}: amount must be a positive number.`);
+    }
+    if (roundMoney(amount) > max) {
+        throw new Error(`Cannot ${action}: amount ${roundMoney(amount).toFixed(2)} is more than the ${max.toFixed(2)} that can be applied.`);
+    }
+    return roundMoney(amount);
+};
+
+const createEntry = async (tx, fine, data) => {
+    const entry = await tx.payment.create({
+        data: {
+            fine_id: fine.fine_id,
+            user_id: fine.user_id,
+            library_id: fine.library_id,
+            currency: fine.currency,
+            ...data,
+        }
+    });
+    const updatedFine = await syncFineLedger(tx, fine.fine_id);
+    return { payment: entry, fine: updatedFine };
+};
+
+/**
+ * Records a payment against a fine. Without an amount the whole balance is paid.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} fine - Fine (needs fine_id, user_id, library_id, amount, amount_paid, currency)
+ * @param {object} entry
+ * @param {number} [entry.amount] - Partial amount; defaults to the balance
+ * @param {string} [entry.currency] - Currency the amount is in, when the client or provider says; must be the fine's
+ * @param {string} entry.method - One of PAYMENT_METHODS
+ * @param {string} [entry.collectedBy] - Librarian taking the money
+ * @param {string} [entry.reference]
+ * @param {string} [entry.note]
+ * @param {string} [entry.sessionId] - Online checkout the money came through
+ * @returns {Promise<{ payment: object, fine: object }>}
+ * @throws {Error} 'Cannot pay fine: ...' for an invalid amount, currency or method, or a fine that is already paid
+ */
+const recordPayment = async (tx, fine, { amount, currency, method, collectedBy, reference, note, sessionId }) => {
+    if (!PAYMENT_METHODS.includes(method)) {
+        throw new Error(`Cannot pay fine: method must be one of ${PAYMENT_METHODS.join(', ')}.`);
+    }
+    assertCurrency(currency, fine.currency, 'pay fine');
+    // Libraries can't switch currency while fines are unpaid, so this only catches data fixed up by hand
+    const library = await tx.library.findUniqueOrThrow({ where: { library_id: fine.library_id }, select: { currency: true } });
+    if (library.currency !== fine.currency) {
+        throw new Error(`Cannot pay fine: The fine is in ${fine.currency} but the library now charges in ${library.currency}.`);
+    }
+    const balance = fineBalance(fine);
+    if (balance <= 0) {
+        throw new Error(`Cannot pay fine: This fine has already been paid.`);
+    }
+    return createEntry(tx, fine, {
+        kind: 'payment',
+        amount: resolveEntryAmount(amount, balance, 'pay fine'),
+        method,
+        reference,
+        note,
+        collected_by: collectedBy,
+        session_id: sessionId,
+    });
+};
+
+/**
+ * Gives money paid on a fine back to the member. Without an amount everything not yet refunded is given back.
+ * A refund doesn't reopen the fine.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} fine - Fine (needs fine_id, user_id, library_id, amount_paid, refunded_amount, currency)
+ * @param {object} entry - { amount?, currency?, method?, collectedBy?, reference?, note? }
+ * @returns {Promise<{ payment: object, fine: object }>}
+ * @throws {Error} 'Cannot refund fine: ...' when nothing (or less than amount) is left to refund, or for another currency
+ */
+const recordRefund = async (tx, fine, { amount, currency, method, collectedBy, reference, note }) => {
+    if (method !== undefined && method !== null && !PAYMENT_METHODS.includes(method)) {
+        throw new Error(`Cannot refund fine: method must be one of ${PAYMENT_METHODS.join(', ')}.`);
+    }
+    // Refunds go back in the currency the fine was paid in, even if the library has switched since
+    assertCurrency(currency, fine.currency, 'refund fine');
+    const refundable = roundMoney(parseFloat(fine.amount_paid ?? 0) - parseFloat(fine.refunded_amount ?? 0));
+    return createEntry(tx, fine, {
+        kind: 'refund',
+        amount: resolveEntryAmount(amount, refundable, 'refund fine'),
+        method,
+        reference,
+        note,
+        collected_by: collectedBy,
+    });
+};
+
+/**
+ * Cancels a payment recorded by mistake (or that bounced): the amount is owed again.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} paymentId - The payment to reverse
+ * @param {object} entry - { note, collectedBy? }
+ * @returns {Promise<{ payment: object, fine: object }>}
+ * @throws {Error} 'Cannot reverse payment: ...' for refunds/reversals, payments already reversed, or money already refunded
+ */
+const reversePayment = async (tx, paymentId, { note, collectedBy }) => {
+    const original = await tx.payment.findUniqueOrThrow({
+        where: { payment_id: paymentId },
+        include: { reversed_by: { select: { payment_id: true } }, fine: true }
+    });
+    if (original.kind !== 'payment') {
+        throw new Error(`Cannot reverse payment: Only payments can be reversed, not a ${original.kind}.`);
+    }
+    if (original.reversed_by) {
+        throw new Error(`Cannot reverse payment: It has already been reversed.`);
+    }
+    // Money already given back can't also be taken off what was paid
+    const remainingPaid = parseFloat(original.fine.amount_paid) - parseFloat(original.amount);
+    if (roundMoney(remainingPaid) < parseFloat(original.fine.refunded_amount ?? 0)) {
+        throw new Error(`Cannot reverse payment: Part of it has already been refunded to the member.`);
+    }
+
+    return createEntry(tx, original.fine, {
+        kind: 'reversal',
+        amount: original.amount,
+        method: original.method,
+        note,
+        collected_by: collectedBy,
+        reverses_payment_id: original.payment_id,
+    });
+};
+
+/**
+ * How much a librarian has waived or taken off fines at a library since the start of the current month.
+ * Cancellations aren't counted: the charge itself no longer applies.
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} librarianId
+ * @param {string} libraryId
+ * @returns {Promise<number>}
+ */
+const getWaivedThisMonth = async (client, librarianId, libraryId) => {
+    const monthStart = new Date();
+    monthStart.setDate(1);
+    monthStart.setHours(0, 0, 0, 0);
+    const totals = await client.fineAdjustment.aggregate({
+        where: { adjusted_by: librarianId, library_id: libraryId, kind: { not: 'cancellation' }, created_at: { gte: monthStart } },
+        _sum: { previous_amount: true, new_amount: true }
+    });
+    return roundMoney(parseFloat(totals._sum.previous_amount ?? 0) - parseFloat(totals._sum.new_amount ?? 0));
+};
+
+/**
+ * Waives a fine (everything still owed is forgiven) or adjusts it down to a lower amount, recording who did it and why.
+ * A cancellation takes off everything still owed like a waiver, for a charge that no longer applies (e.g. the
+ * replacement cost of a lost item that was found); it isn't added to waived_amount.
+ * The fine can't go below what was already paid; refund the difference instead.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} fine - Fine (needs fine_id, library_id, amount, amount_paid, original_amount, waived_amount)
+ * @param {object} change
+ * @param {'waiver'|'adjustment'|'cancellation'} change.kind
+ * @param {number} [change.amount] - New amount for an adjustment
+ * @param {string} change.reason
+ * @param {string} change.adjustedBy - Librarian or admin making the change
+ * @param {number|null} change.waiverLimit - The librarian's monthly waiver limit; null = not limited
+ * @returns {Promise<{ adjustment: object, fine: object }>}
+ * @throws {Error} 'Cannot waive fine: ...' / 'Cannot adjust fine: ...' / 'Cannot cancel fine: ...' for an invalid amount;
+ *   'Forbidden: ...' when the change would take the librarian over their waiver limit
+ */
+const adjustFine = async (tx, fine, { kind, amount, reason, adjustedBy, waiverLimit }) => {
+    const action = { waiver: 'waive fine', adjustment: 'adjust fine', cancellation: 'cancel fine' }[kind];
+    const currentAmount = parseFloat(fine.amount);
+    const paid = parseFloat(fine.amount_paid ?? 0);
+
+    let newAmount;
+    if (kind === 'waiver' || kind === 'cancellation') {
+        if (fineBalance(fine) <= 0) throw new Error(`Cannot ${action}: Nothing is owed on it.`);
+        newAmount = roundMoney(paid);
+    } else {
+        if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
+            throw new Error(`Cannot ${action}: amount must be a non-negative number.`);
+        }
+        newAmount = roundMoney(amount);
+        if (newAmount >= currentAmount) {
+            throw new Error(`Cannot ${action}: The new amount must be lower than the current ${currentAmount.toFixed(2)}.`);
+        }
+        if (newAmount < paid) {
+            throw new Error(`Cannot ${action}: ${paid.toFixed(2)} has already been paid. Refund the difference instead.`);
+        }
+    }
+    const takenOff = roundMoney(currentAmount - newAmount);
+
+    if (waiverLimit !== null && waiverLimit !== undefined) {
+        const used = await getWaivedThisMonth(tx, adjustedBy, fine.library_id);
+        const left = Math.max(0, roundMoney(parseFloat(waiverLimit) - used));
+        if (takenOff > left) {
+            throw new Error(`Forbidden: Taking ${takenOff.toFixed(2)} off this fine would exceed your monthly waiver limit of ${parseFloat(waiverLimit).toFixed(2)} (${left.toFixed(2)} left).`);
+        }
+    }
+
+    const adjustment = await tx.fineAdjustment.create({
+        data: {
+            fine_id: fine.fine_id,
+            library_id: fine.library_id,
+            kind,
+            previous_amount: currentAmount,
+            new_amount: newAmount,
+            reason,
+            adjusted_by: adjustedBy,
+        }
+    });
+    await tx.fine.update({
+        where: { fine_id: fine.fine_id },
+        data: {
+            amount: newAmount,
+            original_amount: fine.original_amount ?? currentAmount,
+            ...(kind !== 'cancellation' && { waived_amount: roundMoney(parseFloat(fine.waived_amount ?? 0) + takenOff) }),
+        }
+    });
+    // A fine reduced to what was paid is settled
+    const updatedFine = await syncFineLedger(tx, fine.fine_id);
+    return { adjustment, fine: updatedFine };
+};
+
+/**
+ * What a member still owes at a library: the balances of their unpaid fines.
+ * @param {object} client - Prisma client or transaction client
+ * @param {string} userId
+ * @param {string} libraryId
+ * @returns {Promise<number>}
+ */
+const getOutstandingBalance = async (client, userId, libraryId) => {
+    const unpaid = await client.fine.aggregate({
+        where: { user_id: userId, library_id: libraryId, is_paid: false },
+        _sum: { amount: true, amount_paid: true }
+    });
+    return roundMoney(parseFloat(unpaid._sum.amount ?? 0) - parseFloat(unpaid._sum.amount_paid ?? 0));
+};
+
+module.exports = {
+    PAYMENT_METHODS,
+    FINE_LIBRARY_SELECT,
+    roundMoney,
+    fineBalance,
+    withBalance,
+    syncFineLedger,
+    recordPayment,
+    recordRefund,
+    reversePayment,
+    getOutstandingBalance,
+    getWaivedThisMonth,
+    adjustFine,
+};
@@ -0,0 +1,63 @@
+// src/utils/fineNoticeMailer.js
+// Emails members the dunning notices for their unpaid fines. Sending never throws: a failed email is logged and the
+// notice stays recorded without emailed_at, so a block step still takes effect.
+const { sendMailWithRetry } = require('./mailHandler');
+const { fineBalance } = require('./fineLedger');
+const { formatMoney } = require('./money');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// Subject and opening paragraph per dunning action
+const NOTICE_TEXT = {
+    reminder: {
+        subject: 'Reminder: you have unpaid fines',
+        intro: (library) => `This is a friendly reminder that the following fines at <strong>${library.name}</strong> are still unpaid.`,
+    },
+    final_notice: {
+        subject: 'Final notice: unpaid fines',
+        intro: (library) => `The following fines at <strong>${library.name}</strong> are still unpaid despite earlier reminders. Please settle them soon to keep borrowing.`,
+    },
+    block: {
+        subject: 'Your borrowing has been blocked over unpaid fines',
+        intro: (library) => `Because the following fines at <strong>${library.name}</strong> are still unpaid, you can no longer borrow, renew or reserve books there until they are settled.`,
+    },
+};
+
+/**
+ * Sends one dunning notice covering several fines of a member.
+ * @param {{ name: string, email: string }} member
+ * @param {{ name: string, currency: string, locale: string }} library - Amounts are shown in its currency and locale
+ * @param {string} action - 'reminder', 'final_notice' or 'block'
+ * @param {Array<{ amount: *, amount_paid: *, fine_date: Date, book: { title: string } }>} fines
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendFineNoticeEmail = async (member, library, action, fines) => {
+    const text = NOTICE_TEXT[action];
+    const total = fines.reduce((sum, fine) => sum + fineBalance(fine), 0);
+    try {
+        await sendMailWithRetry({
+            from: `"ShelfSpace" <${process.env.CUSTOM_EMAIL_ICLOUD}>`,
+            to: member.email,
+            subject: text.subject,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <p>Dear ${member.name},</p>
+                    <p>${text.intro(library)}</p>
+                    <ul>
+                        ${fines.map(fine => `<li><strong>${fine.book.title}</strong> (since ${formatDate(fine.fine_date)}): ${formatMoney(fineBalance(fine), library).display} due</li>`).join('\n                        ')}
+                    </ul>
+                    <p>Total due: <strong>${formatMoney(total, library).display}</strong>. You can pay online in the app or at the library desk.</p>
+                    <p>If you have already paid, please ignore this message.</p>
+                    <p>Best regards,</p>
+                    <p>The ShelfSpace Team</p>
+                </div>
+            `
+        });
+        return true;
+    } catch (error) {
+        console.error(`Failed to send "${text.subject}" email to ${member.email}:`, error);
+        return false;
+    }
+};
+
+module.exports = { sendFineNoticeEmail };
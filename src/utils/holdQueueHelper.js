@@ -0,0 +1,337 @@
+// src/utils/holdQueueHelper.js
+// FIFO hold queue per book and the reservation lifecycle:
+//   waiting -> allocated (copy set aside) -> ready (on the hold shelf, pickup window running) -> picked_up | expired
+// and cancelled from any open state. Waiting holds are served in reserved_at order: whenever a copy comes back into
+// circulation it goes to the first waiting hold instead of the open shelf (see returnCopyToShelf). A hold whose copy
+// is taken out of circulation (damaged, withdrawn) goes back to waiting at its old place (see removeCopyFromCirculation).
+// Reservations are never deleted; closed ones stay as history.
+const { setCopyStatus, COPY_CONFLICT_MESSAGE } = require('./inventoryHelper');
+
+// Used when a library has no valid reservation_expiry_days
+const DEFAULT_PICKUP_DAYS = 7;
+
+// Reservations that still hold a place in the queue or a copy
+const ACTIVE_RESERVATION_STATUSES = ['waiting', 'allocated', 'ready'];
+// Reservations with a copy set aside for them
+const HELD_RESERVATION_STATUSES = ['allocated', 'ready'];
+
+// Allowed status changes; picked_up, expired and cancelled are final
+const RESERVATION_TRANSITIONS = {
+    waiting: ['allocated', 'picked_up', 'cancelled'], // picked_up: the member checked out another copy at the desk
+    allocated: ['ready', 'picked_up', 'cancelled'],
+    ready: ['picked_up', 'expired', 'cancelled'],
+    picked_up: [],
+    expired: [],
+    cancelled: [],
+};
+
+// Timestamp recorded when a reservation enters each status (waiting uses reserved_at)
+const TRANSITION_TIMESTAMPS = {
+    allocated: 'allocated_at',
+    ready: 'ready_at',
+    picked_up: 'picked_up_at',
+    expired: 'expired_at',
+    cancelled: 'cancelled_at',
+};
+
+// Reservations still waiting for a copy
+const WAITING_HOLD_WHERE = { status: 'waiting' };
+
+/**
+ * Waiting holds that may be given a copy at `now`: not suspended, or outside their suspension.
+ * Suspended holds keep their place in the queue (reserved_at is untouched) and are simply skipped.
+ * @param {Date} [now]
+ * @returns {object} Prisma where clause
+ */
+const allocatableHoldWhere = (now = new Date()) => ({
+    ...WAITING_HOLD_WHERE,
+    OR: [
+        { suspended_until: null },
+        { suspended_until: { lte: now } },
+        { suspended_from: { gt: now } },
+    ],
+});
+
+/**
+ * Whether a hold is suspended at `now`.
+ * @param {object} reservation - Reservation (needs suspended_from, suspended_until)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+const isSuspended = (reservation, now = new Date()) =>
+    Boolean(reservation.suspended_until) && reservation.suspended_from <= now && reservation.suspended_until > now;
+
+/**
+ * End of the pickup window for a hold that becomes ready at `readyAt`.
+ * @param {Date} readyAt
+ * @param {object} [policy] - Library policy (uses reservation_expiry_days)
+ * @returns {Date}
+ */
+const calculatePickupDeadline = (readyAt, policy) => {
+    const days = policy?.reservation_expiry_days > 0 ? policy.reservation_expiry_days : DEFAULT_PICKUP_DAYS;
+    const deadline = new Date(readyAt);
+    deadline.setDate(deadline.getDate() + days);
+    deadline.setHours(23, 59, 59, 999); // Expire at the end of the expiry day
+    return deadline;
+};
+
+/**
+ * Moves a reservation to a new status, stamping the time of the change.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} reservation - Reservation (needs reservation_id, status)
+ * @param {string} status - New ReservationStatus
+ * @param {object} [extraData] - Additional fields to store (copy, pickup deadline, who cancelled...)
+ * @returns {Promise<object>} The updated reservation
+ * @throws {Error} 'Cannot ...' if the change isn't allowed from the current status
+ */
+const transitionReservation = async (tx, reservation, status, extraData = {}) => {
+    if (!RESERVATION_TRANSITIONS[reservation.status]?.includes(status)) {
+        throw new Error(`Cannot change reservation: It is '${reservation.status}' and can't become '${status}'.`);
+    }
+    return tx.reservation.update({
+        where: { reservation_id: reservation.reservation_id },
+        data: { status, [TRANSITION_TIMESTAMPS[status]]: new Date(), ...extraData }
+    });
+};
+
+/**
+ * Sets a copy aside for a waiting hold. The copy is reserved (status on_hold_shelf) straight away; the pickup window
+ * only starts when a librarian puts it on the hold shelf and marks the reservation ready.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} reservation - Waiting reservation (needs reservation_id, status)
+ * @param {object} copy - Copy to set aside (needs copy_id, book_id; with its status, the change fails if another
+ *   request has taken the copy since it was read, see setCopyStatus)
+ * @returns {Promise<object>} The updated reservation
+ */
+const fillHold = async (tx, reservation, copy) => {
+    await setCopyStatus(tx, copy, 'on_hold_shelf');
+    return transitionReservation(tx, reservation, 'allocated', { copy_id: copy.copy_id });
+};
+
+/**
+ * Puts a copy back into circulation: onto the hold shelf for the first waiting hold on its book, or back on the open
+ * shelf ('available') when nobody is waiting. Use this instead of setCopyStatus(..., 'available').
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} copy - Copy coming back (needs copy_id, book_id)
+ * @returns {Promise<object|null>} The hold the copy was allocated to, or null if it went back on the shelf
+ */
+const returnCopyToShelf = async (tx, copy) => {
+    const nextHold = await tx.reservation.findFirst({
+        where: { book_id: copy.book_id, ...allocatableHoldWhere() },
+        orderBy: { reserved_at: 'asc' },
+    });
+
+    if (!nextHold) {
+        await setCopyStatus(tx, copy, 'available');
+        return null;
+    }
+    return fillHold(tx, nextHold, copy);
+};
+
+/**
+ * Takes a copy out of circulation (e.g. to repair, or withdrawn). A hold the copy was set aside for goes back to waiting
+ * at its old place in the queue (reserved_at is kept) and is given another copy from the shelf, if there is one.
+ * Use this instead of setCopyStatus for copies that may be on the hold shelf.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} copy - Copy to remove (needs copy_id, book_id; status to guard the change, see setCopyStatus)
+ * @param {string} status - New CopyStatus
+ * @returns {Promise<{ copy: object, requeuedHold: object|null }>} requeuedHold is the hold that lost the copy, as it
+ * now stands (waiting, or allocated another copy)
+ */
+const removeCopyFromCirculation = async (tx, copy, status) => {
+    const heldFor = await tx.reservation.findFirst({
+        where: { copy_id: copy.copy_id, status: { in: HELD_RESERVATION_STATUSES } },
+        select: { reservation_id: true }
+    });
+    const updatedCopy = await setCopyStatus(tx, copy, status);
+    if (!heldFor) return { copy: updatedCopy, requeuedHold: null };
+
+    // Not a transition of its own: the hold simply hasn't been served yet
+    await tx.reservation.update({
+        where: { reservation_id: heldFor.reservation_id },
+        data: { status: 'waiting', copy_id: null, allocated_at: null, ready_at: null, expires_at: null }
+    });
+    await allocateAvailableCopies(tx, copy.book_id);
+    const requeuedHold = await tx.reservation.findUniqueOrThrow({ where: { reservation_id: heldFor.reservation_id } });
+    return { copy: updatedCopy, requeuedHold };
+};
+
+/**
+ * Closes an open reservation as expired or cancelled, or as picked up by a loan that didn't use its copy (an approved
+ * borrow request): frees the member's reserved_book_ids slot and passes any copy set aside for it on to the next
+ * waiting hold (or back on the shelf).
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} reservation - Reservation (needs reservation_id, user_id, book_id, copy_id, status)
+ * @param {'picked_up'|'expired'|'cancelled'} status - Final status
+ * @param {object} [extraData] - Additional fields to store (e.g. cancelled_by)
+ * @returns {Promise<{ reservation: object, nextHold: object|null }>} nextHold is the hold the copy went to, if any
+ */
+const closeReservation = async (tx, reservation, status, extraData = {}) => {
+    const closedReservation = await transitionReservation(tx, reservation, status, extraData);
+
+    const user = await tx.user.findUnique({
+        where: { user_id: reservation.user_id },
+        select: { reserved_book_ids: true }
+    });
+    if (user) {
+        await tx.user.update({
+            where: { user_id: reservation.user_id },
+            data: { reserved_book_ids: user.reserved_book_ids.filter(id => id !== reservation.book_id) }
+        });
+    }
+
+    // The copy id stays on the reservation as history; the copy itself goes on (book counts follow the copy)
+    let nextHold = null;
+    if (reservation.copy_id && HELD_RESERVATION_STATUSES.includes(reservation.status)) {
+        nextHold = await returnCopyToShelf(tx, { copy_id: reservation.copy_id, book_id: reservation.book_id });
+    }
+    return { reservation: closedReservation, nextHold };
+};
+
+/**
+ * Hands available copies of a book to its waiting holds, first come first served, until one side runs out.
+ * Call after copies are added, a hold joins the queue or a suspended hold is reactivated.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} bookId
+ * @returns {Promise<object[]>} The holds that became ready
+ */
+const allocateAvailableCopies = async (tx, bookId) => {
+    const [waitingHolds, availableCopies] = await Promise.all([
+        tx.reservation.findMany({
+            where: { book_id: bookId, ...allocatableHoldWhere() },
+            orderBy: { reserved_at: 'asc' },
+        }),
+        tx.bookCopy.findMany({
+            where: { book_id: bookId, status: 'available' },
+            orderBy: { created_at: 'asc' }, // Rotate the oldest copies first
+            select: { copy_id: true, book_id: true, barcode: true, status: true }
+        }),
+    ]);
+
+    const filled = [];
+    let copyIndex = 0;
+    for (const hold of waitingHolds) {
+        let allocated = null;
+        while (!allocated && copyIndex < availableCopies.length) {
+            try {
+                allocated = await fillHold(tx, hold, availableCopies[copyIndex++]);
+            } catch (error) {
+                // Checked out (or set aside) by a concurrent request since the list was read; try the next copy
+                if (!error.message.includes(COPY_CONFLICT_MESSAGE)) throw error;
+            }
+        }
+        if (!allocated) break;
+        filled.push(allocated);
+    }
+    return filled;
+};
+
+/**
+ * Lifts the suspension of waiting holds and hands them any copies already on the shelf.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} where - Which suspended holds to reactivate (combined with waiting + suspended)
+ * @returns {Promise<{ reactivated: number, allocated: object[] }>} allocated holds may include others of the same books
+ */
+const reactivateHolds = async (tx, where) => {
+    const holds = await tx.reservation.findMany({
+        where: { AND: [where, WAITING_HOLD_WHERE, { suspended_until: { not: null } }] },
+        select: { reservation_id: true, book_id: true }
+    });
+    if (holds.length === 0) return { reactivated: 0, allocated: [] };
+
+    await tx.reservation.updateMany({
+        where: { reservation_id: { in: holds.map(hold => hold.reservation_id) } },
+        data: { suspended_from: null, suspended_until: null }
+    });
+
+    // Copies may have gone back on the shelf while these holds were skipped
+    const allocated = [];
+    for (const bookId of new Set(holds.map(hold => hold.book_id))) {
+        allocated.push(...await allocateAvailableCopies(tx, bookId));
+    }
+    return { reactivated: holds.length, allocated };
+};
+
+/**
+ * Where a hold stands in its book's queue and roughly when a copy should reach it.
+ * The estimate assumes every copy that is out comes back on its due date (copies on the hold shelf after one more
+ * loan period) and each later turn takes one more loan period. Suspended holds keep their position; a suspended hold
+ * is not estimated before the end of its suspension.
+ * @param {object} client - Prisma client or transaction client
+ * @param {object} reservation - Reservation (needs reservation_id, book_id, library_id, reserved_at, status, expires_at, suspended_from, suspended_until)
+ * @returns {Promise<object>} { status, position, waiting_total, copies_in_circulation, estimated_available_at, estimated_wait_days }
+ */
+const getQueuePosition = async (client, reservation) => {
+    if (reservation.status !== 'waiting') {
+        // A copy is already set aside (pickup_by is null until it is on the hold shelf), or the reservation is closed
+        const held = HELD_RESERVATION_STATUSES.includes(reservation.status);
+        return { status: reservation.status, position: held ? 0 : null, waiting_total: null, copies_in_circulation: null, estimated_available_at: null, estimated_wait_days: held ? 0 : null, pickup_by: reservation.expires_at };
+    }
+
+    const [ahead, waitingTotal, policy, loans, heldCopies] = await Promise.all([
+        client.reservation.count({
+            where: { book_id: reservation.book_id, ...WAITING_HOLD_WHERE, reserved_at: { lt: reservation.reserved_at } }
+        }),
+        client.reservation.count({ where: { book_id: reservation.book_id, ...WAITING_HOLD_WHERE } }),
+        client.policy.findUnique({ where: { library_id: reservation.library_id }, select: { max_borrow_days: true } }),
+        client.borrowTransaction.findMany({
+            where: { book_id: reservation.book_id, status: { in: ['requested', 'borrowed', 'overdue'] }, copy_id: { not: null } },
+            select: { due_date: true }
+        }),
+        client.bookCopy.count({ where: { book_id: reservation.book_id, status: 'on_hold_shelf' } }),
+    ]);
+    const position = ahead + 1;
+    const loanDays = policy?.max_borrow_days ?? 0;
+    const now = new Date();
+    const inDays = (from, days) => new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+
+    // When each copy that is currently out should next come free
+    const freeDates = [
+        ...loans.map(loan => (loan.due_date && loan.due_date > now ? loan.due_date : now)),
+        ...Array.from({ length: heldCopies }, () => inDays(now, loanDays)),
+    ].sort((a, b) => a - b);
+
+    if (freeDates.length === 0) {
+        // No copy is out (e.g. all in repair): nothing to base an estimate on
+        return { status: 'waiting', suspended_until: isSuspended(reservation, now) ? reservation.suspended_until : null, position, waiting_total: waitingTotal, copies_in_circulation: 0, estimated_available_at: null, estimated_wait_days: null };
+    }
+
+    const turn = Math.floor((position - 1) / freeDates.length);
+    let estimatedAt = inDays(freeDates[(position - 1) % freeDates.length], turn * loanDays);
+    if (isSuspended(reservation, now) && reservation.suspended_until > estimatedAt) {
+        estimatedAt = reservation.suspended_until; // Not given a copy before it is reactivated
+    }
+    return {
+        status: 'waiting',
+        suspended_until: isSuspended(reservation, now) ? reservation.suspended_until : null,
+        position,
+        waiting_total: waitingTotal,
+        copies_in_circulation: freeDates.length,
+        estimated_available_at: estimatedAt,
+        estimated_wait_days: Math.max(0, Math.ceil((estimatedAt - now) / (24 * 60 * 60 * 1000))),
+    };
+};
+
+module.exports = {
+    ACTIVE_RESERVATION_STATUSES,
+    HELD_RESERVATION_STATUSES,
+    RESERVATION_TRANSITIONS,
+    WAITING_HOLD_WHERE,
+    allocatableHoldWhere,
+    isSuspended,
+    calculatePickupDeadline,
+    transitionReservation,
+    closeReservation,
+    returnCopyToShelf,
+    removeCopyFromCirculation,
+    allocateAvailableCopies,
+    reactivateHolds,
+    getQueuePosition,
+};
@@ -0,0 +1,201 @@
+// src/utils/inventoryHelper.js
+// Copy-level inventory: picks, moves and counts the physical copies (BookCopy) behind each Book.
+// Book.total_copies / available_copies / reserved_copies are derived from the copies and must only
+// be written through syncBookCounts.
+
+// Copies that are no longer part of the collection and don't count towards total_copies
+const WRITTEN_OFF_COPY_STATUSES = ['lost', 'withdrawn'];
+
+// Statuses a librarian may set by hand; the others are driven by circulation (borrow/return/reserve)
+const MANUAL_COPY_STATUSES = ['available', 'in_repair', 'withdrawn'];
+
+// Most copies one request may add to a book (createBook, POST /books/{id}/copies, MARC imports per record)
+const MAX_COPIES_PER_REQUEST = 100;
+
+// How often claimCopyForCirculation moves on to the next copy when concurrent requests keep taking the one it picked
+const MAX_CLAIM_ATTEMPTS = 3;
+
+// Part of the error setCopyStatus throws when the copy's status changed since it was read
+const COPY_CONFLICT_MESSAGE = 'was just changed by another request';
+
+/**
+ * Derives a book's copy counters from its copies grouped by status.
+ * @param {Array<{ status: string, _count: { _all: number } }>} groups - Result of bookCopy.groupBy({ by: ['status'], _count: { _all: true } })
+ * @returns {{ total_copies: number, available_copies: number, reserved_copies: number }}
+ */
+const countsFromCopyGroups = (groups) => {
+    const countOf = (status) => groups.find(group => group.status === status)?._count._all ?? 0;
+    return {
+        total_copies: groups
+            .filter(group => !WRITTEN_OFF_COPY_STATUSES.includes(group.status))
+            .reduce((sum, group) => sum + group._count._all, 0),
+        available_copies: countOf('available'),
+        reserved_copies: countOf('on_hold_shelf'),
+    };
+};
+
+/**
+ * Recomputes a book's copy counters from its copies.
+ * Must be called inside a Prisma interactive transaction after any copy status change.
+ * @param {object} tx - Prisma transaction client
+ * @param {string} bookId - Book whose counters should be refreshed
+ * @returns {Promise<object>} The updated book
+ */
+const syncBookCounts = async (tx, bookId) => {
+    const groups = await tx.bookCopy.groupBy({
+        by: ['status'],
+        where: { book_id: bookId },
+        _count: { _all: true },
+    });
+
+    return tx.book.update({
+        where: { book_id: bookId },
+        data: countsFromCopyGroups(groups)
+    });
+};
+
+/**
+ * Finds a copy of `bookId` that can be handed out or put on the hold shelf.
+ * When a copyId or barcode is given (e.g. a librarian scanned a specific item) that exact copy is used.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} book - Book (needs book_id, library_id)
+ * @param {object} [options]
+ * @param {string} [options.copyId] - Specific copy to use
+ * @param {string} [options.barcode] - Barcode of the specific copy to use
+ * @param {string|string[]} [options.status='available'] - Status(es) the copy may currently have
+ * @returns {Promise<object>} The copy
+ * @throws {Error} If no suitable copy exists
+ */
+const findCopyForCirculation = async (tx, book, { copyId, barcode, status = 'available' } = {}) => {
+    if (copyId || barcode) {
+        const copy = await tx.bookCopy.findFirst({
+            where: copyId ? { copy_id: copyId } : { library_id: book.library_id, barcode },
+        });
+        if (!copy || copy.book_id !== book.book_id) {
+            throw new Error(`Copy ${copyId || barcode} not found for this book.`);
+        }
+        if (![].concat(status).includes(copy.status)) {
+            throw new Error(`Copy ${copy.barcode} is not available (status '${copy.status}').`);
+        }
+        return copy;
+    }
+
+    const copy = await tx.bookCopy.findFirst({
+        where: { book_id: book.book_id, status: { in: [].concat(status) } },
+        orderBy: { created_at: 'asc' }, // Rotate the oldest copies first
+    });
+    if (!copy) {
+        throw new Error(`Book is not available (0 available copies).`);
+    }
+    return copy;
+};
+
+/**
+ * Moves a copy to a new status and refreshes the book counters.
+ * When `copy` carries the status it was read with, the change only applies if the copy still has it, so two
+ * requests that picked the same copy can't both take it: the second one waits for the first and then fails.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} copy - Copy to update (needs copy_id, book_id; status to guard the change)
+ * @param {string} status - New CopyStatus
+ * @returns {Promise<object>} The updated copy
+ * @throws {Error} 'Copy ... is not available (... was just changed by another request)' when the guard fails
+ */
+const setCopyStatus = async (tx, copy, status) => {
+    if (!copy.status) {
+        const updatedCopy = await tx.bookCopy.update({
+            where: { copy_id: copy.copy_id },
+            data: { status }
+        });
+        await syncBookCounts(tx, copy.book_id);
+        return updatedCopy;
+    }
+
+    const { count } = await tx.bookCopy.updateMany({
+        where: { copy_id: copy.copy_id, status: copy.status },
+        data: { status }
+    });
+    if (count === 0) {
+        throw new Error(`Copy ${copy.barcode ?? copy.copy_id} is not available (it ${COPY_CONFLICT_MESSAGE}).`);
+    }
+    await syncBookCounts(tx, copy.book_id);
+    return tx.bookCopy.findUniqueOrThrow({ where: { copy_id: copy.copy_id } });
+};
+
+/**
+ * Picks a copy like findCopyForCirculation and moves it to `status` (see setCopyStatus).
+ * A copy picked automatically that a concurrent request takes first is passed over for the next one; a copy asked
+ * for by id or barcode isn't swapped for another.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} book - Book (needs book_id, library_id)
+ * @param {string} status - New CopyStatus
+ * @param {object} [options] - As for findCopyForCirculation
+ * @returns {Promise<object>} The updated copy
+ * @throws {Error} If no suitable copy exists or it kept being taken by other requests
+ */
+const claimCopyForCirculation = async (tx, book, status, options = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        const copy = await findCopyForCirculation(tx, book, options);
+        try {
+            return await setCopyStatus(tx, copy, status);
+        } catch (error) {
+            const canRetry = !options.copyId && !options.barcode && attempt < MAX_CLAIM_ATTEMPTS;
+            if (!canRetry || !error.message.includes(COPY_CONFLICT_MESSAGE)) throw error;
+        }
+    }
+};
+
+/**
+ * Generates a barcode for a new copy when the librarian didn't scan one.
+ * Format: first 8 characters of the book id + running copy number, e.g. "3F2A9C1B-004".
+ * @param {string} bookId - Book the copy belongs to
+ * @param {number} sequence - 1-based copy number
+ * @returns {string}
+ */
+const generateBarcode = (bookId, sequence) => {
+    return `${bookId.slice(0, 8).toUpperCase()}-${String(sequence).padStart(3, '0')}`;
+};
+
+/**
+ * Adds copies to a book and refreshes its counters.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} book - Book (needs book_id, library_id)
+ * @param {Array<{ barcode?: string, condition?: string, acquisition_date?: string, notes?: string }>} copies - One entry per copy
+ * @returns {Promise<{ copies: object[], book: object }>} The created copies and the book with refreshed counters
+ */
+const addCopies = async (tx, book, copies) => {
+    const existingCount = await tx.bookCopy.count({ where: { book_id: book.book_id } });
+
+    const createdCopies = [];
+    for (const [index, copy] of copies.entries()) {
+        createdCopies.push(await tx.bookCopy.create({
+            data: {
+                book_id: book.book_id,
+                library_id: book.library_id,
+                barcode: copy.barcode || generateBarcode(book.book_id, existingCount + index + 1),
+                condition: copy.condition,
+                acquisition_date: copy.acquisition_date ? new Date(copy.acquisition_date) : new Date(),
+                notes: copy.notes,
+            }
+        }));
+    }
+
+    const updatedBook = await syncBookCounts(tx, book.book_id);
+    return { copies: createdCopies, book: updatedBook };
+};
+
+module.exports = {
+    WRITTEN_OFF_COPY_STATUSES,
+    MANUAL_COPY_STATUSES,
+    MAX_COPIES_PER_REQUEST,
+    COPY_CONFLICT_MESSAGE,
+    countsFromCopyGroups,
+    syncBookCounts,
+    findCopyForCirculation,
+    setCopyStatus,
+    claimCopyForCirculation,
+    generateBarcode,
+    addCopies,
+};
@@ -0,0 +1,93 @@
+// src/utils/kioskHelper.js
+// Credentials for self-service kiosks:
+//   - Kiosk keys ("<kiosk_id>.<secret>") identify a registered kiosk; only a hash of the secret is stored.
+//   - QR tokens are short-lived signed tokens a member shows at a kiosk instead of logging in on the shared device.
+// QR tokens are signed with their own secret so they can never be used as a login token (or the other way round).
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// How long a member's QR token can be scanned
+const QR_TOKEN_TTL_SECONDS = 120;
+const QR_TOKEN_AUDIENCE = 'kiosk';
+
+// KIOSK_TOKEN_SECRET if set, otherwise a key derived from JWT_SECRET (never JWT_SECRET itself)
+const getQrTokenSecret = () => {
+    if (process.env.KIOSK_TOKEN_SECRET) return process.env.KIOSK_TOKEN_SECRET;
+    if (!process.env.JWT_SECRET) throw new Error('KIOSK_TOKEN_SECRET or JWT_SECRET must be set to use kiosk QR tokens.');
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('kiosk-qr-token').digest('hex');
+};
+
+const hashKioskSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Creates a new key for a kiosk.
+ * @param {string} kioskId
+ * @returns {{ key: string, keyHash: string }} `key` goes to the device once; store only `keyHash`
+ */
+const generateKioskKey = (kioskId) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { key: `${kioskId}.${secret}`, keyHash: hashKioskSecret(secret) };
+};
+
+/**
+ * Splits a kiosk key into the kiosk id and the hash of its secret.
+ * @param {string} key - Value of the X-Kiosk-Key header
+ * @returns {{ kioskId: string, keyHash: string }|null} null when malformed
+ */
+const parseKioskKey = (key) => {
+    if (typeof key !== 'string') return null;
+    const separator = key.indexOf('.');
+    if (separator <= 0 || separator === key.length - 1) return null;
+    return { kioskId: key.slice(0, separator), keyHash: hashKioskSecret(key.slice(separator + 1)) };
+};
+
+// Constant-time comparison of two hex hashes
+const keyHashMatches = (keyHash, storedHash) => {
+    const given = Buffer.from(keyHash, 'hex');
+    const stored = Buffer.from(storedHash, 'hex');
+    return given.length === stored.length && crypto.timingSafeEqual(given, stored);
+};
+
+/**
+ * Signs a QR token for a member, valid at kiosks of their library for QR_TOKEN_TTL_SECONDS.
+ * @param {{ user_id: string, library_id: string }} member
+ * @returns {{ token: string, expires_at: Date }}
+ */
+const issueQrToken = (member) => {
+    const token = jwt.sign(
+        { lib: member.library_id },
+        getQrTokenSecret(),
+        { subject: member.user_id, audience: QR_TOKEN_AUDIENCE, expiresIn: QR_TOKEN_TTL_SECONDS }
+    );
+    return { token, expires_at: new Date(Date.now() + QR_TOKEN_TTL_SECONDS * 1000) };
+};
+
+/**
+ * Verifies a scanned QR token.
+ * @param {string} token
+ * @returns {{ userId: string, libraryId: string }}
+ * @throws {Error} 'Invalid QR token: ...' when expired, tampered with or not a QR token
+ */
+const verifyQrToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, getQrTokenSecret(), { audience: QR_TOKEN_AUDIENCE });
+        return { userId: decoded.sub, libraryId: decoded.lib };
+    } catch (error) {
+        if (error instanceof jwt.TokenExpiredError) {
+            throw new Error('Invalid QR token: The code has expired. Generate a new one in the app.');
+        }
+        if (error instanceof jwt.JsonWebTokenError) {
+            throw new Error('Invalid QR token: The code could not be verified.');
+        }
+        throw error;
+    }
+};
+
+module.exports = {
+    QR_TOKEN_TTL_SECONDS,
+    generateKioskKey,
+    parseKioskKey,
+    keyHashMatches,
+    issueQrToken,
+    verifyQrToken,
+};
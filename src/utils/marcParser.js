@@ -0,0 +1,296 @@
+// src/utils/marcParser.js
+// Reads bibliographic records from MARC 21 files, either binary (ISO 2709) or MARCXML, and maps the fields the
+// catalogue uses onto a book. Records are read as UTF-8; MARC-8 records (leader/09 blank) are only accepted when they
+// are plain ASCII, since decoding MARC-8 diacritics isn't supported.
+//
+// A record is { leader, fields }, where a field is { tag, value } (control fields 001-009) or
+// { tag, ind1, ind2, subfields: [{ code, value }] } (data fields).
+
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = '\x1e';
+const SUBFIELD_DELIMITER = '\x1f';
+
+const MARC_FORMATS = ['marc21', 'marcxml'];
+
+// Relator codes ($4) and terms ($e) of the roles a book contributor can have
+const RELATOR_CODES = { aut: 'author', edt: 'editor', trl: 'translator', ill: 'illustrator' };
+const RELATOR_TERMS = [
+    [/^(author|writer)/, 'author'],
+    [/^(editor|ed$|eds$)/, 'editor'],
+    [/^(translator|tr$|trans$)/, 'translator'],
+    [/^(illustrator|ill$|illus$)/, 'illustrator'],
+];
+
+const isControlTag = (tag) => tag < '010';
+
+/**
+ * Picks the format of an upload: an explicit ?format=, else the Content-Type, else the first byte.
+ * @param {string|undefined} requested - 'marc21' or 'marcxml'
+ * @param {string|undefined} contentType
+ * @param {Buffer} body
+ * @returns {string|null} 'marc21' or 'marcxml'; null when `requested` isn't a known format
+ */
+const detectMarcFormat = (requested, contentType = '', body) => {
+    if (requested !== undefined) return MARC_FORMATS.includes(requested) ? requested : null;
+    if (/xml/i.test(contentType)) return 'marcxml';
+    if (/marc/i.test(contentType)) return 'marc21';
+    return body.toString('latin1', 0, 64).trimStart().startsWith('<') ? 'marcxml' : 'marc21';
+};
+
+// --- ISO 2709 ---
+
+const parseFieldText = (tag, text) => {
+    if (isControlTag(tag)) return { tag, value: text };
+    return {
+        tag,
+        ind1: text[0] ?? ' ',
+        ind2: text[1] ?? ' ',
+        subfields: text.slice(2).split(SUBFIELD_DELIMITER).slice(1)
+            .filter(chunk => chunk.length > 0)
+            .map(chunk => ({ code: chunk[0], value: chunk.slice(1) })),
+    };
+};
+
+/**
+ * Parses one binary record (without its record terminator).
+ * @param {Buffer} bytes
+ * @returns {{ leader: string, fields: object[] }}
+ * @throws {Error} When the leader or directory is malformed
+ */
+const parseBinaryRecord = (bytes) => {
+    if (bytes.length < 25) throw new Error('The record is shorter than its leader.');
+    const leader = bytes.toString('latin1', 0, 24);
+    const baseAddress = parseInt(leader.slice(12, 17), 10);
+    if (!Number.isInteger(baseAddress) || baseAddress < 25 || baseAddress > bytes.length) {
+        throw new Error('The leader has an invalid base address of data.');
+    }
+    if (leader[9] !== 'a' && bytes.some(byte => byte > 0x7f)) {
+        throw new Error('The record is MARC-8 encoded and has non-ASCII characters. Export it as UTF-8 (leader/09 = a).');
+    }
+
+    // Directory: 12-character entries (tag, length, start) up to the field terminator before the data
+    const directory = bytes.toString('latin1', 24, baseAddress - 1);
+    if (directory.length % 12 !== 0) throw new Error('The record directory is malformed.');
+
+    const fields = [];
+    for (let offset = 0; offset < directory.length; offset += 12) {
+        const tag = directory.slice(offset, offset + 3);
+        const length = parseInt(directory.slice(offset + 3, offset + 7), 10);
+        const start = parseInt(directory.slice(offset + 7, offset + 12), 10);
+        if (!Number.isInteger(length) || !Number.isInteger(start) || baseAddress + start + length > bytes.length) {
+            throw new Error(`The directory entry for field ${tag} points outside the record.`);
+        }
+        const text = bytes.toString('utf8', baseAddress + start, baseAddress + start + length);
+        fields.push(parseFieldText(tag, text.endsWith(FIELD_TERMINATOR) ? text.slice(0, -1) : text));
+    }
+    return { leader, fields };
+};
+
+const parseBinaryFile = (buffer) => {
+    const entries = [];
+    let start = 0;
+    while (start < buffer.length) {
+        let end = buffer.indexOf(RECORD_TERMINATOR, start);
+        if (end === -1) end = buffer.length;
+        // Some exports put line breaks between records
+        const chunk = buffer.subarray(start, end);
+        const text = chunk.toString('latin1');
+        const leading = text.length - text.trimStart().length;
+        if (text.trim().length > 0) {
+            const index = entries.length;
+            try {
+                entries.push({ index, record: parseBinaryRecord(chunk.subarray(leading)) });
+            } catch (error) {
+                entries.push({ index, error: error.message });
+            }
+        }
+        start = end + 1;
+    }
+    if (entries.length === 0 || entries.every(entry => entry.error)) {
+        throw new Error('Invalid MARC21 file: no readable records found.');
+    }
+    return entries;
+};
+
+// --- MARCXML ---
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const codePoint = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(codePoint);
+    }
+    return XML_ENTITIES[entity] ?? match;
+});
+
+const xmlAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+    return match ? decodeXml(match[1] ?? match[2]) : undefined;
+};
+
+// Element names may carry a namespace prefix (marc:record)
+const PREFIX = '(?:[\\w.-]+:)?';
+
+const parseXmlRecord = (content) => {
+    const leader = content.match(new RegExp(`<${PREFIX}leader\\b[^>]*>([\\s\\S]*?)</${PREFIX}leader\\s*>`))?.[1] ?? '';
+    const fields = [];
+    const fieldPattern = new RegExp(`<${PREFIX}(controlfield|datafield)\\b([^>]*)>([\\s\\S]*?)</${PREFIX}\\1\\s*>`, 'g');
+    for (const [, element, attributes, body] of content.matchAll(fieldPattern)) {
+        const tag = xmlAttribute(attributes, 'tag');
+        if (!tag || !/^\d{3}$/.test(tag)) throw new Error(`A ${element} has a missing or invalid tag.`);
+        if (element === 'controlfield') {
+            fields.push({ tag, value: decodeXml(body) });
+            continue;
+        }
+        const subfieldPattern = new RegExp(`<${PREFIX}subfield\\b([^>]*)>([\\s\\S]*?)</${PREFIX}subfield\\s*>`, 'g');
+        fields.push({
+            tag,
+            ind1: xmlAttribute(attributes, 'ind1') ?? ' ',
+            ind2: xmlAttribute(attributes, 'ind2') ?? ' ',
+            subfields: [...body.matchAll(subfieldPattern)].map(([, subfieldAttributes, value]) => ({
+                code: xmlAttribute(subfieldAttributes, 'code') ?? '',
+                value: decodeXml(value),
+            })),
+        });
+    }
+    return { leader: decodeXml(leader), fields };
+};
+
+const parseXmlFile = (buffer) => {
+    const xml = buffer.toString('utf8');
+    const recordPattern = new RegExp(`<${PREFIX}record\\b[^>]*>([\\s\\S]*?)</${PREFIX}record\\s*>`, 'g');
+    const entries = [...xml.matchAll(recordPattern)].map(([, content], index) => {
+        try {
+            return { index, record: parseXmlRecord(content) };
+        } catch (error) {
+            return { index, error: error.message };
+        }
+    });
+    if (entries.length === 0) throw new Error('Invalid MARCXML file: no <record> elements found.');
+    return entries;
+};
+
+/**
+ * Splits a MARC file into records.
+ * @param {Buffer} buffer
+ * @param {string} format - 'marc21' or 'marcxml'
+ * @returns {Array<{ index: number, record?: object, error?: string }>} One entry per record, in file order;
+ *   records that can't be read carry an error instead
+ * @throws {Error} 'Invalid MARC...' when the file has no readable records
+ */
+const parseMarcFile = (buffer, format) => (format === 'marcxml' ? parseXmlFile(buffer) : parseBinaryFile(buffer));
+
+// --- Mapping onto Book ---
+
+const dataFields = (record, tags) => record.fields.filter(field => tags.includes(field.tag) && field.subfields);
+const subfieldValues = (field, code) => field.subfields.filter(subfield => subfield.code === code).map(subfield => subfield.value);
+
+// Drops the ISBD punctuation that ends a subfield ("Title :", "Tolkien, J. R. R.,", "Fantasy fiction.") but keeps
+// the period of a trailing initial
+const trimPunctuation = (text) => text
+    .replace(/[\s/:;,=]+$/, '')
+    .replace(/(?<!\b\p{Lu})\.$/u, '')
+    .trim();
+
+// "Tolkien, J. R. R." -> "J. R. R. Tolkien" for personal names entered surname first (first indicator 1)
+const personalName = (field) => {
+    const name = trimPunctuation(subfieldValues(field, 'a')[0] ?? '');
+    const parts = name.split(/,\s*/);
+    return field.ind1 === '1' && parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : name;
+};
+
+// null when the relator names a role books don't track (e.g. narrator)
+const contributorRole = (field) => {
+    const codes = subfieldValues(field, '4').map(code => code.trim().toLowerCase());
+    const terms = subfieldValues(field, 'e').map(term => trimPunctuation(term).toLowerCase());
+    if (codes.length === 0 && terms.length === 0) return 'author';
+    for (const code of codes) {
+        if (RELATOR_CODES[code]) return RELATOR_CODES[code];
+    }
+    for (const term of terms) {
+        const match = RELATOR_TERMS.find(([pattern]) => pattern.test(term));
+        if (match) return match[1];
+    }
+    return null;
+};
+
+const normalizeIsbn = (value) => {
+    const candidate = value.trim().split(/\s/)[0].replace(/-/g, '').toUpperCase();
+    return /^(\d{9}[\dX]|\d{13})$/.test(candidate) ? candidate : null;
+};
+
+const publicationYear = (record) => {
+    // 008/07-10 (Date 1) is the most reliable; 264/260 $c is free text like "c2003." or "[2019]"
+    const fixed = record.fields.find(field => field.tag === '008')?.value?.slice(7, 11);
+    if (/^\d{4}$/.test(fixed ?? '')) return Number(fixed);
+    const imprints = [
+        ...dataFields(record, ['264']).filter(field => field.ind2 === '1'),
+        ...dataFields(record, ['260']),
+    ];
+    for (const field of imprints) {
+        const year = subfieldValues(field, 'c').join(' ').match(/(?<!\d)(\d{4})(?!\d)/);
+        if (year) return Number(year[1]);
+    }
+    return null;
+};
+
+/**
+ * Maps a record onto the fields the catalogue stores:
+ *   title        245 $a $b
+ *   isbn         first valid 020 $a
+ *   contributors 100/110/111 and 700/710/711 $a, with the role from $4 or $e (no relator means author)
+ *   genres       650 and 655 $a
+ *   published    008/07-10, else 264 (second indicator 1) or 260 $c; stored as 1 January of that year
+ *   description  520 $a $b
+ * @param {{ leader: string, fields: object[] }} record
+ * @returns {{ title: string, isbn: string|null, published_date: Date|null, description: string|null,
+ *   contributors: Array<{ name: string, role: string }>, genres: string[] }}
+ * @throws {Error} 'Cannot import record: ...' when the record has no title
+ */
+const marcRecordToBook = (record) => {
+    const titleField = dataFields(record, ['245'])[0];
+    const title = titleField ? trimPunctuation(subfieldValues(titleField, 'a').join(' ')) : '';
+    if (!title) throw new Error('Cannot import record: It has no title (245 $a).');
+    const subtitle = titleField ? trimPunctuation(subfieldValues(titleField, 'b').join(' ')) : '';
+
+    const isbn = dataFields(record, ['020'])
+        .flatMap(field => subfieldValues(field, 'a'))
+        .map(normalizeIsbn)
+        .find(Boolean) ?? null;
+
+    const contributors = [];
+    for (const field of dataFields(record, ['100', '110', '111', '700', '710', '711'])) {
+        const name = field.tag.endsWith('00') ? personalName(field) : trimPunctuation(subfieldValues(field, 'a')[0] ?? '');
+        const role = contributorRole(field);
+        if (name && role && !contributors.some(other => other.name === name && other.role === role)) {
+            contributors.push({ name, role });
+        }
+    }
+
+    const genres = [...new Set(dataFields(record, ['650', '655'])
+        .map(field => trimPunctuation(subfieldValues(field, 'a')[0] ?? ''))
+        .filter(Boolean))];
+
+    const year = publicationYear(record);
+    const description = dataFields(record, ['520'])
+        .map(field => [...subfieldValues(field, 'a'), ...subfieldValues(field, 'b')].join(' ').trim())
+        .filter(Boolean)
+        .join('\n\n');
+
+    return {
+        title: subtitle ? `${title}: ${subtitle}` : title,
+        isbn,
+        published_date: year ? new Date(Date.UTC(year, 0, 1)) : null,
+        description: description || null,
+        contributors,
+        genres,
+    };
+};
+
+module.exports = {
+    MARC_FORMATS,
+    detectMarcFormat,
+    parseMarcFile,
+    marcRecordToBook,
+};
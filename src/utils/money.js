@@ -0,0 +1,86 @@
+// src/utils/money.js
+// Money in API responses. Amounts are stored as bare decimals; the currency (ISO 4217) and the locale used to display
+// them come from the library. Fines, payments and checkout sessions copy the library's currency when created, and
+// the library's currency can't change while money is still owed, so they always match.
+
+const DEFAULT_CURRENCY = 'USD';
+const DEFAULT_LOCALE = 'en-US';
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * Normalises a currency code ('eur' -> 'EUR').
+ * @param {string} currency
+ * @returns {string|null} null when it isn't a currency Intl knows
+ */
+const normalizeCurrency = (currency) => {
+    if (typeof currency !== 'string') return null;
+    const code = currency.trim().toUpperCase();
+    return SUPPORTED_CURRENCIES.has(code) ? code : null;
+};
+
+/**
+ * Normalises a BCP 47 locale ('en-gb' -> 'en-GB').
+ * @param {string} locale
+ * @returns {string|null} null when it isn't a valid locale tag
+ */
+const normalizeLocale = (locale) => {
+    if (typeof locale !== 'string' || locale.trim() === '') return null;
+    try {
+        return Intl.getCanonicalLocales(locale.trim())[0];
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Builds the money object returned by the API.
+ * @param {number|string|object|null} amount - Number, string or Prisma Decimal
+ * @param {{ currency?: string, locale?: string }} [format] - Usually the library (or a fine carrying its currency)
+ * @returns {{ amount: number, currency: string, display: string }|null} null when amount is null
+ */
+const formatMoney = (amount, { currency, locale } = {}) => {
+    if (amount === null || amount === undefined) return null;
+    const value = Math.round(parseFloat(amount) * 100) / 100;
+    const code = currency || DEFAULT_CURRENCY;
+    return {
+        amount: value,
+        currency: code,
+        display: new Intl.NumberFormat(locale || DEFAULT_LOCALE, { style: 'currency', currency: code }).format(value),
+    };
+};
+
+/**
+ * Formats several amount fields of a record at once, e.g. for a `money` object next to the bare decimals.
+ * @param {object} record
+ * @param {string[]} fields - Fields of record to format; missing ones are skipped
+ * @param {{ currency?: string, locale?: string }} format
+ * @returns {object} field -> money object (or null)
+ */
+const formatMoneyFields = (record, fields, format) => Object.fromEntries(
+    fields.filter(field => record[field] !== undefined).map(field => [field, formatMoney(record[field], format)])
+);
+
+/**
+ * Throws when money in one currency is applied to something in another.
+ * @param {string|undefined} given - Currency sent by the client or provider; undefined means "the expected one"
+ * @param {string} expected - Currency of the fine or checkout session
+ * @param {string} action - e.g. 'pay fine', used in the message
+ * @throws {Error} 'Cannot <action>: ...' on a mismatch
+ */
+const assertCurrency = (given, expected, action) => {
+    if (given === undefined || given === null) return;
+    if (normalizeCurrency(given) !== expected) {
+        throw new Error(`Cannot ${action}: The amount is in ${given} but the fine is in ${expected}.`);
+    }
+};
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    DEFAULT_LOCALE,
+    normalizeCurrency,
+    normalizeLocale,
+    formatMoney,
+    formatMoneyFields,
+    assertCurrency,
+};
@@ -0,0 +1,114 @@
+// src/utils/paymentProvider.js
+// Online payment providers for fines. Each provider turns a PaymentSession into a hosted checkout and verifies the
+// webhooks it sends back. Providers implement:
+//   createCheckoutSession({ sessionId, amount, currency, description }) -> { providerSessionId, checkoutUrl, expiresAt }
+//   verifyWebhook(rawBody, headers) -> { id, type, providerSessionId, amount, currency, reference }
+//     amount and currency are null when the provider doesn't report them
+//     where type is one of WEBHOOK_EVENT_TYPES; throws 'Invalid webhook: ...' when the signature doesn't check out
+// PAYMENT_PROVIDER picks the provider for new checkouts (default 'fake'). A real provider registers itself in
+// `providers` under its name; webhooks are routed by that name, so sessions started with a provider can still
+// be confirmed after PAYMENT_PROVIDER changes.
+const crypto = require('crypto');
+
+const WEBHOOK_EVENT_TYPES = ['checkout.completed', 'checkout.failed', 'checkout.expired'];
+
+// Webhooks signed longer ago than this are rejected so a captured call can't be replayed later
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+const FAKE_CHECKOUT_TTL_MINUTES = 30;
+
+// PAYMENT_WEBHOOK_SECRET if set, otherwise a key derived from JWT_SECRET (the fake provider signs its own webhooks)
+const getFakeWebhookSecret = () => {
+    if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+    if (!process.env.JWT_SECRET) throw new Error('PAYMENT_WEBHOOK_SECRET or JWT_SECRET must be set to use the fake payment provider.');
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('fake-payment-webhook').digest('hex');
+};
+
+const signPayload = (timestamp, rawBody) =>
+    crypto.createHmac('sha256', getFakeWebhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+
+/**
+ * Local stand-in for a real provider, for development and tests. No money moves: a checkout "completes" when a
+ * webhook signed with signWebhook is posted to /api/v1/fines/webhooks/fake.
+ */
+const fakeProvider = {
+    name: 'fake',
+
+    async createCheckoutSession({ sessionId }) {
+        const providerSessionId = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+        return {
+            providerSessionId,
+            checkoutUrl: `https://payments.invalid/checkout/${providerSessionId}?ref=${sessionId}`,
+            expiresAt: new Date(Date.now() + FAKE_CHECKOUT_TTL_MINUTES * 60 * 1000),
+        };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        // Header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+        const header = headers['x-fake-signature'];
+        if (!rawBody || typeof header !== 'string') {
+            throw new Error('Invalid webhook: Missing body or X-Fake-Signature header.');
+        }
+        const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+        const timestamp = parseInt(parts.t, 10);
+        if (isNaN(timestamp) || !parts.v1) {
+            throw new Error('Invalid webhook: Malformed signature header.');
+        }
+        if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+            throw new Error('Invalid webhook: Signature timestamp is too old.');
+        }
+        const expected = Buffer.from(signPayload(timestamp, rawBody.toString('utf8')), 'hex');
+        const given = Buffer.from(parts.v1, 'hex');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new Error('Invalid webhook: Signature does not match.');
+        }
+
+        let event;
+        try {
+            event = JSON.parse(rawBody.toString('utf8'));
+        } catch {
+            throw new Error('Invalid webhook: Body is not JSON.');
+        }
+        if (!event.id || !WEBHOOK_EVENT_TYPES.includes(event.type) || !event.data?.session_id) {
+            throw new Error('Invalid webhook: Expected id, a checkout.* type and data.session_id.');
+        }
+        return {
+            id: event.id,
+            type: event.type,
+            providerSessionId: event.data.session_id,
+            amount: event.data.amount !== undefined ? parseFloat(event.data.amount) : null,
+            currency: event.data.currency ?? null,
+            reference: event.data.reference ?? event.id,
+        };
+    },
+
+    /**
+     * Builds a signed webhook as the fake provider would send it.
+     * @param {object} event - { id, type, data: { session_id, amount?, currency? } }
+     * @returns {{ body: string, headers: object }} Post `body` as-is with `headers`
+     */
+    signWebhook(event) {
+        const body = JSON.stringify(event);
+        const timestamp = Math.floor(Date.now() / 1000);
+        return {
+            body,
+            headers: { 'Content-Type': 'application/json', 'X-Fake-Signature': `t=${timestamp},v1=${signPayload(timestamp, body)}` },
+        };
+    },
+};
+
+const providers = {
+    [fakeProvider.name]: fakeProvider,
+};
+
+/**
+ * Looks up a provider by name, or the configured one (PAYMENT_PROVIDER, default 'fake').
+ * @param {string} [name]
+ * @returns {object|null} null when no provider has that name
+ */
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => (Object.hasOwn(providers, name) ? providers[name] : null);
+
+module.exports = {
+    WEBHOOK_EVENT_TYPES,
+    getPaymentProvider,
+};
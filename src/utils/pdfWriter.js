@@ -0,0 +1,83 @@
+// src/utils/pdfWriter.js
+// Minimal PDF writer for plain-text documents such as receipts: left-aligned lines in the standard Helvetica fonts,
+// A4 pages, no images. Enough for printing without pulling in a PDF library.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+// WinAnsi codes of the common characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+    '\u20ac': '\x80', // €
+    '\u2026': '\x85', // …
+    '\u2018': '\x91', '\u2019': '\x92', '\u201c': '\x93', '\u201d': '\x94', // quotes
+    '\u2022': '\x95', // •
+    '\u2013': '\x96', '\u2014': '\x97', // dashes
+};
+
+// Text is encoded as WinAnsi (Latin-1 plus the extras above); anything else is printed as '?'.
+// Thin and narrow spaces (used as group separators in some locales' money formats) become plain spaces.
+const encodeText = (text) => String(text)
+    .replace(/[\u2000-\u200a\u202f]/g, ' ')
+    .replace(/[\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026\u20ac]/g, match => WIN_ANSI_EXTRAS[match])
+    .replace(/[^\x20-\x7e\x80-\xff]/g, '?')
+    .replace(/[\\()]/g, match => `\\${match}`);
+
+/**
+ * Renders lines of text into a PDF, starting a new page when one is full.
+ * @param {Array<{ text: string, size?: number, bold?: boolean, gap?: number }>} lines - `gap` adds space above the line
+ * @param {object} [options]
+ * @param {string} [options.title] - Document title shown by PDF viewers
+ * @returns {Buffer}
+ */
+const renderTextPdf = (lines, { title } = {}) => {
+    // Lay lines out on pages
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+    for (const line of lines) {
+        const size = line.size ?? 10;
+        const advance = (line.gap ?? 0) + size * 1.4;
+        if (y - advance < MARGIN && pages[pages.length - 1].length > 0) {
+            pages.push([]);
+            y = PAGE_HEIGHT - MARGIN;
+        }
+        y -= advance;
+        pages[pages.length - 1].push({ ...line, size, y });
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+    const objects = [];
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${encodeText(title ?? '')}) /Producer (ShelfSpace) >>`;
+    pages.forEach((pageLines, index) => {
+        const pageId = pageIds[index];
+        const stream = pageLines
+            .map(line => `BT /${line.bold ? 'F2' : 'F1'} ${line.size} Tf ${MARGIN} ${line.y.toFixed(2)} Td (${encodeText(line.text)}) Tj ET`)
+            .join('\n');
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Body with byte offsets for the cross-reference table
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(body, 'latin1');
+        body += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xrefOffset = Buffer.byteLength(body, 'latin1');
+    body += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        body += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    body += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(body, 'latin1');
+};
+
+module.exports = { renderTextPdf };
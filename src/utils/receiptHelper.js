@@ -0,0 +1,301 @@
+// src/utils/receiptHelper.js
+// Printable receipts for checkouts, returns and fine payments. A receipt is issued inside the transaction that does
+// the work, numbered from the library's own counter (R-000001, R-000002, ...) and stored with a snapshot of what it
+// prints; it can be rendered as HTML or PDF and emailed to the member at any time afterwards.
+const { sendMailWithRetry } = require('./mailHandler');
+const { renderTextPdf } = require('./pdfWriter');
+const { fineBalance } = require('./fineLedger');
+const { formatMoney } = require('./money');
+
+const RECEIPT_TITLES = {
+    checkout: 'Checkout receipt',
+    return: 'Return receipt',
+    payment: 'Payment receipt',
+};
+
+const FINE_TYPE_LABELS = {
+    overdue: 'Overdue fine',
+    replacement: 'Replacement charge',
+    processing_fee: 'Processing fee',
+    damage: 'Damage charge',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+const formatDateTime = (date) => new Date(date).toLocaleString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+// Amounts in the library's currency and locale, as snapshotted on the receipt (older receipts have neither)
+const formatAmount = (amount, content) => (content.currency
+    ? formatMoney(amount, content).display
+    : parseFloat(amount).toFixed(2));
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Numbers and stores a receipt. The library row is locked while its counter is incremented, so numbers are sequential
+ * per library without gaps or duplicates.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} params
+ * @param {string} params.libraryId
+ * @param {string} params.userId - Member the receipt is for
+ * @param {'checkout'|'return'|'payment'} params.kind
+ * @param {Array<{ description: string, detail?: string, amount?: number }>} params.lines
+ * @param {number} [params.total]
+ * @param {string} [params.totalLabel]
+ * @param {string} [params.borrowId]
+ * @param {string} [params.paymentId]
+ * @param {string} [params.issuedBy] - Librarian at the desk
+ * @returns {Promise<object>} The receipt
+ */
+const issueReceipt = async (tx, { libraryId, userId, kind, lines, total, totalLabel, borrowId, paymentId, issuedBy }) => {
+    const [library, member] = await Promise.all([
+        tx.library.update({
+            where: { library_id: libraryId },
+            data: { next_receipt_number: { increment: 1 } },
+        }),
+        tx.user.findUniqueOrThrow({ where: { user_id: userId }, select: { name: true, email: true } }),
+    ]);
+    const sequence = library.next_receipt_number - 1;
+
+    return tx.receipt.create({
+        data: {
+            library_id: libraryId,
+            user_id: userId,
+            kind,
+            sequence,
+            receipt_number: `R-${String(sequence).padStart(6, '0')}`,
+            borrow_id: borrowId,
+            payment_id: paymentId,
+            issued_by: issuedBy,
+            content: {
+                title: RECEIPT_TITLES[kind],
+                library: {
+                    name: library.name,
+                    address_lines: [library.address, [library.city, library.state].filter(Boolean).join(', '), library.country].filter(Boolean),
+                    phone: library.phone,
+                    email: library.email,
+                    website: library.website,
+                    footer: library.receipt_footer,
+                },
+                member: { name: member.name, email: member.email },
+                currency: library.currency,
+                locale: library.locale,
+                lines,
+                total: total ?? null,
+                total_label: totalLabel ?? null,
+            },
+        }
+    });
+};
+
+// Title and barcode of the item on a loan
+const loadLoanItem = async (tx, transaction) => {
+    const [book, copy] = await Promise.all([
+        tx.book.findUnique({ where: { book_id: transaction.book_id }, select: { title: true } }),
+        transaction.copy_id
+            ? tx.bookCopy.findUnique({ where: { copy_id: transaction.copy_id }, select: { barcode: true } })
+            : null,
+    ]);
+    return { title: book?.title ?? 'Unknown title', barcode: copy?.barcode ?? null };
+};
+
+/**
+ * Issues the receipt for a loan that has gone out.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} transaction - Borrow transaction (needs borrow_id, user_id, book_id, copy_id, library_id, due_date)
+ * @param {object} [options] - { issuedBy }
+ * @returns {Promise<object>} The receipt
+ */
+const issueCheckoutReceipt = async (tx, transaction, { issuedBy } = {}) => {
+    const item = await loadLoanItem(tx, transaction);
+    return issueReceipt(tx, {
+        libraryId: transaction.library_id,
+        userId: transaction.user_id,
+        kind: 'checkout',
+        borrowId: transaction.borrow_id,
+        issuedBy,
+        lines: [{
+            description: item.title,
+            detail: [item.barcode && `Barcode ${item.barcode}`, `Due ${formatDate(transaction.due_date)}`].filter(Boolean).join(' - '),
+        }],
+    });
+};
+
+/**
+ * Issues the receipt for a returned loan, listing the fine charged on return, if any.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} transaction - The returned borrow transaction (needs borrow_id, user_id, book_id, copy_id, library_id, due_date, return_date)
+ * @param {object|null} fine - Fine generated on return
+ * @param {object} [options] - { issuedBy }
+ * @returns {Promise<object>} The receipt
+ */
+const issueReturnReceipt = async (tx, transaction, fine, { issuedBy } = {}) => {
+    const item = await loadLoanItem(tx, transaction);
+    const lines = [{
+        description: item.title,
+        detail: [
+            item.barcode && `Barcode ${item.barcode}`,
+            transaction.due_date && `Due ${formatDate(transaction.due_date)}`,
+            `Returned ${formatDate(transaction.return_date ?? new Date())}`,
+        ].filter(Boolean).join(' - '),
+    }];
+    if (fine) {
+        lines.push({ description: FINE_TYPE_LABELS[fine.fine_type] ?? 'Fine', detail: fine.reason ?? undefined, amount: parseFloat(fine.amount) });
+    }
+    return issueReceipt(tx, {
+        libraryId: transaction.library_id,
+        userId: transaction.user_id,
+        kind: 'return',
+        borrowId: transaction.borrow_id,
+        issuedBy,
+        lines,
+        total: fine ? fineBalance(fine) : undefined,
+        totalLabel: fine ? 'Amount owed' : undefined,
+    });
+};
+
+/**
+ * Issues the receipt for a payment on a fine.
+ * Must be called inside a Prisma interactive transaction.
+ * @param {object} tx - Prisma transaction client
+ * @param {object} payment - The ledger entry (kind 'payment')
+ * @param {object} fine - The fine after the payment
+ * @param {object} [options] - { issuedBy }
+ * @returns {Promise<object>} The receipt
+ */
+const issuePaymentReceipt = async (tx, payment, fine, { issuedBy } = {}) => {
+    const book = await tx.book.findUnique({ where: { book_id: fine.book_id }, select: { title: true } });
+    return issueReceipt(tx, {
+        libraryId: fine.library_id,
+        userId: fine.user_id,
+        kind: 'payment',
+        borrowId: fine.borrow_id,
+        paymentId: payment.payment_id,
+        issuedBy,
+        lines: [
+            {
+                description: `${FINE_TYPE_LABELS[fine.fine_type] ?? 'Fine'} - ${book?.title ?? 'Unknown title'}`,
+                detail: 'Charged',
+                amount: parseFloat(fine.amount),
+            },
+            {
+                description: 'Payment received',
+                detail: [payment.method && `Paid by ${payment.method}`, payment.reference && `Ref ${payment.reference}`].filter(Boolean).join(' - ') || undefined,
+                amount: parseFloat(payment.amount),
+            },
+            { description: 'Balance remaining', amount: fineBalance(fine) },
+        ],
+        total: parseFloat(payment.amount),
+        totalLabel: 'Amount paid',
+    });
+};
+
+/**
+ * Renders a receipt as a standalone HTML page, ready to print.
+ * @param {object} receipt
+ * @returns {string}
+ */
+const renderReceiptHtml = (receipt) => {
+    const { title, library, member, lines, total, total_label } = receipt.content;
+    const amount = (value) => escapeHtml(formatAmount(value, receipt.content));
+    const contact = [library.phone, library.email, library.website].filter(Boolean);
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} ${escapeHtml(receipt.receipt_number)}</title>
+<style>
+    body { font-family: Arial, sans-serif; max-width: 600px; margin: 24px auto; color: #222; }
+    header { border-bottom: 1px solid #ccc; padding-bottom: 12px; margin-bottom: 16px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 16px 0 8px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 6px 0; border-bottom: 1px solid #eee; vertical-align: top; }
+    td.amount { text-align: right; white-space: nowrap; }
+    .detail { color: #666; font-size: 12px; }
+    .total td { font-weight: bold; border-bottom: none; }
+    footer { margin-top: 24px; color: #666; font-size: 12px; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<header>
+    <h1>${escapeHtml(library.name)}</h1>
+    ${library.address_lines.map(line => `<div>${escapeHtml(line)}</div>`).join('\n    ')}
+    ${contact.length > 0 ? `<div>${contact.map(escapeHtml).join(' &middot; ')}</div>` : ''}
+</header>
+<h2>${escapeHtml(title)}</h2>
+<div>Receipt no. <strong>${escapeHtml(receipt.receipt_number)}</strong></div>
+<div>Issued ${escapeHtml(formatDateTime(receipt.created_at))}</div>
+<div>Member: ${escapeHtml(member.name)}</div>
+<table>
+    ${lines.map(line => `<tr><td>${escapeHtml(line.description)}${line.detail ? `<div class="detail">${escapeHtml(line.detail)}</div>` : ''}</td><td class="amount">${line.amount !== undefined && line.amount !== null ? amount(line.amount) : ''}</td></tr>`).join('\n    ')}
+    ${total !== null && total !== undefined ? `<tr class="total"><td>${escapeHtml(total_label)}</td><td class="amount">${amount(total)}</td></tr>` : ''}
+</table>
+${library.footer ? `<footer>${escapeHtml(library.footer)}</footer>` : ''}
+</body>
+</html>
+`;
+};
+
+/**
+ * Renders a receipt as a PDF.
+ * @param {object} receipt
+ * @returns {Buffer}
+ */
+const renderReceiptPdf = (receipt) => {
+    const { title, library, member, lines, total, total_label } = receipt.content;
+    const withAmount = (text, amount) => (amount !== undefined && amount !== null ? `${text}: ${formatAmount(amount, receipt.content)}` : text);
+    const pdfLines = [
+        { text: library.name, size: 16, bold: true },
+        ...library.address_lines.map(text => ({ text })),
+        ...[library.phone, library.email, library.website].filter(Boolean).map(text => ({ text })),
+        { text: title, size: 13, bold: true, gap: 14 },
+        { text: `Receipt no. ${receipt.receipt_number}` },
+        { text: `Issued ${formatDateTime(receipt.created_at)}` },
+        { text: `Member: ${member.name}` },
+        ...lines.flatMap((line, index) => [
+            { text: withAmount(line.description, line.amount), bold: true, gap: index === 0 ? 14 : 6 },
+            ...(line.detail ? [{ text: line.detail, size: 9 }] : []),
+        ]),
+        ...(total !== null && total !== undefined ? [{ text: withAmount(total_label, total), size: 12, bold: true, gap: 12 }] : []),
+        ...(library.footer ? [{ text: library.footer, size: 9, gap: 18 }] : []),
+    ];
+    return renderTextPdf(pdfLines, { title: `${title} ${receipt.receipt_number}` });
+};
+
+/**
+ * Emails a receipt to the member, as HTML with the PDF attached.
+ * @param {object} receipt
+ * @param {string} email - Address to send it to
+ * @returns {Promise<void>}
+ * @throws {Error} When sending fails after retries
+ */
+const sendReceiptEmail = async (receipt, email) => {
+    await sendMailWithRetry({
+        from: `"ShelfSpace" <${process.env.CUSTOM_EMAIL_ICLOUD}>`,
+        to: email,
+        subject: `${receipt.content.title} ${receipt.receipt_number} from ${receipt.content.library.name}`,
+        html: renderReceiptHtml(receipt),
+        attachments: [{
+            filename: `${receipt.receipt_number}.pdf`,
+            content: renderReceiptPdf(receipt),
+            contentType: 'application/pdf',
+        }],
+    });
+};
+
+module.exports = {
+    issueCheckoutReceipt,
+    issueReturnReceipt,
+    issuePaymentReceipt,
+    renderReceiptHtml,
+    renderReceiptPdf,
+    sendReceiptEmail,
+};
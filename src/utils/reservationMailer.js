@@ -0,0 +1,56 @@
+// src/utils/reservationMailer.js
+// Emails members about their holds. Sending never throws: a failed email is logged and the caller carries on,
+// since the reservation change it reports has already been committed.
+const { sendMailWithRetry } = require('./mailHandler');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const sendReservationMail = async (member, subject, paragraphs) => {
+    try {
+        await sendMailWithRetry({
+            from: `"ShelfSpace" <${process.env.CUSTOM_EMAIL_ICLOUD}>`,
+            to: member.email,
+            subject,
+            html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <p>Dear ${member.name},</p>
+                    ${paragraphs.map(text => `<p>${text}</p>`).join('\n                    ')}
+                    <p>Best regards,</p>
+                    <p>The ShelfSpace Team</p>
+                </div>
+            `
+        });
+        return true;
+    } catch (error) {
+        console.error(`Failed to send "${subject}" email to ${member.email}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Tells a member their hold lapsed because the copy wasn't picked up in time.
+ * @param {{ name: string, email: string }} member
+ * @param {{ title: string }} book
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendReservationExpiredEmail = (member, book) => sendReservationMail(member, 'Your reservation has expired', [
+    `Your reservation for <strong>${book.title}</strong> has expired because it was not picked up before the end of the pickup window.`,
+    'The copy has been passed on to the next member in line. You can place a new reservation in the app at any time.',
+]);
+
+/**
+ * Tells a member a copy is waiting for them on the hold shelf.
+ * @param {{ name: string, email: string }} member
+ * @param {{ title: string }} book
+ * @param {{ expires_at: Date }} reservation - The ready hold
+ * @returns {Promise<boolean>} Whether the email was sent
+ */
+const sendHoldReadyEmail = (member, book, reservation) => sendReservationMail(member, 'Your reserved book is ready for pickup', [
+    `A copy of <strong>${book.title}</strong> is waiting for you on the hold shelf.`,
+    `Please pick it up by <strong>${formatDate(reservation.expires_at)}</strong>, after which it goes to the next member in line.`,
+]);
+
+module.exports = {
+    sendReservationExpiredEmail,
+    sendHoldReadyEmail,
+};
@@ -0,0 +1,40 @@
+// tests/bookRelations.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveAuthorNames } = require('../src/utils/bookRelations');
+
+// Just the author queries resolveAuthorNames makes
+const createAuthors = (names) => {
+    const rows = names.map((name, index) => ({ author_id: `author-${index + 1}`, name }));
+    return {
+        rows,
+        author: {
+            findMany: async ({ where }) => rows.filter(row => where.name.in.some(name => name.toLowerCase() === row.name.toLowerCase())),
+            create: async ({ data }) => {
+                const row = { author_id: `author-${rows.length + 1}`, name: data.name };
+                rows.push(row);
+                return row;
+            },
+        },
+    };
+};
+
+test('a name listed under several roles resolves to one author for each of them', async () => {
+    const tx = createAuthors(['Ann']);
+
+    // MARC 100/700 fields: Ann as author and illustrator, then Bob
+    const idsByName = await resolveAuthorNames(tx, ['Ann', 'Ann ', 'Bob']);
+    const contributors = ['Ann', 'Ann ', 'Bob'].map(name => idsByName.get(name.trim().toLowerCase()));
+
+    assert.deepEqual(contributors, ['author-1', 'author-1', 'author-2']);
+    assert.deepEqual(tx.rows.map(row => row.name), ['Ann', 'Bob']);
+});
+
+test('names differing only in case resolve to the existing author', async () => {
+    const tx = createAuthors(['Ann Smith']);
+
+    const idsByName = await resolveAuthorNames(tx, ['ANN SMITH', 'ann smith']);
+
+    assert.equal(idsByName.get('ann smith'), 'author-1');
+    assert.equal(tx.rows.length, 1);
+});
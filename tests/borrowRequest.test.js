@@ -0,0 +1,101 @@
+// tests/borrowRequest.test.js
+// Borrow requests (user-001): a request holds a copy until a librarian approves it, or it is rejected or expires,
+// and the member's hold on the book stays open at its place in the queue until then.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, day } = require('./helpers/fakePrisma');
+const { calculateRequestExpiry, checkoutBook, releaseRequestedCopy } = require('../src/utils/circulationHelper');
+const { closeReservation, returnCopyToShelf } = require('../src/utils/holdQueueHelper');
+
+// One book with one copy on the hold shelf for member-1, and member-2 waiting behind them
+const createLibrary = () => createFakePrisma({
+    library: [{ library_id: 'lib-1', currency: 'USD', locale: 'en-US' }],
+    book: [{ book_id: 'book-1', library_id: 'lib-1' }],
+    bookCopy: [
+        { copy_id: 'copy-1', book_id: 'book-1', library_id: 'lib-1', barcode: 'B-1', status: 'on_hold_shelf', created_at: day(1) },
+        { copy_id: 'copy-2', book_id: 'book-1', library_id: 'lib-1', barcode: 'B-2', status: 'on_loan', created_at: day(2) },
+    ],
+    reservation: [
+        { reservation_id: 'hold-1', user_id: 'member-1', book_id: 'book-1', library_id: 'lib-1', status: 'ready', copy_id: 'copy-1', reserved_at: day(10), allocated_at: day(12), ready_at: day(12), expires_at: day(19), suspended_from: null, suspended_until: null },
+        { reservation_id: 'hold-2', user_id: 'member-2', book_id: 'book-1', library_id: 'lib-1', status: 'waiting', copy_id: null, reserved_at: day(11), allocated_at: null, ready_at: null, expires_at: null, suspended_from: null, suspended_until: null },
+    ],
+    user: ['member-1', 'member-2'].map(user_id => ({ user_id, library_id: 'lib-1', is_active: true, borrowed_book_ids: [], reserved_book_ids: ['book-1'] })),
+    policy: [{ library_id: 'lib-1', max_borrow_days: 14, max_books_per_user: 5, fine_per_day: '0.50', borrow_request_expiry_hours: 24, max_unpaid_fines_for_borrowing: null, max_overdue_items_for_borrowing: null }],
+    borrowTransaction: [],
+    fine: [],
+    borrowingBlockOverride: [],
+    libraryClosure: [],
+});
+
+const copyOf = (tx, copyId) => tx.bookCopy.rows.find(copy => copy.copy_id === copyId);
+const reservationOf = (tx, reservationId) => tx.reservation.rows.find(reservation => reservation.reservation_id === reservationId);
+const userOf = (tx, userId) => tx.user.rows.find(user => user.user_id === userId);
+
+test('a request takes the copy off the hold shelf but leaves the hold open at its place', async () => {
+    const tx = createLibrary();
+
+    const request = await checkoutBook(tx, { userId: 'member-1', bookId: 'book-1', isRequest: true });
+
+    assert.equal(request.status, 'requested');
+    assert.equal(request.copy_id, 'copy-1');
+    assert.equal(request.due_date, null);
+    assert.equal(request.request_expires_at.getTime(), request.borrow_date.getTime() + 24 * 60 * 60 * 1000);
+    assert.equal(copyOf(tx, 'copy-1').status, 'on_loan');
+    assert.equal(reservationOf(tx, 'hold-1').status, 'waiting');
+    assert.equal(reservationOf(tx, 'hold-1').copy_id, null);
+    assert.equal(reservationOf(tx, 'hold-1').reserved_at.getTime(), day(10).getTime());
+    assert.deepEqual(userOf(tx, 'member-1').borrowed_book_ids, ['book-1']);
+    assert.deepEqual(userOf(tx, 'member-1').reserved_book_ids, ['book-1']);
+});
+
+test('a rejected request gives the copy back to the member whose hold is first in line', async () => {
+    const tx = createLibrary();
+    const request = await checkoutBook(tx, { userId: 'member-1', bookId: 'book-1', isRequest: true });
+
+    const rejected = await releaseRequestedCopy(tx, request, 'rejected', { rejection_reason: 'Account under review' });
+
+    assert.equal(rejected.status, 'rejected');
+    assert.equal(rejected.request_expires_at, null);
+    assert.equal(copyOf(tx, 'copy-1').status, 'on_hold_shelf');
+    assert.equal(reservationOf(tx, 'hold-1').status, 'allocated');
+    assert.equal(reservationOf(tx, 'hold-1').copy_id, 'copy-1');
+    assert.equal(reservationOf(tx, 'hold-2').status, 'waiting');
+    assert.deepEqual(userOf(tx, 'member-1').borrowed_book_ids, []);
+});
+
+test('an expired request without a hold passes the copy to the next waiting hold', async () => {
+    const tx = createLibrary();
+    reservationOf(tx, 'hold-1').status = 'cancelled';
+    Object.assign(copyOf(tx, 'copy-1'), { status: 'available' });
+    const request = await checkoutBook(tx, { userId: 'member-1', bookId: 'book-1', isRequest: true });
+
+    const expired = await releaseRequestedCopy(tx, request, 'expired');
+
+    assert.equal(expired.status, 'expired');
+    assert.equal(reservationOf(tx, 'hold-2').status, 'allocated');
+    assert.equal(reservationOf(tx, 'hold-2').copy_id, 'copy-1');
+});
+
+test('approving the request closes the hold and passes on a copy it was given meanwhile', async () => {
+    const tx = createLibrary();
+    await checkoutBook(tx, { userId: 'member-1', bookId: 'book-1', isRequest: true });
+    // Another copy comes back while the request waits; member-1's hold is first in line for it
+    tx.bookCopy.rows.push({ copy_id: 'copy-3', book_id: 'book-1', library_id: 'lib-1', barcode: 'B-3', status: 'on_loan', created_at: day(3) });
+    await returnCopyToShelf(tx, { ...copyOf(tx, 'copy-3') });
+    assert.equal(reservationOf(tx, 'hold-1').copy_id, 'copy-3');
+
+    // What approveBorrowRequest does with the member's open hold
+    await closeReservation(tx, { ...reservationOf(tx, 'hold-1') }, 'picked_up');
+
+    assert.equal(reservationOf(tx, 'hold-1').status, 'picked_up');
+    assert.deepEqual(userOf(tx, 'member-1').reserved_book_ids, []);
+    assert.equal(reservationOf(tx, 'hold-2').status, 'allocated');
+    assert.equal(reservationOf(tx, 'hold-2').copy_id, 'copy-3');
+});
+
+test('requests expire after the policy window, or 48 hours without one', () => {
+    const requestedAt = day(5);
+    assert.equal(calculateRequestExpiry(requestedAt, { borrow_request_expiry_hours: 6 }).getTime(), requestedAt.getTime() + 6 * 60 * 60 * 1000);
+    assert.equal(calculateRequestExpiry(requestedAt, { borrow_request_expiry_hours: 0 }).getTime(), requestedAt.getTime() + 48 * 60 * 60 * 1000);
+    assert.equal(calculateRequestExpiry(requestedAt, null).getTime(), requestedAt.getTime() + 48 * 60 * 60 * 1000);
+});
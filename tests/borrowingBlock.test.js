@@ -0,0 +1,60 @@
+// tests/borrowingBlock.test.js
+// Borrowing blocks (user-012): members over the library's unpaid fine or overdue item threshold can't borrow, renew or
+// reserve there until they settle up or a librarian overrides the block.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+const { getBorrowingBlock } = require('../src/utils/borrowingBlockHelper');
+
+const past = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+const future = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+const policy = { max_unpaid_fines_for_borrowing: '10.00', max_overdue_items_for_borrowing: 0 };
+
+const createLibrary = ({ loans = [], fines = [], overrides = [] } = {}) => createFakePrisma({
+    library: [{ library_id: 'lib-1', currency: 'USD', locale: 'en-US' }, { library_id: 'lib-2', currency: 'USD', locale: 'en-US' }],
+    borrowTransaction: loans.map((loan, index) => ({ borrow_id: `loan-${index + 1}`, user_id: 'member-1', library_id: 'lib-1', status: 'borrowed', due_date: future, ...loan })),
+    fine: fines.map((fine, index) => ({ fine_id: `fine-${index + 1}`, user_id: 'member-1', library_id: 'lib-1', amount_paid: 0, is_paid: false, ...fine })),
+    fineNotice: [],
+    borrowingBlockOverride: overrides,
+});
+
+test('a member over the unpaid fine threshold is blocked', async () => {
+    const tx = createLibrary({ fines: [{ amount: 8 }, { amount: 6, amount_paid: 2 }] });
+
+    const block = await getBorrowingBlock(tx, 'member-1', 'lib-1', policy);
+
+    assert.equal(block.blocked, true);
+    assert.equal(block.unpaid_fines, 12);
+    assert.deepEqual(block.reasons.map(reason => reason.type), ['unpaid_fines']);
+});
+
+test('late loans count as overdue before the sweeper flags them, but only at the library being checked', async () => {
+    const tx = createLibrary({
+        loans: [
+            { due_date: past },
+            { library_id: 'lib-2', status: 'overdue', due_date: past },
+            { status: 'returned', due_date: past },
+        ],
+    });
+
+    const block = await getBorrowingBlock(tx, 'member-1', 'lib-1', policy);
+    assert.equal(block.overdue_items, 1);
+    assert.deepEqual(block.reasons.map(reason => reason.type), ['overdue_items']);
+
+    const otherLibrary = await getBorrowingBlock(tx, 'member-1', 'lib-2', { ...policy, max_overdue_items_for_borrowing: 1 });
+    assert.equal(otherLibrary.overdue_items, 1);
+    assert.equal(otherLibrary.blocked, false);
+});
+
+test('an override lifts the block until it expires, while still listing the reasons', async () => {
+    const loans = [{ due_date: past }];
+    const lifted = createLibrary({ loans, overrides: [{ override_id: 'override-1', user_id: 'member-1', library_id: 'lib-1', expires_at: future }] });
+    const expired = createLibrary({ loans, overrides: [{ override_id: 'override-1', user_id: 'member-1', library_id: 'lib-1', expires_at: past }] });
+
+    const block = await getBorrowingBlock(lifted, 'member-1', 'lib-1', policy);
+    assert.equal(block.blocked, false);
+    assert.equal(block.override.override_id, 'override-1');
+    assert.equal(block.reasons.length, 1);
+
+    assert.equal((await getBorrowingBlock(expired, 'member-1', 'lib-1', policy)).blocked, true);
+});
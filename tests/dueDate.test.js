@@ -0,0 +1,42 @@
+// tests/dueDate.test.js
+// Due dates (user-004) are the end of a calendar day on the server's clock. Runs west of UTC, where reading
+// 'YYYY-MM-DD' as UTC midnight would land on the previous day.
+process.env.TZ = 'America/Los_Angeles';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateDueDate, parseDueDate, resolveDueDate } = require('../src/utils/circulationHelper');
+
+test('a due date given as a day is the end of that day', () => {
+    const dueDate = parseDueDate('2026-03-15');
+
+    assert.equal(dueDate.getFullYear(), 2026);
+    assert.equal(dueDate.getMonth(), 2);
+    assert.equal(dueDate.getDate(), 15);
+    assert.equal(dueDate.getHours(), 23);
+    assert.equal(dueDate.getMinutes(), 59);
+});
+
+test('a due date given as a date-time is the end of its day', () => {
+    const dueDate = parseDueDate('2026-03-15T09:30:00-07:00');
+    assert.equal(dueDate.getDate(), 15);
+    assert.equal(dueDate.getHours(), 23);
+});
+
+test('anything that is not a real day is refused', () => {
+    assert.equal(parseDueDate('2026-02-30'), null);
+    assert.equal(parseDueDate('next week'), null);
+});
+
+test('a loan is due at the end of the day its loan period ends', () => {
+    const dueDate = calculateDueDate(new Date(2026, 2, 1, 10, 0), 14);
+    assert.equal(dueDate.getTime(), parseDueDate('2026-03-15').getTime());
+});
+
+test('the stored due date wins over one derived from the policy', () => {
+    const policy = { max_borrow_days: 14, renewal_period_days: 7 };
+    const stored = parseDueDate('2026-04-01');
+    assert.equal(resolveDueDate({ due_date: stored, borrow_date: new Date(2026, 2, 1) }, policy).getTime(), stored.getTime());
+    // Legacy loans without one: borrow date + loan period + renewals
+    assert.equal(resolveDueDate({ due_date: null, borrow_date: new Date(2026, 2, 1, 10, 0), renewal_count: 1 }, policy).getTime(), parseDueDate('2026-03-22').getTime());
+});
@@ -0,0 +1,64 @@
+// tests/dunning.test.js
+// Dunning (user-022): unpaid fines get the notices of their library's schedule in turn, each once; a 'block' notice
+// blocks borrowing at that library until the fine is settled.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, day } = require('./helpers/fakePrisma');
+const { dueStep, recordFineNotices, strongestAction } = require('../src/utils/dunningHelper');
+const { getBorrowingBlock } = require('../src/utils/borrowingBlockHelper');
+
+const steps = [
+    { step_id: 'step-7', library_id: 'lib-1', days_after: 7, action: 'reminder' },
+    { step_id: 'step-14', library_id: 'lib-1', days_after: 14, action: 'final_notice' },
+    { step_id: 'step-30', library_id: 'lib-1', days_after: 30, action: 'block' },
+];
+const policy = { max_unpaid_fines_for_borrowing: null, max_overdue_items_for_borrowing: null };
+
+const createLibrary = (fines) => createFakePrisma({
+    library: [{ library_id: 'lib-1', currency: 'USD', locale: 'en-US' }],
+    borrowTransaction: [],
+    fine: fines.map((fine, index) => ({ fine_id: `fine-${index + 1}`, user_id: 'member-1', library_id: 'lib-1', amount: 5, amount_paid: 0, is_paid: false, fine_date: day(1), ...fine })),
+    fineNotice: [],
+    borrowingBlockOverride: [],
+});
+
+test('a fine gets the latest step it has reached, once', () => {
+    const fine = { fine_date: day(1), notices: [] };
+
+    assert.equal(dueStep(steps, fine, day(7)), null);
+    assert.equal(dueStep(steps, fine, day(8)).step_id, 'step-7');
+    assert.equal(dueStep(steps, { ...fine, notices: [{ days_after: 7 }] }, day(10)), null);
+    assert.equal(dueStep(steps, { ...fine, notices: [{ days_after: 7 }] }, day(15)).step_id, 'step-14');
+
+    // Skipped steps aren't sent late: a fine first checked after 40 days only gets the block
+    assert.equal(dueStep(steps, fine, day(41)).step_id, 'step-30');
+    assert.equal(dueStep(steps, { ...fine, notices: [{ days_after: 30 }] }, day(60)), null);
+});
+
+test('one email covering several fines is sent as the strongest action', () => {
+    assert.equal(strongestAction([{ action: 'reminder' }, { action: 'block' }, { action: 'final_notice' }]), 'block');
+    assert.equal(strongestAction([{ action: 'reminder' }, { action: 'final_notice' }]), 'final_notice');
+});
+
+test('fines paid or waived meanwhile get no notice', async () => {
+    const tx = createLibrary([{}, { is_paid: true, amount_paid: 5 }, { amount: 0 }]);
+    const due = tx.fine.rows.map(fine => ({ fineId: fine.fine_id, step: steps[1] }));
+
+    const { notices, fines } = await recordFineNotices(tx, { userId: 'member-1', libraryId: 'lib-1', due });
+
+    assert.deepEqual(fines.map(fine => fine.fine_id), ['fine-1']);
+    assert.deepEqual(notices.map(notice => [notice.fine_id, notice.step_id, notice.days_after, notice.action]), [['fine-1', 'step-14', 14, 'final_notice']]);
+});
+
+test('a block notice blocks borrowing until the fine is settled', async () => {
+    const tx = createLibrary([{}]);
+    await recordFineNotices(tx, { userId: 'member-1', libraryId: 'lib-1', due: [{ fineId: 'fine-1', step: steps[2] }] });
+
+    const block = await getBorrowingBlock(tx, 'member-1', 'lib-1', policy);
+    assert.equal(block.blocked, true);
+    assert.equal(block.dunning_blocked_fines, 1);
+    assert.deepEqual(block.reasons.map(reason => reason.type), ['dunning']);
+
+    Object.assign(tx.fine.rows[0], { amount_paid: 5, is_paid: true });
+    assert.equal((await getBorrowingBlock(tx, 'member-1', 'lib-1', policy)).blocked, false);
+});
@@ -0,0 +1,46 @@
+// tests/fineCaps.test.js
+// Grace periods and fine caps (user-011): late days within the grace period are free, an overdue fine stops growing at
+// the per-loan and per-member caps, and replacement charges stop at the policy's ceiling.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+const { calculateReplacementCost, syncOverdueFine } = require('../src/utils/circulationHelper');
+
+const loan = { borrow_id: 'loan-1', user_id: 'member-1', book_id: 'book-1', library_id: 'lib-1' };
+const policy = { fine_per_day: '0.50', grace_period_days: 0, max_fine_per_loan: null, max_outstanding_fines_per_member: null, replacement_cost_ceiling: null };
+
+const createLibrary = (fines = []) => createFakePrisma({
+    library: [{ library_id: 'lib-1', currency: 'USD' }],
+    fine: fines,
+    payment: [],
+    fineAdjustment: [],
+});
+
+test('the grace period is free and the fine stops at the per-loan cap', async () => {
+    const tx = createLibrary();
+    const cappedPolicy = { ...policy, grace_period_days: 2, max_fine_per_loan: '3.00' };
+
+    assert.equal(await syncOverdueFine(tx, loan, 2, cappedPolicy, 'Overdue by 2 day(s).'), null);
+    assert.equal((await syncOverdueFine(tx, loan, 4, cappedPolicy, 'Overdue by 4 day(s).')).amount, 1);
+    assert.equal((await syncOverdueFine(tx, loan, 30, cappedPolicy, 'Overdue by 30 day(s).')).amount, 3);
+});
+
+test('the fine stops growing once the member owes the per-member cap, but is never lowered by it', async () => {
+    const tx = createLibrary([
+        { fine_id: 'fine-0', borrow_id: 'loan-0', fine_type: 'overdue', user_id: 'member-1', library_id: 'lib-1', amount: 4, amount_paid: 0, is_paid: false },
+    ]);
+    const cappedPolicy = { ...policy, max_outstanding_fines_per_member: '5.00' };
+
+    assert.equal((await syncOverdueFine(tx, loan, 10, cappedPolicy, 'Overdue by 10 day(s).')).amount, 1);
+
+    // Another fine charged since doesn't take back what this loan already owes
+    tx.fine.rows.push({ fine_id: 'fine-2', borrow_id: 'loan-2', fine_type: 'damage', user_id: 'member-1', library_id: 'lib-1', amount: 2, amount_paid: 0, is_paid: false });
+    assert.equal((await syncOverdueFine(tx, loan, 12, cappedPolicy, 'Overdue by 12 day(s).')).amount, 1);
+});
+
+test('replacement charges stop at the ceiling; books without a price cost nothing', () => {
+    assert.equal(calculateReplacementCost({ price: '40.00' }, policy), 40);
+    assert.equal(calculateReplacementCost({ price: '40.00' }, { ...policy, replacement_cost_ceiling: '25.00' }), 25);
+    assert.equal(calculateReplacementCost({ price: '12.00' }, { ...policy, replacement_cost_ceiling: '25.00' }), 12);
+    assert.equal(calculateReplacementCost({ price: null }, { ...policy, replacement_cost_ceiling: '25.00' }), 0);
+});
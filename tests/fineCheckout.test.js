@@ -0,0 +1,93 @@
+// tests/fineCheckout.test.js
+// Online fine payments (user-020): the provider's webhook pays the checkout's fines once per provider event, and money
+// that can't be applied is kept on the checkout as refund_due until a librarian gives it back.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, day } = require('./helpers/fakePrisma');
+const { applyCheckoutEvent, isDuplicateWebhookEvent, settleCheckoutRefund } = require('../src/utils/fineCheckout');
+
+const createLibrary = ({ session = {}, fines = [] } = {}) => createFakePrisma({
+    library: [{ library_id: 'lib-1', name: 'Central', currency: 'USD', locale: 'en-US', next_receipt_number: 1 }],
+    user: [{ user_id: 'member-1', name: 'Ada', email: 'ada@example.com' }],
+    book: [],
+    fine: [
+        { fine_id: 'fine-1', borrow_id: 'loan-1', user_id: 'member-1', library_id: 'lib-1', currency: 'USD', amount: 6, amount_paid: 0, refunded_amount: null, is_paid: false, fine_date: day(1) },
+        { fine_id: 'fine-2', borrow_id: 'loan-2', user_id: 'member-1', library_id: 'lib-1', currency: 'USD', amount: 4, amount_paid: 0, refunded_amount: null, is_paid: false, fine_date: day(2) },
+        ...fines,
+    ],
+    payment: [],
+    paymentSession: [{
+        session_id: 'session-1', user_id: 'member-1', library_id: 'lib-1', provider: 'fake', provider_session_id: 'fake_cs_1',
+        status: 'pending', fine_ids: ['fine-1', 'fine-2'], amount: '10.00', currency: 'USD', refund_due: null, refund_settled_at: null,
+        ...session,
+    }],
+    paymentWebhookEvent: [],
+    receipt: [],
+});
+
+const completed = (overrides = {}) => ({ id: 'evt_1', type: 'checkout.completed', providerSessionId: 'fake_cs_1', amount: 10, currency: 'USD', reference: 'fake_pi_1', ...overrides });
+
+test('a completed checkout pays its fines once; a repeated delivery is recognised as a duplicate', async () => {
+    const tx = createLibrary();
+
+    const { session, result } = await applyCheckoutEvent(tx, 'fake', completed());
+    assert.equal(result, 'paid 2 fine(s)');
+    assert.equal(session.status, 'paid');
+    assert.deepEqual(tx.fine.rows.map(fine => [fine.amount_paid, fine.is_paid]), [[6, true], [4, true]]);
+    assert.equal(tx.paymentWebhookEvent.rows[0].result, 'paid 2 fine(s)');
+    assert.deepEqual(tx.receipt.rows.map(receipt => [receipt.kind, receipt.receipt_number, receipt.issued_by]), [['payment', 'R-000001', undefined], ['payment', 'R-000002', undefined]]);
+
+    const duplicate = await applyCheckoutEvent(tx, 'fake', completed()).catch(error => error);
+    assert.equal(isDuplicateWebhookEvent(duplicate), true);
+    assert.equal(tx.payment.rows.length, 2);
+    assert.equal(tx.receipt.rows.length, 2);
+
+    // A different event for the settled checkout is recorded but changes nothing
+    const late = await applyCheckoutEvent(tx, 'fake', { id: 'evt_2', type: 'checkout.failed', providerSessionId: 'fake_cs_1' });
+    assert.equal(late.result, 'ignored: checkout is no longer pending');
+    assert.equal(tx.paymentSession.rows[0].status, 'paid');
+});
+
+test('only a unique violation on the provider event id counts as a duplicate', () => {
+    assert.equal(isDuplicateWebhookEvent({ code: 'P2002', meta: { target: 'payment_webhook_events_provider_provider_event_id_key' } }), true);
+    assert.equal(isDuplicateWebhookEvent({ code: 'P2002', meta: { target: ['payment_id'] } }), false);
+    assert.equal(isDuplicateWebhookEvent({ code: 'P2002', meta: { target: ['provider', 'provider_event_id', 'type'] } }), false);
+    assert.equal(isDuplicateWebhookEvent({ code: 'P2025', meta: { target: ['provider', 'provider_event_id'] } }), false);
+});
+
+test('money a lapsed checkout can no longer apply is kept as a refund due', async () => {
+    // fine-1 was paid at the desk after the checkout lapsed on our side
+    const tx = createLibrary({ session: { status: 'expired' } });
+    Object.assign(tx.fine.rows[0], { amount_paid: 6, is_paid: true });
+
+    const { session, result } = await applyCheckoutEvent(tx, 'fake', completed());
+
+    assert.equal(result, 'paid 1 fine(s); 6.00 could not be applied and should be refunded');
+    assert.equal(session.status, 'paid');
+    assert.equal(session.refund_due, 6);
+    assert.equal(tx.fine.rows[1].is_paid, true);
+});
+
+test('a payment of the wrong amount pays nothing and is due back in full', async () => {
+    const tx = createLibrary();
+
+    const { session } = await applyCheckoutEvent(tx, 'fake', completed({ amount: 7.5 }));
+
+    assert.equal(session.status, 'failed');
+    assert.match(session.failure_reason, /7\.50 paid instead of 10\.00/);
+    assert.equal(session.refund_due, 7.5);
+    assert.equal(tx.payment.rows.length, 0);
+});
+
+test('a refund due is settled once', async () => {
+    const tx = createLibrary({ session: { status: 'failed', refund_due: '7.50' } });
+
+    const session = await settleCheckoutRefund(tx, tx.paymentSession.rows[0], { reference: 'fake_re_1', settledBy: 'librarian-1' });
+    assert.ok(session.refund_settled_at instanceof Date);
+    assert.equal(session.refund_settled_by, 'librarian-1');
+    assert.equal(session.refund_reference, 'fake_re_1');
+
+    await assert.rejects(settleCheckoutRefund(tx, session, { settledBy: 'librarian-2' }), /already given back/);
+    const nothingDue = createLibrary();
+    await assert.rejects(settleCheckoutRefund(nothingDue, nothingDue.paymentSession.rows[0], { settledBy: 'librarian-1' }), /Nothing is due back/);
+});
@@ -0,0 +1,96 @@
+// tests/fineLedger.test.js
+// Fine payment ledger (user-018): the totals on a fine are derived from its Payment rows.
+//   amount_paid = payments - reversals, refunded_amount = refunds, balance = amount - amount_paid
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+const { fineBalance, getOutstandingBalance, recordPayment, recordRefund, reversePayment } = require('../src/utils/fineLedger');
+
+const createLibrary = () => {
+    const tx = createFakePrisma({
+        library: [{ library_id: 'lib-1', currency: 'USD', locale: 'en-US' }],
+        fine: [
+            { fine_id: 'fine-1', borrow_id: 'loan-1', user_id: 'member-1', library_id: 'lib-1', currency: 'USD', amount: 10, amount_paid: 0, refunded_amount: null, is_paid: false },
+            { fine_id: 'fine-2', borrow_id: 'loan-2', user_id: 'member-1', library_id: 'lib-1', currency: 'USD', amount: 4, amount_paid: 0, refunded_amount: null, is_paid: false },
+        ],
+        payment: [],
+    });
+    // reversePayment reads the payment with its fine and the reversal that cancelled it, if any
+    const findPayment = tx.payment.findUniqueOrThrow;
+    tx.payment.findUniqueOrThrow = async (args) => {
+        const payment = await findPayment(args);
+        return {
+            ...payment,
+            fine: { ...tx.fine.rows.find(fine => fine.fine_id === payment.fine_id) },
+            reversed_by: tx.payment.rows.find(entry => entry.reverses_payment_id === payment.payment_id) ?? null,
+        };
+    };
+    return tx;
+};
+
+const fineOf = (tx, fineId) => ({ ...tx.fine.rows.find(fine => fine.fine_id === fineId) });
+
+test('partial payments add up until the fine is paid; nothing more can be paid after that', async () => {
+    const tx = createLibrary();
+
+    await recordPayment(tx, fineOf(tx, 'fine-1'), { amount: 3.3, method: 'cash' });
+    const { fine } = await recordPayment(tx, fineOf(tx, 'fine-1'), { method: 'card' });
+
+    assert.equal(tx.payment.rows[1].amount, 6.7);
+    assert.equal(fine.amount_paid, 10);
+    assert.equal(fine.is_paid, true);
+    assert.equal(fineBalance(fine), 0);
+    await assert.rejects(recordPayment(tx, fine, { amount: 1, method: 'cash' }), /already been paid/);
+});
+
+test('a payment can be no more than the balance, in the fine\'s currency', async () => {
+    const tx = createLibrary();
+
+    await assert.rejects(recordPayment(tx, fineOf(tx, 'fine-1'), { amount: 10.01, method: 'cash' }), /more than the 10.00/);
+    await assert.rejects(recordPayment(tx, fineOf(tx, 'fine-1'), { amount: 5, currency: 'EUR', method: 'cash' }), /in EUR but the fine is in USD/);
+    await assert.rejects(recordPayment(tx, fineOf(tx, 'fine-1'), { amount: 5, method: 'cheque' }), /method must be one of/);
+    assert.equal(tx.payment.rows.length, 0);
+});
+
+test('a refund is tracked on its own and doesn\'t reopen the fine', async () => {
+    const tx = createLibrary();
+    await recordPayment(tx, fineOf(tx, 'fine-1'), { method: 'cash' });
+
+    const { fine } = await recordRefund(tx, fineOf(tx, 'fine-1'), { amount: 4, note: 'Charged twice' });
+
+    assert.equal(fine.amount_paid, 10);
+    assert.equal(fine.refunded_amount, 4);
+    assert.ok(fine.refunded_at instanceof Date);
+    assert.equal(fine.is_paid, true);
+
+    // Only what hasn't been given back yet can be refunded
+    await assert.rejects(recordRefund(tx, fine, { amount: 6.5 }), /more than the 6.00/);
+    const { fine: fullyRefunded } = await recordRefund(tx, fine, {});
+    assert.equal(fullyRefunded.refunded_amount, 10);
+    await assert.rejects(recordRefund(tx, fullyRefunded, {}), /Nothing is left to refund/);
+});
+
+test('a reversal reopens the amount, once, and not for money already refunded', async () => {
+    const tx = createLibrary();
+    const { payment: first } = await recordPayment(tx, fineOf(tx, 'fine-1'), { amount: 6, method: 'card' });
+    const { payment: second } = await recordPayment(tx, fineOf(tx, 'fine-1'), { amount: 4, method: 'cash' });
+
+    const { fine } = await reversePayment(tx, second.payment_id, { note: 'Recorded on the wrong fine' });
+    assert.equal(fine.amount_paid, 6);
+    assert.equal(fine.is_paid, false);
+    assert.equal(fineBalance(fine), 4);
+    await assert.rejects(reversePayment(tx, second.payment_id, { note: 'Again' }), /already been reversed/);
+
+    await recordRefund(tx, fineOf(tx, 'fine-1'), { amount: 1 });
+    await assert.rejects(reversePayment(tx, first.payment_id, { note: 'Card bounced' }), /already been refunded/);
+    const refund = tx.payment.rows.find(entry => entry.kind === 'refund');
+    await assert.rejects(reversePayment(tx, refund.payment_id, { note: 'Mistake' }), /Only payments can be reversed/);
+});
+
+test('the outstanding balance is what is still owed on unpaid fines', async () => {
+    const tx = createLibrary();
+    await recordPayment(tx, fineOf(tx, 'fine-1'), { amount: 2.5, method: 'cash' });
+    await recordPayment(tx, fineOf(tx, 'fine-2'), { method: 'cash' });
+
+    assert.equal(await getOutstandingBalance(tx, 'member-1', 'lib-1'), 7.5);
+});
@@ -0,0 +1,201 @@
+// tests/helpers/fakePrisma.js
+// A small in-memory stand-in for the Prisma transaction client, covering only the queries the circulation, hold queue
+// and fine helpers make, so their rules can be tested without a database. Rows are plain objects; Decimal columns can
+// be given as numbers or strings. select/include are ignored (whole rows are returned).
+const { randomUUID } = require('node:crypto');
+
+// Primary key of each model, used when creating rows
+const ID_FIELDS = {
+    book: 'book_id',
+    bookCopy: 'copy_id',
+    borrowTransaction: 'borrow_id',
+    fine: 'fine_id',
+    fineAdjustment: 'adjustment_id',
+    fineNotice: 'notice_id',
+    payment: 'payment_id',
+    paymentSession: 'session_id',
+    paymentWebhookEvent: 'event_id',
+    receipt: 'receipt_id',
+    receiptCounter: 'counter_id',
+    reservation: 'reservation_id',
+    user: 'user_id',
+};
+
+// Column defaults of the models whose rows the helpers create and read back
+const DEFAULTS = {
+    fine: { fine_type: 'overdue', original_amount: null, waived_amount: 0, currency: 'USD', is_paid: false, amount_paid: 0, refunded_amount: null, refunded_at: null },
+    payment: { currency: 'USD', method: null, reference: null, note: null, collected_by: null, reverses_payment_id: null, session_id: null },
+};
+
+// Unique keys enforced on create, as the database would: model -> [[field, ...], ...]
+const UNIQUE_KEYS = {
+    paymentWebhookEvent: [['provider', 'provider_event_id']],
+};
+
+// List relations used in where clauses: model -> field -> [related model, foreign key, key on this model]
+const RELATIONS = {
+    fine: {
+        payments: ['payment', 'fine_id', 'fine_id'],
+        adjustments: ['fineAdjustment', 'fine_id', 'fine_id'],
+        notices: ['fineNotice', 'fine_id', 'fine_id'],
+    },
+};
+
+const OPERATORS = ['equals', 'in', 'notIn', 'not', 'lt', 'lte', 'gt', 'gte', 'has', 'some', 'none', 'every'];
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+const same = (a, b) => String(a ?? null) === String(b ?? null);
+const compare = (a, b) => (a instanceof Date || b instanceof Date) ? new Date(a) - new Date(b) : Number(a) - Number(b);
+
+const createFakePrisma = (tables = {}) => {
+    const tx = {};
+
+    const relatedRows = (model, row, field) => {
+        const [relatedModel, foreignKey, key] = RELATIONS[model]?.[field] ?? [];
+        if (!relatedModel) return row[field] ?? [];
+        return (tx[relatedModel]?.rows ?? []).filter(related => same(related[foreignKey], row[key]));
+    };
+
+    const matches = (model, row, where = {}) => Object.entries(where).every(([field, condition]) => {
+        if (condition === undefined) return true;
+        if (field === 'OR') return condition.some(option => matches(model, row, option));
+        if (field === 'AND') return [].concat(condition).every(option => matches(model, row, option));
+        if (field === 'NOT') return [].concat(condition).every(option => !matches(model, row, option));
+        if (!isPlainObject(condition)) return same(row[field], condition);
+        // Compound unique keys, e.g. { borrow_id_fine_type: { borrow_id, fine_type } }
+        if (!(field in row) && !RELATIONS[model]?.[field] && !Object.keys(condition).some(key => OPERATORS.includes(key))) {
+            return matches(model, row, condition);
+        }
+        const value = row[field];
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case 'equals': return same(value, operand);
+                case 'in': return operand.some(option => same(value, option));
+                case 'notIn': return !operand.some(option => same(value, option));
+                case 'not': return isPlainObject(operand) ? !matches(model, row, { [field]: operand }) : !same(value, operand);
+                case 'lt': return value !== null && value !== undefined && compare(value, operand) < 0;
+                case 'lte': return value !== null && value !== undefined && compare(value, operand) <= 0;
+                case 'gt': return value !== null && value !== undefined && compare(value, operand) > 0;
+                case 'gte': return value !== null && value !== undefined && compare(value, operand) >= 0;
+                case 'has': return (value ?? []).some(item => same(item, operand));
+                case 'some': return relatedRows(model, row, field).some(item => matches(null, item, operand));
+                case 'none': return !relatedRows(model, row, field).some(item => matches(null, item, operand));
+                case 'every': return relatedRows(model, row, field).every(item => matches(null, item, operand));
+                default: throw new Error(`Unsupported operator ${operator}`);
+            }
+        });
+    });
+
+    const sortRows = (rows, orderBy) => {
+        if (!orderBy) return rows;
+        const [[field, direction]] = Object.entries([].concat(orderBy)[0]);
+        return [...rows].sort((a, b) => compare(a[field], b[field]) * (direction === 'desc' ? -1 : 1));
+    };
+
+    const applyData = (row, data) => {
+        for (const [field, value] of Object.entries(data)) {
+            if (value === undefined) continue;
+            if (isPlainObject(value) && 'push' in value) row[field] = [...(row[field] ?? []), ...[].concat(value.push)];
+            else if (isPlainObject(value) && 'increment' in value) row[field] = Number(row[field] ?? 0) + value.increment;
+            else if (isPlainObject(value) && 'decrement' in value) row[field] = Number(row[field] ?? 0) - value.decrement;
+            else if (isPlainObject(value) && 'set' in value) row[field] = value.set;
+            else row[field] = value;
+        }
+        return row;
+    };
+
+    const fakeModel = (model, rows) => {
+        const filter = (where) => rows.filter(row => matches(model, row, where));
+        const notFound = () => Object.assign(new Error('Record not found'), { code: 'P2025', meta: { modelName: model } });
+        const create = (data) => {
+            const row = applyData({ [ID_FIELDS[model] ?? 'id']: randomUUID(), created_at: new Date(), ...DEFAULTS[model] }, data);
+            const violated = (UNIQUE_KEYS[model] ?? []).find(key => rows.some(other => key.every(field => same(other[field], row[field]))));
+            if (violated) {
+                throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002', meta: { modelName: model, target: violated } });
+            }
+            rows.push(row);
+            return { ...row };
+        };
+        const sums = (matched, fields = {}) => Object.fromEntries(Object.keys(fields).map(field => [
+            field, matched.length ? matched.reduce((sum, row) => sum + Number(row[field] ?? 0), 0) : null,
+        ]));
+        return {
+            rows,
+            findFirst: async ({ where, orderBy } = {}) => {
+                const row = sortRows(filter(where), orderBy)[0];
+                return row ? { ...row } : null;
+            },
+            findFirstOrThrow: async ({ where, orderBy } = {}) => {
+                const row = sortRows(filter(where), orderBy)[0];
+                if (!row) throw notFound();
+                return { ...row };
+            },
+            findMany: async ({ where, orderBy, take } = {}) => sortRows(filter(where), orderBy).slice(0, take).map(row => ({ ...row })),
+            findUnique: async ({ where }) => {
+                const row = filter(where)[0];
+                return row ? { ...row } : null;
+            },
+            findUniqueOrThrow: async ({ where }) => {
+                const row = filter(where)[0];
+                if (!row) throw notFound();
+                return { ...row };
+            },
+            count: async ({ where } = {}) => filter(where).length,
+            create: async ({ data }) => create(data),
+            createMany: async ({ data }) => {
+                data.forEach(create);
+                return { count: data.length };
+            },
+            update: async ({ where, data }) => {
+                const row = filter(where)[0];
+                if (!row) throw notFound();
+                return { ...applyData(row, data) };
+            },
+            updateMany: async ({ where, data }) => {
+                const matched = filter(where);
+                matched.forEach(row => applyData(row, data));
+                return { count: matched.length };
+            },
+            upsert: async ({ where, create: createData, update }) => {
+                const row = filter(where)[0];
+                return row ? { ...applyData(row, update) } : create(createData);
+            },
+            delete: async ({ where }) => {
+                const row = filter(where)[0];
+                if (!row) throw notFound();
+                rows.splice(rows.indexOf(row), 1);
+                return { ...row };
+            },
+            deleteMany: async ({ where } = {}) => {
+                const matched = filter(where);
+                matched.forEach(row => rows.splice(rows.indexOf(row), 1));
+                return { count: matched.length };
+            },
+            aggregate: async ({ where, _sum, _count }) => {
+                const matched = filter(where);
+                return { _sum: sums(matched, _sum), ...(_count && { _count: { _all: matched.length } }) };
+            },
+            groupBy: async ({ by, where, _sum, _count }) => {
+                const groups = new Map();
+                for (const row of filter(where)) {
+                    const key = JSON.stringify(by.map(field => row[field]));
+                    groups.set(key, [...(groups.get(key) ?? []), row]);
+                }
+                return [...groups.values()].map(matched => ({
+                    ...Object.fromEntries(by.map(field => [field, matched[0][field]])),
+                    ...(_sum && { _sum: sums(matched, _sum) }),
+                    ...(_count && { _count: { _all: matched.length } }),
+                }));
+            },
+        };
+    };
+
+    for (const [model, rows] of Object.entries(tables)) {
+        tx[model] = fakeModel(model, rows);
+    }
+    return tx;
+};
+
+// Midnight UTC on day `n` of January 2026
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+module.exports = { createFakePrisma, day };
@@ -0,0 +1,124 @@
+// tests/holdQueue.test.js
+// Hold queue behaviour when a copy is returned damaged. Runs against the in-memory Prisma stand-in, so no database is
+// needed: npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, day } = require('./helpers/fakePrisma');
+const { checkinBook } = require('../src/utils/circulationHelper');
+const { removeCopyFromCirculation, returnCopyToShelf } = require('../src/utils/holdQueueHelper');
+const { setCopyStatus } = require('../src/utils/inventoryHelper');
+
+// One book at one library, with the given copies, waiting holds and loans
+const createLibrary = ({ copies, reservations = [], loans = [] }) => {
+    const tx = createFakePrisma({
+        book: [{ book_id: 'book-1', library_id: 'lib-1' }],
+        bookCopy: copies.map((copy, index) => ({ book_id: 'book-1', library_id: 'lib-1', barcode: `B-${index + 1}`, created_at: day(index + 1), ...copy })),
+        reservation: reservations.map((reservation, index) => ({
+            book_id: 'book-1', library_id: 'lib-1', copy_id: null, reserved_at: day(10 + index),
+            allocated_at: null, ready_at: null, expires_at: null, suspended_from: null, suspended_until: null, ...reservation,
+        })),
+        borrowTransaction: loans.map(loan => ({ book_id: 'book-1', library_id: 'lib-1', status: 'borrowed', borrow_date: day(1), due_date: new Date(Date.now() + 86400000), renewal_count: 0, ...loan })),
+        user: ['member-1', 'member-3'].map(user_id => ({ user_id, library_id: 'lib-1', borrowed_book_ids: ['book-1'] })),
+        policy: [{ library_id: 'lib-1', max_borrow_days: 14, fine_per_day: '0.50', grace_period_days: 0 }],
+        libraryClosure: [],
+        interLibraryLoan: [],
+    });
+    // checkinBook reads the loan with its member, book and inter-library loan
+    const findLoan = tx.borrowTransaction.findUniqueOrThrow;
+    tx.borrowTransaction.findUniqueOrThrow = async (args) => {
+        const loan = await findLoan(args);
+        return { ...loan, user: tx.user.rows.find(user => user.user_id === loan.user_id), book: tx.book.rows[0], inter_library_loan: null };
+    };
+    return tx;
+};
+
+const copyOf = (tx, copyId) => tx.bookCopy.rows.find(copy => copy.copy_id === copyId);
+const reservationOf = (tx, reservationId) => tx.reservation.rows.find(reservation => reservation.reservation_id === reservationId);
+
+test('a copy returned to the shelf goes to the waiting hold', async () => {
+    const tx = createLibrary({
+        copies: [{ copy_id: 'copy-1', status: 'on_loan' }],
+        reservations: [{ reservation_id: 'hold-1', user_id: 'member-2', status: 'waiting' }],
+        loans: [{ borrow_id: 'loan-1', user_id: 'member-1', copy_id: 'copy-1' }],
+    });
+
+    const { holdReady } = await checkinBook(tx, 'loan-1', { requestingUserId: 'librarian-1', requestingUserRole: 'librarian' });
+
+    assert.equal(holdReady.reservation_id, 'hold-1');
+    assert.equal(copyOf(tx, 'copy-1').status, 'on_hold_shelf');
+});
+
+test('a copy returned damaged never reaches the waiting hold', async () => {
+    const tx = createLibrary({
+        copies: [{ copy_id: 'copy-1', status: 'on_loan' }],
+        reservations: [{ reservation_id: 'hold-1', user_id: 'member-2', status: 'waiting' }],
+        loans: [{ borrow_id: 'loan-1', user_id: 'member-1', copy_id: 'copy-1' }],
+    });
+
+    const { transaction, holdReady } = await checkinBook(tx, 'loan-1', { requestingUserId: 'librarian-1', requestingUserRole: 'librarian', shelve: false });
+    assert.equal(transaction.status, 'returned');
+    assert.equal(holdReady, null);
+    assert.equal(copyOf(tx, 'copy-1').status, 'on_loan');
+
+    const { requeuedHold } = await removeCopyFromCirculation(tx, { copy_id: 'copy-1', book_id: 'book-1', status: 'on_loan' }, 'in_repair');
+
+    assert.equal(requeuedHold, null);
+    assert.equal(copyOf(tx, 'copy-1').status, 'in_repair');
+    assert.equal(reservationOf(tx, 'hold-1').status, 'waiting');
+    assert.equal(reservationOf(tx, 'hold-1').copy_id, null);
+    assert.equal(tx.book.rows[0].available_copies, 0);
+    assert.equal(tx.book.rows[0].reserved_copies, 0);
+});
+
+test('a damaged copy on the hold shelf is replaced by another copy for the hold', async () => {
+    const tx = createLibrary({
+        copies: [{ copy_id: 'copy-1', status: 'on_loan' }, { copy_id: 'copy-2', status: 'on_loan' }],
+        reservations: [{ reservation_id: 'hold-1', user_id: 'member-2', status: 'waiting' }],
+        loans: [{ borrow_id: 'loan-1', user_id: 'member-1', copy_id: 'copy-1' }, { borrow_id: 'loan-2', user_id: 'member-3', copy_id: 'copy-2' }],
+    });
+    // The damage is only noticed after the returned copy went to the hold; the next copy back went on the shelf
+    await checkinBook(tx, 'loan-1', { requestingUserId: 'librarian-1', requestingUserRole: 'librarian' });
+    await checkinBook(tx, 'loan-2', { requestingUserId: 'librarian-1', requestingUserRole: 'librarian' });
+    assert.equal(reservationOf(tx, 'hold-1').copy_id, 'copy-1');
+    assert.equal(copyOf(tx, 'copy-2').status, 'available');
+
+    const { requeuedHold } = await removeCopyFromCirculation(tx, { ...copyOf(tx, 'copy-1') }, 'withdrawn');
+
+    assert.equal(copyOf(tx, 'copy-1').status, 'withdrawn');
+    assert.equal(requeuedHold.status, 'allocated');
+    assert.equal(requeuedHold.copy_id, 'copy-2');
+    assert.equal(copyOf(tx, 'copy-2').status, 'on_hold_shelf');
+});
+
+test('a ready hold whose copy is damaged goes back to waiting at its place in the queue', async () => {
+    const tx = createLibrary({
+        copies: [{ copy_id: 'copy-1', status: 'on_hold_shelf' }],
+        reservations: [
+            { reservation_id: 'hold-1', user_id: 'member-2', status: 'ready', copy_id: 'copy-1', allocated_at: new Date(), ready_at: new Date(), expires_at: new Date() },
+            { reservation_id: 'hold-2', user_id: 'member-3', status: 'waiting' },
+        ],
+    });
+    const reservedAt = reservationOf(tx, 'hold-1').reserved_at;
+
+    const { requeuedHold } = await removeCopyFromCirculation(tx, { ...copyOf(tx, 'copy-1') }, 'in_repair');
+
+    assert.equal(requeuedHold.status, 'waiting');
+    assert.equal(requeuedHold.copy_id, null);
+    assert.equal(requeuedHold.expires_at, null);
+    assert.equal(requeuedHold.reserved_at, reservedAt);
+    assert.equal(copyOf(tx, 'copy-1').status, 'in_repair');
+
+    // The next copy back goes to it, not to the hold behind it
+    tx.bookCopy.rows.push({ copy_id: 'copy-2', book_id: 'book-1', library_id: 'lib-1', barcode: 'B-2', status: 'on_loan', created_at: new Date() });
+    const nextHold = await returnCopyToShelf(tx, { copy_id: 'copy-2', book_id: 'book-1' });
+    assert.equal(nextHold.reservation_id, 'hold-1');
+});
+
+test('a copy taken by another request since it was read is not moved', async () => {
+    const tx = createLibrary({ copies: [{ copy_id: 'copy-1', status: 'available' }] });
+    const staleCopy = { ...copyOf(tx, 'copy-1') };
+    await setCopyStatus(tx, staleCopy, 'on_loan');
+
+    await assert.rejects(setCopyStatus(tx, staleCopy, 'on_hold_shelf'), /changed by another request/);
+    assert.equal(copyOf(tx, 'copy-1').status, 'on_loan');
+});
@@ -0,0 +1,87 @@
+// tests/lostAndFound.test.js
+// Lost and found items (user-007): a lost item is charged its replacement cost (up to the policy's ceiling) plus the
+// processing fee; when it turns up the replacement charge is cancelled and anything paid on it refunded, without
+// deleting the fine or touching the librarian's waiver limit.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+const { cancelReplacementCharge, chargeReplacement } = require('../src/utils/circulationHelper');
+const { adjustFine, getWaivedThisMonth, recordPayment } = require('../src/utils/fineLedger');
+
+const loan = { borrow_id: 'loan-1', user_id: 'member-1', book_id: 'book-1', library_id: 'lib-1' };
+const policy = { replacement_cost_ceiling: '25.00', lost_item_processing_fee: '5.00' };
+
+const createLibrary = () => createFakePrisma({
+    library: [{ library_id: 'lib-1', currency: 'USD', locale: 'en-US' }],
+    fine: [],
+    payment: [],
+    fineAdjustment: [],
+});
+
+const chargeLostBook = async (tx, book = { price: '40.00' }) => {
+    const fines = await chargeReplacement(tx, loan, book, policy, '"Dune" reported lost.');
+    return fines.find(fine => fine.fine_type === 'replacement');
+};
+
+test('a lost item is charged its price up to the ceiling, plus the processing fee', async () => {
+    const tx = createLibrary();
+
+    const fines = await chargeReplacement(tx, loan, { price: '40.00' }, policy, '"Dune" reported lost.');
+
+    assert.deepEqual(fines.map(fine => [fine.fine_type, fine.amount]), [['replacement', 25], ['processing_fee', 5]]);
+    assert.equal(fines[0].reason, 'Replacement cost: "Dune" reported lost.');
+
+    // Without a price only the fee is charged
+    const unpriced = createLibrary();
+    assert.deepEqual((await chargeReplacement(unpriced, loan, { price: null }, policy, 'Lost.')).map(fine => fine.fine_type), ['processing_fee']);
+});
+
+test('finding the item cancels an unpaid replacement charge but keeps the fine and its history', async () => {
+    const tx = createLibrary();
+    const replacementFine = await chargeLostBook(tx);
+
+    const fine = await cancelReplacementCharge(tx, replacementFine, 'librarian-1');
+
+    assert.equal(tx.fine.rows.length, 2);
+    assert.equal(fine.amount, 0);
+    assert.equal(fine.original_amount, 25);
+    assert.equal(fine.is_paid, true);
+    assert.equal(tx.payment.rows.length, 0);
+    const [adjustment] = tx.fineAdjustment.rows;
+    assert.equal(adjustment.kind, 'cancellation');
+    assert.equal(adjustment.previous_amount, 25);
+    assert.equal(adjustment.new_amount, 0);
+    assert.equal(adjustment.reason, 'Lost item was found');
+});
+
+test('what was paid on the replacement charge is refunded and the rest is no longer owed', async () => {
+    const tx = createLibrary();
+    const replacementFine = await chargeLostBook(tx);
+    const { fine: partlyPaid } = await recordPayment(tx, replacementFine, { amount: 10, method: 'cash' });
+
+    const fine = await cancelReplacementCharge(tx, partlyPaid, 'librarian-1');
+
+    assert.equal(fine.amount, 10);
+    assert.equal(fine.amount_paid, 10);
+    assert.equal(fine.refunded_amount, 10);
+    assert.equal(fine.is_paid, true);
+    assert.deepEqual(tx.payment.rows.map(entry => [entry.kind, entry.amount, entry.note]), [['payment', 10, null], ['refund', 10, 'Lost item was found']]);
+
+    // A fully paid charge is only refunded
+    const paidInFull = createLibrary();
+    const { fine: paid } = await recordPayment(paidInFull, await chargeLostBook(paidInFull), { method: 'card' });
+    const refunded = await cancelReplacementCharge(paidInFull, paid, 'librarian-1');
+    assert.equal(refunded.refunded_amount, 25);
+    assert.equal(paidInFull.fineAdjustment.rows.length, 0);
+});
+
+test('cancellations don\'t count towards the librarian\'s waiver limit or the waived total', async () => {
+    const tx = createLibrary();
+    const fine = await cancelReplacementCharge(tx, await chargeLostBook(tx), 'librarian-1');
+    assert.equal(fine.waived_amount, 0);
+    assert.equal(await getWaivedThisMonth(tx, 'librarian-1', 'lib-1'), 0);
+
+    const processingFee = { ...tx.fine.rows.find(row => row.fine_type === 'processing_fee') };
+    await adjustFine(tx, processingFee, { kind: 'waiver', reason: 'First time', adjustedBy: 'librarian-1', waiverLimit: '5.00' });
+    assert.equal(await getWaivedThisMonth(tx, 'librarian-1', 'lib-1'), 5);
+});
@@ -0,0 +1,112 @@
+// tests/marcParser.test.js
+// MARC import (user-025): binary MARC 21 and MARCXML files are split into records, a bad record doesn't stop the rest,
+// and each record maps onto a book's title, ISBN, contributors, genres, year and description.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectMarcFormat, marcRecordToBook, parseMarcFile } = require('../src/utils/marcParser');
+
+// Builds an ISO 2709 record; data fields are [tag, indicators, [[code, value], ...]], control fields [tag, value]
+const binaryRecord = (fields, { encoding = 'a' } = {}) => {
+    const data = fields.map(([tag, indicatorsOrValue, subfields]) => Buffer.from(`${subfields
+        ? indicatorsOrValue + subfields.map(([code, value]) => `\x1f${code}${value}`).join('')
+        : indicatorsOrValue}\x1e`, 'utf8'));
+    let start = 0;
+    const directory = fields.map(([tag], index) => {
+        const entry = `${tag}${String(data[index].length).padStart(4, '0')}${String(start).padStart(5, '0')}`;
+        start += data[index].length;
+        return entry;
+    }).join('');
+    const baseAddress = 24 + directory.length + 1;
+    const length = baseAddress + start + 1;
+    const leader = `${String(length).padStart(5, '0')}nam ${encoding}22${String(baseAddress).padStart(5, '0')}   4500`;
+    return Buffer.concat([Buffer.from(`${leader}${directory}\x1e`, 'latin1'), ...data, Buffer.from([0x1d])]);
+};
+
+const hobbit = [
+    ['001', 'ocm00001'],
+    ['008', '850101s1937    enk           000 1 eng d'],
+    ['020', '  ', [['a', '978-0-261-10221-7 (pbk.)']]],
+    ['100', '1 ', [['a', 'Tolkien, J. R. R.,'], ['e', 'author.']]],
+    ['245', '14', [['a', 'The hobbit :'], ['b', 'or there and back again /']]],
+    ['520', '  ', [['a', 'Bilbo goes on an adventure.']]],
+    ['650', ' 0', [['a', 'Fantasy fiction.']]],
+    ['655', ' 7', [['a', 'Fantasy fiction.']]],
+    ['700', '1 ', [['a', 'Lee, Alan,'], ['4', 'ill']]],
+    ['700', '1 ', [['a', 'Inglis, Rob,'], ['e', 'narrator.']]],
+];
+
+test('a binary record maps onto the book fields', () => {
+    const [entry] = parseMarcFile(binaryRecord(hobbit), 'marc21');
+
+    assert.deepEqual(marcRecordToBook(entry.record), {
+        title: 'The hobbit: or there and back again',
+        isbn: '9780261102217',
+        published_date: new Date(Date.UTC(1937, 0, 1)),
+        description: 'Bilbo goes on an adventure.',
+        contributors: [{ name: 'J. R. R. Tolkien', role: 'author' }, { name: 'Alan Lee', role: 'illustrator' }],
+        genres: ['Fantasy fiction'],
+    });
+});
+
+test('a bad record is reported without stopping the rest of the file', () => {
+    const utf8 = binaryRecord([['245', '00', [['a', 'Ærø :'], ['b', 'en rejsebog']]]]);
+    const marc8 = binaryRecord([['245', '00', [['a', 'Ærø']]]], { encoding: ' ' });
+    const file = Buffer.concat([utf8, Buffer.from('\n'), marc8, Buffer.from('00000nam'), Buffer.from([0x1d])]);
+
+    const entries = parseMarcFile(file, 'marc21');
+
+    assert.equal(entries.length, 3);
+    assert.equal(marcRecordToBook(entries[0].record).title, 'Ærø: en rejsebog');
+    assert.match(entries[1].error, /MARC-8 encoded/);
+    assert.match(entries[2].error, /shorter than its leader/);
+    assert.throws(() => parseMarcFile(Buffer.from('not marc'), 'marc21'), /no readable records/);
+});
+
+test('MARCXML records with a namespace prefix are read; a bad one is reported', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<marc:collection xmlns:marc="http://www.loc.gov/MARC21/slim">
+  <marc:record>
+    <marc:leader>00000nam a2200000 a 4500</marc:leader>
+    <marc:datafield tag="245" ind1="0" ind2="0"><marc:subfield code="a">Pride &amp; prejudice /</marc:subfield></marc:datafield>
+    <marc:datafield tag="260" ind1=" " ind2=" "><marc:subfield code="c">c1813.</marc:subfield></marc:datafield>
+    <marc:datafield tag="700" ind1="1" ind2=" "><marc:subfield code="a">Tanner, Tony,</marc:subfield><marc:subfield code="e">ed.</marc:subfield></marc:datafield>
+  </marc:record>
+  <marc:record><marc:datafield tag="24" ind1="0" ind2="0"><marc:subfield code="a">Bad tag</marc:subfield></marc:datafield></marc:record>
+</marc:collection>`;
+
+    const entries = parseMarcFile(Buffer.from(xml), 'marcxml');
+
+    const book = marcRecordToBook(entries[0].record);
+    assert.equal(book.title, 'Pride & prejudice');
+    assert.deepEqual(book.published_date, new Date(Date.UTC(1813, 0, 1)));
+    assert.deepEqual(book.contributors, [{ name: 'Tony Tanner', role: 'editor' }]);
+    assert.match(entries[1].error, /invalid tag/);
+    assert.throws(() => parseMarcFile(Buffer.from('<collection/>'), 'marcxml'), /no <record> elements/);
+});
+
+test('a record without a title can\'t be imported; invalid ISBNs are skipped', () => {
+    assert.throws(() => marcRecordToBook({ leader: '', fields: [] }), /Cannot import record: It has no title/);
+
+    const book = marcRecordToBook({
+        leader: '',
+        fields: [
+            { tag: '020', ind1: ' ', ind2: ' ', subfields: [{ code: 'a', value: '12345' }, { code: 'a', value: '0-261-10221-X' }] },
+            { tag: '245', ind1: '0', ind2: '0', subfields: [{ code: 'a', value: 'Untitled draft' }] },
+        ],
+    });
+    assert.equal(book.isbn, '026110221X');
+    assert.equal(book.published_date, null);
+    assert.deepEqual(book.contributors, []);
+});
+
+test('the upload format comes from the query, then the content type, then the first byte', () => {
+    const xml = Buffer.from('  <?xml version="1.0"?><collection/>');
+    const binary = binaryRecord(hobbit);
+
+    assert.equal(detectMarcFormat('marcxml', 'application/marc', binary), 'marcxml');
+    assert.equal(detectMarcFormat('mods', undefined, binary), null);
+    assert.equal(detectMarcFormat(undefined, 'application/marcxml+xml', binary), 'marcxml');
+    assert.equal(detectMarcFormat(undefined, 'application/marc', xml), 'marc21');
+    assert.equal(detectMarcFormat(undefined, 'application/octet-stream', xml), 'marcxml');
+    assert.equal(detectMarcFormat(undefined, 'application/octet-stream', binary), 'marc21');
+});
@@ -0,0 +1,63 @@
+// tests/overdueFines.test.js
+// Running overdue fines (user-002): the sweeper and returnBook both count the days late with calculateOverdueDays and
+// keep one overdue fine per loan in step with syncOverdueFine, so a fine is recomputed rather than added to.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma } = require('./helpers/fakePrisma');
+const { calculateOverdueDays, syncOverdueFine } = require('../src/utils/circulationHelper');
+
+const loan = { borrow_id: 'loan-1', user_id: 'member-1', book_id: 'book-1', library_id: 'lib-1' };
+const policy = { fine_per_day: '0.50', grace_period_days: 0, max_fine_per_loan: null, max_outstanding_fines_per_member: null };
+
+const createLibrary = () => createFakePrisma({
+    library: [{ library_id: 'lib-1', currency: 'USD' }],
+    fine: [],
+    payment: [],
+    fineAdjustment: [],
+});
+
+test('days late are counted from the end of the due date, any part of a day counting as a day', () => {
+    const dueDate = new Date(2026, 0, 10, 23, 59, 59, 999);
+    assert.equal(calculateOverdueDays(dueDate, new Date(2026, 0, 10, 20, 0)), 0);
+    assert.equal(calculateOverdueDays(dueDate, new Date(2026, 0, 11, 9, 0)), 1);
+    assert.equal(calculateOverdueDays(dueDate, new Date(2026, 0, 13, 9, 0)), 3);
+    assert.equal(calculateOverdueDays(null, new Date()), 0);
+});
+
+test('each sweep recomputes the one running fine from the days late', async () => {
+    const tx = createLibrary();
+
+    await syncOverdueFine(tx, loan, 3, policy, 'Overdue by 3 day(s).');
+    await syncOverdueFine(tx, loan, 3, policy, 'Overdue by 3 day(s).');
+    const fine = await syncOverdueFine(tx, loan, 5, policy, 'Overdue by 5 day(s).');
+
+    assert.equal(tx.fine.rows.length, 1);
+    assert.equal(fine.amount, 2.5);
+    assert.equal(fine.reason, 'Overdue by 5 day(s).');
+    assert.equal(fine.is_paid, false);
+});
+
+test('a fine paid while the book is still out is reopened for the new days', async () => {
+    const tx = createLibrary();
+    await syncOverdueFine(tx, loan, 3, policy, 'Overdue by 3 day(s).');
+    Object.assign(tx.fine.rows[0], { amount_paid: 1.5, is_paid: true });
+
+    const fine = await syncOverdueFine(tx, loan, 4, policy, 'Overdue by 4 day(s).');
+
+    assert.equal(fine.amount, 2);
+    assert.equal(fine.is_paid, false);
+});
+
+test('a fine nothing was paid on goes away when the loan is no longer chargeable; a paid one stays', async () => {
+    const tx = createLibrary();
+    await syncOverdueFine(tx, loan, 3, policy, 'Overdue by 3 day(s).');
+    assert.equal(await syncOverdueFine(tx, loan, 0, policy, 'Overdue by 0 day(s).'), null);
+    assert.equal(tx.fine.rows.length, 0);
+
+    await syncOverdueFine(tx, loan, 3, policy, 'Overdue by 3 day(s).');
+    const [fine] = tx.fine.rows;
+    Object.assign(fine, { amount_paid: 1.5, is_paid: true });
+    tx.payment.rows.push({ payment_id: 'payment-1', fine_id: fine.fine_id, kind: 'payment', amount: 1.5 });
+    await syncOverdueFine(tx, loan, 0, policy, 'Overdue by 0 day(s).');
+    assert.equal(tx.fine.rows.length, 1);
+});
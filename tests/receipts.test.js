@@ -0,0 +1,71 @@
+// tests/receipts.test.js
+// Receipts (user-021): each library numbers its receipts R-000001, R-000002, ... without gaps, and a receipt keeps a
+// snapshot of what it prints.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, day } = require('./helpers/fakePrisma');
+const { issueCheckoutReceipt, issuePaymentReceipt, issueReturnReceipt, renderReceiptHtml } = require('../src/utils/receiptHelper');
+
+const loan = { borrow_id: 'loan-1', user_id: 'member-1', book_id: 'book-1', copy_id: 'copy-1', library_id: 'lib-1', due_date: day(15), return_date: day(20) };
+
+const createLibraries = () => createFakePrisma({
+    library: [
+        { library_id: 'lib-1', name: 'Central', address: '1 Main St', city: 'Springfield', state: 'IL', country: 'USA', phone: '555-0100', receipt_footer: 'Open 9-5', currency: 'USD', locale: 'en-US', next_receipt_number: 1 },
+        { library_id: 'lib-2', name: 'Branch', currency: 'USD', locale: 'en-US', next_receipt_number: 41 },
+    ],
+    user: [{ user_id: 'member-1', name: 'Ada <Lovelace>', email: 'ada@example.com' }],
+    book: [{ book_id: 'book-1', title: 'Dune' }],
+    bookCopy: [{ copy_id: 'copy-1', barcode: 'B0001' }],
+    receipt: [],
+});
+
+test('receipts are numbered per library, in order and without gaps', async () => {
+    const tx = createLibraries();
+
+    const first = await issueCheckoutReceipt(tx, loan, { issuedBy: 'librarian-1' });
+    const second = await issueReturnReceipt(tx, loan, null);
+    const otherLibrary = await issueCheckoutReceipt(tx, { ...loan, library_id: 'lib-2' });
+
+    assert.deepEqual([first.sequence, first.receipt_number], [1, 'R-000001']);
+    assert.deepEqual([second.sequence, second.receipt_number], [2, 'R-000002']);
+    assert.deepEqual([otherLibrary.sequence, otherLibrary.receipt_number], [41, 'R-000041']);
+    assert.equal(tx.library.rows[0].next_receipt_number, 3);
+    assert.equal(first.issued_by, 'librarian-1');
+    assert.equal(second.issued_by, undefined);
+});
+
+test('a receipt keeps a snapshot of the library, member and item', async () => {
+    const tx = createLibraries();
+
+    const receipt = await issueCheckoutReceipt(tx, loan);
+    tx.library.rows[0].name = 'Renamed';
+
+    assert.equal(receipt.content.title, 'Checkout receipt');
+    assert.equal(receipt.content.library.name, 'Central');
+    assert.deepEqual(receipt.content.library.address_lines, ['1 Main St', 'Springfield, IL', 'USA']);
+    assert.equal(receipt.content.lines[0].description, 'Dune');
+    assert.match(receipt.content.lines[0].detail, /^Barcode B0001 - Due /);
+});
+
+test('return and payment receipts list the fine and what is still owed', async () => {
+    const tx = createLibraries();
+    const fine = { fine_id: 'fine-1', borrow_id: 'loan-1', user_id: 'member-1', book_id: 'book-1', library_id: 'lib-1', fine_type: 'overdue', reason: 'Overdue by 5 day(s).', amount: '2.50', amount_paid: 1 };
+
+    const returned = await issueReturnReceipt(tx, loan, { ...fine, amount_paid: 0 });
+    assert.deepEqual(returned.content.lines[1], { description: 'Overdue fine', detail: 'Overdue by 5 day(s).', amount: 2.5 });
+    assert.deepEqual([returned.content.total, returned.content.total_label], [2.5, 'Amount owed']);
+
+    const paid = await issuePaymentReceipt(tx, { payment_id: 'payment-1', amount: '1.00', method: 'cash', reference: null }, fine);
+    assert.equal(paid.payment_id, 'payment-1');
+    assert.deepEqual(paid.content.lines.map(line => line.amount), [2.5, 1, 1.5]);
+    assert.equal(paid.receipt_number, 'R-000002');
+});
+
+test('receipt HTML escapes what it prints', async () => {
+    const tx = createLibraries();
+    const html = renderReceiptHtml(await issueCheckoutReceipt(tx, loan));
+
+    assert.match(html, /Ada &lt;Lovelace&gt;/);
+    assert.match(html, /R-000001/);
+    assert.match(html, /Open 9-5/);
+});
@@ -0,0 +1,69 @@
+// tests/renewal.test.js
+// Loan renewals (user-003): the due date moves out by the policy's renewal period, up to max_renewals times, unless
+// the loan is overdue or someone else is waiting for the book.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakePrisma, day } = require('./helpers/fakePrisma');
+const { calculateDueDate, renewLoan } = require('../src/utils/circulationHelper');
+
+const inDays = (days) => calculateDueDate(new Date(), days);
+
+const createLibrary = ({ loan = {}, policy = {}, reservations = [] } = {}) => createFakePrisma({
+    library: [{ library_id: 'lib-1', currency: 'USD' }],
+    borrowTransaction: [{ borrow_id: 'loan-1', user_id: 'member-1', book_id: 'book-1', library_id: 'lib-1', status: 'borrowed', borrow_date: new Date(), due_date: inDays(3), renewal_count: 0, ...loan }],
+    policy: [{ library_id: 'lib-1', max_borrow_days: 14, max_renewals: 2, renewal_period_days: 7, max_unpaid_fines_for_borrowing: null, max_overdue_items_for_borrowing: null, ...policy }],
+    reservation: reservations.map((reservation, index) => ({ book_id: 'book-1', library_id: 'lib-1', reserved_at: day(index + 1), suspended_from: null, suspended_until: null, ...reservation })),
+    fine: [],
+    borrowingBlockOverride: [],
+    libraryClosure: [],
+});
+
+const member = { requestingUserId: 'member-1', requestingUserRole: 'member' };
+
+test('a renewal moves the due date out by the renewal period', async () => {
+    const tx = createLibrary();
+    const dueDate = tx.borrowTransaction.rows[0].due_date;
+
+    const renewed = await renewLoan(tx, 'loan-1', member);
+
+    assert.equal(renewed.due_date.getTime(), calculateDueDate(dueDate, 7).getTime());
+    assert.equal(renewed.renewal_count, 1);
+    assert.equal(renewed.renewals_remaining, 1);
+    assert.ok(renewed.last_renewed_at instanceof Date);
+});
+
+test('without a renewal period a renewal adds another loan period', async () => {
+    const tx = createLibrary({ policy: { renewal_period_days: null } });
+    const dueDate = tx.borrowTransaction.rows[0].due_date;
+
+    const renewed = await renewLoan(tx, 'loan-1', member);
+
+    assert.equal(renewed.due_date.getTime(), calculateDueDate(dueDate, 14).getTime());
+});
+
+test('renewals stop at the policy limit', async () => {
+    const tx = createLibrary();
+    await renewLoan(tx, 'loan-1', member);
+    await renewLoan(tx, 'loan-1', member);
+
+    await assert.rejects(renewLoan(tx, 'loan-1', member), /Renewal limit of 2 reached/);
+    assert.equal(tx.borrowTransaction.rows[0].renewal_count, 2);
+});
+
+test('overdue loans and books another member is waiting for are not renewed', async () => {
+    const overdue = createLibrary({ loan: { due_date: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) } });
+    await assert.rejects(renewLoan(overdue, 'loan-1', member), /The loan is overdue/);
+
+    const waitedFor = createLibrary({ reservations: [{ reservation_id: 'hold-1', user_id: 'member-2', status: 'waiting' }] });
+    await assert.rejects(renewLoan(waitedFor, 'loan-1', member), /Another member has reserved this book/);
+
+    // The member's own hold, or one that was already served, doesn't count
+    const ownHold = createLibrary({ reservations: [{ reservation_id: 'hold-1', user_id: 'member-1', status: 'waiting' }, { reservation_id: 'hold-2', user_id: 'member-2', status: 'picked_up' }] });
+    assert.equal((await renewLoan(ownHold, 'loan-1', member)).renewal_count, 1);
+});
+
+test('members can only renew their own loans', async () => {
+    const tx = createLibrary();
+    await assert.rejects(renewLoan(tx, 'loan-1', { requestingUserId: 'member-2', requestingUserRole: 'member' }), /Forbidden/);
+    assert.equal((await renewLoan(tx, 'loan-1', { requestingUserId: 'librarian-1', requestingUserRole: 'librarian' })).renewal_count, 1);
+});